@@ -0,0 +1,124 @@
+// Headless batch simulation from Node.
+//
+//   npm run simulate -- --game long --runs 5000 --strategy lowest-risk --rules realistic
+//   npm run simulate --silent -- --game path --runs 2000 --strategy random --json > path.json
+//   npm run simulate -- --runs 5000 --rules realistic --audit --tolerance 0.05
+//   npm run simulate -- --runs 500 --strategy lowest-risk --portfolio 3
+//
+// The game modules are TypeScript with the @/ alias, so they are loaded
+// through Vite's SSR module loader rather than compiled separately.
+
+import { createServer } from 'vite'
+
+const DEFAULTS = { game: 'long', runs: 1000, strategy: 'random', rules: 'teaching', portfolio: 1, seed: null, json: false, audit: false, tolerance: null }
+
+const parseArgs = (argv) => {
+  const options = { ...DEFAULTS }
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '')
+    if (flag === 'json' || flag === 'audit') {
+      options[flag] = true
+    } else if (flag in options) {
+      options[flag] = argv[++i]
+    } else {
+      throw new Error(`Unknown option --${flag}`)
+    }
+  }
+  return options
+}
+
+const pct = (value) => `${(value * 100).toFixed(1)}%`
+const num = (value) => value.toFixed(0).padStart(6)
+
+const printSummaryTable = (title, groups) => {
+  console.log(`\n${title}`)
+  console.log('  group                              runs  approval   victory   months p50  capital p50  dilution p50')
+  Object.entries(groups).forEach(([name, s]) => {
+    console.log(
+      `  ${name.slice(0, 32).padEnd(32)} ${String(s.runs).padStart(6)}  ${pct(s.approvalRate).padStart(8)}  ${pct(s.victoryRate).padStart(8)}` +
+      `       ${num(s.months.p50)}       ${num(s.capitalInvested.p50)}        ${num(s.dilution.p50)}`
+    )
+  })
+}
+
+const printReport = (report, seedLabel) => {
+  const { config, overall } = report
+  console.log(`${config.game === 'path' ? 'PathGame' : 'The Long Journey'} - ${config.runs} runs, ${config.strategy} bot, seed ${seedLabel}` +
+    (config.game === 'long' ? `, ${config.gateRules} rules` : '') +
+    (config.portfolioSize > 1 ? `, ${config.portfolioSize}-program portfolio` : ''))
+  if (report.cappedSeeds.length) {
+    console.log(`${report.cappedSeeds.length} runs hit the action limit and are left out: seeds ${report.cappedSeeds.join(', ')}`)
+  }
+
+  printSummaryTable('OVERALL', { all: overall })
+  printSummaryTable('BY MODALITY', report.byModality)
+  printSummaryTable('BY MARKET SIZE', report.byMarketSize)
+  printSummaryTable('BY INNOVATION', report.byInnovation)
+  printSummaryTable('BY AREA', report.byArea)
+
+  console.log('\nPHASES')
+  console.log('  phase                  entered  passed   success  months  cost $M')
+  report.phases.forEach(p => {
+    console.log(
+      `  ${p.id.padEnd(20)} ${String(p.entered).padStart(9)} ${String(p.passed).padStart(7)}  ${pct(p.successRate).padStart(8)}` +
+      `  ${p.meanMonths.toFixed(1).padStart(6)}  ${p.meanCost.toFixed(1).padStart(7)}`
+    )
+  })
+}
+
+const cellValue = (metric, value) => (metric === 'rate' ? pct(value) : value.toFixed(1))
+
+const printAudit = (audit) => {
+  const { tolerances } = audit
+  console.log(`\nBALANCE AUDIT - ${audit.flaggedCount} of ${audit.cells.length} cells outside tolerance` +
+    ` (rates ±${(tolerances.rate * 100).toFixed(0)} pts, durations ±${pct(tolerances.duration)}, costs ±${pct(tolerances.cost)})`)
+  console.log('  metric    cell                              simulated   reference  deviation  source')
+  audit.cells.forEach(c => {
+    const reference = c.referenceRange
+      ? `${c.referenceRange.min.toFixed(0)}-${c.referenceRange.max.toFixed(0)}`
+      : cellValue(c.metric, c.reference)
+    const deviation = c.metric === 'rate' ? `${(c.deviation * 100).toFixed(1)} pts` : pct(c.deviation)
+    console.log(
+      `${c.flagged ? '!' : ' '} ${c.metric.padEnd(9)} ${c.label.padEnd(32)} ${cellValue(c.metric, c.simulated).padStart(10)}` +
+      `  ${reference.padStart(10)}  ${deviation.padStart(9)}  ${c.source}`
+    )
+  })
+}
+
+const options = parseArgs(process.argv.slice(2))
+const server = await createServer({
+  server: { middlewareMode: true, hmr: false },
+  appType: 'custom',
+  optimizeDeps: { noDiscovery: true },
+  logLevel: 'error',
+})
+
+try {
+  const { runBatch } = await server.ssrLoadModule('/src/game/simulation/batch.ts')
+  const { createSeed, parseSeed, formatSeed } = await server.ssrLoadModule('/src/game/engine/random.ts')
+  const { auditBalance, AUDIT_TOLERANCES } = await server.ssrLoadModule('/src/game/simulation/balanceAudit.ts')
+
+  const report = runBatch({
+    game: options.game,
+    runs: Number(options.runs),
+    strategy: options.strategy,
+    seed: (options.seed && parseSeed(String(options.seed))) ?? createSeed(),
+    gateRules: options.rules,
+    portfolioSize: Number(options.portfolio),
+  })
+
+  // One --tolerance scales every metric's default by the same factor as the rate tolerance
+  const scale = options.tolerance ? Number(options.tolerance) / AUDIT_TOLERANCES.rate : 1
+  const audit = options.audit
+    ? auditBalance(report, Object.fromEntries(Object.entries(AUDIT_TOLERANCES).map(([k, v]) => [k, v * scale])))
+    : null
+
+  if (options.json) {
+    console.log(JSON.stringify(audit ? { ...report, audit } : report, null, 2))
+  } else {
+    printReport(report, formatSeed(report.config.seed))
+    if (audit) printAudit(audit)
+  }
+} finally {
+  await server.close()
+}
@@ -1,7 +1,20 @@
+import { useEffect, useState } from 'react'
 import TheLongGame from './TheLongGame'
+import BalanceAudit from './BalanceAudit'
+import ReplayViewer from './ReplayViewer'
 import './index.css'
 
 function App() {
+  const [hash, setHash] = useState(window.location.hash)
+
+  useEffect(() => {
+    const onHashChange = () => setHash(window.location.hash)
+    window.addEventListener('hashchange', onHashChange)
+    return () => window.removeEventListener('hashchange', onHashChange)
+  }, [])
+
+  if (hash === '#audit') return <BalanceAudit />
+  if (hash === '#replay') return <ReplayViewer />
   return <TheLongGame />
 }
 
@@ -0,0 +1,219 @@
+import React, { useState } from 'react';
+import { runBatchInWorker } from './game/simulation/runInWorker';
+import { auditBalance, AUDIT_TOLERANCES } from './game/simulation/balanceAudit';
+import { BOT_STRATEGIES } from './game/simulation/bots';
+import { createSeed, formatSeed, parseSeed } from './game/engine/random';
+import { PORTFOLIO_SIZE } from './game/engine/portfolio';
+
+// A single asset, or a portfolio of any size the game allows
+const PROGRAM_COUNTS = [1, ...Array.from({ length: PORTFOLIO_SIZE.max - PORTFOLIO_SIZE.min + 1 }, (_, i) => PORTFOLIO_SIZE.min + i)];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BALANCE AUDIT
+// Simulates a batch of games and checks the resulting attrition, time and cost
+// against the industry figures the game cites. Reached at #audit.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const METRIC_SECTIONS = [
+  { metric: 'rate', title: 'TRANSITION RATES', tolerance: t => `±${(t.rate * 100).toFixed(0)} pts` },
+  { metric: 'duration', title: 'DURATIONS (MONTHS)', tolerance: t => `±${(t.duration * 100).toFixed(0)}%` },
+  { metric: 'cost', title: 'COSTS ($M PER PROGRAM)', tolerance: t => `±${(t.cost * 100).toFixed(0)}%` },
+];
+
+const formatValue = (metric, value) => (metric === 'rate' ? `${(value * 100).toFixed(1)}%` : value.toFixed(1));
+
+const formatReference = cell =>
+  cell.referenceRange
+    ? `${cell.referenceRange.min.toFixed(0)}-${cell.referenceRange.max.toFixed(0)}`
+    : formatValue(cell.metric, cell.reference);
+
+const formatDeviation = cell => {
+  const value = cell.deviation * 100;
+  const sign = value > 0 ? '+' : '';
+  return cell.metric === 'rate' ? `${sign}${value.toFixed(1)} pts` : `${sign}${value.toFixed(0)}%`;
+};
+
+export default function BalanceAudit() {
+  const [game, setGame] = useState('long');
+  const [runs, setRuns] = useState(2000);
+  const [strategy, setStrategy] = useState('random');
+  const [gateRules, setGateRules] = useState('realistic');
+  const [portfolioSize, setPortfolioSize] = useState(1);
+  const [seedInput, setSeedInput] = useState('');
+  const [tolerances, setTolerances] = useState(AUDIT_TOLERANCES);
+  const [report, setReport] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const running = progress !== null;
+  // Tolerances only re-grade the cells, so changing them never needs a new batch
+  const audit = report ? auditBalance(report, tolerances) : null;
+
+  const runAudit = async () => {
+    setError(null);
+    setProgress(0);
+    try {
+      const seed = parseSeed(seedInput) ?? createSeed();
+      setReport(await runBatchInWorker({ game, runs: Number(runs), strategy, seed, gateRules, portfolioSize: Number(portfolioSize) }, setProgress));
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const setTolerance = (metric, percent) => {
+    setTolerances(prev => ({ ...prev, [metric]: Math.max(0, Number(percent)) / 100 }));
+  };
+
+  const selectClass = 'bg-slate-900 border border-slate-700 rounded-lg px-3 py-2 text-sm text-slate-200 focus:outline-none focus:border-emerald-500';
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-100 p-8">
+      <div className="max-w-4xl mx-auto">
+        <header className="mb-8">
+          <a href="#" className="text-slate-500 hover:text-slate-300 text-sm">← Back to the game</a>
+          <p className="text-emerald-400 text-sm font-medium tracking-widest mt-4 mb-2">DESIGNER TOOLS</p>
+          <h1 className="text-3xl font-bold mb-2">Balance Audit</h1>
+          <p className="text-slate-400">
+            Plays a batch of games with a strategy bot and compares the effective transition rates, durations and costs against the cited industry sources. Cells outside tolerance are flagged.
+          </p>
+        </header>
+
+        <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-3 mb-4">
+            <label className="flex flex-col gap-1 text-slate-500 text-xs uppercase tracking-wider">
+              Game
+              <select value={game} onChange={e => setGame(e.target.value)} className={selectClass}>
+                <option value="long">The Long Journey</option>
+                <option value="path">Path Game</option>
+              </select>
+            </label>
+            <label className="flex flex-col gap-1 text-slate-500 text-xs uppercase tracking-wider">
+              Runs
+              <input type="number" min={100} step={100} value={runs} onChange={e => setRuns(e.target.value)} className={selectClass} />
+            </label>
+            <label className="flex flex-col gap-1 text-slate-500 text-xs uppercase tracking-wider">
+              Bot
+              <select value={strategy} onChange={e => setStrategy(e.target.value)} className={selectClass}>
+                {BOT_STRATEGIES.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1 text-slate-500 text-xs uppercase tracking-wider">
+              Gate Rules
+              <select value={gateRules} onChange={e => setGateRules(e.target.value)} disabled={game !== 'long'} className={selectClass}>
+                <option value="teaching">Teaching</option>
+                <option value="realistic">Realistic</option>
+              </select>
+            </label>
+            <label className="flex flex-col gap-1 text-slate-500 text-xs uppercase tracking-wider">
+              Programs
+              <select value={portfolioSize} onChange={e => setPortfolioSize(e.target.value)} disabled={game !== 'long'} className={selectClass}>
+                {PROGRAM_COUNTS.map(size => <option key={size} value={size}>{size === 1 ? 'Single asset' : `Portfolio of ${size}`}</option>)}
+              </select>
+            </label>
+            <label className="flex flex-col gap-1 text-slate-500 text-xs uppercase tracking-wider">
+              Seed
+              <input
+                type="text"
+                value={seedInput}
+                onChange={e => setSeedInput(e.target.value)}
+                placeholder="Random"
+                className={`${selectClass} font-mono`}
+              />
+            </label>
+          </div>
+
+          <div className="grid grid-cols-3 gap-3 mb-4">
+            {[
+              { metric: 'rate', label: 'Rate tolerance (pts)' },
+              { metric: 'duration', label: 'Duration tolerance (%)' },
+              { metric: 'cost', label: 'Cost tolerance (%)' },
+            ].map(({ metric, label }) => (
+              <label key={metric} className="flex flex-col gap-1 text-slate-500 text-xs uppercase tracking-wider">
+                {label}
+                <input
+                  type="number"
+                  min={0}
+                  value={Math.round(tolerances[metric] * 100)}
+                  onChange={e => setTolerance(metric, e.target.value)}
+                  className={selectClass}
+                />
+              </label>
+            ))}
+          </div>
+
+          <button
+            onClick={runAudit}
+            disabled={running}
+            className="w-full bg-emerald-600 hover:bg-emerald-500 disabled:bg-slate-700 disabled:text-slate-400 text-white font-semibold py-3 px-8 rounded-lg transition-colors"
+          >
+            {running ? `Simulating... ${progress} / ${runs}` : 'Run Audit'}
+          </button>
+          {error && <p className="text-red-400 text-sm mt-3">{error}</p>}
+        </div>
+
+        {audit && (
+          <>
+            <div className={`rounded-lg p-4 mb-6 border ${audit.flaggedCount ? 'bg-red-900/20 border-red-700/50' : 'bg-emerald-900/20 border-emerald-700/50'}`}>
+              <div className={`font-semibold ${audit.flaggedCount ? 'text-red-400' : 'text-emerald-400'}`}>
+                {audit.flaggedCount} of {audit.cells.length} cells outside tolerance
+              </div>
+              <div className="text-slate-500 text-sm">
+                {audit.runs.toLocaleString()} runs • {(report.overall.approvalRate * 100).toFixed(1)}% approved • {(report.overall.victoryRate * 100).toFixed(1)}% won • seed <span className="font-mono">{formatSeed(report.config.seed)}</span>
+              </div>
+              {report.cappedSeeds.length > 0 && (
+                <div className="text-amber-400 text-sm mt-1">
+                  {report.cappedSeeds.length} runs hit the action limit and are left out: seeds <span className="font-mono">{report.cappedSeeds.join(', ')}</span>
+                </div>
+              )}
+            </div>
+
+            {METRIC_SECTIONS.map(({ metric, title, tolerance }) => {
+              const cells = audit.cells.filter(c => c.metric === metric);
+              if (cells.length === 0) return null;
+              return (
+                <div key={metric} className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+                  <div className="flex justify-between items-baseline mb-4">
+                    <h3 className="text-sm font-semibold text-slate-400">{title}</h3>
+                    <span className="text-slate-600 text-xs">Tolerance {tolerance(audit.tolerances)}</span>
+                  </div>
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-slate-500 text-xs text-left">
+                        <th className="font-normal pb-2">Measure</th>
+                        <th className="font-normal pb-2 text-right">Simulated</th>
+                        <th className="font-normal pb-2 text-right">Reference</th>
+                        <th className="font-normal pb-2 text-right">Deviation</th>
+                        <th className="font-normal pb-2 pl-4">Source</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {cells.map(cell => (
+                        <tr key={`${cell.label}-${cell.source}`} className="border-t border-slate-800">
+                          <td className="py-2 text-slate-300">{cell.label}</td>
+                          <td className={`py-2 text-right font-mono ${cell.flagged ? 'text-red-400 font-semibold' : 'text-slate-200'}`}>
+                            {formatValue(metric, cell.simulated)}
+                          </td>
+                          <td className="py-2 text-right font-mono text-slate-400">{formatReference(cell)}</td>
+                          <td className={`py-2 text-right font-mono ${cell.flagged ? 'text-red-400' : 'text-slate-500'}`}>
+                            {formatDeviation(cell)}
+                          </td>
+                          <td className="py-2 pl-4 text-slate-600 text-xs">{cell.source}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              );
+            })}
+
+            <p className="text-slate-600 text-xs">
+              Rates are the share of programs entering a stage that clear it. Durations and costs are means per program entering the stage; ranged references count as matched anywhere inside the range.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,169 @@
+import React from 'react';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WHAT-IF BRANCHES
+// Rewind to any earlier decision, play it differently, and compare the
+// branches side by side. Rules live in src/game/engine/LongGameTimeline.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const KIND_LABELS = {
+  question: { label: 'DECISION', className: 'bg-cyan-500/20 text-cyan-400' },
+  event: { label: 'EVENT', className: 'bg-amber-500/20 text-amber-400' },
+  policy: { label: 'POLICY', className: 'bg-purple-500/20 text-purple-400' },
+  design: { label: 'DESIGN', className: 'bg-emerald-500/20 text-emerald-400' },
+};
+
+const OUTCOME_CLASSES = {
+  approved: 'text-emerald-400',
+  launched: 'text-emerald-300',
+  failed: 'text-red-400',
+  exited: 'text-cyan-400',
+  'in progress': 'text-blue-400',
+};
+
+const formatMonths = (months) => {
+  const years = Math.floor(months / 12);
+  return years > 0 ? `${years}y ${months % 12}m` : `${months}m`;
+};
+
+const COMPARISON_ROWS = [
+  { label: 'Reached', value: s => s.phase },
+  { label: 'Elapsed', value: s => formatMonths(s.months) },
+  { label: 'Invested', value: s => `$${s.capitalInvested}M` },
+  { label: 'Cash', value: s => `$${s.cash}M` },
+  { label: 'Dilution', value: s => `${s.totalDilution}%` },
+  { label: 'Success mod', value: s => `${s.riskBonus >= 0 ? '+' : ''}${Math.round(s.riskBonus * 100)}%` },
+  { label: 'Efficacy risk', value: s => s.efficacyRisk },
+  { label: 'Safety risk', value: s => s.safetyRisk },
+  { label: 'Design risk', value: s => s.designRisk },
+];
+
+export default function BranchPanel({ rewindPoints, summaries, activeBranchId, canBranch, onRewind, onSwitch, onDiscard, compact = false }) {
+  const hasBranches = summaries.length > 1;
+  if (rewindPoints.length === 0 && !hasBranches) return null;
+
+  const rewindList = (
+    <div className="space-y-2">
+      {rewindPoints.map(({ index, checkpoint }) => (
+        <div key={index} className="flex items-center gap-3 text-sm">
+          <span className={`px-2 py-0.5 rounded text-xs font-medium ${KIND_LABELS[checkpoint.kind].className}`}>
+            {KIND_LABELS[checkpoint.kind].label}
+          </span>
+          <div className="flex-1 min-w-0">
+            <div className="text-slate-300 truncate">{checkpoint.label}</div>
+            <div className="text-slate-600 text-xs">{checkpoint.phase}</div>
+          </div>
+          <button
+            onClick={() => onRewind(index)}
+            disabled={!canBranch}
+            className="text-cyan-400 hover:text-cyan-300 disabled:text-slate-600 text-xs font-semibold"
+          >
+            Rewind
+          </button>
+        </div>
+      ))}
+      {!canBranch && (
+        <p className="text-slate-500 text-xs">Branch limit reached. Discard a branch to rewind again.</p>
+      )}
+    </div>
+  );
+
+  const branchSwitcher = hasBranches && (
+    <div className="flex flex-wrap gap-2 mb-4">
+      {summaries.map(branch => (
+        <button
+          key={branch.id}
+          onClick={() => onSwitch(branch.id)}
+          className={`px-3 py-1 rounded-lg border text-xs ${branch.id === activeBranchId ? 'border-cyan-500/60 bg-cyan-900/30 text-cyan-300' : 'border-slate-700 text-slate-400 hover:border-slate-500'}`}
+        >
+          {branch.name} <span className={OUTCOME_CLASSES[branch.outcome]}>• {branch.outcome}</span>
+        </button>
+      ))}
+    </div>
+  );
+
+  // In-game: a collapsed rewind list and branch switcher
+  if (compact) {
+    return (
+      <details className="bg-slate-900/50 border border-slate-800 rounded-lg p-4 mt-6">
+        <summary className="text-sm font-semibold text-slate-400 cursor-pointer">
+          What if? Rewind to an earlier decision
+        </summary>
+        <div className="mt-4">
+          {branchSwitcher}
+          {rewindList}
+        </div>
+      </details>
+    );
+  }
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+      <h3 className="text-lg font-semibold text-cyan-400 mb-1">What If?</h3>
+      <p className="text-slate-400 text-sm mb-4">
+        Rewind to just before any earlier decision and play it differently. The luck you drew stays the same until your choices change it, so the branches isolate what the decision was worth. Events are luck rather than choices, so a branch from one plays the same event again.
+      </p>
+
+      {hasBranches && (
+        <div className="overflow-x-auto mb-6">
+          <table className="w-full text-sm">
+            <thead>
+              <tr>
+                <th />
+                {summaries.map(branch => (
+                  <th key={branch.id} className="text-left font-normal pb-3 pl-4 align-top">
+                    <div className={`font-semibold ${branch.id === activeBranchId ? 'text-cyan-300' : 'text-slate-200'}`}>{branch.name}</div>
+                    <div className="text-slate-500 text-xs">{branch.forkLabel ? `from "${branch.forkLabel}"` : 'as first played'}</div>
+                    <div className="flex gap-3 mt-1">
+                      {branch.id !== activeBranchId && (
+                        <button onClick={() => onSwitch(branch.id)} className="text-cyan-400 hover:text-cyan-300 text-xs">Open</button>
+                      )}
+                      {branch.forkLabel && (
+                        <button onClick={() => onDiscard(branch.id)} className="text-slate-500 hover:text-red-400 text-xs">Discard</button>
+                      )}
+                    </div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-t border-slate-800">
+                <td className="py-2 text-slate-500 text-xs">Outcome</td>
+                {summaries.map(branch => (
+                  <td key={branch.id} className={`py-2 pl-4 font-semibold capitalize ${OUTCOME_CLASSES[branch.outcome]}`}>{branch.outcome}</td>
+                ))}
+              </tr>
+              {COMPARISON_ROWS.map(row => (
+                <tr key={row.label} className="border-t border-slate-800">
+                  <td className="py-2 text-slate-500 text-xs">{row.label}</td>
+                  {summaries.map(branch => (
+                    <td key={branch.id} className="py-2 pl-4 font-mono text-slate-300">{row.value(branch)}</td>
+                  ))}
+                </tr>
+              ))}
+              <tr className="border-t border-slate-800">
+                <td className="py-2 text-slate-500 text-xs align-top">Choices after the fork</td>
+                {summaries.map(branch => (
+                  <td key={branch.id} className="py-2 pl-4 align-top">
+                    <ul className="space-y-1">
+                      {branch.decisions.map((decision, idx) => (
+                        <li key={idx} className="text-slate-400 text-xs">{decision}</li>
+                      ))}
+                    </ul>
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {rewindPoints.length > 0 && (
+        <>
+          <h4 className="text-sm font-semibold text-slate-400 mb-3">REWIND TO</h4>
+          {rewindList}
+        </>
+      )}
+    </div>
+  );
+}
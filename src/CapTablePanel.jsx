@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { exitWaterfall, fullyDilutedShares } from './game/engine/capTable';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CAP TABLE & EXIT WATERFALL
+// Who owns the company, what each round paid for it, and what everyone
+// actually receives at a given exit price. Rules live in
+// src/game/engine/capTable.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const CLASS_LABELS = {
+  common: 'Common',
+  options: 'Options',
+  warrants: 'Warrants',
+  preferred: 'Preferred',
+  debt: 'Debt',
+};
+
+const KIND_COLORS = {
+  founders: 'bg-emerald-500',
+  employees: 'bg-cyan-500',
+  investor: 'bg-purple-500',
+  partner: 'bg-blue-500',
+  lender: 'bg-amber-500',
+};
+
+const formatMoney = (value) => (value === null ? '-' : `$${value >= 100 ? Math.round(value).toLocaleString() : value.toFixed(1)}M`);
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+export default function CapTablePanel({ capTable, exitValue, exitLabel }) {
+  const [value, setValue] = useState(Math.max(0, Math.round(exitValue)));
+  const waterfall = exitWaterfall(capTable, value);
+  const totalShares = fullyDilutedShares(capTable);
+  const sliderMax = Math.max(500, Math.round(exitValue * 3 / 50) * 50);
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+      <h3 className="text-lg font-semibold text-purple-400 mb-1">Cap Table & Exit Waterfall</h3>
+      <p className="text-slate-400 text-sm mb-4">
+        {totalShares.toFixed(1)}M fully diluted shares. Investors with preferred stock are paid back before common; they convert to common only when that pays them more.
+      </p>
+
+      {/* Ownership bar */}
+      <div className="flex h-3 rounded-full overflow-hidden mb-2">
+        {waterfall.payouts.filter(p => p.ownership > 0).map(p => (
+          <div key={p.holderId} className={`${KIND_COLORS[p.kind]} border-r border-slate-900 last:border-r-0`} style={{ width: `${p.ownership * 100}%` }} title={`${p.name}: ${formatPercent(p.ownership)}`} />
+        ))}
+      </div>
+
+      {/* Exit price */}
+      <div className="bg-slate-800/50 border border-slate-700 rounded-lg p-4 my-4">
+        <div className="flex justify-between items-baseline mb-2">
+          <span className="text-slate-400 text-sm">Exit value</span>
+          <span className="font-mono text-xl text-emerald-400">{formatMoney(value)}</span>
+        </div>
+        <input
+          type="range"
+          min={0}
+          max={sliderMax}
+          step={5}
+          value={value}
+          onChange={e => setValue(Number(e.target.value))}
+          className="w-full accent-emerald-500"
+          aria-label="Exit value"
+        />
+        <button onClick={() => setValue(Math.max(0, Math.round(exitValue)))} className="text-slate-500 hover:text-slate-300 text-xs mt-1">
+          Reset to {exitLabel} ({formatMoney(Math.max(0, exitValue))})
+        </button>
+      </div>
+
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-500 text-xs">
+              <th className="text-left font-normal pb-2">Holder</th>
+              <th className="text-left font-normal pb-2 pl-3">Class</th>
+              <th className="text-right font-normal pb-2 pl-3">Owns</th>
+              <th className="text-right font-normal pb-2 pl-3">Invested</th>
+              <th className="text-right font-normal pb-2 pl-3">Preference</th>
+              <th className="text-right font-normal pb-2 pl-3">Receives</th>
+              <th className="text-right font-normal pb-2 pl-3">Multiple</th>
+            </tr>
+          </thead>
+          <tbody>
+            {waterfall.payouts.map(p => (
+              <tr key={p.holderId} className="border-t border-slate-800">
+                <td className="py-2">
+                  <span className={`inline-block w-2 h-2 rounded-full mr-2 ${KIND_COLORS[p.kind]}`} />
+                  <span className="text-slate-200">{p.name}</span>
+                  {waterfall.converted.includes(p.holderId) && <span className="text-slate-500 text-xs"> (converts)</span>}
+                </td>
+                <td className="py-2 pl-3 text-slate-400">{CLASS_LABELS[p.shareClass]}</td>
+                <td className="py-2 pl-3 text-right font-mono text-slate-300">{p.shareClass === 'debt' ? '-' : formatPercent(p.ownership)}</td>
+                <td className="py-2 pl-3 text-right font-mono text-slate-400">{p.invested > 0 ? formatMoney(p.invested) : '-'}</td>
+                <td className="py-2 pl-3 text-right font-mono text-slate-400">{p.preference > 0 ? formatMoney(p.preference) : '-'}</td>
+                <td className="py-2 pl-3 text-right font-mono text-emerald-400">{formatMoney(p.total)}</td>
+                <td className={`py-2 pl-3 text-right font-mono ${p.multiple === null ? 'text-slate-600' : p.multiple >= 1 ? 'text-emerald-400' : 'text-red-400'}`}>
+                  {p.multiple === null ? '-' : `${p.multiple.toFixed(1)}x`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h4 className="text-sm font-semibold text-slate-400 mb-3">FINANCING LEDGER</h4>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-slate-500 text-xs">
+              <th className="text-left font-normal pb-2">Round</th>
+              <th className="text-right font-normal pb-2 pl-3">Raised</th>
+              <th className="text-right font-normal pb-2 pl-3">Pre-money</th>
+              <th className="text-right font-normal pb-2 pl-3">Post-money</th>
+              <th className="text-right font-normal pb-2 pl-3">Price/share</th>
+              <th className="text-left font-normal pb-2 pl-3">Terms</th>
+            </tr>
+          </thead>
+          <tbody>
+            {capTable.ledger.map((entry, idx) => (
+              <tr key={idx} className="border-t border-slate-800">
+                <td className="py-2 text-slate-200">{entry.name}</td>
+                <td className="py-2 pl-3 text-right font-mono text-slate-300">{entry.amount > 0 ? formatMoney(entry.amount) : '-'}</td>
+                <td className="py-2 pl-3 text-right font-mono text-slate-400">{formatMoney(entry.preMoney)}</td>
+                <td className="py-2 pl-3 text-right font-mono text-slate-400">{formatMoney(entry.postMoney)}</td>
+                <td className="py-2 pl-3 text-right font-mono text-slate-400">{entry.pricePerShare === null ? '-' : `$${entry.pricePerShare.toFixed(2)}`}</td>
+                <td className="py-2 pl-3 text-slate-500 text-xs">
+                  {entry.note}
+                  {entry.poolTopUp > 0 && ` • pool topped up ${entry.poolTopUp.toFixed(1)}M shares`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import React from 'react';
+import { PHASES } from './game/data/phases';
+import { INNOVATION_DATA } from './game/data/strategy';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPETITIVE LANDSCAPE
+// The rival programs racing ours in the same indication: where each
+// stands, when it next reads out, and what the field has done to our
+// market so far. Rules live in src/game/engine/competitors.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const STATUS_LABELS = {
+  active: { label: 'In development', className: 'bg-slate-700 text-slate-300' },
+  approved: { label: 'On the market', className: 'bg-red-500/20 text-red-400' },
+  failed: { label: 'Failed', className: 'bg-emerald-500/20 text-emerald-400' },
+};
+
+export default function CompetitorPanel({ rivals, innovation, indication, months, marketEffect, news }) {
+  if (!rivals || rivals.length === 0) return null;
+  const position = INNOVATION_DATA[innovation];
+  const change = Math.round((marketEffect - 1) * 100);
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-5 mb-6 text-left">
+      <div className="flex justify-between items-start mb-1">
+        <h3 className="text-lg font-semibold text-red-400">Competitive Landscape</h3>
+        {position && <span className="text-xs px-2 py-1 rounded bg-slate-800 text-slate-300">{position.displayName}</span>}
+      </div>
+      <p className="text-slate-400 text-sm mb-4">
+        {rivals.length} rival {rivals.length === 1 ? 'program' : 'programs'} in {indication}.
+        {change !== 0 && (
+          <span className={change < 0 ? 'text-red-400' : 'text-emerald-400'}>
+            {' '}Their launches and failures have {change < 0 ? 'shrunk' : 'grown'} your market {Math.abs(change)}%.
+          </span>
+        )}
+      </p>
+
+      <div className="space-y-2 mb-2">
+        {rivals.map(rival => {
+          const status = STATUS_LABELS[rival.status];
+          return (
+            <div key={rival.id} className="flex items-center gap-3 text-sm">
+              <span className="text-slate-200 font-mono w-20">{rival.name}</span>
+              <span className="text-slate-500 w-40 truncate">{rival.sponsor}</span>
+              <div className="flex-1 flex gap-0.5">
+                {PHASES.slice(0, PHASES.findIndex(phase => phase.id === 'fda_review') + 1).map((phase, i) => (
+                  <div
+                    key={phase.id}
+                    title={phase.name}
+                    className={`h-2 flex-1 rounded-sm ${i < rival.phaseIndex || rival.status === 'approved' ? 'bg-red-500/60' : i === rival.phaseIndex && rival.status === 'active' ? 'bg-amber-400/70' : 'bg-slate-800'}`}
+                  />
+                ))}
+              </div>
+              <span className="text-slate-500 text-xs w-28 text-right">
+                {rival.status === 'active' ? `${PHASES[rival.phaseIndex].name.split(' ')[0]} • ${Math.max(0, rival.readoutAt - months)}m` : ''}
+              </span>
+              <span className={`text-xs px-2 py-0.5 rounded w-28 text-center ${status.className}`}>{status.label}</span>
+            </div>
+          );
+        })}
+      </div>
+
+      {news.length > 0 && (
+        <div className="border-t border-slate-800 mt-4 pt-3 space-y-2">
+          {news.map((event, idx) => (
+            <div key={idx} className="text-sm">
+              <span className="text-slate-300 font-medium">{event.title}</span>
+              <span className="text-slate-500 block text-xs">{event.description}</span>
+            </div>
+          ))}
+        </div>
+      )}
+      <p className="text-slate-600 text-xs mt-3">
+        A rival that launches first takes share, and beats a first-in-class program to the title. Rival trials recruiting the same patients slow yours.
+      </p>
+    </div>
+  );
+}
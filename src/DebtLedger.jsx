@@ -0,0 +1,93 @@
+import React from 'react';
+import { totalDebt } from './game/engine/ventureDebt';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VENTURE DEBT LEDGER
+// Every loan the program drew: what it cost in interest, how much was paid
+// back, and where the balance stands. Rules live in
+// src/game/engine/ventureDebt.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const formatMoney = (value) => `$${value.toFixed(1)}M`;
+
+export default function DebtLedger({ debt }) {
+  if (!debt || debt.length === 0) return null;
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+      <h3 className="text-lg font-semibold text-amber-400 mb-1">Venture Debt</h3>
+      <p className="text-slate-400 text-sm mb-4">
+        Borrowing kept founders from selling more of the company, but every month of program time cost interest, and principal came due whether or not the data did.
+      </p>
+
+      {debt.map(facility => {
+        const { terms } = facility;
+        const status = facility.defaultedAtMonth !== null
+          ? { label: `Defaulted at month ${facility.defaultedAtMonth}`, className: 'bg-red-500/20 text-red-400' }
+          : facility.balance <= 0
+            ? { label: 'Repaid', className: 'bg-emerald-500/20 text-emerald-400' }
+            : { label: 'Outstanding', className: 'bg-amber-500/20 text-amber-400' };
+
+        return (
+          <div key={facility.id} className="mb-4 last:mb-0">
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-slate-200 font-medium">{facility.name}</span>
+              <span className={`text-xs px-2 py-1 rounded ${status.className}`}>{status.label}</span>
+            </div>
+            <p className="text-slate-500 text-xs mb-3">
+              {formatMoney(facility.principal)} drawn at month {facility.drawnAtMonth} • {Math.round(terms.interestRate * 100)}% interest • {terms.interestOnlyMonths} months interest-only, then {terms.amortizationMonths} to repay • {Math.round(terms.warrantCoverage * 100)}% warrant coverage • ${terms.minimumCash}M minimum cash
+              {facility.waiverUsed && ' • covenant waived once'}
+            </p>
+
+            <div className="grid grid-cols-3 gap-3 mb-3">
+              <div className="bg-slate-800/50 rounded-lg p-3 text-center">
+                <div className="font-mono text-red-400">{formatMoney(facility.interestPaid)}</div>
+                <div className="text-slate-500 text-xs">Interest paid</div>
+              </div>
+              <div className="bg-slate-800/50 rounded-lg p-3 text-center">
+                <div className="font-mono text-slate-300">{formatMoney(facility.principalPaid)}</div>
+                <div className="text-slate-500 text-xs">Principal repaid</div>
+              </div>
+              <div className="bg-slate-800/50 rounded-lg p-3 text-center">
+                <div className="font-mono text-amber-400">{formatMoney(facility.balance)}</div>
+                <div className="text-slate-500 text-xs">Still owed</div>
+              </div>
+            </div>
+
+            {facility.payments.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-slate-500 text-xs">
+                      <th className="text-left font-normal pb-2">Through month</th>
+                      <th className="text-right font-normal pb-2 pl-3">Interest</th>
+                      <th className="text-right font-normal pb-2 pl-3">Principal</th>
+                      <th className="text-right font-normal pb-2 pl-3">Balance</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {facility.payments.map((payment, idx) => (
+                      <tr key={idx} className="border-t border-slate-800">
+                        <td className="py-2 text-slate-300">{payment.month}</td>
+                        <td className="py-2 pl-3 text-right font-mono text-red-400">{formatMoney(payment.interest)}</td>
+                        <td className="py-2 pl-3 text-right font-mono text-slate-300">{payment.principal > 0 ? formatMoney(payment.principal) : '-'}</td>
+                        <td className="py-2 pl-3 text-right font-mono text-slate-400">{formatMoney(payment.balance)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {debt.length > 1 && (
+        <div className="flex justify-between border-t border-slate-700 pt-3 mt-3 text-sm">
+          <span className="text-slate-400">Total still owed</span>
+          <span className="font-mono text-amber-400">{formatMoney(totalDebt(debt))}</span>
+        </div>
+      )}
+    </div>
+  );
+}
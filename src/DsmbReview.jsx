@@ -0,0 +1,100 @@
+import React from 'react';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DSMB REVIEW
+// What the data safety monitoring board saw at an interim look: the z
+// statistic against the look's efficacy boundary and futility floor, the
+// chance the trend so far wins at the end, and what the board decided.
+// Rules live in src/game/engine/dsmb.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+const DECISIONS = {
+  continue: { label: 'CONTINUE', className: 'text-slate-200 border-slate-600 bg-slate-800/50', button: 'Continue the Trial' },
+  efficacy: { label: 'STOP FOR EFFICACY', className: 'text-emerald-400 border-emerald-700/50 bg-emerald-900/20', button: 'Close Out the Trial' },
+  futility: { label: 'STOP FOR FUTILITY', className: 'text-red-400 border-red-700/50 bg-red-900/20', button: 'Accept the Decision' },
+};
+
+export default function DsmbReview({ phase, look, looks, previousSize, onContinue }) {
+  const decision = DECISIONS[look.decision];
+  const grown = look.sampleSize > previousSize;
+  const low = Math.min(-1, look.z, look.futility ?? 0) - 0.5;
+  const high = Math.max(4, look.z, look.efficacy ?? 0) + 0.5;
+  const position = (z) => `${((z - low) / (high - low)) * 100}%`;
+
+  return (
+    <div>
+      <div
+        className="inline-block px-3 py-1 rounded text-xs font-medium mb-4"
+        style={{ backgroundColor: `${phase.color}20`, color: phase.color }}
+      >
+        DSMB INTERIM LOOK
+      </div>
+      <h2 className="text-2xl font-bold mb-2">Interim Look {look.look} of {looks}</h2>
+      <p className="text-slate-400 mb-6">
+        {percent(look.fraction)} of the designed patients have read out, {look.month} months into the {phase.name}. The board sees the unblinded data; you and the investigators see only its decision.
+      </p>
+
+      <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+        <div className="text-slate-500 text-xs font-medium tracking-wide mb-2">Z STATISTIC, TOP DOSE AGAINST CONTROL</div>
+        <div className="relative h-10 bg-slate-800/50 rounded mb-1">
+          {look.futility !== null && (
+            <div className="absolute top-0 bottom-0 left-0 bg-red-900/30 border-r border-red-500" style={{ width: position(look.futility) }} />
+          )}
+          {look.efficacy !== null && (
+            <div className="absolute top-0 bottom-0 right-0 bg-emerald-900/30 border-l border-emerald-500" style={{ left: position(look.efficacy) }} />
+          )}
+          <div className="absolute top-0 bottom-0 border-l border-dashed border-slate-500" style={{ left: position(0) }} />
+          <div className="absolute top-1/2 w-3 h-3 -mt-1.5 -ml-1.5 rounded-full bg-amber-400" style={{ left: position(look.z) }} />
+        </div>
+        <div className="flex justify-between text-[10px] text-slate-600 mb-4">
+          <span>← Favors control</span>
+          <span>Favors drug →</span>
+        </div>
+
+        <div className="grid grid-cols-4 gap-4 text-center">
+          <div>
+            <div className="text-slate-500 text-xs">Z</div>
+            <div className="font-mono text-amber-400">{look.z.toFixed(2)}</div>
+          </div>
+          <div>
+            <div className="text-slate-500 text-xs">EFFICACY BOUNDARY</div>
+            <div className="font-mono text-emerald-400">{look.efficacy !== null ? look.efficacy.toFixed(2) : 'None'}</div>
+          </div>
+          <div>
+            <div className="text-slate-500 text-xs">FUTILITY FLOOR</div>
+            <div className="font-mono text-red-400">{look.futility !== null ? look.futility.toFixed(2) : 'None'}</div>
+          </div>
+          <div>
+            <div className="text-slate-500 text-xs">CONDITIONAL POWER</div>
+            <div className="font-mono text-slate-200">{percent(look.conditionalPower)}</div>
+          </div>
+        </div>
+      </div>
+
+      <div className={`border rounded-lg p-5 mb-6 ${decision.className}`}>
+        <div className="text-xs font-medium tracking-wide mb-2">THE BOARD'S DECISION: {decision.label}</div>
+        <p className="text-slate-300 text-sm">
+          {look.decision === 'efficacy'
+            ? 'The drug is already winning by more than the boundary allows chance to explain. Running on would keep control patients off a treatment that works, so the trial closes out now and reads out on the patients it has.'
+            : look.decision === 'futility'
+              ? 'If the trend so far holds, the trial has almost no chance of winning at the end. The board stops it rather than spend the rest of the budget and keep patients on a drug that is not helping.'
+              : 'The data cross neither line, so the trial runs on blinded to the next analysis.'}
+        </p>
+        {grown && (
+          <p className="text-slate-300 text-sm mt-2">
+            The trend sits in the promising zone, so the board re-estimated the sample size: the trial now enrolls {percent(look.sampleSize)} of its designed patients, with the months and budget that takes.
+          </p>
+        )}
+      </div>
+
+      <button
+        onClick={onContinue}
+        className="w-full bg-emerald-600 hover:bg-emerald-500 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
+      >
+        {decision.button}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import React from 'react';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXCLUSIVITY CLOCK
+// The patents and exclusivities protecting the drug, laid out on the
+// program's own clock: how much of the patent development used up, what
+// term extension gave back, and when the last protection lapses. Rules
+// live in src/game/engine/exclusivity.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const years = (months) => (months / 12).toFixed(1);
+
+const MILESTONES = [
+  ['patentFiledAt', 'Patent filed'],
+  ['indAt', 'IND'],
+  ['ndaAt', 'NDA/BLA'],
+  ['approvalAt', 'Approval'],
+];
+
+export default function ExclusivityPanel({ exclusivity, modality }) {
+  const span = Math.max(1, exclusivity.genericEntry);
+  const at = (month) => `${(month / span) * 100}%`;
+  const development = exclusivity.approvalAt - exclusivity.patentFiledAt;
+  const follower = modality === 'small-molecule' ? 'generics' : 'biosimilars';
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+      <div className="flex justify-between items-start mb-1">
+        <h3 className="text-lg font-semibold text-emerald-400">Exclusivity Clock</h3>
+        <span className="text-2xl font-bold text-emerald-400">{exclusivity.brandedYears.toFixed(1)} yrs</span>
+      </div>
+      <p className="text-slate-400 text-sm mb-4">
+        Your patent was filed {years(exclusivity.patentFiledAt)} years into the program, and its 20-year term kept running through {years(development)} more years of development.
+        {' '}You sell as a brand for {exclusivity.brandedYears.toFixed(1)} years after approval, until {follower} arrive in year {years(exclusivity.genericEntry)}.
+      </p>
+
+      <div className="relative h-6 mb-6">
+        <div className="absolute inset-x-0 top-2 h-2 bg-slate-800 rounded" />
+        <div className="absolute top-2 h-2 bg-slate-600 rounded-l" style={{ left: at(exclusivity.patentFiledAt), width: at(development) }} />
+        <div className="absolute top-2 h-2 bg-emerald-500 rounded-r" style={{ left: at(exclusivity.approvalAt), right: 0 }} />
+        {MILESTONES.map(([key, label]) => (
+          <div key={key} className="absolute top-0 h-6 border-l border-slate-400" style={{ left: at(exclusivity[key]) }}>
+            <span className="absolute top-6 -translate-x-1/2 text-[10px] text-slate-500 whitespace-nowrap">{label}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="space-y-3">
+        {exclusivity.protections.map(protection => {
+          const start = protection.id === 'patent' ? exclusivity.patentFiledAt : exclusivity.approvalAt;
+          const sets = protection.endsAt === exclusivity.genericEntry;
+          return (
+            <div key={protection.id}>
+              <div className="flex justify-between items-baseline text-sm mb-1">
+                <span className={sets ? 'text-emerald-400 font-medium' : 'text-slate-200'}>{protection.label}</span>
+                <span className="text-slate-400 font-mono text-xs">
+                  {protection.endsAt > exclusivity.approvalAt ? `${years(protection.endsAt - exclusivity.approvalAt)} yrs after approval` : 'expired before approval'}
+                </span>
+              </div>
+              <div className="relative h-2 bg-slate-800 rounded">
+                <div
+                  className={`absolute h-2 rounded ${sets ? 'bg-emerald-500' : 'bg-slate-500'}`}
+                  style={{ left: at(start), width: at(Math.max(0, protection.endsAt - start)) }}
+                />
+              </div>
+              <div className="text-slate-500 text-xs mt-1">{protection.detail}</div>
+            </div>
+          );
+        })}
+      </div>
+
+      <p className="text-slate-600 text-xs mt-4">
+        {exclusivity.pediatric
+          ? 'Pediatric studies added 6 months to every protection. '
+          : ''}
+        Every month spent in development comes off the patent, and term extension gives back at most 5 years of it.
+      </p>
+    </div>
+  );
+}
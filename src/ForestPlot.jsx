@@ -0,0 +1,56 @@
+import React from 'react';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SUBGROUP FOREST PLOT
+// The top dose against control in every patient and then in each subgroup,
+// with 95% confidence intervals. Small subgroups give wide intervals, so a
+// single subgroup crossing the line says little on its own.
+// Figures come from src/game/engine/trialReadout.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Hazard ratios are drawn on a log scale, clipped to this range
+const RATIO_RANGE = [0.1, 10];
+
+export default function ForestPlot({ forest, nullValue, ratio, favorsLeft, favorsRight }) {
+  const scale = ratio ? Math.log : (value) => value;
+  const clip = (value) => (ratio ? Math.min(RATIO_RANGE[1], Math.max(RATIO_RANGE[0], value)) : value);
+  const low = scale(clip(Math.min(nullValue, ...forest.map(row => row.low))));
+  const high = scale(clip(Math.max(nullValue, ...forest.map(row => row.high))));
+  const position = (value) => `${((scale(clip(value)) - low) / (high - low || 1)) * 100}%`;
+  const format = (value) => value.toFixed(ratio ? 2 : 1);
+
+  return (
+    <div>
+      <div className="text-slate-500 text-xs font-medium tracking-wide mb-2">SUBGROUPS</div>
+      {forest.map((row, i) => (
+        <div key={row.label} className={`flex items-center gap-3 text-xs py-1 ${i === 0 ? 'border-b border-slate-700 mb-1' : ''}`}>
+          <div className={`w-32 ${i === 0 ? 'text-slate-200 font-medium' : 'text-slate-400'}`}>{row.label}</div>
+          <div className="w-10 text-right text-slate-600 font-mono">{row.patients}</div>
+          <div className="relative flex-1 h-4">
+            <div className="absolute top-0 bottom-0 border-l border-dashed border-slate-500" style={{ left: position(nullValue) }} />
+            <div
+              className="absolute top-1/2 h-px bg-slate-400"
+              style={{ left: position(row.low), width: `calc(${position(row.high)} - ${position(row.low)})` }}
+            />
+            <div
+              className={`absolute top-1/2 w-2 h-2 -mt-1 -ml-1 ${i === 0 ? 'bg-emerald-400' : 'bg-slate-300'}`}
+              style={{ left: position(row.estimate) }}
+            />
+          </div>
+          <div className="w-36 text-right text-slate-400 font-mono">
+            {format(row.estimate)} ({format(row.low)} to {format(row.high)})
+          </div>
+        </div>
+      ))}
+      <div className="flex items-center gap-3 text-[10px] text-slate-600 mt-1">
+        <div className="w-32" />
+        <div className="w-10" />
+        <div className="flex-1 flex justify-between">
+          <span>← {favorsLeft}</span>
+          <span>{favorsRight} →</span>
+        </div>
+        <div className="w-36" />
+      </div>
+    </div>
+  );
+}
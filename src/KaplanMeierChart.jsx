@@ -0,0 +1,62 @@
+import React from 'react';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KAPLAN-MEIER CURVES
+// The share of each arm still free of the event, month by month, as a
+// time-to-event trial reads out. Curves that separate are the drug working.
+// Figures come from src/game/engine/trialReadout.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const WIDTH = 600;
+const HEIGHT = 180;
+
+export default function KaplanMeierChart({ survival, armNames, colors }) {
+  const months = Math.max(1, ...survival.map(curve => curve.points.length - 1));
+  const x = (month) => (month / months) * WIDTH;
+  const y = (share) => (1 - share) * HEIGHT;
+
+  return (
+    <div>
+      <div className="text-slate-500 text-xs font-medium tracking-wide mb-2">EVENT-FREE SURVIVAL</div>
+      <div className="flex">
+        <div className="flex flex-col justify-between text-[10px] text-slate-600 pr-2" style={{ height: HEIGHT }}>
+          <span>100%</span>
+          <span>50%</span>
+          <span>0%</span>
+        </div>
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" className="flex-1 border-l border-b border-slate-700" style={{ height: HEIGHT }}>
+          <line x1={0} y1={y(0.5)} x2={WIDTH} y2={y(0.5)} stroke="#334155" strokeDasharray="4 4" vectorEffect="non-scaling-stroke" />
+          {survival.map(curve => (
+            <polyline
+              key={curve.arm}
+              fill="none"
+              stroke={colors[curve.arm]}
+              strokeWidth={2}
+              vectorEffect="non-scaling-stroke"
+              points={curve.points.map((point, i) => {
+                const previous = curve.points[i - 1];
+                return previous
+                  ? `${x(point.month)},${y(previous.survival)} ${x(point.month)},${y(point.survival)}`
+                  : `${x(point.month)},${y(point.survival)}`;
+              }).join(' ')}
+            />
+          ))}
+        </svg>
+      </div>
+      <div className="flex justify-between text-[10px] text-slate-600 pl-8 mt-1">
+        <span>0</span>
+        <span>Months since enrollment</span>
+        <span>{months}</span>
+      </div>
+
+      <div className="flex gap-4 text-xs text-slate-500 mt-2">
+        {survival.map(curve => (
+          <span key={curve.arm}>
+            <span className="inline-block w-2 h-2 rounded-sm mr-1" style={{ backgroundColor: colors[curve.arm] }} />
+            {armNames[curve.arm]} ({Math.round(curve.points[curve.points.length - 1].survival * 100)}% event-free)
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React from 'react';
+import { LAUNCH_QUARTERS, LAUNCH_ROYALTY, SALES_FORCES, PAYER_STRATEGIES } from './game/data/launch';
+import { describeObligation } from './game/engine/revenue';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LAUNCH BOARD
+// The approved drug's first quarters on the market: the sales force and
+// payer terms behind it, what the next quarter should bring, the royalty
+// the drug can still be financed with, and the quarterly P&L so far.
+// Rules live in src/game/engine/launch.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const formatMoney = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(1)}M`;
+
+const profitColor = (value) => (value < 0 ? 'text-red-400' : 'text-emerald-400');
+
+// Costs a quarter carries after net sales
+const costs = (quarter) => quarter.partners + quarter.cogs + quarter.salesForce + quarter.marketing + quarter.overhead;
+
+export default function LaunchBoard({ launch, next, cash, royaltyOffer, salesReps, onSalesForce, onPayerStrategy, onSellRoyalty, onPlay }) {
+  const force = SALES_FORCES.find(f => f.id === launch.salesForce);
+  const cumulative = launch.quarters.reduce((sum, quarter) => sum + quarter.profit, 0);
+  const runsDry = cash + next.profit < 0;
+  const choices = [
+    { title: `SALES FORCE • ${Math.round(salesReps * force.share)} REPS`, options: SALES_FORCES, selected: launch.salesForce, onSelect: onSalesForce },
+    { title: 'PAYER STRATEGY', options: PAYER_STRATEGIES, selected: launch.payerStrategy, onSelect: onPayerStrategy },
+  ];
+
+  return (
+    <div>
+      <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+        <h3 className="text-lg font-semibold text-emerald-400 mb-1">Commercial Launch</h3>
+        <p className="text-slate-400 text-sm mb-4">
+          Approval is a license to sell, not a sale. Uptake builds over years, payers take their rebates, and the field force and
+          marketing are paid for long before prescriptions cover them. Run {LAUNCH_QUARTERS} quarters on the market without running out of cash.
+        </p>
+
+        {choices.map(choice => (
+          <div key={choice.title} className="mb-4">
+            <div className="text-slate-500 text-xs font-medium tracking-wide mb-2">{choice.title}</div>
+            <div className="grid grid-cols-3 gap-2">
+              {choice.options.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => choice.onSelect(option.id)}
+                  className={`text-left p-3 rounded-lg border transition-colors ${choice.selected === option.id ? 'border-emerald-500 bg-emerald-500/10' : 'border-slate-700 bg-slate-800/50 hover:border-slate-600'}`}
+                >
+                  <div className={`text-sm font-semibold ${choice.selected === option.id ? 'text-emerald-400' : 'text-slate-200'}`}>{option.name}</div>
+                  <div className="text-slate-500 text-xs mt-1">{option.description}</div>
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <div className="grid grid-cols-4 gap-3 text-center mb-4">
+          <div className="bg-slate-800/50 rounded-lg p-3">
+            <div className="font-mono text-slate-200">{Math.round(next.adoption * 100)}%</div>
+            <div className="text-slate-500 text-xs">Of peak uptake</div>
+          </div>
+          <div className="bg-slate-800/50 rounded-lg p-3">
+            <div className="font-mono text-emerald-400">{formatMoney(next.net)}</div>
+            <div className="text-slate-500 text-xs">Net sales</div>
+          </div>
+          <div className="bg-slate-800/50 rounded-lg p-3">
+            <div className="font-mono text-amber-400">{formatMoney(costs(next))}</div>
+            <div className="text-slate-500 text-xs">Costs</div>
+          </div>
+          <div className="bg-slate-800/50 rounded-lg p-3">
+            <div className={`font-mono ${profitColor(next.profit)}`}>{formatMoney(next.profit)}</div>
+            <div className="text-slate-500 text-xs">Quarter {next.quarter} result</div>
+          </div>
+        </div>
+
+        {runsDry && (
+          <div className="bg-red-900/30 border border-red-700/50 rounded-lg p-3 mb-4 text-sm text-red-300">
+            This quarter would take the company below zero. A smaller field force costs less while sales build
+            {royaltyOffer !== null ? ', or sell a royalty on the drug to carry the launch.' : '.'}
+          </div>
+        )}
+
+        {royaltyOffer !== null && (
+          <div className="flex items-center justify-between gap-4 bg-slate-800/50 border border-slate-700 rounded-lg p-3 mb-4">
+            <div>
+              <div className="text-sm font-semibold text-slate-200">{LAUNCH_ROYALTY.name} • {formatMoney(royaltyOffer)}</div>
+              <div className="text-slate-500 text-xs mt-1">{describeObligation(LAUNCH_ROYALTY.obligation, royaltyOffer)}. Offered once.</div>
+            </div>
+            <button
+              onClick={onSellRoyalty}
+              className="shrink-0 bg-amber-600 hover:bg-amber-500 text-white text-sm font-semibold py-2 px-4 rounded-lg transition-colors"
+            >
+              Sell Royalty
+            </button>
+          </div>
+        )}
+
+        <button
+          onClick={onPlay}
+          className="w-full bg-emerald-600 hover:bg-emerald-500 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
+        >
+          Sell Quarter {next.quarter} of {LAUNCH_QUARTERS}
+        </button>
+      </div>
+
+      {launch.quarters.length > 0 && (
+        <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6 overflow-x-auto">
+          <h3 className="text-lg font-semibold text-emerald-400 mb-1">Quarterly P&L</h3>
+          <p className="text-slate-400 text-sm mb-4">
+            Prescribers have taken to the drug at {Math.round(launch.reception * 100)}% of a typical launch.
+            {' '}{cumulative < 0 ? `The launch has lost ${formatMoney(-cumulative)} so far.` : `The launch has made ${formatMoney(cumulative)} so far.`}
+          </p>
+          <table className="w-full text-xs font-mono">
+            <thead>
+              <tr className="text-slate-500 text-right">
+                <th className="text-left font-medium pb-2">Q</th>
+                <th className="font-medium pb-2">Gross</th>
+                <th className="font-medium pb-2">Rebates</th>
+                <th className="font-medium pb-2">Partners</th>
+                <th className="font-medium pb-2">COGS</th>
+                <th className="font-medium pb-2">Sales force</th>
+                <th className="font-medium pb-2">Marketing</th>
+                <th className="font-medium pb-2">G&A, debt</th>
+                <th className="font-medium pb-2">Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {launch.quarters.map(quarter => (
+                <tr key={quarter.quarter} className="text-right text-slate-400 border-t border-slate-800">
+                  <td className="text-left py-1">{quarter.quarter}</td>
+                  <td className="text-slate-200">{quarter.gross.toFixed(1)}</td>
+                  <td>-{quarter.rebates.toFixed(1)}</td>
+                  <td>-{quarter.partners.toFixed(1)}</td>
+                  <td>-{quarter.cogs.toFixed(1)}</td>
+                  <td>-{quarter.salesForce.toFixed(1)}</td>
+                  <td>-{quarter.marketing.toFixed(1)}</td>
+                  <td>-{quarter.overhead.toFixed(1)}</td>
+                  <td className={profitColor(quarter.profit)}>{quarter.profit.toFixed(1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-slate-600 text-xs mt-3">$M a quarter. Rebates go to PBMs, insurers, Medicare and Medicaid; partners are royalty holders and deal partners.</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React from 'react';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LAUNCH REPORT
+// How the launch went, quarter by quarter: what each quarter made or
+// lost, how deep the hole got before sales caught up, and when they did.
+// Figures come from src/game/engine/launch.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const CHART_HEIGHT = 100;
+
+const formatMoney = (value) => `${value < 0 ? '-' : ''}$${Math.abs(Math.round(value)).toLocaleString()}M`;
+
+export default function LaunchReport({ launch }) {
+  if (!launch || launch.quarters.length === 0) return null;
+  const { quarters } = launch;
+  const scale = Math.max(1, ...quarters.map(quarter => Math.abs(quarter.profit)));
+  const hasLoss = quarters.some(quarter => quarter.profit < 0);
+  const hasProfit = quarters.some(quarter => quarter.profit > 0);
+
+  let running = 0;
+  let trough = 0;
+  for (const quarter of quarters) {
+    running += quarter.profit;
+    trough = Math.min(trough, running);
+  }
+  const breakEven = quarters.find(quarter => quarter.profit >= 0);
+  const netSales = quarters.reduce((sum, quarter) => sum + quarter.net, 0);
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+      <h3 className="text-lg font-semibold text-emerald-400 mb-1">Commercial Launch</h3>
+      <p className="text-slate-400 text-sm mb-4">
+        {quarters.length} quarters on the market. {breakEven
+          ? `Sales covered the cost of selling from quarter ${breakEven.quarter}.`
+          : 'Sales never covered the cost of selling.'}
+      </p>
+
+      <div className="flex flex-col" style={{ height: CHART_HEIGHT * ((hasProfit ? 1 : 0) + (hasLoss ? 1 : 0)) }}>
+        {hasProfit && (
+          <div className="flex items-end gap-1 flex-1">
+            {quarters.map(quarter => (
+              <div
+                key={quarter.quarter}
+                className="flex-1 bg-emerald-500 rounded-t-sm"
+                style={{ height: quarter.profit > 0 ? Math.max(1, (quarter.profit / scale) * CHART_HEIGHT) : 0 }}
+                title={`Quarter ${quarter.quarter}: ${formatMoney(quarter.profit)}`}
+              />
+            ))}
+          </div>
+        )}
+        <div className="border-t border-slate-700" />
+        {hasLoss && (
+          <div className="flex items-start gap-1 flex-1">
+            {quarters.map(quarter => (
+              <div
+                key={quarter.quarter}
+                className="flex-1 bg-red-500 rounded-b-sm"
+                style={{ height: quarter.profit < 0 ? Math.max(1, (-quarter.profit / scale) * CHART_HEIGHT) : 0 }}
+                title={`Quarter ${quarter.quarter}: ${formatMoney(quarter.profit)}`}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 mt-4 text-center">
+        <div>
+          <div className="text-slate-500 text-xs">NET SALES</div>
+          <div className="font-mono text-emerald-400">{formatMoney(netSales)}</div>
+        </div>
+        <div>
+          <div className="text-slate-500 text-xs">DEEPEST LOSS</div>
+          <div className="font-mono text-red-400">{formatMoney(trough)}</div>
+        </div>
+        <div>
+          <div className="text-slate-500 text-xs">LAUNCH RESULT</div>
+          <div className={`font-mono ${running < 0 ? 'text-red-400' : 'text-emerald-400'}`}>{formatMoney(running)}</div>
+        </div>
+      </div>
+    </div>
+  );
+}
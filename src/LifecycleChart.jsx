@@ -0,0 +1,68 @@
+import React from 'react';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DRUG LIFECYCLE
+// Net sales year by year from launch: the ramp, the branded plateau, and
+// the erosion once generics or biosimilars arrive, followed for decades.
+// Figures come from src/game/engine/revenue.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const CHART_HEIGHT = 140;
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString()}M`;
+
+export default function LifecycleChart({ lifecycle, modality }) {
+  const peak = Math.max(1, ...lifecycle.years.map(year => year.net));
+  const entryYear = Math.ceil(lifecycle.brandedYears);
+  const fiveYearsOn = lifecycle.years[Math.min(lifecycle.years.length - 1, entryYear + 4)];
+  const generic = modality === 'small-molecule';
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+      <h3 className="text-lg font-semibold text-emerald-400 mb-1">Drug Lifecycle</h3>
+      <p className="text-slate-400 text-sm mb-4">
+        Net sales for {lifecycle.years.length} years from launch. {generic
+          ? `Generics arrive after ${lifecycle.brandedYears.toFixed(1)} years and take ${Math.round(lifecycle.erosion.drop * 100)}% of the price within a couple of years.`
+          : `Biosimilars arrive after ${lifecycle.brandedYears.toFixed(1)} years and wear the price down slowly, toward ${Math.round(lifecycle.erosion.drop * 100)}% off over a decade.`}
+        {' '}The medicine stays; only the price falls.
+      </p>
+
+      <div className="flex items-end gap-px" style={{ height: CHART_HEIGHT }}>
+        {lifecycle.years.map(year => (
+          <div
+            key={year.year}
+            className={`flex-1 rounded-t-sm ${year.protectedShare >= 0.5 ? 'bg-emerald-500' : 'bg-slate-500'}`}
+            style={{ height: Math.max(1, (year.net / peak) * CHART_HEIGHT) }}
+            title={`Year ${year.year}: ${formatMoney(year.net)} net, ${Math.round(year.price * 100)}% of the branded price`}
+          />
+        ))}
+      </div>
+      <div className="border-t border-slate-700 mb-1" />
+      <div className="flex gap-px text-[10px] text-slate-600">
+        {lifecycle.years.map(year => (
+          <div key={year.year} className="flex-1 text-center">{year.year % 5 === 0 ? year.year : ''}</div>
+        ))}
+      </div>
+
+      <div className="flex gap-4 text-xs text-slate-500 mt-2">
+        <span><span className="inline-block w-2 h-2 rounded-sm bg-emerald-500 mr-1" />Exclusivity</span>
+        <span><span className="inline-block w-2 h-2 rounded-sm bg-slate-500 mr-1" />{generic ? 'Generic' : 'Biosimilar'} competition</span>
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 mt-4 text-center">
+        <div>
+          <div className="text-slate-500 text-xs">PEAK NET SALES</div>
+          <div className="font-mono text-emerald-400">{formatMoney(peak)}</div>
+        </div>
+        <div>
+          <div className="text-slate-500 text-xs">EARNED UNDER EXCLUSIVITY</div>
+          <div className="font-mono text-slate-300">{Math.round(lifecycle.brandedShare * 100)}%</div>
+        </div>
+        <div>
+          <div className="text-slate-500 text-xs">PRICE 5 YEARS AFTER ENTRY</div>
+          <div className={`font-mono ${generic ? 'text-red-400' : 'text-amber-400'}`}>{Math.round(fiveYearsOn.price * 100)}%</div>
+        </div>
+      </div>
+    </div>
+  );
+}
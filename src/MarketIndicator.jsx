@@ -0,0 +1,31 @@
+import React from 'react';
+import { MARKET_MOODS, RATE_REGIMES } from './game/data/financing';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MARKET INDICATOR
+// The biotech capital markets the company raises in right now: investor
+// mood and the rate regime. Rules live in src/game/engine/marketClimate.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const MOOD_STYLES = {
+  hot: { label: 'HOT', className: 'text-emerald-400' },
+  neutral: { label: 'NEUTRAL', className: 'text-slate-300' },
+  cold: { label: 'COLD', className: 'text-red-400' },
+};
+
+const RATE_LABELS = { low: 'Low rates', normal: 'Normal rates', high: 'High rates' };
+
+export default function MarketIndicator({ climate, months }) {
+  const mood = MOOD_STYLES[climate.mood];
+  const spell = months - climate.since;
+
+  return (
+    <div className="text-right" title={`${MARKET_MOODS[climate.mood].label}. ${RATE_REGIMES[climate.rates].label}.`}>
+      <div className="text-slate-500 text-xs">MARKET</div>
+      <div className={`text-sm font-semibold ${mood.className}`}>{mood.label}</div>
+      <div className={`text-xs ${climate.rates === 'high' ? 'text-amber-400' : 'text-slate-500'}`}>
+        {RATE_LABELS[climate.rates]}{spell >= 12 ? ` • ${Math.floor(spell / 12)}y+` : ''}
+      </div>
+    </div>
+  );
+}
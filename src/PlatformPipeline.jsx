@@ -0,0 +1,103 @@
+import React from 'react';
+import { PHASES } from './game/data/phases';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PLATFORM PIPELINE
+// Follow-on programs spun out of the lead's platform: what they inherit,
+// where each one stands, and what it adds to the company's rNPV. Rules
+// live in src/game/engine/platform.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const STATUS_LABELS = {
+  active: { label: 'Active', className: 'bg-cyan-500/20 text-cyan-400' },
+  waiting: { label: 'Waiting on cash', className: 'bg-amber-500/20 text-amber-400' },
+  failed: { label: 'Discontinued', className: 'bg-red-500/20 text-red-400' },
+  approved: { label: 'Approved', className: 'bg-emerald-500/20 text-emerald-400' },
+};
+
+const formatValue = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value)}M`;
+
+export default function PlatformPipeline({ platform, profile, leverage, followOns, values, unlocked, slots, launchCost, canLaunch, onLaunch, compact = false }) {
+  if (!platform || platform.followOns === 0) return null;
+  if (compact && !unlocked) {
+    return (
+      <p className="text-slate-500 text-xs text-center mt-6">
+        {platform.name}: {platform.followOns} follow-on programs unlock once the lead completes IND-enabling studies.
+      </p>
+    );
+  }
+  const total = Object.values(values).reduce((sum, value) => sum + value, 0);
+
+  return (
+    <div className={`bg-slate-900 border border-slate-800 rounded-lg p-6 ${compact ? 'mt-6' : 'mb-6'}`}>
+      <div className="flex justify-between items-start mb-1">
+        <h3 className="text-lg font-semibold text-cyan-400">{platform.name}</h3>
+        {followOns.length > 0 && (
+          <span className={`font-mono text-sm ${total >= 0 ? 'text-cyan-400' : 'text-red-400'}`}>{formatValue(total)} pipeline rNPV</span>
+        )}
+      </div>
+      <p className="text-slate-400 text-sm mb-4">
+        {platform.pipeline}. {profile?.platformEffect}.
+      </p>
+
+      <div className="grid grid-cols-3 gap-3 mb-4">
+        <div className="bg-slate-800/50 rounded-lg p-3 text-center">
+          <div className="font-mono text-emerald-400">-{Math.round(leverage.costSaving * 100)}%</div>
+          <div className="text-slate-500 text-xs">Phase budgets</div>
+        </div>
+        <div className="bg-slate-800/50 rounded-lg p-3 text-center">
+          <div className="font-mono text-blue-400">-{Math.round(leverage.timeSaving * 100)}%</div>
+          <div className="text-slate-500 text-xs">Phase time</div>
+        </div>
+        <div className="bg-slate-800/50 rounded-lg p-3 text-center">
+          <div className="font-mono text-cyan-400">+{Math.round(leverage.riskCredit * 100)}%</div>
+          <div className="text-slate-500 text-xs">Gate odds</div>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {leverage.inherits.map(item => (
+          <span key={item} className="text-xs px-2 py-1 rounded bg-slate-800 text-slate-400">{item}</span>
+        ))}
+        {profile?.speedUps.map(item => (
+          <span key={item} className="text-xs px-2 py-1 rounded bg-slate-800/50 text-slate-500">{item}</span>
+        ))}
+      </div>
+
+      {followOns.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {followOns.map(program => {
+            const status = STATUS_LABELS[program.status === 'active' && program.waiting ? 'waiting' : program.status];
+            return (
+              <div key={program.id} className="flex items-center gap-3 text-sm bg-slate-800/50 rounded-lg p-3">
+                <div className="flex-1 min-w-0">
+                  <div className="text-slate-200 font-medium">{program.name}</div>
+                  <div className="text-slate-500 text-xs truncate">
+                    {program.indication} • {program.status === 'active' ? PHASES[program.phaseIndex].name : `launched month ${program.launchedAtMonth}`} • ${program.spent}M spent
+                  </div>
+                </div>
+                <span className={`text-xs px-2 py-1 rounded ${status.className}`}>{status.label}</span>
+                <span className="font-mono text-slate-300 w-16 text-right">{formatValue(values[program.id] ?? 0)}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {onLaunch && slots > 0 && (
+        <button
+          onClick={onLaunch}
+          disabled={!canLaunch}
+          className="w-full bg-cyan-700 hover:bg-cyan-600 disabled:bg-slate-800 disabled:text-slate-600 text-white font-semibold py-2 px-4 rounded-lg transition-colors text-sm"
+        >
+          Launch Follow-On Program (${launchCost}M) • {slots} left
+        </button>
+      )}
+      {onLaunch && (
+        <p className="text-slate-500 text-xs mt-2">
+          Follow-ons complete a phase each time the lead clears a gate, at platform prices. The lead keeps first call on cash.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,110 @@
+import React from 'react';
+import { PHASES } from './game/data/phases';
+import { MODALITY_DATA } from './game/data/modalities';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PORTFOLIO BOARD
+// The quarterly planning table for a company running several programs:
+// where each stands, what it is worth, and whether it gets funded, paused
+// or killed this quarter. Rules live in src/game/engine/portfolio.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const STATUS_LABELS = {
+  approved: { label: 'Approved', className: 'bg-emerald-500/20 text-emerald-400' },
+  failed: { label: 'Failed', className: 'bg-red-500/20 text-red-400' },
+  killed: { label: 'Killed', className: 'bg-slate-700 text-slate-400' },
+};
+
+const ALLOCATIONS = [
+  { id: 'fund', label: 'Fund', active: 'bg-emerald-600 text-white' },
+  { id: 'pause', label: 'Pause', active: 'bg-amber-600 text-white' },
+  { id: 'kill', label: 'Kill', active: 'bg-red-600 text-white' },
+];
+
+const formatValue = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value)}M`;
+
+const riskColor = (value) => (value >= 60 ? 'text-red-400' : value >= 40 ? 'text-amber-400' : 'text-emerald-400');
+
+export default function PortfolioBoard({ programs, months, nextProgram, nextReadout, onAllocate, onPlay, onSkip }) {
+  const readiness = (program) => {
+    if (program.allocation === 'pause') return 'Paused: the phase stalls a quarter at a time';
+    if (program.readyAt <= months) return 'Ready for its next phase';
+    return `Readout in ${program.readyAt - months} months`;
+  };
+
+  return (
+    <div>
+      <div className="space-y-3 mb-6">
+        {programs.map(program => {
+          const { view, valuation } = program;
+          const running = program.status === 'running';
+          const status = STATUS_LABELS[program.status];
+          return (
+            <div
+              key={program.id}
+              className={`bg-slate-900 border rounded-lg p-5 ${running ? 'border-slate-800' : 'border-slate-800/50 opacity-70'}`}
+            >
+              <div className="flex justify-between items-start mb-3">
+                <div>
+                  <div className="text-lg font-semibold">{view.drugName}</div>
+                  <div className="text-slate-400 text-sm">
+                    {view.indication} • {MODALITY_DATA[view.modality]?.displayName ?? view.modality}
+                  </div>
+                  <div className="text-slate-500 text-xs">
+                    {PHASES[view.currentPhaseIndex].name}{running ? ` • ${readiness(program)}` : ''}
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className={`font-mono ${valuation.rnpv >= 0 ? 'text-cyan-400' : 'text-red-400'}`}>{formatValue(valuation.rnpv)} rNPV</div>
+                  <div className="text-slate-500 text-xs">{(valuation.probability * 100).toFixed(1)}% to market</div>
+                </div>
+              </div>
+
+              <div className="flex items-center gap-4 text-xs">
+                {[['Efficacy', view.efficacyRisk], ['Safety', view.safetyRisk], ['Design', view.designRisk]].map(([label, value]) => (
+                  <span key={label} className="text-slate-500">
+                    {label} <span className={`font-mono ${riskColor(value)}`}>{value}%</span>
+                  </span>
+                ))}
+                <div className="flex-1" />
+                {running ? (
+                  <div className="flex gap-1">
+                    {ALLOCATIONS.map(allocation => (
+                      <button
+                        key={allocation.id}
+                        onClick={() => onAllocate(program.id, allocation.id)}
+                        className={`px-3 py-1 rounded font-semibold transition-colors ${program.allocation === allocation.id ? allocation.active : 'bg-slate-800 text-slate-400 hover:bg-slate-700'}`}
+                      >
+                        {allocation.label}
+                      </button>
+                    ))}
+                  </div>
+                ) : (
+                  <span className={`px-2 py-1 rounded ${status.className}`}>{status.label}</span>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <button
+        onClick={onPlay}
+        className="w-full bg-emerald-600 hover:bg-emerald-500 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
+      >
+        {nextProgram ? `Run ${nextProgram.view.drugName}'s ${PHASES[nextProgram.view.currentPhaseIndex].name}` : 'End Quarter'}
+      </button>
+      {!nextProgram && nextReadout !== null && (
+        <button
+          onClick={onSkip}
+          className="w-full mt-2 bg-slate-800 hover:bg-slate-700 text-slate-300 font-semibold py-2 px-6 rounded-lg transition-colors text-sm"
+        >
+          Skip to the next readout ({nextReadout - months} months)
+        </button>
+      )}
+      <p className="text-slate-500 text-xs mt-3">
+        Funded programs run their next phase as soon as the last one reads out, all paid from the same cash and financing rounds. A paused program keeps its place but not its timeline; a killed one is gone for good.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React from 'react';
+import { INDUSTRY_STATS } from './game/data/balance';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PORTFOLIO REPORT
+// Attrition across every program the company ran, phase by phase, set
+// against the industry's attempts-per-approval arithmetic. Figures come
+// from src/game/engine/portfolio.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString()}M`;
+
+export default function PortfolioReport({ attrition }) {
+  if (!attrition) return null;
+  const { started, approved, failed, killed, running, attemptsPerSuccess, phaseBudgets, costPerApproval, byPhase } = attrition;
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+      <h3 className="text-lg font-semibold text-emerald-400 mb-1">Portfolio Attrition</h3>
+      <p className="text-slate-400 text-sm mb-4">
+        You started {started} programs: {approved} approved, {failed} failed, {killed} killed{running > 0 ? `, ${running} still running` : ''}.
+        {' '}The industry needs about {INDUSTRY_STATS.attemptsPerSuccess} attempts for every approval, and prices each success to pay for the rest.
+      </p>
+
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <div className="bg-slate-800/50 rounded-lg p-3 text-center">
+          <div className="font-mono text-slate-200">
+            {attemptsPerSuccess !== null ? attemptsPerSuccess.toFixed(1) : `${started}+`}
+            <span className="text-slate-500"> vs {INDUSTRY_STATS.attemptsPerSuccess}</span>
+          </div>
+          <div className="text-slate-500 text-xs">Attempts per approval</div>
+        </div>
+        <div className="bg-slate-800/50 rounded-lg p-3 text-center">
+          <div className="font-mono text-amber-400">
+            {costPerApproval !== null ? formatMoney(costPerApproval) : `${formatMoney(phaseBudgets)}, no approval`}
+            <span className="text-slate-500"> vs {formatMoney(INDUSTRY_STATS.averageCostToApproval)}</span>
+          </div>
+          <div className="text-slate-500 text-xs">Phase budgets per approval</div>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {byPhase.filter(phase => phase.entered > 0).map(phase => (
+          <div key={phase.id} className="flex items-center gap-3 text-sm">
+            <span className="text-slate-400 w-40 truncate">{phase.name}</span>
+            <div className="flex-1 flex h-3 bg-slate-800 rounded overflow-hidden">
+              <div className="bg-emerald-500/70" style={{ width: `${((phase.entered - phase.failed - phase.killed) / started) * 100}%` }} />
+              <div className="bg-red-500/70" style={{ width: `${(phase.failed / started) * 100}%` }} />
+              <div className="bg-slate-600" style={{ width: `${(phase.killed / started) * 100}%` }} />
+            </div>
+            <span className="font-mono text-slate-500 text-xs w-24 text-right">
+              {phase.entered} in{phase.failed > 0 ? ` • ${phase.failed} fail` : ''}{phase.killed > 0 ? ` • ${phase.killed} kill` : ''}
+            </span>
+          </div>
+        ))}
+      </div>
+      <p className="text-slate-600 text-xs mt-3">
+        Green cleared the phase or is still in it, red failed it, grey was killed in it. Phase budgets count each phase paid for, not the cost of capital.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { PHASES } from './game/data/phases';
+import { FINANCING_ROUNDS } from './game/data/financing';
+import { parseReplay, replayFrames, matchesRecording } from './game/engine/replay';
+import { formatSeed } from './game/engine/random';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPLAY VIEWER
+// Loads a replay file exported from a run and steps through it, rebuilding
+// the game state at every step from the seed. Reached at #replay.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const STEP_NAMES = { 0: 'Phase intro', 0.5: 'Trial design', 1: 'Question', 2: 'Event', 2.5: 'Policy', 2.7: 'IRA', 2.9: 'DSMB', 3: 'Gate' };
+
+// Frames where the player would have seen a different screen
+const screenKey = (state) => [
+  state.screen, state.currentPhaseIndex, state.phaseStep, state.showFinancingScreen, state.showAlternativeFinancing,
+  !!state.questionResult, !!state.policyResult, !!state.gateResult, !!state.debtDefault, !!state.exitOffer,
+  state.portfolio?.activeId, state.portfolio?.quarter, state.launch?.quarters.length,
+].join('|');
+
+const formatMonths = (months) => {
+  const years = Math.floor(months / 12);
+  return years > 0 ? `${years}y ${months % 12}m` : `${months}m`;
+};
+
+export default function ReplayViewer() {
+  const [replay, setReplay] = useState(null);
+  const [frames, setFrames] = useState([]);
+  const [frameIndex, setFrameIndex] = useState(0);
+  const [error, setError] = useState(null);
+
+  const loadFile = async (file) => {
+    if (!file) return;
+    setError(null);
+    try {
+      const loaded = parseReplay(await file.text());
+      setFrames(replayFrames(loaded));
+      setReplay(loaded);
+      setFrameIndex(0);
+    } catch (e) {
+      setError(e.message);
+      setReplay(null);
+      setFrames([]);
+    }
+  };
+
+  const frame = frames[frameIndex];
+  const state = frame?.state;
+  const lastIndex = frames.length - 1;
+
+  // Jump to the next or previous frame that shows a different screen
+  const jumpScreen = (direction) => {
+    const current = screenKey(frames[frameIndex].state);
+    let i = frameIndex + direction;
+    while (i > 0 && i < lastIndex && screenKey(frames[i].state) === current) i += direction;
+    setFrameIndex(Math.max(0, Math.min(lastIndex, i)));
+  };
+
+  const buttonClass = 'px-3 py-2 rounded-lg border border-slate-700 text-sm text-slate-300 hover:border-slate-500 disabled:text-slate-600 disabled:border-slate-800';
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-slate-100 p-8">
+      <div className="max-w-4xl mx-auto">
+        <header className="mb-8">
+          <a href="#" className="text-slate-500 hover:text-slate-300 text-sm">← Back to the game</a>
+          <p className="text-emerald-400 text-sm font-medium tracking-widest mt-4 mb-2">REPLAYS</p>
+          <h1 className="text-3xl font-bold mb-2">Replay Viewer</h1>
+          <p className="text-slate-400">
+            Load a replay exported from the end of a run. Every step is rebuilt from the seed, so what you see is exactly what the player saw.
+          </p>
+        </header>
+
+        <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={e => loadFile(e.target.files[0])}
+            className="text-sm text-slate-400 file:mr-4 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-emerald-600 file:text-white hover:file:bg-emerald-500"
+          />
+          {error && <p className="text-red-400 text-sm mt-3">{error}</p>}
+        </div>
+
+        {replay && state && (
+          <>
+            <div className={`rounded-lg p-4 mb-6 border ${matchesRecording(replay, frames) ? 'bg-emerald-900/20 border-emerald-700/50' : 'bg-amber-900/20 border-amber-700/50'}`}>
+              <div className="flex justify-between items-baseline">
+                <div className="font-semibold">{replay.final.drugName || 'Unnamed program'}</div>
+                <div className="text-slate-500 text-sm font-mono">Seed {formatSeed(replay.seed)} • {replay.gateRules} rules</div>
+              </div>
+              <div className="text-slate-400 text-sm">
+                {replay.steps.length} steps • recorded {new Date(replay.recordedAt).toLocaleString()} • ended in {replay.final.screen}
+              </div>
+              {!matchesRecording(replay, frames) && (
+                <p className="text-amber-400 text-sm mt-2">
+                  Playback ends differently from the recording. The game content has changed since this run was played.
+                </p>
+              )}
+            </div>
+
+            <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+              <div className="flex items-center gap-2 mb-4">
+                <button onClick={() => jumpScreen(-1)} disabled={frameIndex === 0} className={buttonClass}>« Screen</button>
+                <button onClick={() => setFrameIndex(frameIndex - 1)} disabled={frameIndex === 0} className={buttonClass}>‹ Step</button>
+                <input
+                  type="range"
+                  min={0}
+                  max={lastIndex}
+                  value={frameIndex}
+                  onChange={e => setFrameIndex(Number(e.target.value))}
+                  className="flex-1 accent-emerald-500"
+                  aria-label="Replay position"
+                />
+                <button onClick={() => setFrameIndex(frameIndex + 1)} disabled={frameIndex === lastIndex} className={buttonClass}>Step ›</button>
+                <button onClick={() => jumpScreen(1)} disabled={frameIndex === lastIndex} className={buttonClass}>Screen »</button>
+              </div>
+              <div className="text-slate-500 text-xs mb-1">STEP {frame.index} OF {lastIndex}</div>
+              <div className="text-lg font-semibold text-emerald-400">{frame.label}</div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+              {[
+                { label: 'Screen', value: state.screen, className: 'text-slate-200' },
+                { label: 'Phase', value: state.screen === 'phase' ? `${PHASES[state.currentPhaseIndex].name}` : '-', className: 'text-slate-200' },
+                { label: 'Step', value: state.screen === 'phase' ? STEP_NAMES[state.phaseStep] : '-', className: 'text-slate-200' },
+                { label: 'Round', value: FINANCING_ROUNDS[state.currentRoundIndex]?.name, className: 'text-purple-400' },
+                { label: 'Capital', value: `$${state.cash}M`, className: 'text-emerald-400' },
+                { label: 'Invested', value: `$${state.capitalInvested}M`, className: 'text-amber-400' },
+                { label: 'Elapsed', value: formatMonths(state.months), className: 'text-blue-400' },
+                { label: 'Success mod', value: `${state.riskBonus >= 0 ? '+' : ''}${Math.round(state.riskBonus * 100)}%`, className: 'text-slate-200' },
+                { label: 'Efficacy risk', value: state.efficacyRisk, className: 'text-slate-200' },
+                { label: 'Safety risk', value: state.safetyRisk, className: 'text-slate-200' },
+                { label: 'Design risk', value: state.designRisk, className: 'text-slate-200' },
+                { label: 'Dilution', value: `${state.totalDilution}%`, className: 'text-slate-200' },
+              ].map(item => (
+                <div key={item.label} className="bg-slate-900 border border-slate-800 rounded-lg p-3">
+                  <div className="text-slate-500 text-xs">{item.label.toUpperCase()}</div>
+                  <div className={`font-mono text-sm ${item.className}`}>{item.value}</div>
+                </div>
+              ))}
+            </div>
+
+            <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6 space-y-3 text-sm">
+              <h3 className="text-sm font-semibold text-slate-400">ON SCREEN</h3>
+              {state.currentQuestion && state.phaseStep === 1 && (
+                <div>
+                  <div className="text-slate-500 text-xs">QUESTION</div>
+                  <div className="text-slate-200">{state.currentQuestion.title}</div>
+                  {state.questionResult && <div className="text-cyan-400">Chose: {state.questionResult.text}</div>}
+                </div>
+              )}
+              {state.currentEvent && (
+                <div>
+                  <div className="text-slate-500 text-xs">EVENT</div>
+                  <div className="text-slate-200">{state.currentEvent.title}</div>
+                  <div className="text-slate-500">{state.currentEvent.description}</div>
+                </div>
+              )}
+              {state.currentPolicy && (
+                <div>
+                  <div className="text-slate-500 text-xs">POLICY</div>
+                  <div className="text-slate-200">{state.currentPolicy.title}</div>
+                  {state.policyResult && <div className="text-purple-400">Chose: {state.policyResult.choice}</div>}
+                </div>
+              )}
+              {state.gateResult && (
+                <div>
+                  <div className="text-slate-500 text-xs">GATE</div>
+                  <div className={state.gateResult.success ? 'text-emerald-400' : 'text-red-400'}>
+                    {state.gateResult.success ? 'Passed' : 'Failed'} at {Math.round(state.gateResult.probability * 100)}% odds
+                    {state.gateResult.roll !== undefined && ` (rolled ${Math.round(state.gateResult.roll * 100)})`}
+                  </div>
+                </div>
+              )}
+              {state.showFinancingScreen && (
+                <div className="text-purple-400">
+                  Financing: {state.financingResult ? `closed ${state.financingResult.round.name}` : `raising ${FINANCING_ROUNDS[state.currentRoundIndex + 1]?.name}`}
+                </div>
+              )}
+              {state.showAlternativeFinancing && <div className="text-purple-400">Out of rounds: alternative financing offered</div>}
+              {state.screen !== 'phase' && <div className="text-slate-400">Screen: {state.screen}</div>}
+            </div>
+
+            <details className="bg-slate-900/50 border border-slate-800 rounded-lg p-4">
+              <summary className="text-sm font-semibold text-slate-400 cursor-pointer">Full state</summary>
+              <pre className="mt-4 text-xs text-slate-400 overflow-x-auto">
+                {JSON.stringify({ ...state, replayLog: `${state.replayLog?.length ?? 0} steps` }, null, 2)}
+              </pre>
+            </details>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
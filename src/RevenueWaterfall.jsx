@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REVENUE WATERFALL
+// From list-price sales to what the company keeps: rebates and Medicare's
+// negotiated price, then royalties, then partners' territory and profit
+// shares. Figures come from
+// src/game/engine/revenue.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const LINE_COLORS = {
+  gross: 'bg-slate-500',
+  rebates: 'bg-red-500/70',
+  medicare: 'bg-rose-400',
+  royalty: 'bg-amber-500',
+  territory: 'bg-blue-500',
+  profit_split: 'bg-purple-500',
+  kept: 'bg-emerald-500',
+};
+
+const formatMoney = (value) => `$${Math.round(value).toLocaleString()}M`;
+
+export default function RevenueWaterfall({ waterfall }) {
+  const [basis, setBasis] = useState('lifetime');
+  const gross = waterfall.lines.find(line => line.kind === 'gross')[basis] || 1;
+
+  // Each deduction hangs from what was left before it
+  const { bars } = waterfall.lines.reduce(({ bars, remaining }, line) => {
+    const value = line[basis];
+    if (line.kind === 'gross' || line.kind === 'kept') return { bars: [...bars, { line, value, offset: 0 }], remaining };
+    return { bars: [...bars, { line, value, offset: remaining - value }], remaining: remaining - value };
+  }, { bars: [], remaining: gross });
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+      <div className="flex justify-between items-start mb-1">
+        <h3 className="text-lg font-semibold text-emerald-400">Revenue Waterfall</h3>
+        <div className="flex gap-1 text-xs">
+          {[['lifetime', `${waterfall.years} years`], ['peakYear', 'Peak year']].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setBasis(key)}
+              className={`px-2 py-1 rounded ${basis === key ? 'bg-slate-700 text-slate-200' : 'text-slate-500 hover:text-slate-300'}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <p className="text-slate-400 text-sm mb-4">
+        Where each sales dollar goes before the company sees it. You keep {Math.round(waterfall.keptShare * 100)}% of net sales after the deals signed along the way.
+      </p>
+
+      <div className="space-y-3">
+        {bars.map(({ line, value, offset }) => (
+          <div key={line.id}>
+            <div className="flex justify-between items-baseline text-sm mb-1">
+              <span className={line.kind === 'kept' ? 'text-emerald-400 font-semibold' : 'text-slate-200'}>{line.label}</span>
+              <span className={`font-mono ${line.kind === 'gross' || line.kind === 'kept' ? 'text-emerald-400' : 'text-red-400'}`}>
+                {line.kind === 'gross' || line.kind === 'kept' ? '' : '-'}{formatMoney(value)}
+              </span>
+            </div>
+            <div className="relative h-3 bg-slate-800 rounded">
+              <div
+                className={`absolute h-3 rounded ${LINE_COLORS[line.kind]}`}
+                style={{ left: `${(offset / gross) * 100}%`, width: `${Math.max(0.5, (value / gross) * 100)}%` }}
+              />
+            </div>
+            <div className="text-slate-500 text-xs mt-1">{line.detail}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+import React from 'react';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RUNWAY PANEL
+// Monthly burn, how far the current phase has got, and where cash runs out
+// if the program carries on as planned. Rules live in src/game/engine/burn.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const formatMoney = (value) => `$${value.toFixed(1)}M`;
+
+export default function RunwayPanel({ runway, phase, progress }) {
+  const { phaseBurn, overhead, debtService, monthlyBurn, months, phaseMonthsLeft, phaseCashNeed, projection } = runway;
+  const peak = Math.max(...projection.map(point => Math.abs(point.cash)), 1);
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-4 mb-6 text-left text-sm">
+      <div className="flex justify-between items-center mb-3">
+        <span className="text-slate-400 text-xs uppercase tracking-wider">Runway</span>
+        <span className={`text-xs px-2 py-0.5 rounded ${months === null ? 'bg-emerald-500/20 text-emerald-400' : months < phaseMonthsLeft ? 'bg-red-500/20 text-red-400' : 'bg-amber-500/20 text-amber-400'}`}>
+          {months === null ? `${projection.length - 1}+ months` : `${months} months`}
+        </span>
+      </div>
+
+      {[
+        { label: `${phase.name} budget`, value: phaseBurn },
+        { label: 'G&A overhead', value: overhead },
+        { label: 'Loan payments', value: debtService },
+      ].filter(row => row.value > 0).map(row => (
+        <div key={row.label} className="flex justify-between py-1">
+          <span className="text-slate-400">{row.label}</span>
+          <span className="font-mono text-slate-300">{formatMoney(row.value)}/mo</span>
+        </div>
+      ))}
+      <div className="flex justify-between border-t border-slate-700 mt-2 pt-2 font-semibold">
+        <span className="text-slate-300">Monthly burn</span>
+        <span className="font-mono text-slate-100">{formatMoney(monthlyBurn)}/mo</span>
+      </div>
+
+      <div className="mt-4">
+        <div className="flex justify-between text-xs text-slate-500 mb-1">
+          <span>{progress.months} of {phase.baseMonths} months run</span>
+          <span>{formatMoney(progress.spent)} of {formatMoney(phase.baseCost)} spent</span>
+        </div>
+        <div className="h-2 bg-slate-800 rounded overflow-hidden">
+          <div className="h-full bg-cyan-500/70" style={{ width: `${(progress.months / phase.baseMonths) * 100}%` }} />
+        </div>
+        <p className="text-slate-500 text-xs mt-1">
+          Finishing the phase needs {formatMoney(phaseCashNeed)} over {phaseMonthsLeft} months.
+        </p>
+      </div>
+
+      <div className="flex items-center gap-px h-16 mt-4" aria-label="Projected cash by month">
+        {projection.slice(1).map(point => (
+          <div
+            key={point.month}
+            title={`Month ${point.month}: ${formatMoney(point.cash)}`}
+            className={`flex-1 self-end ${point.cash >= 0 ? 'bg-emerald-500/60' : 'bg-red-500/60'}`}
+            style={{ height: `${Math.max(2, (Math.abs(point.cash) / peak) * 100)}%` }}
+          />
+        ))}
+      </div>
+      <p className="text-slate-500 text-xs mt-2">
+        Cash over the next {projection.length - 1} months if the program carries on through its phases with no new money. The phase runs month by month; if cash runs out first, it stops there until you raise more.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import React from 'react';
+import { TRIAL_SIZING_CHOICES, TRIAL_ADAPTIVE_CHOICES, TRIAL_ENDPOINTS, TRIAL_ARMS } from './game/data/trialDesign';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRIAL DESIGN BENCH
+// Size a Phase II or III trial before it starts: the endpoint, comparator
+// and arms, the effect and spread it is sized on, alpha and power, any
+// interim looks the DSMB takes, and the patients, months, budget and odds
+// of success they come to against the standard design.
+// Rules live in src/game/engine/trialDesign.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const percent = (value) => `${Math.round(value * 100)}%`;
+
+const signed = (value, suffix = '') => `${value > 0 ? '+' : ''}${value}${suffix}`;
+
+const columns = (count) => (count > 3 ? 'grid-cols-4' : count === 2 ? 'grid-cols-2' : 'grid-cols-3');
+
+export default function TrialDesignBench({ phase, design, plan, standard, pivotal, odds, designRisk, labelRevenue, onChange, onConfirm }) {
+  const endpoint = TRIAL_ENDPOINTS.find(e => e.id === design.endpoint);
+  const arms = TRIAL_ARMS.find(a => a.id === design.arms);
+  // Without looks the adaptive choices have nothing to act on
+  const panels = [
+    { title: null, choices: TRIAL_SIZING_CHOICES },
+    { title: 'Interim looks (DSMB)', choices: plan.looks.length > 0 ? TRIAL_ADAPTIVE_CHOICES : TRIAL_ADAPTIVE_CHOICES.filter(choice => choice.field === 'looks') },
+  ];
+  const stopEfficacy = plan.looks.reduce((total, look) => total + look.stopEfficacy, 0);
+  const stopFutility = plan.looks.reduce((total, look) => total + look.stopFutility, 0);
+  const figures = [
+    { label: 'Patients', value: plan.patients.toLocaleString(), standard: standard.patients.toLocaleString(), className: 'text-slate-200' },
+    { label: 'Months', value: plan.months, standard: standard.months, className: 'text-slate-200' },
+    { label: 'Budget', value: `$${plan.cost}M`, standard: `$${standard.cost}M`, className: 'text-amber-400' },
+    { label: 'Positive readout', value: percent(plan.probability), standard: percent(standard.probability), className: 'text-emerald-400' },
+  ];
+
+  return (
+    <div>
+      <div
+        className="inline-block px-3 py-1 rounded text-xs font-medium mb-4"
+        style={{ backgroundColor: `${phase.color}20`, color: phase.color }}
+      >
+        TRIAL DESIGN
+      </div>
+      <h2 className="text-2xl font-bold mb-2">Design the {phase.name}</h2>
+      <p className="text-slate-400 mb-6">
+        {pivotal
+          ? 'The pivotal trial is the evidence the drug will be approved on. It has to be large enough to detect the effect the drug really has and built the way regulators expect.'
+          : 'Phase II has to show the drug works and tell Phase III what to test. Every assumption you size it on is a bet on an effect nobody has measured yet.'}
+      </p>
+
+      {panels.map(panel => (
+        <div key={panel.choices[0].field} className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+          {panel.title && <h3 className="text-lg font-semibold text-emerald-400 mb-4">{panel.title}</h3>}
+          {panel.choices.map(choice => (
+            <div key={choice.field} className="mb-4 last:mb-0">
+              <div className="text-slate-500 text-xs font-medium tracking-wide mb-2">{choice.title.toUpperCase()}</div>
+              <div className={`grid gap-2 ${columns(choice.options.length)}`}>
+                {choice.options.map(option => (
+                  <button
+                    key={option.id}
+                    onClick={() => onChange(choice.field, option.id)}
+                    className={`text-left p-2 rounded-lg border transition-colors ${design[choice.field] === option.id ? 'border-emerald-500 bg-emerald-500/10' : 'border-slate-700 bg-slate-800/50 hover:border-slate-600'}`}
+                  >
+                    <div className={`text-sm font-semibold ${design[choice.field] === option.id ? 'text-emerald-400' : 'text-slate-200'}`}>{option.name}</div>
+                    <div className="text-slate-500 text-xs mt-1">{option.description}</div>
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+        <div className="grid grid-cols-4 gap-3 text-center mb-4">
+          {figures.map(figure => (
+            <div key={figure.label} className="bg-slate-800/50 rounded-lg p-3">
+              <div className={`font-mono text-lg ${figure.className}`}>{figure.value}</div>
+              <div className="text-slate-500 text-xs">{figure.label}</div>
+              <div className="text-slate-600 text-xs mt-1">Standard {figure.standard}</div>
+            </div>
+          ))}
+        </div>
+
+        <div className="space-y-2 text-sm text-slate-400">
+          <p>
+            Sized to detect a difference of {plan.effect} {endpoint.unit} against a spread of {plan.spread} ({plan.assumedEffect.toFixed(2)} standard deviations):
+            {' '}{plan.perArm.toLocaleString()} patients in each of {arms.arms} arms, {plan.enrollmentMonths} months to enroll and {endpoint.followUpMonths} of follow-up.
+          </p>
+          <p>
+            Your program's efficacy risk points to a true effect of {plan.expectedEffect.toFixed(2)} standard deviations on this endpoint,
+            so the trial has {percent(plan.power)} power against the effect it will actually see.
+            {pivotal && plan.acceptance < 1 && ` Regulators accept this design ${percent(plan.acceptance)} of the time.`}
+          </p>
+          {plan.looks.length > 0 && (
+            <p>
+              The DSMB looks at month{plan.looks.length > 1 ? 's' : ''} {plan.looks.map(look => look.month).join(' and ')}. Against that effect it stops
+              the trial early for efficacy {percent(stopEfficacy)} of the time and for futility {percent(stopFutility)}, so on average it runs
+              {' '}{plan.expectedMonths} months for ${plan.expectedCost}M. The final analysis needs z above {plan.critical.toFixed(2)} for the alpha the looks spend.
+            </p>
+          )}
+        </div>
+
+        <div className={`grid gap-3 mt-4 text-sm ${pivotal ? 'grid-cols-3' : 'grid-cols-2'}`}>
+          <div className="flex justify-between bg-slate-800/50 rounded-lg px-3 py-2">
+            <span className="text-slate-400">Gate odds vs standard</span>
+            <span className={`font-mono ${odds > 0 ? 'text-emerald-400' : odds < 0 ? 'text-red-400' : 'text-slate-500'}`}>{signed(Math.round(odds * 100), '%')}</span>
+          </div>
+          <div className="flex justify-between bg-slate-800/50 rounded-lg px-3 py-2">
+            <span className="text-slate-400">{pivotal ? 'Design risk' : 'Design risk for Phase III'}</span>
+            <span className={`font-mono ${designRisk < 0 ? 'text-emerald-400' : designRisk > 0 ? 'text-red-400' : 'text-slate-500'}`}>{signed(designRisk)}</span>
+          </div>
+          {pivotal && (
+            <div className="flex justify-between bg-slate-800/50 rounded-lg px-3 py-2">
+              <span className="text-slate-400">Label revenue</span>
+              <span className={`font-mono ${labelRevenue > 0 ? 'text-emerald-400' : 'text-slate-500'}`}>{signed(Math.round(labelRevenue * 100), '%')}</span>
+            </div>
+          )}
+        </div>
+
+        <p className="text-slate-600 text-xs mt-4">
+          Patients per arm: n = 2 (z<sub>1-α/2</sub> + z<sub>power</sub>)² σ² / δ², with α split across the dose comparisons and n inflated for endpoints that carry less information per patient.
+          {plan.looks.length > 0 && ' Budget and months are for a trial that runs to the end at its designed size.'}
+        </p>
+      </div>
+
+      <button
+        onClick={onConfirm}
+        className="w-full bg-emerald-600 hover:bg-emerald-500 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
+      >
+        Start the Trial
+      </button>
+    </div>
+  );
+}
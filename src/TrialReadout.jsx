@@ -0,0 +1,77 @@
+import React from 'react';
+import { TRIAL_ENDPOINTS } from './game/data/trialDesign';
+import KaplanMeierChart from './KaplanMeierChart';
+import WaterfallChart from './WaterfallChart';
+import ForestPlot from './ForestPlot';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRIAL READOUT
+// What a Phase II or III trial showed on its patients: the primary endpoint
+// against control with its confidence interval and p-value, the curves or
+// waterfall behind it, the subgroups, and the effect the drug really had.
+// Figures come from src/game/engine/trialReadout.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Control first, then doses with the top dose strongest
+const CONTROL_COLOR = '#94a3b8';
+const DOSE_COLORS = ['#10b981', '#6ee7b7', '#d1fae5'];
+
+const formatP = (p) => (p < 0.001 ? '< 0.001' : p.toFixed(3));
+
+export default function TrialReadout({ readout, charts, summary, truth }) {
+  const endpoint = TRIAL_ENDPOINTS.find(e => e.id === readout.endpoint);
+  const survival = endpoint.analysis === 'survival';
+  const colors = charts.armNames.map((_, arm) => (arm === 0 ? CONTROL_COLOR : DOSE_COLORS[charts.armNames.length - 1 - arm]));
+  const names = charts.armNames.map(name => name.toLowerCase());
+  const control = names[0];
+  const places = survival ? 2 : 1;
+  const figures = [
+    { label: survival ? 'HAZARD RATIO' : 'DIFFERENCE', value: readout.estimate.toFixed(places) },
+    { label: '95% CI', value: `${readout.low.toFixed(places)} to ${readout.high.toFixed(places)}` },
+    { label: 'P-VALUE', value: formatP(readout.pValue), className: readout.success ? 'text-emerald-400' : 'text-red-400' },
+    { label: 'NEEDED', value: `< ${Number(readout.alpha.toPrecision(2))}` },
+  ];
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6 text-left">
+      <h3 className="text-lg font-semibold text-emerald-400 mb-1">Trial Readout</h3>
+      <p className="text-slate-400 text-sm mb-4">
+        {(readout.perArm * readout.arms).toLocaleString()} patients across {names.slice(0, -1).join(', ')} and {names[names.length - 1]}. Primary endpoint: {endpoint.name.toLowerCase()}, {names[names.length - 1]} against {control}.
+      </p>
+
+      <div className={`text-sm font-mono p-2 rounded bg-slate-800/50 mb-4 ${readout.success ? 'text-emerald-400' : 'text-red-400'}`}>{summary}</div>
+
+      <div className="grid grid-cols-4 gap-4 text-center mb-6">
+        {figures.map(figure => (
+          <div key={figure.label}>
+            <div className="text-slate-500 text-xs">{figure.label}</div>
+            <div className={`font-mono ${figure.className || 'text-slate-200'}`}>{figure.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="mb-6">
+        {charts.survival
+          ? <KaplanMeierChart survival={charts.survival} armNames={charts.armNames} colors={colors} />
+          : <WaterfallChart waterfall={charts.waterfall} threshold={charts.threshold} armNames={charts.armNames} colors={colors} unit={endpoint.unit} />}
+      </div>
+
+      <div className="mb-4">
+        <ForestPlot
+          forest={charts.forest}
+          nullValue={charts.nullValue}
+          ratio={survival}
+          favorsLeft={survival ? 'Favors drug' : `Favors ${control}`}
+          favorsRight={survival ? `Favors ${control}` : 'Favors drug'}
+        />
+      </div>
+
+      <div className="border-t border-slate-700 pt-4">
+        <div className="text-slate-500 text-xs font-medium tracking-wide mb-1">THE DRUG'S TRUE EFFECT</div>
+        <div className="text-slate-300 text-sm">
+          <span className="font-mono text-amber-400">{truth}</span>. No trial sees this directly: each samples patients, and what it measures scatters around the truth by chance.
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React from 'react';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALUE INFLECTION
+// The program's rNPV at the start and after every gate it cleared. Each
+// readout removes risk, so value steps up even though nothing is sold yet.
+// Values come from src/game/engine/valuation.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const CHART_HEIGHT = 160;
+
+const formatValue = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString()}M`;
+
+export default function ValueInflectionChart({ history, failedAt = null }) {
+  if (!history || history.length === 0) return null;
+
+  const points = failedAt
+    ? [...history, { label: `Failed: ${failedAt}`, phaseId: null, color: '#ef4444', rnpv: 0, probability: 0, failed: true }]
+    : history;
+
+  const top = Math.max(0, ...points.map(p => p.rnpv));
+  const bottom = Math.min(0, ...points.map(p => p.rnpv));
+  const range = top - bottom || 1;
+  const baseline = (top / range) * CHART_HEIGHT;
+
+  const start = history[0].rnpv;
+  const peak = history.reduce((best, p) => (p.rnpv > best.rnpv ? p : best), history[0]);
+  const biggestStep = history.slice(1).reduce((best, p, i) => {
+    const step = p.rnpv - history[i].rnpv;
+    return step > best.step ? { step, label: p.label } : best;
+  }, { step: 0, label: null });
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-lg p-6 mb-6">
+      <h3 className="text-lg font-semibold text-emerald-400 mb-1">Value Inflection</h3>
+      <p className="text-slate-400 text-sm mb-4">
+        Risk-adjusted NPV of {failedAt ? 'the program' : 'your program'} after each gate: remaining costs and future sales, weighted by the odds of getting there and discounted back to the day of the readout.
+      </p>
+
+      <div className="relative flex items-stretch gap-1" style={{ height: CHART_HEIGHT }}>
+        {bottom < 0 && <div className="absolute left-0 right-0 border-t border-slate-700" style={{ top: baseline }} />}
+        {points.map((point, idx) => {
+          const height = Math.max(2, (Math.abs(point.rnpv) / range) * CHART_HEIGHT);
+          return (
+            <div key={idx} className="flex-1 relative" title={`${point.label}: ${formatValue(point.rnpv)} (${(point.probability * 100).toFixed(1)}% to market)`}>
+              <div
+                className="absolute left-0 right-0 rounded-sm"
+                style={{
+                  backgroundColor: point.rnpv < 0 ? '#ef444499' : point.color,
+                  height,
+                  top: point.rnpv >= 0 ? baseline - height : baseline,
+                }}
+              />
+            </div>
+          );
+        })}
+      </div>
+      <div className="border-t border-slate-700 mb-2" />
+      <div className="flex gap-1">
+        {points.map((point, idx) => (
+          <div key={idx} className="flex-1 min-w-0 text-center">
+            <div className={`font-mono text-xs ${point.failed ? 'text-red-400' : point.rnpv < 0 ? 'text-red-400' : 'text-slate-300'}`}>
+              {point.failed ? '$0' : formatValue(point.rnpv)}
+            </div>
+            <div className="text-slate-600 text-[10px] truncate">{point.label}</div>
+          </div>
+        ))}
+      </div>
+
+      {history.length > 1 && (
+        <div className="grid grid-cols-3 gap-4 mt-4 text-center">
+          <div>
+            <div className="text-slate-500 text-xs">AT START</div>
+            <div className="font-mono text-slate-300">{formatValue(start)}</div>
+          </div>
+          <div>
+            <div className="text-slate-500 text-xs">PEAK</div>
+            <div className="font-mono text-emerald-400">{formatValue(peak.rnpv)}</div>
+            <div className="text-slate-600 text-xs">{peak.label}</div>
+          </div>
+          <div>
+            <div className="text-slate-500 text-xs">BIGGEST STEP</div>
+            <div className="font-mono text-emerald-400">{biggestStep.label ? `+${formatValue(biggestStep.step)}` : '-'}</div>
+            {biggestStep.label && <div className="text-slate-600 text-xs">{biggestStep.label}</div>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+import React from 'react';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RESPONSE WATERFALL
+// One bar per patient on control and the top dose, from worst outcome to
+// best. A drug that works pushes its own color toward the right-hand end.
+// Figures come from src/game/engine/trialReadout.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const CHART_HEIGHT = 140;
+
+export default function WaterfallChart({ waterfall, threshold, armNames, colors, unit }) {
+  const reach = Math.max(1, ...waterfall.map(bar => Math.abs(bar.value)));
+  const half = CHART_HEIGHT / 2;
+  const arms = [...new Set(waterfall.map(bar => bar.arm))].sort((a, b) => a - b);
+
+  return (
+    <div>
+      <div className="text-slate-500 text-xs font-medium tracking-wide mb-2">
+        PATIENT OUTCOMES{threshold !== null ? ' (ABOVE THE LINE RESPONDED)' : ''}
+      </div>
+      <div className="relative flex gap-px" style={{ height: CHART_HEIGHT }}>
+        <div className="absolute left-0 right-0 border-t border-slate-600" style={{ top: half }} />
+        {waterfall.map((bar, i) => {
+          const size = Math.max(1, (Math.abs(bar.value) / reach) * half);
+          return (
+            <div key={i} className="flex-1 relative">
+              <div
+                className="absolute left-0 right-0 rounded-sm"
+                style={{
+                  backgroundColor: colors[bar.arm],
+                  height: size,
+                  top: bar.value >= 0 ? half - size : half,
+                  opacity: threshold !== null && bar.value <= threshold ? 0.5 : 1,
+                }}
+                title={`${armNames[bar.arm]}: ${bar.value > 0 ? '+' : ''}${bar.value}`}
+              />
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex justify-between text-[10px] text-slate-600 mt-1">
+        <span>Worst</span>
+        <span>{threshold !== null ? 'Change from baseline' : `Change from baseline (${unit})`}</span>
+        <span>Best</span>
+      </div>
+
+      <div className="flex gap-4 text-xs text-slate-500 mt-2">
+        {arms.map(arm => (
+          <span key={arm}>
+            <span className="inline-block w-2 h-2 rounded-sm mr-1" style={{ backgroundColor: colors[arm] }} />
+            {armNames[arm]}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
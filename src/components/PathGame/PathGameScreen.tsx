@@ -5,8 +5,11 @@
  * Shows: Resources, Year, Phase, Events/Decisions
  */
 
-import React, { useReducer, useState } from 'react';
-import { pathGameReducer, createInitialPathState, getRandomEvent, shouldTriggerFunding } from '@/game/engine/PathGameReducer';
+import React, { useEffect, useReducer, useRef, useState } from 'react';
+import { pathGameReducer, createInitialPathState, shouldTriggerFunding, PATH_GAME_SAVE } from '@/game/engine/PathGameReducer';
+import { formatSeed } from '@/game/engine/random';
+import { autosave, deleteSave, listSaves, readSave, writeSave } from '@/game/save/saveSlots';
+import { PathGameState } from '@/types/Game.types';
 import { PathSelectionScreen } from '@/components/PathSelection/PathSelectionScreen';
 import { EventModal } from '@/components/PathGame/EventModal';
 import { FundingModal } from '@/components/PathGame/FundingModal';
@@ -31,12 +34,59 @@ const getPathIcon = (iconName: string | undefined) => {
 
 
 export const PathGameScreen: React.FC = () => {
-    const [state, dispatch] = useReducer(pathGameReducer, createInitialPathState());
+    const [state, dispatch] = useReducer(pathGameReducer, undefined, () => createInitialPathState());
     const [showFunding, setShowFunding] = useState<string | null>(null);
+    const [saves, setSaves] = useState(() => listSaves(PATH_GAME_SAVE));
+    const [saveNotice, setSaveNotice] = useState<string | null>(null);
+    const lastAutosave = useRef<string | null>(null);
+
+    // Autosave once per phase reached, so a refresh resumes at the last phase gate
+    const autosaveKey = (s: PathGameState) => (s.status === 'playing' ? `${s.seed}:${s.currentPhase}` : null);
+
+    useEffect(() => {
+        const key = autosaveKey(state);
+        if (!key || key === lastAutosave.current) return;
+        lastAutosave.current = key;
+        try {
+            autosave(PATH_GAME_SAVE, state);
+        } catch {
+            // Storage problems are reported by manual saves; autosave stays quiet
+        }
+    }, [state]);
+
+    const handleSave = () => {
+        try {
+            const name = `${state.pathData?.name ?? 'Journey'} - Year ${state.currentYear} Q${state.currentQuarter}`;
+            setSaveNotice(`Saved to "${writeSave(PATH_GAME_SAVE, state, { name }).name}"`);
+        } catch (e) {
+            setSaveNotice((e as Error).message);
+        }
+    };
+
+    const handleResume = (slot: string) => {
+        try {
+            const loaded = readSave(PATH_GAME_SAVE, slot);
+            lastAutosave.current = autosaveKey(loaded);
+            dispatch({ type: 'LOAD_GAME', state: loaded });
+        } catch (e) {
+            setSaveNotice((e as Error).message);
+        }
+    };
+
+    const handleDeleteSave = (slot: string) => {
+        deleteSave('path', slot);
+        setSaves(listSaves(PATH_GAME_SAVE));
+    };
+
+    const handleRestart = () => {
+        setSaves(listSaves(PATH_GAME_SAVE));
+        setSaveNotice(null);
+        dispatch({ type: 'RESET_GAME' });
+    };
 
     // Handle path selection
-    const handleSelectPath = (pathId: string) => {
-        dispatch({ type: 'SELECT_PATH', pathId });
+    const handleSelectPath = (pathId: string, seed: number) => {
+        dispatch({ type: 'SELECT_PATH', pathId, seed });
     };
 
     // Advance game turn
@@ -54,10 +104,7 @@ export const PathGameScreen: React.FC = () => {
         if (state.phaseProgress >= 100) {
             dispatch({ type: 'ADVANCE_PHASE' });
             // Get a phase transition event
-            const event = getRandomEvent(state);
-            if (event) {
-                dispatch({ type: 'SET_PENDING_EVENT', event });
-            }
+            dispatch({ type: 'DRAW_EVENT' });
             return;
         }
 
@@ -65,12 +112,7 @@ export const PathGameScreen: React.FC = () => {
         dispatch({ type: 'ADVANCE_TIME', quarters: 1 });
 
         // GUARANTEED event on every advancement for engagement
-        if (!state.pendingEvent) {
-            const event = getRandomEvent(state);
-            if (event) {
-                dispatch({ type: 'SET_PENDING_EVENT', event });
-            }
-        }
+        dispatch({ type: 'DRAW_EVENT' });
     };
 
     // Handle event resolution
@@ -88,17 +130,24 @@ export const PathGameScreen: React.FC = () => {
 
     // Path selection
     if (state.status === 'path-selection') {
-        return <PathSelectionScreen onSelectPath={handleSelectPath} />;
+        return (
+            <PathSelectionScreen
+                onSelectPath={handleSelectPath}
+                saves={saves}
+                onResume={handleResume}
+                onDeleteSave={handleDeleteSave}
+            />
+        );
     }
 
     // Victory
     if (state.status === 'victory') {
-        return <VictoryScreen state={state} onRestart={() => dispatch({ type: 'RESET_GAME' })} />;
+        return <VictoryScreen state={state} onRestart={handleRestart} />;
     }
 
     // Defeat
     if (state.status === 'defeat') {
-        return <DefeatScreen state={state} onRestart={() => dispatch({ type: 'RESET_GAME' })} />;
+        return <DefeatScreen state={state} onRestart={handleRestart} />;
     }
 
     // Main game view
@@ -133,6 +182,18 @@ export const PathGameScreen: React.FC = () => {
                                 <div className="text-2xl font-mono font-bold text-purple-400">{state.investorConfidence}%</div>
                                 <div className="text-xs text-gray-500">Confidence</div>
                             </div>
+                            <div className="text-center">
+                                <div className="text-sm font-mono text-gray-300">{formatSeed(state.seed)}</div>
+                                <div className="text-xs text-gray-500">Seed</div>
+                            </div>
+                            <div className="text-center">
+                                <button onClick={handleSave} className="text-sm font-semibold text-cyan-400 hover:text-cyan-300">
+                                    Save
+                                </button>
+                                <div className="text-xs text-gray-500 max-w-32 truncate" title={saveNotice ?? undefined}>
+                                    {saveNotice ?? 'Autosaves each phase'}
+                                </div>
+                            </div>
                         </div>
                     </div>
                 </div>
@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { GAME_PATHS } from '@/game/data/paths';
-import { GamePath, PathTier } from '@/types/Game.types';
+import { GamePath, PathTier, SaveSlotSummary } from '@/types/Game.types';
+import { createSeed, parseSeed } from '@/game/engine/random';
 import {
     Pill,
     Dna,
@@ -24,7 +25,10 @@ import {
 } from 'lucide-react';
 
 interface PathSelectionScreenProps {
-    onSelectPath: (pathId: string) => void;
+    onSelectPath: (pathId: string, seed: number) => void;
+    saves?: SaveSlotSummary[];
+    onResume?: (slot: string) => void;
+    onDeleteSave?: (slot: string) => void;
 }
 
 // Map path IDs to their icons
@@ -169,9 +173,10 @@ const TierSection: React.FC<{
     );
 };
 
-export const PathSelectionScreen: React.FC<PathSelectionScreenProps> = ({ onSelectPath }) => {
+export const PathSelectionScreen: React.FC<PathSelectionScreenProps> = ({ onSelectPath, saves = [], onResume, onDeleteSave }) => {
     const [selectedPathId, setSelectedPathId] = useState<string | null>(null);
     const [showingStory, setShowingStory] = useState(false);
+    const [seedInput, setSeedInput] = useState('');
 
     const pathsByTier = {
         orphan: Object.values(GAME_PATHS).filter(p => p.tier === 'orphan'),
@@ -189,7 +194,8 @@ export const PathSelectionScreen: React.FC<PathSelectionScreenProps> = ({ onSele
 
     const handleConfirmStart = () => {
         if (selectedPathId) {
-            onSelectPath(selectedPathId);
+            // Blank seed = fresh random run
+            onSelectPath(selectedPathId, parseSeed(seedInput) ?? createSeed());
         }
     };
 
@@ -264,6 +270,19 @@ export const PathSelectionScreen: React.FC<PathSelectionScreenProps> = ({ onSele
                             </p>
                         </div>
 
+                        {/* Seed - share it to replay the same run */}
+                        <div className="mb-6 flex items-center gap-3">
+                            <label htmlFor="path-seed" className="text-sm text-gray-500 uppercase tracking-wider">Seed</label>
+                            <input
+                                id="path-seed"
+                                type="text"
+                                value={seedInput}
+                                onChange={e => setSeedInput(e.target.value)}
+                                placeholder="Random"
+                                className="flex-1 bg-slate-800 border border-gray-700 rounded-lg px-3 py-2 font-mono text-sm text-white placeholder-gray-600 focus:outline-none focus:border-cyan-500"
+                            />
+                        </div>
+
                         {/* Buttons */}
                         <div className="flex gap-4">
                             <button
@@ -324,6 +343,38 @@ export const PathSelectionScreen: React.FC<PathSelectionScreenProps> = ({ onSele
                     </div>
                 </div>
 
+                {/* Saved Journeys */}
+                {saves.length > 0 && (
+                    <div className="mb-6 bg-gray-800/50 rounded-xl p-5 border border-gray-700/50">
+                        <h3 className="text-sm text-gray-500 uppercase tracking-wider mb-3">Continue a Saved Journey</h3>
+                        <div className="space-y-2">
+                            {saves.map(save => (
+                                <div key={save.slot} className="flex items-center gap-3 text-sm">
+                                    <div className="flex-1 min-w-0">
+                                        <div className="text-white truncate">
+                                            {save.name}
+                                            {save.autosave && <span className="text-xs text-gray-500 ml-2">AUTOSAVE</span>}
+                                        </div>
+                                        <div className={`text-xs truncate ${save.problem ? 'text-red-400' : 'text-gray-500'}`}>
+                                            {save.problem || `${save.summary} • ${new Date(save.savedAt).toLocaleString()}`}
+                                        </div>
+                                    </div>
+                                    <button
+                                        onClick={() => onResume?.(save.slot)}
+                                        disabled={!!save.problem}
+                                        className="text-cyan-400 hover:text-cyan-300 disabled:text-gray-600 text-xs font-semibold"
+                                    >
+                                        Resume
+                                    </button>
+                                    <button onClick={() => onDeleteSave?.(save.slot)} className="text-gray-500 hover:text-red-400 text-xs">
+                                        Delete
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+
                 {/* Tier Sections */}
                 <div className="space-y-6">
                     <TierSection
@@ -1,4 +1,6 @@
 import { DifficultySettings } from '@/types/Game.types';
+import { createCapTable, raiseRound, founderOwnership } from '@/game/engine/capTable';
+import { BRANDED_PERIOD, PATENT_LIFE } from '@/game/engine/exclusivity';
 
 /**
  * THEMATIC GAME MODES - Reflect real-world drug development differences
@@ -104,7 +106,7 @@ export const INDUSTRY_STATS = {
     overallSuccessRate: 0.079, // 7.9% LOA from Phase I to approval (BIO 2021)
     phaseIIAttrition: 0.711, // 71.1% fail in Phase II (only 28.9% succeed - BIO 2021)
     genericPriceDrop: { min: 0.80, max: 0.95 }, // 80-95% price drop with competition
-    patentLife: { min: 10, max: 15 }, // 10-15 years of branded exclusivity
+    patentLife: PATENT_LIFE, // Patent life left at approval, term extension included (engine/exclusivity)
     attemptsPerSuccess: 12.66, // 1/0.079 = ~12.66 attempts per success
     // Operating margins after COGS, SG&A, rebates, taxes
     operatingMargin: { min: 0.15, max: 0.30 }, // 15-30% operating margin (NOT gross profit)
@@ -216,8 +218,9 @@ export const KOLCHINSKY_FRAMEWORK = {
     // Investor discount rate
     discountRate: { min: 0.08, max: 0.12 },  // 8-12% - revenues >15 years away are "essentially irrelevant"
 
-    // Branded drug period before generic entry
-    brandedPeriod: { min: 10, max: 15 },     // 10-15 years of exclusivity
+    // Branded drug period before generic entry: patents and regulatory
+    // exclusivity together, slowest to fastest program (engine/exclusivity)
+    brandedPeriod: BRANDED_PERIOD,
 
     // Generic entry dynamics
     genericPriceDrop: 0.90,                   // >90% price drop for small molecules
@@ -234,22 +237,27 @@ export const KOLCHINSKY_FRAMEWORK = {
     capitalCost: 1200,                        // $1.2B time/capital costs (cost of money over 10+ years)
 };
 
-// Helper to calculate founder ownership after rounds
+// Rebates and discounts take brand-name prices to about half of list
+// (Drug Channels, 2025)
+export const GROSS_TO_NET_DISCOUNT = 0.5;
+
+// After exclusivity, brand sales fall toward the Kolchinsky floors: half
+// the generic drop lands within six months of entry, while biosimilars
+// take years to win prescribers over (IQVIA, 2023)
+export const EROSION_CURVES = {
+    generic: { drop: KOLCHINSKY_FRAMEWORK.genericPriceDrop, halfLifeYears: 0.5 },
+    biosimilar: { drop: KOLCHINSKY_FRAMEWORK.biosimilarPriceDrop, halfLifeYears: 3 },
+};
+
+// Founder ownership after the given FUNDING_ROUNDS, each raised at the
+// midpoint of its typical terms (see engine/capTable)
 export const calculateFounderOwnership = (roundsCompleted: string[]): number => {
-    let ownership = 1.0; // 100%
-
-    const roundDilutions: Record<string, number> = {
-        'seed': 0.20,        // 20% dilution
-        'seriesA': 0.30,     // 30% dilution
-        'seriesB': 0.20,     // 20% dilution
-        'seriesC': 0.15,     // 15% dilution
-        'ipoOrCrossover': 0.12, // 12% dilution
-    };
-
-    for (const round of roundsCompleted) {
-        const dilution = roundDilutions[round] || 0;
-        ownership = ownership * (1 - dilution);
-    }
-
-    return ownership;
+    const midpoint = ({ min, max }: { min: number; max: number }) => (min + max) / 2;
+    const capTable = roundsCompleted.reduce((table, roundId) => {
+        const round = FUNDING_ROUNDS[roundId as keyof typeof FUNDING_ROUNDS];
+        return round
+            ? raiseRound(table, { id: roundId, name: round.name, amount: midpoint(round.typicalRaise), dilution: midpoint(round.dilution) })
+            : table;
+    }, createCapTable());
+    return founderOwnership(capTable);
 };
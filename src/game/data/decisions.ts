@@ -0,0 +1,1259 @@
+/**
+ * DECISIONS - The Long Journey
+ *
+ * Strategic questions, random development events (generic and
+ * modality-specific) and the Phase II policy events.
+ */
+
+import { DecisionQuestion, DevelopmentEvent, PolicyEvent } from '@/types/Game.types';
+
+// Strategic decisions by phase
+export const QUESTIONS: Record<string, DecisionQuestion[] | Record<string, DecisionQuestion[]>> = {
+    // MODALITY-SPECIFIC BASIC RESEARCH QUESTIONS
+    // Questions focus on target validation strategies relevant to each modality
+    // Without assuming specific indications (user has already selected their disease)
+    basic_research: {
+        'small-molecule': [
+            {
+                id: 'target_selection_sm',
+                title: 'Target Selection Strategy',
+                scenario: 'Your research team has identified two potential drug targets for your indication. Target A is a well-characterized enzyme with published genetic validation but several competitors in development. Target B is a novel protein with strong genome-wide association study data but limited understanding of its biology.',
+                options: [
+                    {
+                        text: 'Pursue the validated target (Target A)',
+                        detail: 'Known biology, competitive landscape',
+                        cashEffect: -1,
+                        timeEffect: 0,
+                        riskBonus: 0.05,
+                        efficacyEffect: -15,
+                        result: 'The established biology accelerates your program. However, you learn that three other companies are pursuing the same target for similar indications.',
+                        lesson: 'Validated targets reduce biological risk - you know the target is relevant to disease. But validation attracts competition, requiring differentiation on efficacy, safety, or convenience. Small molecules can often achieve oral bioavailability, a major advantage for chronic dosing.'
+                    },
+                    {
+                        text: 'Pursue the novel protein (Target B)',
+                        detail: 'First-mover potential, biological uncertainty',
+                        cashEffect: -2,
+                        timeEffect: 6,
+                        riskBonus: -0.08,
+                        marketBonus: 1.5,
+                        efficacyEffect: 20,
+                        result: 'You must build understanding of the target from scratch. Initial validation takes longer than expected, but you establish a proprietary position.',
+                        lesson: 'Novel targets offer breakthrough potential but carry substantial risk that the underlying biology is wrong - the most common cause of drug failure. Small molecule advantages include well-understood manufacturing and distribution.'
+                    },
+                    {
+                        text: 'Validate both targets in parallel',
+                        detail: 'Diversified risk, divided resources',
+                        cashEffect: -3,
+                        timeEffect: 3,
+                        riskBonus: 0,
+                        efficacyEffect: 5,
+                        result: 'Neither program receives optimal focus. You generate data on both targets but lack the resources to deeply validate either.',
+                        lesson: 'Early diversification sounds prudent but often leads to underfunding critical experiments. Focus typically outperforms hedging in resource-constrained discovery.'
+                    }
+                ]
+            }
+        ],
+        'biologic': [
+            {
+                id: 'target_selection_bio',
+                title: 'Antibody Target and Format Strategy',
+                scenario: 'Your team is developing a therapeutic antibody for your indication. You must decide on format and target. Option A is a standard monoclonal antibody against a validated target. Option B is a bispecific format that could address mechanism redundancy but adds manufacturing complexity.',
+                options: [
+                    {
+                        text: 'Standard monoclonal antibody format',
+                        detail: 'Well-understood manufacturing, proven regulatory path',
+                        cashEffect: -2,
+                        timeEffect: 0,
+                        riskBonus: 0.04,
+                        efficacyEffect: -10,
+                        result: 'Your antibody shows excellent binding and target engagement. Manufacturing proceeds smoothly with established cell line development.',
+                        lesson: 'Monoclonal antibodies have mature manufacturing and regulatory pathways. Biologics require injection or infusion since large proteins cannot survive oral administration. Immunogenicity (anti-drug antibodies) remains a key clinical risk even with fully human sequences.'
+                    },
+                    {
+                        text: 'Bispecific antibody targeting two pathways',
+                        detail: 'Innovation potential, manufacturing complexity',
+                        cashEffect: -5,
+                        timeEffect: 9,
+                        riskBonus: -0.03,
+                        marketBonus: 1.4,
+                        result: 'Your bispecific approach addresses potential mechanism redundancy but introduces significant manufacturing complexity. Protein folding and stability require extensive optimization.',
+                        lesson: 'Bispecific antibodies can address single-target limitations but add layers of development risk. Manufacturing complexity often exceeds expectations for multispecific formats. However, differentiation potential may justify the investment.'
+                    },
+                    {
+                        text: 'Antibody-drug conjugate (ADC) approach',
+                        detail: 'Combines targeting with cytotoxic payload',
+                        cashEffect: -4,
+                        timeEffect: 6,
+                        riskBonus: -0.02,
+                        efficacyEffect: 5,
+                        result: 'Your ADC combines antibody specificity with potent payload. Linker chemistry and payload selection prove critical for therapeutic window.',
+                        lesson: 'ADCs leverage antibody targeting to deliver payloads to specific cells. Success requires optimizing antibody, linker, and payload together. Therapeutic window depends on specific vs off-target delivery ratio.'
+                    }
+                ]
+            }
+        ],
+        'genetic-medicine': [
+            {
+                id: 'target_selection_gene',
+                title: 'Genetic Target Validation Strategy',
+                scenario: 'Your genetic medicine platform can modulate gene expression through different mechanisms. You must validate your therapeutic hypothesis for this indication. What level of genetic validation will you require before committing resources?',
+                options: [
+                    {
+                        text: 'Require human genetic evidence (loss-of-function or gain-of-function)',
+                        detail: 'High bar, strongest validation',
+                        cashEffect: -3,
+                        timeEffect: 6,
+                        riskBonus: 0.08,
+                        efficacyEffect: -20,
+                        result: 'You wait for human genetic evidence linking your target to disease. When found, the validation is compelling - patients with natural variants have the phenotype you want to create or prevent.',
+                        lesson: 'Genetic medicines have highest success rates when human genetics validates the target. Natural loss-of-function or gain-of-function variants provide the strongest evidence that modulating the gene will affect disease. This is why genetic medicines excel in monogenic diseases.'
+                    },
+                    {
+                        text: 'Proceed with preclinical validation only',
+                        detail: 'Faster timeline, higher biological risk',
+                        cashEffect: -2,
+                        timeEffect: 0,
+                        riskBonus: -0.1,
+                        marketBonus: 1.3,
+                        efficacyEffect: 25,
+                        result: 'Animal models show compelling effects, but the translation gap to humans remains uncertain. You move faster but accept higher risk that the biology does not translate.',
+                        lesson: 'Preclinical validation in animal models can be misleading - biology often differs between species. Without human genetic evidence, the risk that target modulation will not produce clinical benefit increases substantially.'
+                    },
+                    {
+                        text: 'Invest in biomarker development alongside target validation',
+                        detail: 'Enable patient selection and proof of mechanism',
+                        cashEffect: -5,
+                        timeEffect: 3,
+                        riskBonus: 0.02,
+                        efficacyEffect: 0,
+                        result: 'You develop biomarkers that will enable target engagement measurement and potentially patient selection. This investment pays off in clinical trials where you can demonstrate mechanism.',
+                        lesson: 'Biomarkers that demonstrate target modulation and predict response are particularly valuable for genetic medicines. They enable patient selection and provide proof of mechanism even if clinical endpoints take years to mature.'
+                    }
+                ]
+            }
+        ],
+        'cell-therapy': [
+            {
+                id: 'target_selection_cell',
+                title: 'Cellular Engineering Strategy',
+                scenario: 'Your engineered cell platform must be designed for your target indication. The key strategic question is how extensively to engineer the cells - more engineering adds complexity but may improve efficacy and safety.',
+                options: [
+                    {
+                        text: 'Minimal engineering - focus on core mechanism',
+                        detail: 'Simpler manufacturing, established biology',
+                        cashEffect: -5,
+                        timeEffect: 0,
+                        riskBonus: 0.06,
+                        efficacyEffect: -15,
+                        result: 'Your straightforward approach enables faster development and simpler manufacturing. Regulatory path is clearer with established precedents.',
+                        lesson: 'Simpler cell products have manufacturing advantages and clearer regulatory paths. First-generation Chimeric Antigen Receptor T-cell products validated the approach. Trade-off is potentially limited efficacy or persistence compared to more engineered products.'
+                    },
+                    {
+                        text: 'Extensive engineering with multiple modifications',
+                        detail: 'Innovation potential, manufacturing complexity',
+                        cashEffect: -10,
+                        timeEffect: 12,
+                        riskBonus: -0.05,
+                        marketBonus: 1.5,
+                        efficacyEffect: 10,
+                        result: 'Your heavily engineered cells incorporate multiple modifications for enhanced function. Manufacturing proves more complex and characterization requirements increase substantially.',
+                        lesson: 'Next-generation cell therapies incorporate safety switches, armoring against immunosuppression, and optimized signaling domains. Each modification adds regulatory complexity but may provide meaningful clinical advantages. The trade-off between sophistication and manufacturability is central to cell therapy development.'
+                    },
+                    {
+                        text: 'Allogeneic platform for off-the-shelf availability',
+                        detail: 'Scalable manufacturing, requires immune evasion',
+                        cashEffect: -8,
+                        timeEffect: 9,
+                        riskBonus: -0.03,
+                        marketBonus: 1.3,
+                        result: 'Your gene editing knocks out T-cell receptor and human leukocyte antigen to create universal donor cells. Manufacturing is scalable but rejection and persistence risks require monitoring.',
+                        lesson: 'Allogeneic approaches solve logistics but introduce new biology. T-cell receptor knockout prevents graft-versus-host disease; human leukocyte antigen knockout prevents rejection. Long-term persistence data is still accumulating for allogeneic approaches.'
+                    }
+                ]
+            }
+        ]
+    },
+    // MODALITY-SPECIFIC DISCOVERY QUESTIONS
+    drug_discovery: {
+        'small-molecule': [
+            {
+                id: 'screening_strategy',
+                title: 'How will you find lead compounds?',
+                scenario: 'You need compounds that modulate your validated target. Traditional high-throughput screening tests large compound libraries. Computational methods design molecules in silico. Fragment-based approaches identify small building blocks.',
+                options: [
+                    {
+                        text: 'High-Throughput Screening',
+                        detail: 'Screen compound library for hits',
+                        cashEffect: -5,
+                        timeEffect: 0,
+                        riskBonus: 0.03,
+                        result: 'High-Throughput Screening identifies several hit series with confirmed activity. The diversity of chemotypes gives you options for lead optimization.',
+                        lesson: 'High-Throughput Screening remains the workhorse of small molecule discovery. Small molecules (under 900 daltons) can be orally bioavailable: a massive advantage for chronic conditions. The quality of your compound library determines the quality of your hits.'
+                    },
+                    {
+                        text: 'In silico design and modeling',
+                        detail: 'Computational design, requires structural data',
+                        cashEffect: -2,
+                        timeEffect: -3,
+                        riskBonus: -0.04,
+                        result: 'Computational methods predict promising scaffolds. When synthesized and tested, some show activity but many do not match predictions.',
+                        lesson: 'In silico methods accelerate discovery when structural data exists, but predictions must be validated experimentally.'
+                    },
+                    {
+                        text: 'Fragment-based drug discovery',
+                        detail: 'Small fragments, biophysical methods',
+                        cashEffect: -3,
+                        timeEffect: 6,
+                        riskBonus: 0.05,
+                        result: 'Fragment screening identifies small, weak binders that provide excellent starting points for rational design.',
+                        lesson: 'Fragment approaches often yield higher-quality leads with better properties, but require significant chemistry effort.'
+                    }
+                ]
+            }
+        ],
+        'biologic': [
+            {
+                id: 'antibody_discovery',
+                title: 'How will you discover your antibody?',
+                scenario: 'You need to find antibodies that bind your target with high affinity and specificity. Phage display screens billions of variants rapidly. Transgenic mice generate fully human antibodies. Single B cell cloning captures natural immune responses.',
+                options: [
+                    {
+                        text: 'Phage display library screening',
+                        detail: 'Fast, high diversity, may need humanization',
+                        cashEffect: -4,
+                        timeEffect: -3,
+                        riskBonus: 0.02,
+                        result: 'Phage display identifies multiple binders. Some require humanization to reduce immunogenicity risk.',
+                        lesson: 'Phage display offers speed and enormous diversity. Biologics (150+ kDa) must be injected or infused since they cannot survive the gut. Anti-drug antibodies (immunogenicity) are a key clinical risk: fully human sequences reduce but do not eliminate this risk.'
+                    },
+                    {
+                        text: 'Transgenic mouse immunization',
+                        detail: 'Fully human antibodies, longer timeline',
+                        cashEffect: -8,
+                        timeEffect: 6,
+                        riskBonus: 0.06,
+                        result: 'Transgenic mice generate fully human antibodies with natural affinity maturation. Less immunogenicity risk in clinic.',
+                        lesson: 'Fully human antibodies from transgenic mice reduce immunogenicity risk but take longer to generate.'
+                    },
+                    {
+                        text: 'Single B cell cloning',
+                        detail: 'Natural antibodies from patients/donors',
+                        cashEffect: -6,
+                        timeEffect: 3,
+                        riskBonus: 0.04,
+                        result: 'B cells from donors with relevant immune responses yield antibodies with proven human relevance.',
+                        lesson: 'Cloning from natural immunity captures antibodies already validated by the human immune system.'
+                    }
+                ]
+            }
+        ],
+        'genetic-medicine': [
+            {
+                id: 'delivery_platform',
+                title: 'What delivery platform will you use?',
+                scenario: 'Genetic medicines require delivery to target tissues. Adeno-Associated Virus (AAV) vectors offer broad tropism but face pre-existing immunity. Lipid nanoparticle delivery works well for liver. N-acetylgalactosamine conjugation is elegant for hepatocytes.',
+                options: [
+                    {
+                        text: 'Adeno-Associated Virus vector platform',
+                        detail: 'Broad tissue access, immunity challenges',
+                        cashEffect: -10,
+                        timeEffect: 6,
+                        riskBonus: 0.04,
+                        result: 'Adeno-Associated Virus provides good tissue transduction but 30-60% of patients have pre-existing antibodies that exclude them from treatment.',
+                        lesson: 'Adeno-Associated Virus vectors can reach many tissues but pre-existing immunity from natural virus exposure excludes 30-60% of patients. Novel capsids and immunosuppression protocols are being developed to expand eligible populations.'
+                    },
+                    {
+                        text: 'Lipid nanoparticle delivery',
+                        detail: 'Excellent for liver, limited elsewhere',
+                        cashEffect: -6,
+                        timeEffect: 0,
+                        riskBonus: 0.05,
+                        result: 'Lipid nanoparticle delivery achieves excellent liver targeting. The platform is well-characterized with established manufacturing.',
+                        lesson: 'Lipid nanoparticle is the gold standard for liver delivery. The limitation is that non-liver tissues remain difficult to reach.'
+                    },
+                    {
+                        text: 'N-acetylgalactosamine conjugation',
+                        detail: 'Hepatocyte-specific, elegant chemistry',
+                        cashEffect: -4,
+                        timeEffect: -3,
+                        riskBonus: 0.06,
+                        result: 'N-acetylgalactosamine elegantly delivers payload directly to hepatocytes via asialoglycoprotein receptor. Manufacturing is straightforward.',
+                        lesson: 'N-acetylgalactosamine conjugation exemplifies platform power: once validated, new targets can advance rapidly with known delivery.'
+                    }
+                ]
+            }
+        ],
+        'cell-therapy': [
+            {
+                id: 'cell_source_strategy',
+                title: 'What cell source strategy will you pursue?',
+                scenario: 'Cell therapy manufacturing begins with sourcing cells. Autologous approaches use each patient\'s own cells collected via leukapheresis. Allogeneic approaches use universal donor cells that require gene editing to prevent rejection. Induced pluripotent stem cell (iPSC)-derived cells offer manufacturing scale but require longer development.',
+                options: [
+                    {
+                        text: 'Autologous patient-derived T cells',
+                        detail: 'Personalized, leukapheresis required, 2-4 week vein-to-vein time',
+                        cashEffect: -10,
+                        timeEffect: 0,
+                        riskBonus: 0.05,
+                        safetyEffect: -10,
+                        result: 'Each patient\'s cells are collected, engineered, expanded, and reinfused. No rejection risk, but manufacturing is patient-specific and logistics are complex.',
+                        lesson: 'Autologous cell therapy eliminates rejection but creates logistical challenges. Vein-to-vein time (collection to infusion) can exceed the clinical window for rapidly progressing patients.'
+                    },
+                    {
+                        text: 'Allogeneic universal donor cells',
+                        detail: 'Off-the-shelf, requires gene editing to avoid graft-versus-host disease',
+                        cashEffect: -25,
+                        timeEffect: 12,
+                        riskBonus: 0.02,
+                        safetyEffect: 15,
+                        result: 'Gene editing knocks out T-cell receptor (TCR) and human leukocyte antigen (HLA) to create universal donor cells. Manufacturing is scalable but rejection and graft-versus-host disease risks require monitoring.',
+                        lesson: 'Allogeneic approaches solve logistics but introduce new biology. T-cell receptor knockout prevents graft-versus-host disease; human leukocyte antigen knockout prevents rejection. Both add development complexity.'
+                    },
+                    {
+                        text: 'Induced pluripotent stem cell-derived engineered cells',
+                        detail: 'Unlimited source, longer development timeline',
+                        cashEffect: -35,
+                        timeEffect: 18,
+                        riskBonus: -0.02,
+                        result: 'Induced pluripotent stem cell differentiation provides unlimited cell source. Development timeline is longer but manufacturing economics improve at scale.',
+                        lesson: 'Induced pluripotent stem cell-derived cells represent the future of cell therapy manufacturing. The challenge is achieving consistent differentiation and demonstrating safety of pluripotent-derived products.'
+                    }
+                ]
+            }
+        ]
+    },
+    // MODALITY-SPECIFIC LEAD OPTIMIZATION QUESTIONS
+    lead_optimization: {
+        'small-molecule': [
+            {
+                id: 'adme_strategy',
+                title: 'How will you optimize drug-like properties?',
+                scenario: 'Your lead compound shows excellent target potency but concerning metabolic instability. Chemistry can prioritize metabolic stability (risking potency loss) or maintain potency while accepting higher doses.',
+                options: [
+                    {
+                        text: 'Prioritize metabolic stability',
+                        detail: 'Better PK, potential potency trade-off',
+                        cashEffect: -5, timeEffect: 6, riskBonus: 0.06,
+                        result: 'Chemistry improves half-life significantly. Some potency is lost but can be compensated with dose adjustment.',
+                        lesson: 'Poor pharmacokinetics is a major cause of clinical failure. A drug that does not reach its target cannot work.'
+                    },
+                    {
+                        text: 'Maintain potency, accept higher dosing',
+                        detail: 'Preserve efficacy, larger pills needed',
+                        cashEffect: -3, timeEffect: 0, riskBonus: -0.04,
+                        result: 'Your drug requires high doses, increasing API cost and pill burden.',
+                        lesson: 'Drug-like properties matter beyond efficacy. Patient compliance and manufacturing cost affect real-world effectiveness.'
+                    },
+                    {
+                        text: 'Explore prodrug approach',
+                        detail: 'Innovative but adds complexity',
+                        cashEffect: -8, timeEffect: 12, riskBonus: 0.02,
+                        result: 'The prodrug works, but regulatory and CMC complexity increase.',
+                        lesson: 'Prodrug strategies can solve PK problems elegantly but add development complexity.'
+                    }
+                ]
+            }
+        ],
+        'biologic': [
+            {
+                id: 'fc_engineering',
+                title: 'How will you engineer your antibody?',
+                scenario: 'Your antibody binds target well but half-life is short and effector function needs optimization. Fc engineering can extend half-life, enhance or silence effector function, or create bispecific formats.',
+                options: [
+                    {
+                        text: 'Extend half-life via Fc modifications',
+                        detail: 'Less frequent dosing, better compliance',
+                        cashEffect: -6, timeEffect: 6, riskBonus: 0.05,
+                        result: 'YTE or similar mutations extend half-life to monthly dosing. Patient convenience improves significantly.',
+                        lesson: 'Half-life extension reduces dosing frequency, improving patient compliance and potentially allowing outpatient administration.'
+                    },
+                    {
+                        text: 'Enhance effector function (ADCC/CDC)',
+                        detail: 'Improved cell killing, more safety monitoring',
+                        cashEffect: -8, timeEffect: 3, riskBonus: 0.03, safetyEffect: 15,
+                        result: 'Enhanced ADCC improves tumor cell killing but requires careful safety monitoring for cytokine release.',
+                        lesson: 'Effector function enhancement is a trade-off: more potent killing versus increased risk of immune-related adverse events.'
+                    },
+                    {
+                        text: 'Create bispecific format',
+                        detail: 'Novel mechanism, complex manufacturing',
+                        cashEffect: -15, timeEffect: 12, riskBonus: 0.00,
+                        result: 'Bispecific engages two targets simultaneously. Manufacturing complexity increases substantially.',
+                        lesson: 'Bispecifics offer novel mechanisms but multiply development challenges. Each arm must be optimized.'
+                    }
+                ]
+            }
+        ],
+        'genetic-medicine': [
+            {
+                id: 'sequence_optimization',
+                title: 'How will you optimize your genetic construct?',
+                scenario: 'Your payload shows activity but expression is variable and durability is uncertain. Codon optimization can enhance expression. Promoter choice affects tissue specificity. Modified nucleotides can reduce immunogenicity.',
+                options: [
+                    {
+                        text: 'Codon optimize for expression',
+                        detail: 'Higher expression levels',
+                        cashEffect: -4, timeEffect: 3, riskBonus: 0.04,
+                        result: 'Codon optimization improves expression 3-5 fold. Manufacturing yields improve as well.',
+                        lesson: 'Codon optimization is standard practice. Higher expression can mean lower doses and better manufacturing economics. For gene therapy, durability of expression is the key question: will the therapeutic effect last years, decades, or require re-dosing?'
+                    },
+                    {
+                        text: 'Select tissue-specific promoter',
+                        detail: 'Precise targeting, may limit expression',
+                        cashEffect: -6, timeEffect: 6, riskBonus: 0.05, safetyEffect: -10,
+                        result: 'Tissue-specific promoter limits off-target expression, improving safety profile.',
+                        lesson: 'Promoter selection is critical for safety. Ubiquitous expression may cause toxicity in non-target tissues.'
+                    },
+                    {
+                        text: 'Use modified nucleotides',
+                        detail: 'Reduce immune activation',
+                        cashEffect: -8, timeEffect: 6, riskBonus: 0.03, safetyEffect: -15,
+                        result: 'Modified nucleotides reduce innate immune activation, allowing higher doses.',
+                        lesson: 'Immune activation limits dosing. Chemical modifications can expand the therapeutic window.'
+                    }
+                ]
+            }
+        ],
+        'cell-therapy': [
+            {
+                id: 'persistence_optimization',
+                title: 'How will you optimize cell persistence?',
+                scenario: 'Your engineered cells show initial activity but may exhaust or fail to persist. Incorporating memory phenotypes, adding costimulatory domains, or using cytokine support can improve durability.',
+                options: [
+                    {
+                        text: 'Optimize costimulatory domains',
+                        detail: '4-1BB vs CD28, affects persistence vs speed',
+                        cashEffect: -5, timeEffect: 6, riskBonus: 0.04,
+                        result: '4-1BB domain provides better persistence while CD28 offers faster expansion. Your choice shapes the kinetics.',
+                        lesson: 'Costimulatory domain choice is a trade-off: CD28 = faster but shorter; 4-1BB = slower but more durable.'
+                    },
+                    {
+                        text: 'Select for memory phenotype',
+                        detail: 'Stem cell memory T cells persist longer',
+                        cashEffect: -8, timeEffect: 9, riskBonus: 0.06,
+                        result: 'Selecting for Tscm phenotype improves long-term persistence but manufacturing becomes more complex.',
+                        lesson: 'Cell phenotype at infusion predicts durability. Stem cell memory T cells persist longer than effector cells.'
+                    },
+                    {
+                        text: 'Add cytokine secretion capability',
+                        detail: 'Self-supporting cells, safety considerations',
+                        cashEffect: -12, timeEffect: 12, riskBonus: 0.01, safetyEffect: 20,
+                        result: 'Cytokine-armored cells support themselves but require careful safety monitoring.',
+                        lesson: 'Autocrine support can sustain cells but adds complexity and safety considerations.'
+                    }
+                ]
+            }
+        ]
+    },
+    // MODALITY-SPECIFIC IND-ENABLING QUESTIONS
+    ind_enabling: {
+        'small-molecule': [
+            {
+                id: 'tox_species',
+                title: 'What toxicology species will you use?',
+                scenario: 'FDA requires toxicology in rodent and non-rodent species. Dogs are standard. Minipigs are cheaper but less common. NHP provide best human prediction but raise ethical and cost concerns.',
+                options: [
+                    {
+                        text: 'Standard package: rat + dog',
+                        detail: 'Regulatory comfort, established protocols',
+                        cashEffect: -8, timeEffect: 0, riskBonus: 0.02, safetyEffect: -10,
+                        result: 'FDA accepts your standard package without questions.',
+                        lesson: 'Standard species choices reduce regulatory risk. FDA is familiar with rat and dog data interpretation.'
+                    },
+                    {
+                        text: 'Alternative: rat + minipig',
+                        detail: 'Cost savings, potential questions',
+                        cashEffect: -5, timeEffect: 0, riskBonus: -0.03, safetyEffect: 10,
+                        result: 'FDA asks for justification. After providing rationale, they accept.',
+                        lesson: 'Non-standard species require scientific justification. Cost savings versus regulatory risk.'
+                    },
+                    {
+                        text: 'Enhanced: rat + NHP',
+                        detail: 'Best prediction, ethical considerations',
+                        cashEffect: -15, timeEffect: 6, riskBonus: 0.08, safetyEffect: -20,
+                        result: 'NHP studies identify a signal not seen in dogs. You adjust Phase I protocol accordingly.',
+                        lesson: 'NHP are most predictive for human safety but require ethical justification.'
+                    }
+                ]
+            }
+        ],
+        'biologic': [
+            {
+                id: 'cell_line_development',
+                title: 'How will you establish your production cell line?',
+                scenario: 'Biologics require stable production cell lines. CHO is standard. HEK293 offers faster timelines and better glycosylation for some products. Novel hosts may offer advantages but increase risk.',
+                options: [
+                    {
+                        text: 'Standard CHO cell line',
+                        detail: 'Industry standard, regulatory familiarity',
+                        cashEffect: -10, timeEffect: 6, riskBonus: 0.05, safetyEffect: -5,
+                        result: 'CHO-derived product has well-understood quality profile. Regulatory path is clear.',
+                        lesson: 'CHO is the workhorse of biologics manufacturing. Regulatory familiarity reduces risk.'
+                    },
+                    {
+                        text: 'HEK293 for complex glycoproteins',
+                        detail: 'Better glycosylation, less regulatory history',
+                        cashEffect: -8, timeEffect: 3, riskBonus: 0.02,
+                        result: 'HEK293 produces more human-like glycosylation patterns but CMC documentation needs more detail.',
+                        lesson: 'Cell host affects product quality attributes. Novel hosts may offer advantages but require more characterization.'
+                    },
+                    {
+                        text: 'Accelerated stable pool approach',
+                        detail: 'Faster to clinic, may need repeat for commercial',
+                        cashEffect: -5, timeEffect: -6, riskBonus: -0.02,
+                        result: 'You reach clinic faster but may need to repeat cell line development for commercial manufacturing.',
+                        lesson: 'Speed to clinic is valuable but rushing cell line work can create problems later.'
+                    }
+                ]
+            }
+        ],
+        'genetic-medicine': [
+            {
+                id: 'vector_manufacturing',
+                title: 'How will you manufacture your vector/delivery system?',
+                scenario: 'Manufacturing is often the bottleneck for genetic medicines. Scale, purity, and consistency are critical. In-house versus CMO, suspension versus adherent, and platform versus bespoke all impact timelines.',
+                options: [
+                    {
+                        text: 'Partner with specialized CMO',
+                        detail: 'Expertise, but capacity constrained',
+                        cashEffect: -15, timeEffect: 6, riskBonus: 0.04,
+                        result: 'CMO provides expertise but slot availability delays your timeline.',
+                        lesson: 'Vector manufacturing capacity is limited industry-wide. Early CMO engagement is critical.'
+                    },
+                    {
+                        text: 'Build internal manufacturing capability',
+                        detail: 'Control and flexibility, high upfront cost',
+                        cashEffect: -40, timeEffect: 18, riskBonus: 0.06,
+                        result: 'Internal capability provides control over production but requires significant capital investment.',
+                        lesson: 'Internal manufacturing offers control but the capital commitment is substantial.'
+                    },
+                    {
+                        text: 'Use platform process from partner',
+                        detail: 'Faster, less customization',
+                        cashEffect: -10, timeEffect: 0, riskBonus: 0.02,
+                        result: 'Platform processes speed timeline but may not be optimal for your specific product.',
+                        lesson: 'Platform approaches trade optimization for speed. Good enough early may limit options later.'
+                    }
+                ]
+            }
+        ],
+        'cell-therapy': [
+            {
+                id: 'gmp_validation_strategy',
+                title: 'How will you establish Good Manufacturing Practice (GMP) manufacturing and release testing?',
+                scenario: 'Cell therapy Investigational New Drug applications require detailed Chemistry, Manufacturing, and Controls (CMC) documentation. You must establish Good Manufacturing Practice-compliant manufacturing with validated release testing, potency assays, and stability studies. The Food and Drug Administration\'s Center for Biologics Evaluation and Research Office of Tissues and Advanced Therapies reviews all cell therapy applications.',
+                options: [
+                    {
+                        text: 'Build internal Good Manufacturing Practice facility with full validation',
+                        detail: 'High upfront cost, complete control, Foundation for Accreditation of Cellular Therapy accreditation path',
+                        cashEffect: -45, timeEffect: 18, riskBonus: 0.08, safetyEffect: -15,
+                        result: 'Your facility achieves Foundation for Accreditation of Cellular Therapy accreditation and Good Manufacturing Practice compliance. Release testing, potency assays, and stability protocols are fully validated. The Food and Drug Administration accepts your Chemistry, Manufacturing, and Controls package without questions.',
+                        lesson: 'Internal manufacturing provides control over quality systems, SOPs, and capacity. FACT accreditation (Foundation for Accreditation of Cellular Therapy) is the gold standard for cell therapy facilities.'
+                    },
+                    {
+                        text: 'Partner with Foundation for Accreditation of Cellular Therapy-accredited contract manufacturing organization',
+                        detail: 'External expertise, capacity constraints, cross-reference facility master file',
+                        cashEffect: -20, timeEffect: 6, riskBonus: 0.04,
+                        result: 'The contract manufacturing organization provides regulatory expertise and cross-references their Facility Master File in your Investigational New Drug application. Slot availability for commercial scale may become a bottleneck.',
+                        lesson: 'Contract manufacturing organizations with Food and Drug Administration Type V Facility Master Files on file simplify Investigational New Drug submission. Early engagement is critical: cell therapy manufacturing capacity is constrained industry-wide.'
+                    },
+                    {
+                        text: 'Accelerated platform approach with minimal validation',
+                        detail: 'Faster to clinic, may require repeat for commercial',
+                        cashEffect: -12, timeEffect: 0, riskBonus: -0.04, safetyEffect: 10,
+                        result: 'You reach clinic faster but the Food and Drug Administration requests additional Chemistry, Manufacturing, and Controls information. Validation studies must be repeated for commercial manufacturing.',
+                        lesson: 'Minimal Chemistry, Manufacturing, and Controls packages can delay approval. The Food and Drug Administration expects detailed release testing, potency assays, and stability data for cell therapy products. Pre-Investigational New Drug meetings are essential to align expectations.'
+                    }
+                ]
+            }
+        ]
+    },
+    // MODALITY-SPECIFIC PHASE I QUESTIONS
+    phase1_modality: {
+        'cell-therapy': [
+            {
+                id: 'crs_management_strategy',
+                title: 'How will you manage Cytokine Release Syndrome risk?',
+                scenario: 'Cytokine Release Syndrome and Immune Effector Cell-Associated Neurotoxicity Syndrome are the most serious complications of Chimeric Antigen Receptor T-cell therapy. Your Phase I protocol must include a Risk Evaluation and Mitigation Strategy. IL-6 inhibitors are Food and Drug Administration-approved for Cytokine Release Syndrome management. Your dose escalation and monitoring strategy will determine the safety profile.',
+                options: [
+                    {
+                        text: 'Conservative dosing with prophylactic IL-6 inhibitor',
+                        detail: 'Pre-emptive Cytokine Release Syndrome management, may reduce efficacy signal',
+                        cashEffect: -8, timeEffect: 6, riskBonus: 0.08, safetyEffect: -25,
+                        result: 'No severe Cytokine Release Syndrome events occur. However, your efficacy signal is modest. Did the prophylactic IL-6 inhibitor blunt the Chimeric Antigen Receptor T-cell expansion?',
+                        lesson: 'Prophylactic Cytokine Release Syndrome management prioritizes safety but may confound efficacy assessment. The Interleukin-6 pathway plays a role in Chimeric Antigen Receptor T-cell expansion, so blocking it pre-emptively creates uncertainty about optimal dosing.'
+                    },
+                    {
+                        text: 'Standard dosing with reactive CRS management',
+                        detail: 'IL-6 inhibitor at Grade 2+ Cytokine Release Syndrome, clearer efficacy signal',
+                        cashEffect: -5, timeEffect: 0, riskBonus: 0.02, safetyEffect: 10,
+                        result: 'Two patients experience Grade 3 Cytokine Release Syndrome requiring intensive care unit admission and IL-6 inhibitor treatment. Both recover fully. Your efficacy signal is strong.',
+                        lesson: 'Reactive Cytokine Release Syndrome management accepts higher acute toxicity for clearer efficacy signals. Chimeric Antigen Receptor T-cell infusion centers must have intensive care unit access, neurology consultation, and IL-6 inhibitors immediately available per Risk Evaluation and Mitigation Strategy requirements.'
+                    },
+                    {
+                        text: 'Split dosing schedule with fractionated infusion',
+                        detail: 'Lower peak expansion, reduced Cytokine Release Syndrome, complex protocol',
+                        cashEffect: -10, timeEffect: 9, riskBonus: 0.04, safetyEffect: -10,
+                        result: 'Fractionated dosing reduces peak cytokine levels. Cytokine Release Syndrome is manageable. The protocol complexity increases manufacturing and logistics burden.',
+                        lesson: 'Dose fractionation can reduce Cytokine Release Syndrome severity by slowing Chimeric Antigen Receptor T-cell expansion kinetics. The trade-off is increased protocol complexity and potentially reduced peak efficacy.'
+                    }
+                ]
+            }
+        ]
+    },
+    phase1: [
+        {
+            id: 'dose_escalation',
+            title: 'Dose Escalation Design',
+            scenario: 'Phase I must establish safety and find the therapeutic dose range. Aggressive escalation reaches efficacy faster but increases adverse event risk. Conservative escalation is safer but slower.',
+            options: [
+                {
+                    text: 'Conservative modified Fibonacci escalation',
+                    detail: 'Slower but safer approach',
+                    cashEffect: -5,
+                    timeEffect: 6,
+                    riskBonus: 0.06,
+                    safetyEffect: -15, // Conservative = lower safety risk
+                    result: 'No serious adverse events occur. Your clean safety database builds regulatory confidence and supports aggressive dosing in Phase II.',
+                    lesson: 'Patient safety is paramount in first-in-human studies. A single serious adverse event can trigger clinical hold, destroying timelines and investor confidence.'
+                },
+                {
+                    text: 'Accelerated escalation with sentinel dosing',
+                    detail: 'Faster dose-finding, requires careful monitoring',
+                    cashEffect: -3,
+                    timeEffect: 0,
+                    riskBonus: -0.06,
+                    safetyEffect: 20, // Aggressive = higher safety risk
+                    result: 'At the fourth dose level, a subject experiences Grade 2 liver enzyme elevation. You pause enrollment pending safety review.',
+                    lesson: 'Accelerated designs can work but require robust safety monitoring. Time saved can evaporate quickly if a safety signal emerges.'
+                },
+                {
+                    text: 'Model-informed adaptive design',
+                    detail: 'Bayesian PK/PD-guided escalation',
+                    cashEffect: -8,
+                    timeEffect: 3,
+                    riskBonus: 0.04,
+                    result: 'Real-time PK modeling allows optimal dose selection while maintaining safety margins. You identify the therapeutic window efficiently.',
+                    lesson: 'Modern quantitative pharmacology methods can optimize dose escalation. Investment in PK/PD modeling expertise pays dividends throughout development.'
+                }
+            ]
+        }
+    ],
+    // Phase II and III trials are sized on the trial design workbench (see engine/trialDesign)
+    fda_review: {
+        'small-molecule': [
+            {
+                id: 'pricing_sm',
+                title: 'Pricing and Access Strategy',
+                scenario: 'FDA approval is imminent. Your health economics team projects value-based pricing: specialty oncology drugs typically command $100,000-200,000/year, while chronic disease therapies (diabetes, CV) are more typically $10,000-50,000/year due to larger patient populations. Drug pricing scrutiny is intense across all categories.',
+                options: [
+                    {
+                        text: 'Value-based pricing (above market average)',
+                        detail: 'Reflects clinical benefit, public scrutiny risk',
+                        cashEffect: 0,
+                        timeEffect: 0,
+                        marketBonus: 1.0,
+                        result: 'Your pricing is economically justified but generates media attention. Congressional staffers request a briefing on your pricing rationale.',
+                        lesson: 'Value-based pricing reflects genuine clinical benefit and R&D investment. But the industry has not yet earned the public trust for this approach to be politically sustainable.'
+                    },
+                    {
+                        text: 'Market-competitive pricing (below clinical value)',
+                        detail: 'Sustainable positioning, easier payer negotiations',
+                        cashEffect: 0,
+                        timeEffect: 0,
+                        marketBonus: 0.55,
+                        result: 'Lower pricing is well-received publicly, but investors question your ability to fund future R&D. Your stock drops 15%.',
+                        lesson: 'Pricing below value may feel responsible but creates tension: returns from successful drugs fund the ~90% that fail. Underpricing undermines future innovation.'
+                    },
+                    {
+                        text: 'Outcomes-based contracts',
+                        detail: 'Performance-linked pricing, implementation complexity',
+                        cashEffect: -10,
+                        timeEffect: 6,
+                        marketBonus: 0.8,
+                        result: 'You offer payers pricing that depends on real-world outcomes. Implementation is complex, but alignment between price and value builds trust.',
+                        lesson: 'Outcomes-based contracts align price with the value patients actually receive. This requires robust real-world evidence infrastructure.'
+                    }
+                ]
+            }
+        ],
+        'biologic': [
+            {
+                id: 'pricing_bio',
+                title: 'Pricing and Access Strategy',
+                scenario: 'FDA approval is imminent for your injectable biologic. Health economic analyses support value-based pricing of $50,000-80,000/year. But biosimilar competition is a future concern.',
+                options: [
+                    {
+                        text: 'Premium pricing ($80,000/year)',
+                        detail: 'Reflects innovation, build reserves before biosimilars',
+                        cashEffect: 0,
+                        timeEffect: 0,
+                        marketBonus: 1.0,
+                        result: 'Your premium pricing maximizes returns during exclusivity. You begin building reserves for future R&D before biosimilar entry.',
+                        lesson: 'Biologics command premium pricing during exclusivity, but biosimilar entry (typically 50-80% discount) is inevitable. Building R&D reserves during exclusivity funds future innovation.'
+                    },
+                    {
+                        text: 'Sustainable pricing ($50,000/year)',
+                        detail: 'Broader access, may delay biosimilar entry',
+                        cashEffect: 0,
+                        timeEffect: 0,
+                        marketBonus: 0.65,
+                        result: 'Moderate pricing expands access. Some analysts suggest this may reduce biosimilar attractiveness, extending your market position.',
+                        lesson: 'Lower pricing can expand the treated patient population and may reduce biosimilar commercial incentives.'
+                    },
+                    {
+                        text: 'Outcomes-based contracts',
+                        detail: 'Performance-linked pricing, implementation complexity',
+                        cashEffect: -10,
+                        timeEffect: 6,
+                        marketBonus: 0.8,
+                        result: 'You offer payers pricing that depends on real-world outcomes. Implementation is complex, but alignment between price and value builds trust.',
+                        lesson: 'Outcomes-based contracts align price with the value patients actually receive. This requires robust real-world evidence infrastructure.'
+                    }
+                ]
+            }
+        ],
+        'genetic-medicine': [
+            {
+                id: 'pricing_gene',
+                title: 'Genetic Medicine Pricing Strategy',
+                scenario: 'FDA approval is imminent for your genetic therapy. Your pricing strategy depends on your product type: siRNA therapies typically price at $20,000-40,000/year for chronic dosing, while one-time gene therapies may command $500K-3M reflecting curative potential.',
+                options: [
+                    {
+                        text: 'Annual subscription pricing (~$30,000/year)',
+                        detail: 'For siRNA/RNAi: chronic therapy model like specialty biologics',
+                        cashEffect: 0,
+                        timeEffect: 0,
+                        marketBonus: 0.9,
+                        result: 'Your siRNA therapy is priced competitively with specialty biologics. Patients receive periodic subcutaneous injections at home or in clinic.',
+                        lesson: 'siRNA therapies (like GalNAc-conjugated) can be manufactured, shipped, and self-administered like subcutaneous biologics. Pricing reflects chronic treatment economics.'
+                    },
+                    {
+                        text: 'One-time curative pricing ($1-2 million)',
+                        detail: 'For AAV gene therapy: reflects lifetime value and specialized centers',
+                        cashEffect: 0,
+                        timeEffect: 0,
+                        marketBonus: 1.0,
+                        result: 'Your gene therapy pricing reflects lifetime value, but requires specialized centers and outcomes-based contracts to manage payer concerns.',
+                        lesson: 'AAV gene therapies offer potential cures but require cold-chain logistics, specialized administration centers, and innovative payment models for multi-million dollar one-time costs.'
+                    },
+                    {
+                        text: 'Outcomes-based subscription model',
+                        detail: 'Pay only if therapy maintains effect, requires long-term monitoring',
+                        cashEffect: -15,
+                        timeEffect: 12,
+                        marketBonus: 0.85,
+                        result: 'Your payment-for-durability model requires extensive real-world evidence infrastructure. Payers appreciate the risk sharing.',
+                        lesson: 'Outcomes-based payment aligns incentives for both chronic siRNA and curative gene therapies. Demonstrating durability enables continued payments.'
+                    }
+                ]
+            }
+        ],
+        'cell-therapy': [
+            {
+                id: 'pricing_cell',
+                title: 'One-Time Curative Pricing Strategy',
+                scenario: 'FDA approval is imminent for your cell therapy. Manufacturing costs are $500K+ per patient. Health economic analyses support pricing of $400,000-500,000, reflecting clinical benefit in patients with limited options.',
+                options: [
+                    {
+                        text: 'Cost-plus pricing ($450,000 one-time)',
+                        detail: 'Covers manufacturing plus modest margin',
+                        cashEffect: 0,
+                        timeEffect: 0,
+                        marketBonus: 0.7,
+                        result: 'Your pricing barely covers manufacturing costs and development investment. Margins are thin, but access is maximized.',
+                        lesson: 'Cell therapy manufacturing is inherently expensive: patient-specific production, complex logistics, specialized facilities. Cost-plus pricing may be necessary to achieve any margin.'
+                    },
+                    {
+                        text: 'Value-based premium ($500,000 one-time)',
+                        detail: 'Reflects clinical value for refractory patients',
+                        cashEffect: 0,
+                        timeEffect: 0,
+                        marketBonus: 1.0,
+                        result: 'Premium pricing reflects the transformative benefit for patients who have failed all other options. Some payers balk at the cost.',
+                        lesson: 'Cell therapies often treat patients who have exhausted all alternatives. Value-based pricing reflects the absence of other options, not comparator pricing.'
+                    },
+                    {
+                        text: 'Outcomes-based warranty model',
+                        detail: 'Refund if response not durable, requires follow-up',
+                        cashEffect: -10,
+                        timeEffect: 6,
+                        marketBonus: 0.9,
+                        result: 'You offer partial refunds if patients do not achieve durable response. This requires robust tracking of outcomes post-infusion.',
+                        lesson: 'Outcomes-based warranties for cell therapy align payment with response. This requires defining durable response criteria and tracking patients long-term.'
+                    }
+                ]
+            }
+        ]
+    },
+    post_market: [
+        {
+            phase: 'post_market',
+            title: 'Real-World Evidence and Market Expansion',
+            scenario: `At a major medical conference, a key opinion leader presents case studies of off-label use in related indications. Off-label prescribing is increasing. Your therapy is approved for one indication, but emerging evidence suggests benefit in other patient populations. Each supplemental indication requires clinical investment and regulatory approval.`,
+            options: [
+                {
+                    text: 'Invest in additional clinical trials for new indications',
+                    detail: 'Expand label through rigorous evidence',
+                    cashEffect: -50,
+                    timeEffect: 36,
+                    marketBonus: 1.4,
+                    designEffect: -10,
+                    result: 'You run pivotal trials for a second indication. Success expands your market significantly and builds evidence base. But it\'s expensive and takes years.',
+                    lesson: 'Label expansion through clinical trials is the gold standard. Rigorous evidence protects patients and builds trust. Each approved indication represents patients who can be treated with confidence.'
+                },
+                {
+                    text: 'Generate real-world evidence to support broader use',
+                    detail: 'Observational studies, registry data',
+                    cashEffect: -10,
+                    timeEffect: 12,
+                    marketBonus: 0.3,
+                    result: 'You partner with academic centers to study real-world outcomes. This generates hypothesis-generating data but doesn\'t change the label.',
+                    lesson: 'Real-world evidence complements but doesn\'t replace clinical trials. It reveals how drugs perform outside controlled settings, in diverse populations, with comorbidities.'
+                },
+                {
+                    text: 'Focus on original approved indication only',
+                    detail: 'Concentrate resources, avoid expansion risk',
+                    cashEffect: 0,
+                    marketBonus: 0.1,
+                    result: 'You focus only on the approved indication. Lower risk, but competitors may expand into adjacent spaces.',
+                    lesson: 'Not every drug needs to be a platform. Focused execution in one indication can be valuable, especially for rare diseases where the patient population is well-defined.'
+                }
+            ]
+        },
+        {
+            phase: 'post_market',
+            title: 'Distribution and Delivery Strategy',
+            scenario: `Your biologic therapy is FDA-approved. Delivery format affects patient access and adherence. Some biologics require IV infusion at healthcare facilities, while others can be self-administered subcutaneously at home. Your operations team presents strategic options for your commercial launch.`,
+            options: [
+                {
+                    text: 'Partner with infusion center networks',
+                    detail: 'Improve site access and administration capacity',
+                    cashEffect: -15,
+                    marketBonus: 0.7,
+                    result: 'You establish partnerships with national infusion center networks. This improves geographic access for patients requiring in-office or infusion center administration. Site capacity expands to meet demand.',
+                    lesson: 'Infusion center partnerships address the "last mile" problem for IV therapies. Geographic coverage and appointment availability directly impact whether approved therapies reach patients.'
+                },
+                {
+                    text: 'Develop subcutaneous formulation',
+                    detail: 'Enable self-injection at home',
+                    cashEffect: -30,
+                    timeEffect: 24,
+                    marketBonus: 1.2,
+                    result: 'You invest in reformulating for subcutaneous delivery. After additional clinical studies, patients can self-administer at home. Adherence improves significantly, but development takes two years.',
+                    lesson: 'Subcutaneous formulations transform the patient experience. Home administration reduces healthcare system burden and improves adherence. The investment in reformulation often yields significant competitive advantage.'
+                },
+                {
+                    text: 'Focus on specialty pharmacy partnerships',
+                    detail: 'Leverage existing distribution infrastructure',
+                    cashEffect: 0,
+                    marketBonus: 0.5,
+                    result: 'You rely on specialty pharmacies for distribution. This minimizes upfront investment but limits your control over patient experience and may constrain access in underserved areas.',
+                    lesson: 'Specialty pharmacies provide established infrastructure but introduce intermediaries between manufacturer and patient. Distribution strategy reflects trade-offs between capital efficiency and market control.'
+                }
+            ]
+        }
+    ],
+    patient_access: [
+        {
+            phase: 'patient_access',
+            title: 'How will you navigate PBM formulary access?',
+            scenario: `FDA approval gives you permission to sell your drug, but Pharmacy Benefit Managers (PBMs) decide whether patients can actually access it. These intermediaries control formulary placement, negotiate rebates, and manage pharmacy networks. Your commercial team must now secure a position that balances access with profitability.
+
+The Reality: PBMs act as gatekeepers between you and patients. Patient cost-sharing is calculated from list price, not net price after rebates. Formulary placement determines whether doctors can prescribe and patients can afford your drug.`,
+            options: [
+                {
+                    text: 'Pay heavy rebates for preferred formulary placement',
+                    detail: 'Guarantees broad access, 40-60% revenue to rebates',
+                    cashEffect: 0,
+                    marketBonus: 0.85,
+                    revenueEffect: -0.35,
+                    result: 'You secure broad access but net revenue per prescription is much lower than list price. PBMs capture a large share of your value.',
+                    lesson: 'The gross-to-net gap reveals who captures value. According to Drug Channels analysis (2025), rebates and discounts reduce brand-name drug prices to approximately 50% of list price on average. Net drug prices have actually declined for 8 consecutive years when adjusted for inflation. FDA approval means you CAN sell; formulary placement determines if you WILL sell.'
+                },
+                {
+                    text: 'Limited formulary with patient assistance programs',
+                    detail: 'Lower access, copay cards offset patient costs',
+                    cashEffect: -8,
+                    marketBonus: 0.5,
+                    revenueEffect: -0.15,
+                    result: 'Lower formulary coverage means fewer patients, but your copay assistance programs help those who get prescriptions. You maintain higher net revenue per patient.',
+                    lesson: 'Copay assistance programs help patients afford their out-of-pocket costs, but do not address the underlying benefit design. Cost-sharing requirements create access barriers regardless of list price.'
+                },
+                {
+                    text: 'Specialty pharmacy exclusive distribution',
+                    detail: 'PBM-owned specialty pharmacy controls distribution',
+                    cashEffect: 0,
+                    marketBonus: 0.7,
+                    revenueEffect: -0.25,
+                    efficacyEffect: 10,
+                    result: 'PBM-owned specialty pharmacy manages distribution. Access depends on the specialty pharmacy network\'s interests and capabilities.',
+                    lesson: 'The three largest PBMs each own specialty pharmacies. Vertical integration creates potential conflicts between cost management and patient access that policymakers continue to examine.'
+                }
+            ]
+        },
+        {
+            phase: 'patient_access',
+            title: 'Patient Out-of-Pocket Cost Crisis',
+            scenario: `Patients are abandoning prescriptions at the pharmacy counter. Even with insurance, cost-sharing through copays and coinsurance creates barriers. Some benefit designs use "copay accumulators" that don't count manufacturer assistance toward deductibles. The result: insured patients who cannot afford their medication.`,
+            options: [
+                {
+                    text: 'Launch robust copay assistance program',
+                    detail: 'Bridge copay gap for commercially insured',
+                    cashEffect: -15,
+                    marketBonus: 0.9,
+                    revenueEffect: -0.1,
+                    result: 'Your copay assistance program addresses immediate patient cost-sharing barriers. Adherence improves significantly. However, this solution is limited to commercial insurance; federal healthcare programs prohibit manufacturer copay assistance.',
+                    lesson: 'Copay assistance programs address immediate access barriers but do not resolve underlying benefit design issues. If a therapy is covered by insurance, cost-sharing structures should not create prohibitive access barriers.'
+                },
+                {
+                    text: 'Work with patient advocacy groups',
+                    detail: 'Build grassroots support for access',
+                    cashEffect: -5,
+                    marketBonus: 0.6,
+                    designEffect: -5,
+                    result: 'Patient advocates document and publicize access barriers. This builds political momentum for policy reform but does not resolve immediate access challenges.',
+                    lesson: 'Patient advocacy organizations articulate the real-world impact of access barriers. Their documentation of individual patient experiences informs policy discussions but systemic change requires legislative or regulatory action.'
+                },
+                {
+                    text: 'Accept access limitations',
+                    detail: 'Focus on patients who can afford cost-sharing',
+                    cashEffect: 0,
+                    marketBonus: 0.3,
+                    result: 'You accept that access will be limited to patients who can afford prevailing cost-sharing requirements. This approach accepts incomplete market penetration.',
+                    lesson: 'Developing a therapy that covered patients cannot access represents an incomplete fulfillment of the development mission. Regulatory approval establishes efficacy; market access determines patient benefit.'
+                }
+            ]
+        },
+        {
+            phase: 'patient_access',
+            title: 'The System Reform Question',
+            scenario: `You're testifying before Congress. A Senator asks: "Your company spent over a decade and a billion dollars developing this therapy. It works. Yet my constituents can't afford it despite having insurance. What reforms would you recommend?" You've experienced the full journey: the 90%+ failure rate, the capital intensity, and now the access barriers.`,
+            options: [
+                {
+                    text: 'Recommend direct price controls on pharmaceuticals',
+                    detail: 'Government-established maximum prices',
+                    cashEffect: 0,
+                    marketBonus: 0.4,
+                    result: 'Price controls reduce manufacturer revenue but do not address the underlying access challenge. Patients continue to face cost-sharing requirements because insurance benefit design remains unchanged. Reduced revenue diminishes capital available for future R&D investment.',
+                    lesson: 'Price controls address revenue without addressing access. If insurance coverage includes the therapy, cost-sharing structures determine patient access. The policy question is not pharmaceutical pricing alone, but the interaction between pricing and benefit design.'
+                },
+                {
+                    text: 'Recommend insurance cost-sharing reform',
+                    detail: 'Cap patient out-of-pocket costs, prohibit copay accumulator programs',
+                    cashEffect: 0,
+                    marketBonus: 0.9,
+                    result: 'Insurance benefit reform addresses the structural access gap: patients currently bear cost-sharing obligations in addition to premium contributions. When covered therapies become accessible without prohibitive cost-sharing, the system functions as intended. Innovation incentives remain intact.',
+                    lesson: 'Patients contribute through insurance premiums. Cost-sharing requirements create an additional access barrier for covered therapies. Policy solutions include capping out-of-pocket maximums and prohibiting accumulator programs. These reforms address access without disrupting pharmaceutical innovation economics.'
+                },
+                {
+                    text: 'Recommend supply chain transparency requirements',
+                    detail: 'PBM disclosure requirements, rebate pass-through mandates',
+                    cashEffect: 0,
+                    marketBonus: 0.7,
+                    result: 'Transparency requirements reveal the distribution of pharmaceutical value across the supply chain, including PBM rebate retention. This information enables informed policy discussion but does not directly resolve patient access barriers.',
+                    lesson: 'Transparency is a necessary but insufficient condition for reform. Understanding value distribution across the supply chain informs targeted policy interventions. Fiduciary duty requirements for PBMs and rebate pass-through mandates represent potential applications of transparency findings.'
+                }
+            ]
+        },
+        // GCEA Value Flower Framework Questions (Shafrin et al. 2024)
+        {
+            phase: 'patient_access',
+            title: 'How will you demonstrate value to payers under outcome uncertainty?',
+            scenario: `Traditional cost-effectiveness analysis uses Quality-Adjusted Life Years (QALYs) based on clinical trial data. However, your therapy's long-term outcomes remain uncertain. The Generalized Cost-Effectiveness Analysis (GCEA) framework recognizes that payers face "outcome uncertainty" when making coverage decisions. Your health economics team proposes different approaches to address this uncertainty gap.
+
+The Reality: Payers increasingly demand real-world evidence, not just trial results. Outcomes-based contracts can share risk between manufacturers and payers, but require robust data infrastructure.`,
+            options: [
+                {
+                    text: 'Real-world evidence commitment with value-based pricing',
+                    detail: 'Lower launch price, escalating based on demonstrated outcomes',
+                    cashEffect: -10,
+                    marketBonus: 0.85,
+                    revenueEffect: -0.2,
+                    result: 'You launch at a lower price with contractual commitments to collect real-world evidence. If outcomes match or exceed trial results, price increases are permitted. This approach reduces payer risk and accelerates coverage decisions.',
+                    lesson: 'The GCEA framework recognizes "outcome certainty" as a distinct value element. When long-term outcomes are uncertain, value-based pricing arrangements can bridge the evidence gap. Real-world evidence infrastructure is an investment that pays dividends across your portfolio.'
+                },
+                {
+                    text: 'Outcomes-based contracting with money-back guarantee',
+                    detail: 'Full price with rebates for non-responders',
+                    cashEffect: -5,
+                    marketBonus: 0.75,
+                    revenueEffect: -0.15,
+                    result: 'Payers appreciate the risk-sharing but implementation proves complex. Defining "response" and tracking individual patient outcomes requires data infrastructure that many health systems lack.',
+                    lesson: 'Outcomes-based contracts align manufacturer and payer incentives around patient outcomes. However, execution requires agreement on outcome definitions, measurement timing, and data sharing. The administrative burden can exceed the value for therapies with high response rates.'
+                },
+                {
+                    text: 'Traditional fixed pricing with comprehensive trial dossier',
+                    detail: 'Standard approach based on Phase III data',
+                    cashEffect: 0,
+                    marketBonus: 0.55,
+                    revenueEffect: 0,
+                    result: 'Some payers accept your trial evidence, but others impose step therapy or prior authorization requirements, citing uncertainty about real-world performance. Access is slower and more variable across payer segments.',
+                    lesson: 'Relying solely on clinical trial evidence leaves payers bearing all outcome uncertainty. The GCEA framework suggests that therapies with greater outcome certainty warrant premium pricing. Manufacturers who invest in reducing uncertainty can capture more value.'
+                }
+            ]
+        },
+        {
+            phase: 'patient_access',
+            title: 'How will you address equity in patient access?',
+            scenario: `Your therapy works across all patient populations, but access is uneven. Patients in well-resourced health systems get rapid access while those in underserved communities face delays and denials. The GCEA framework explicitly includes "equity" as a value element - recognizing that society may place additional value on therapies that reach underserved populations.
+
+The Reality: Health equity has become a boardroom priority. Institutional investors, regulators, and patient advocates all scrutinize whether breakthrough therapies reach the patients who need them most.`,
+            options: [
+                {
+                    text: 'Income-based tiered patient assistance with equity metrics',
+                    detail: 'Copay support scaled to income, public equity reporting',
+                    cashEffect: -20,
+                    marketBonus: 0.9,
+                    result: 'Your tiered assistance program ensures that out-of-pocket costs never exceed a percentage of household income. Public reporting of access metrics by demographic group demonstrates commitment to equity and builds trust with advocacy organizations.',
+                    lesson: 'The GCEA framework values equity explicitly: society may prefer therapies that reduce health disparities. Manufacturers who design access programs with equity in mind - and measure their effectiveness - can differentiate their products and build durable relationships with stakeholders.'
+                },
+                {
+                    text: 'Single global reference price with universal access commitment',
+                    detail: 'Same price worldwide, maximize access over revenue',
+                    cashEffect: -15,
+                    marketBonus: 0.7,
+                    revenueEffect: -0.3,
+                    result: 'A single global price prevents arbitrage and signals commitment to equity. However, lower revenue constrains investment in future research and development. Some shareholders question whether this approach maximizes long-term value.',
+                    lesson: 'Global reference pricing eliminates the tension between affordability and arbitrage but may not maximize either access or innovation over time. The pharmaceutical ecosystem depends on returns sufficient to fund the next generation of therapies.'
+                },
+                {
+                    text: 'Market-based pricing with standard copay assistance',
+                    detail: 'Maximize revenue, standard industry assistance programs',
+                    cashEffect: 0,
+                    marketBonus: 0.5,
+                    result: 'Standard copay assistance helps commercially insured patients, but access gaps persist for underserved populations. Advocacy groups and media document disparities, creating reputational risk.',
+                    lesson: 'Standard assistance programs help patients who can navigate them, but often fail to reach the most vulnerable. The GCEA framework suggests that failing to address equity represents uncaptured societal value - and increasingly, uncaptured commercial value as stakeholders prioritize health equity.'
+                }
+            ]
+        },
+        {
+            phase: 'patient_access',
+            title: 'How will you capture broader societal value beyond clinical endpoints?',
+            scenario: `Your therapy keeps patients working, reduces caregiver burden, and generates scientific knowledge that benefits future research. Traditional cost-effectiveness analysis focuses narrowly on patient health outcomes. The GCEA framework includes productivity gains, caregiver spillovers, and scientific spillovers as legitimate value elements.
+
+The Reality: Employers lose billions annually to disease-related productivity loss. Caregivers reduce work hours or exit the workforce entirely. Your therapy addresses these burdens, but payers focus on direct medical costs.`,
+            options: [
+                {
+                    text: 'Submit full GCEA value dossier including productivity and caregiver impact',
+                    detail: 'Comprehensive societal value case to all stakeholders',
+                    cashEffect: -8,
+                    marketBonus: 0.8,
+                    result: 'Your dossier documents productivity gains, reduced caregiver burden, and scientific contributions. Some innovative payers incorporate these elements into coverage decisions. Employer groups become advocates for coverage.',
+                    lesson: 'The GCEA framework legitimizes broader value capture. Productivity spillovers (patients returning to work), caregiver spillovers (family members freed from care duties), and scientific spillovers (knowledge enabling future innovation) all represent real value. Manufacturers who document these elements expand the value conversation.'
+                },
+                {
+                    text: 'Partner with self-insured employers on productivity-based contracts',
+                    detail: 'Direct contracting with employers who capture productivity value',
+                    cashEffect: -5,
+                    marketBonus: 0.65,
+                    revenueEffect: 0.1,
+                    result: 'Large self-insured employers enthusiastically adopt your therapy - they directly benefit from reduced absenteeism and disability claims. This channel grows faster than traditional payer coverage.',
+                    lesson: 'Self-insured employers capture productivity value directly, making them natural partners for therapies that keep workers healthy. The GCEA framework\'s productivity element aligns manufacturer and employer incentives. This market segment often moves faster than traditional payers.'
+                },
+                {
+                    text: 'Focus exclusively on clinical endpoints in traditional cost-effectiveness framework',
+                    detail: 'Standard QALY-based value demonstration',
+                    cashEffect: 0,
+                    marketBonus: 0.5,
+                    result: 'Your traditional cost-effectiveness analysis meets basic payer requirements but fails to differentiate your therapy. Payers treat your drug as a commodity, pressuring for lowest-cost alternatives.',
+                    lesson: 'Traditional cost-effectiveness frameworks capture only a portion of your therapy\'s value. The GCEA framework identifies value elements that conventional analysis ignores: productivity, caregiver burden, option value, and scientific spillovers. Manufacturers who accept narrow framing leave value on the table.'
+                }
+            ]
+        }
+    ]
+};
+
+// Random events by phase
+export const EVENTS: Record<string, DevelopmentEvent[]> = {
+    basic_research: [
+        { title: 'Genetic Validation', description: 'A large GWAS study confirms your target is genetically linked to disease - the strongest form of target validation.', cashEffect: 0, timeEffect: 0, riskBonus: 0.06, positive: true },
+        { title: 'Competing Publication', description: 'A competitor publishes data on the same target, validating the biology but accelerating the competitive timeline.', cashEffect: 0, timeEffect: -3, riskBonus: 0.02, positive: true },
+        { title: 'Key Researcher Departs', description: 'Your lead biologist leaves for academia, taking deep target knowledge. Rebuilding expertise takes time.', cashEffect: -1, timeEffect: 6, positive: false }
+    ],
+    drug_discovery: [
+        { title: 'HTS Success', description: 'High-throughput screening identifies multiple chemically diverse hit series, providing excellent starting points.', cashEffect: 0, timeEffect: -3, riskBonus: 0.04, positive: true },
+        { title: 'Assay Artifacts', description: 'Many apparent hits turn out to be assay artifacts. Hit confirmation rate is lower than expected.', cashEffect: -2, timeEffect: 3, positive: false },
+        { title: 'Structure Solved', description: 'Crystallography provides a high-resolution structure of your target, enabling structure-based drug design.', cashEffect: 0, timeEffect: -6, riskBonus: 0.05, positive: true }
+    ],
+    lead_optimization: [
+        { title: 'SAR Breakthrough', description: 'A key structure-activity relationship insight unlocks dramatic improvements in potency and selectivity.', cashEffect: 0, timeEffect: -6, riskBonus: 0.05, positive: true },
+        { title: 'Metabolite Liability', description: 'Studies reveal your lead generates a reactive metabolite. Chemistry must redesign the scaffold.', cashEffect: -5, timeEffect: 9, positive: false },
+        { title: 'Selectivity Challenge', description: 'Screening reveals unintended activity that must be addressed before advancing.', cashEffect: -3, timeEffect: 6, positive: false }
+    ],
+    ind_enabling: [
+        { title: 'Unexpected Toxicity', description: 'GLP toxicology reveals unexpected hepatotoxicity at high doses. Additional mechanistic studies required.', cashEffect: -8, timeEffect: 9, positive: false },
+        { title: 'Positive Pre-IND Meeting', description: 'FDA concurs with your development plan and indicates potential Fast Track eligibility.', cashEffect: 0, timeEffect: -3, riskBonus: 0.06, positive: true },
+        { title: 'CMC Success', description: 'Process chemistry achieves excellent yield and purity, simplifying scale-up and reducing API cost.', cashEffect: 5, timeEffect: -3, positive: true }
+    ],
+    phase1: [
+        { title: 'Favorable Human PK', description: 'Human pharmacokinetics exceed predictions - longer half-life enables once-daily dosing.', cashEffect: 0, timeEffect: -3, riskBonus: 0.06, positive: true },
+        { title: 'Clinical Hold', description: 'An adverse event triggers FDA clinical hold. Dosing suspended pending investigation.', cashEffect: -5, timeEffect: 9, positive: false },
+        { title: 'Clean Safety Profile', description: 'Maximum tolerated dose established with mild, manageable side effects. No dose-limiting toxicities observed.', cashEffect: 0, timeEffect: 0, riskBonus: 0.05, positive: true },
+        { title: 'MTD Established', description: 'Phase I successfully establishes the recommended Phase II dose with acceptable tolerability.', cashEffect: 0, timeEffect: -2, riskBonus: 0.04, positive: true }
+    ],
+    phase2: [
+        { title: 'Enrollment Challenges', description: 'Competing trials and restrictive eligibility slow recruitment. Additional sites required.', cashEffect: -10, timeEffect: 9, positive: false },
+        { title: 'Competitor Failure', description: 'A competing Phase III program fails, creating opportunity for your differentiated approach.', cashEffect: 0, timeEffect: 0, riskBonus: 0.05, marketBonus: 1.2, positive: true },
+        { title: 'Partnership Offer', description: 'A large pharma proposes co-development: $100M upfront, shared costs, 50% profit share.', cashEffect: 100, obligation: { kind: 'profit_split', counterparty: 'Co-development partner', profitShare: 0.5 }, positive: true, isPartnership: true }
+    ],
+    phase3: [
+        { title: 'Supply Chain Disruption', description: 'Critical raw material shortages threaten clinical supply. Emergency supplier qualification required.', cashEffect: -25, timeEffect: 6, positive: false },
+        { title: 'Label Expansion Signal', description: 'Subgroup analyses suggest efficacy in additional population, increasing market opportunity.', marketBonus: 1.3, positive: true }
+    ],
+    fda_review: [
+        { title: 'Advisory Committee Split', description: 'The Advisory Committee votes 8-7 in favor. Approval likely but label negotiations may be difficult.', cashEffect: 0, timeEffect: 3, positive: false },
+        { title: 'Priority Review Granted', description: 'FDA grants Priority Review, reducing timeline from ten months to six.', cashEffect: 0, timeEffect: -4, positive: true }
+    ],
+    post_market: [
+        { title: 'Real-World Evidence Positive', description: 'Post-market studies confirm efficacy and safety in broader patient population.', cashEffect: 0, timeEffect: 0, riskBonus: 0.02, positive: true },
+        { title: 'Safety Signal Detected', description: 'MedWatch reports identify a rare adverse event requiring label update and risk communication.', cashEffect: -5, timeEffect: 3, positive: false }
+    ]
+};
+
+// Modality-specific events - "Modalities fail in predictable, non-random ways"
+export const MODALITY_EVENTS: Record<string, Record<string, DevelopmentEvent[]>> = {
+    'small-molecule': {
+        lead_optimization: [
+            { title: 'CYP Liability Discovered', description: 'Your compound is a strong CYP3A4 inhibitor, creating drug-drug interaction concerns. Must redesign the scaffold.', cashEffect: -8, timeEffect: 9, positive: false, failureMode: 'Metabolic liabilities' },
+            { title: 'Selectivity Achieved', description: 'Medicinal chemistry achieves 100-fold selectivity over related kinases. Clean safety profile expected.', cashEffect: 0, timeEffect: -3, riskBonus: 0.06, positive: true }
+        ],
+        phase1: [
+            { title: 'No PD Shift Despite Clean PK', description: 'Your drug shows excellent PK, but pathway biomarkers don\'t move. The target may not be causal in humans.', cashEffect: -5, timeEffect: 6, riskBonus: -0.15, positive: false, failureMode: 'Target not causal' }
+        ],
+        phase2: [
+            { title: 'Narrow Therapeutic Window', description: 'Efficacious doses are close to toxic doses. Dose optimization becomes difficult.', cashEffect: -10, timeEffect: 6, riskBonus: -0.08, positive: false, failureMode: 'Narrow therapeutic window' }
+        ]
+    },
+    'biologic': {
+        lead_optimization: [
+            { title: 'Affinity Maturation Success', description: 'Phage display generates antibodies with sub-nanomolar affinity. Strong target binding confirmed.', cashEffect: 0, timeEffect: -6, riskBonus: 0.05, positive: true },
+            { title: 'Poor Tissue Penetration', description: 'Large molecule size limits tumor penetration. Consider antibody fragment or alternative format.', cashEffect: -5, timeEffect: 6, riskBonus: -0.05, positive: false, failureMode: 'Poor tissue penetration' }
+        ],
+        phase1: [
+            { title: 'Anti-Drug Antibodies (ADA)', description: 'Patients develop neutralizing antibodies, reducing efficacy over time.', cashEffect: -8, timeEffect: 6, riskBonus: -0.10, positive: false, failureMode: 'Immunogenicity' }
+        ],
+        phase2: [
+            { title: 'Target Neutralized But No Benefit', description: 'Complete target suppression confirmed, but no clinical improvement. Biology redundancy suspected.', cashEffect: -15, timeEffect: 6, riskBonus: -0.12, positive: false, failureMode: 'Biology redundancy' }
+        ]
+    },
+    'gene-therapy': {
+        ind_enabling: [
+            { title: 'Pre-existing AAV Immunity', description: '40% of screened patients have neutralizing antibodies. Patient pool significantly reduced.', cashEffect: -10, timeEffect: 6, riskBonus: -0.08, positive: false, failureMode: 'Pre-existing immunity' },
+            { title: 'Novel Capsid Success', description: 'Your engineered capsid evades pre-existing immunity and shows enhanced tissue tropism.', cashEffect: 0, timeEffect: -6, riskBonus: 0.08, positive: true }
+        ],
+        phase1: [
+            { title: 'Dose-Limiting Toxicity', description: 'Hepatotoxicity at therapeutic doses. Maximum tolerated dose may be below efficacious threshold.', cashEffect: -15, timeEffect: 9, riskBonus: -0.12, positive: false, failureMode: 'Dose-limiting toxicity' }
+        ],
+        phase2: [
+            { title: 'Transgene Expression Waning', description: 'Initial robust expression has declined 60% at 18-month follow-up. Durability is the key question.', cashEffect: -10, timeEffect: 12, riskBonus: -0.10, positive: false, failureMode: 'Loss of expression' }
+        ]
+    },
+    'cell-therapy': {
+        ind_enabling: [
+            { title: 'Manufacturing Complexity', description: 'Vein-to-vein time exceeds 21 days. Some patients progress before receiving cells.', cashEffect: -15, timeEffect: 9, riskBonus: -0.06, positive: false, failureMode: 'Manufacturing' },
+            { title: 'Allogeneic Platform Ready', description: 'Off-the-shelf approach eliminates autologous manufacturing delays. Per-patient costs drop dramatically.', cashEffect: 0, timeEffect: -9, riskBonus: 0.08, positive: true }
+        ],
+        phase1: [
+            { title: 'Cytokine Release Syndrome', description: 'Grade 3-4 CRS in 30% of patients. Two ICU admissions. Safety management protocol required.', cashEffect: -10, timeEffect: 6, positive: false, failureMode: 'CRS' }
+        ],
+        phase2: [
+            { title: 'Lack of Persistence', description: 'CAR-T cells not detected after 3 months. Responses are not durable. Antigen escape emerging.', cashEffect: -15, timeEffect: 9, riskBonus: -0.12, positive: false, failureMode: 'Limited persistence' }
+        ]
+    }
+};
+
+// Policy events - exploring the Biotech Social Contract
+export const POLICY_EVENTS: PolicyEvent[] = [
+    {
+        id: 'price_controls',
+        title: 'Price Control Legislation',
+        description: 'Congress is debating legislation that would impose international reference pricing on pharmaceuticals, capping U.S. prices at levels paid in other developed countries. You are asked to testify on the potential impact on innovation.',
+        options: [
+            { text: 'Support the legislation as written', value: 'support' },
+            { text: 'Oppose the legislation', value: 'oppose' },
+            { text: 'Propose alternative reforms', value: 'alternative' }
+        ],
+        aftermath: {
+            support: {
+                title: 'Three Years Later',
+                effects: [
+                    'Venture capital investment in early-stage biotechnology declined 40%',
+                    'Your Series B financing failed as investors reallocated to other sectors',
+                    'Multiple rare disease programs were terminated industry-wide',
+                    'Drug prices declined 25%, but the pipeline of innovative therapies contracted'
+                ],
+                lesson: 'Price controls reduce expected returns on the small fraction of drugs that succeed. Because roughly 93% of drugs entering clinical trials fail, investors need successful drugs to generate returns sufficient to compensate for the failures. When you cap the upside, the expected value of drug development falls below the threshold required to attract capital. The result is not lower-priced innovation-it is less innovation.',
+                marketEffect: -0.4
+            },
+            oppose: {
+                title: 'Three Years Later',
+                effects: [
+                    'The federal legislation failed, but public frustration intensified',
+                    'Multiple states enacted independent price control measures',
+                    'Your company became a target for activist campaigns and political attention',
+                    'Regulatory and political risk became primary investor concerns'
+                ],
+                lesson: 'Opposing reform without offering alternatives is not sustainable. The pharmaceutical industry must demonstrate that it is honoring its social contract-developing drugs that will eventually go generic and become affordable for all-while ensuring that today\'s patients can access the medicines they need. Failure to address legitimate public concerns invites blunt policy responses.',
+                marketEffect: -0.15
+            },
+            alternative: {
+                title: 'Three Years Later',
+                effects: [
+                    'Outcomes-based contracts became more prevalent across the industry',
+                    'Drug prices remained linked to demonstrated clinical value',
+                    'Investment in innovation continued as incentives were preserved',
+                    'Patient access improved through innovative affordability programs'
+                ],
+                lesson: 'The sustainable path forward aligns prices with the value patients actually receive. Outcomes-based contracting, transparent pricing, and robust patient access programs can preserve innovation incentives while addressing affordability. This requires investment in real-world evidence infrastructure and good-faith engagement between all stakeholders.',
+                marketEffect: 0
+            }
+        }
+    },
+    {
+        id: 'social_contract',
+        title: 'The Biotech Social Contract',
+        description: 'A congressional hearing examines drug pricing. The biotech social contract: companies develop new medicines that will go generic without undue delay, while society provides insurance with low out-of-pocket costs so patients can afford what their doctors prescribe. But some argue the contract is being violated, from both sides. You are asked to testify.',
+        options: [
+            { text: 'Call for price controls on all branded medicines', value: 'price_controls' },
+            { text: 'Defend the status quo without acknowledging problems', value: 'defend' },
+            { text: 'Propose targeted reforms that preserve innovation', value: 'reform' }
+        ],
+        aftermath: {
+            price_controls: {
+                title: 'Five Years Later',
+                effects: [
+                    'Price controls reduced expected returns on the small fraction of drugs that succeed',
+                    'Because ~93% of drugs fail, investors needed successful drugs to compensate for failures, but the upside was capped',
+                    'Venture capital investment in early-stage biotechnology declined 40%',
+                    'Your Series B financing failed as investors reallocated to sectors where risk-adjusted returns were achievable',
+                    'Drug prices fell 25%, but the pipeline of innovative therapies contracted significantly'
+                ],
+                lesson: 'The result of capping the upside is not lower-priced innovation, it is less innovation. Capital is mobile. When returns become inadequate for the risks involved, investment doesn\'t persist heroically, it flows to sectors where risk-adjusted returns are achievable. The diseases that most need new treatments are often the hardest to develop for.',
+                marketEffect: -0.4
+            },
+            defend: {
+                title: 'Three Years Later',
+                effects: [
+                    'Public frustration intensified as some companies continued raising prices on old drugs',
+                    'Congress passed blunt price control legislation that touched even novel medicines',
+                    'The industry lost the political capital needed to preserve innovation incentives',
+                    'Your company faced reputational damage despite being a genuine innovator'
+                ],
+                lesson: 'When some companies raise prices on old drugs or extend exclusivity through patent thickets rather than genuine innovation, they break the biotech social contract. Defending bad actors, the Landlords who seek rents rather than building new medicines, erodes the political capital that Builders need to maintain innovation incentives for everyone.',
+                marketEffect: -0.3
+            },
+            reform: {
+                title: 'Three Years Later',
+                effects: [
+                    'Insurance reforms capped out-of-pocket costs, patients could afford prescribed medicines without paying twice',
+                    'Price controls were applied only to old drugs that failed to go generic on schedule, ending rent-seeking',
+                    'Novel medicines retained market-based pricing during their exclusivity period, preserving R&D incentives',
+                    'Investment in innovation remained strong as the rules became clearer and fairer'
+                ],
+                lesson: 'We don\'t have to choose between affordability and innovation. The biotech social contract works when both sides keep their end of the deal: (1) cap out-of-pocket costs, we already paid through premiums, no one should pay twice, (2) ensure drugs go generic on schedule, we should celebrate generics, they become part of our armory at affordable prices, (3) preserve market incentives for novel drugs during exclusivity, that\'s what funds the 93% that fail. Drugs go generic; hospitals don\'t. That\'s why inventing medicines is so valuable.',
+                marketEffect: 0.1
+            }
+        }
+    }
+];
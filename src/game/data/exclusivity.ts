@@ -0,0 +1,39 @@
+/**
+ * EXCLUSIVITY - The Long Journey
+ *
+ * US patent and regulatory exclusivity terms that decide how long a drug
+ * sells as a brand before generics or biosimilars arrive. The clock these
+ * run on is the program's own (see engine/exclusivity).
+ */
+
+// The composition-of-matter patent is filed once research has found something worth protecting
+export const PATENT_FILING_PHASE = 'basic_research';
+
+// 20 years from filing (35 U.S.C. 154)
+export const PATENT_TERM_MONTHS = 240;
+
+// Hatch-Waxman patent term extension (35 U.S.C. 156): half the time from
+// IND to NDA plus all of FDA review, at most 5 years, and never more than
+// 14 years of patent life left at approval
+export const PATENT_TERM_EXTENSION = {
+    testingShare: 0.5,
+    reviewShare: 1,
+    maxMonths: 60,
+    maxAfterApprovalMonths: 168,
+};
+
+// Milestones on the program's clock, by the phase whose gate marks them
+export const IND_PHASE = 'ind_enabling';
+export const NDA_PHASE = 'phase3';
+export const APPROVAL_PHASE = 'fda_review';
+
+// Regulatory exclusivity from approval, whatever the patents say
+export const REGULATORY_EXCLUSIVITY = {
+    nce: { months: 60, label: 'New chemical entity exclusivity', detail: '5 years before a generic application can be filed' },
+    biologic: { months: 144, label: 'Biologic exclusivity', detail: '12 years before a biosimilar can be approved (BPCIA)' },
+    orphan: { months: 84, label: 'Orphan drug exclusivity', detail: '7 years for the rare-disease indication' },
+};
+
+// Completing the pediatric studies FDA asks for adds 6 months to every
+// patent and exclusivity the drug holds (BPCA)
+export const PEDIATRIC_EXCLUSIVITY_MONTHS = 6;
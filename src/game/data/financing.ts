@@ -0,0 +1,274 @@
+/**
+ * FINANCING - The Long Journey
+ *
+ * Venture rounds, alternative (non-VC) financing and exit strategies.
+ */
+
+import { FinancingRound, AlternativeFinancing, ExitStrategy, MarketMood, RateRegime } from '@/types/Game.types';
+
+// Financing rounds - biotech capital progression
+// Standard biotech financing ranges (source: industry data)
+export const FINANCING_ROUNDS: FinancingRound[] = [
+    {
+        id: 'seed',
+        name: 'Seed',
+        amount: 5,
+        dilution: 20,
+        shareClass: 'preferred',
+        liquidationPreference: 1,
+        description: 'Angel/seed funding to validate target biology and generate early data',
+        typicalPhase: 'basic_research',
+        investorExpectation: 'Target validation, initial compound screening, team formation',
+        nextMilestone: 'Data package compelling enough to raise Series A'
+    },
+    {
+        id: 'series_a',
+        name: 'Series A',
+        amount: 40,
+        dilution: 30,
+        shareClass: 'preferred',
+        liquidationPreference: 1,
+        description: 'First institutional round to advance through lead optimization',
+        typicalPhase: 'drug_discovery',
+        investorExpectation: 'Candidate nomination, IND-enabling studies, clear development path',
+        nextMilestone: 'IND filing and Phase I initiation'
+    },
+    {
+        id: 'series_b',
+        name: 'Series B',
+        amount: 80,
+        dilution: 25,
+        shareClass: 'preferred',
+        liquidationPreference: 1,
+        description: 'Fund Phase I/II clinical trials and generate proof-of-concept',
+        typicalPhase: 'phase1',
+        investorExpectation: 'Clean Phase I safety, biomarker evidence of target engagement',
+        nextMilestone: 'Phase II efficacy data'
+    },
+    {
+        id: 'series_c',
+        name: 'Series C / Crossover',
+        amount: 150,
+        dilution: 20,
+        shareClass: 'preferred',
+        liquidationPreference: 1,
+        description: 'Late-stage private round or crossover investors ahead of pivotal trials',
+        typicalPhase: 'phase2',
+        investorExpectation: 'Positive Phase II data, clear regulatory path to approval',
+        nextMilestone: 'Phase III initiation or IPO'
+    },
+    {
+        id: 'ipo',
+        name: 'IPO',
+        amount: 250,
+        dilution: 20,
+        shareClass: 'common',
+        liquidationPreference: 0,
+        convertsPreferred: true,
+        description: 'Public offering to fund pivotal Phase III trials and commercial prep',
+        typicalPhase: 'phase3',
+        investorExpectation: 'De-risked Phase III program, clear path to market',
+        nextMilestone: 'FDA approval and commercial launch'
+    }
+];
+
+// Alternative financing options - based on Fierce Biotech 2024 industry analysis
+// These become available when traditional VC rounds are exhausted
+export const ALTERNATIVE_FINANCING: AlternativeFinancing[] = [
+    {
+        id: 'partnership',
+        name: 'Strategic Partnership',
+        description: 'Partner with large pharma for ex-US rights',
+        amount: 75,
+        tradeoff: 'Lose 50% of ex-US commercial rights',
+        instrument: 'partnership',
+        obligation: {
+            kind: 'territory',
+            counterparty: 'Pharma partner',
+            territory: 'Half of ex-US rights',
+            territoryShare: 0.25,       // Ex-US is about half of worldwide sales
+        },
+        minPhase: 'phase1', // Available after Phase I data
+        lesson: 'Strategic partnerships are common in biotech. Partners provide capital and commercial infrastructure in exchange for territorial rights. This is how many small biotechs fund late-stage development.'
+    },
+    {
+        id: 'royalty',
+        name: 'Royalty Financing',
+        description: 'Sell future revenue rights for upfront capital',
+        amount: 50,
+        tradeoff: '6% royalty on net sales (4% above $500M a year), capped at 3x',
+        instrument: 'royalty',
+        obligation: {
+            kind: 'royalty',
+            counterparty: 'Royalty fund',
+            tiers: [
+                { upTo: 500, rate: 0.06 },
+                { upTo: null, rate: 0.04 },
+            ],
+            capMultiple: 3,             // Synthetic royalties typically stop at 2-3x
+        },
+        minPhase: 'phase2', // Need Phase II data
+        lesson: 'Royalty financing is non-dilutive - you keep your equity. But you permanently give up a portion of future revenues. ~90% of biotech executives consider this option.'
+    },
+    {
+        id: 'licensing',
+        name: 'Territory Licensing Deal',
+        description: 'License rights to specific geography',
+        amount: 40,
+        tradeoff: 'Lose all rights to Asia-Pacific region',
+        instrument: 'license',
+        obligation: {
+            kind: 'territory',
+            counterparty: 'Regional licensee',
+            territory: 'Asia-Pacific',
+            territoryShare: 0.30,
+        },
+        minPhase: 'phase1',
+        lesson: 'Territory licensing deals are common for biotechs lacking global commercial presence. You trade market access for capital to continue development.'
+    },
+    {
+        id: 'venture_debt',
+        name: 'Venture Debt',
+        description: 'Non-dilutive debt financing',
+        amount: 30,
+        tradeoff: '12% interest + warrants',
+        instrument: 'debt',
+        debtTerms: {
+            interestRate: 0.12,
+            interestOnlyMonths: 12,
+            amortizationMonths: 30,
+            warrantCoverage: 0.10,      // Typical 5-15% of the loan
+            minimumCash: 15,
+            waiverFee: 0.05,
+        },
+        minPhase: 'drug_discovery', // Available early
+        lesson: 'Venture debt extends runway without dilution, but requires repayment. Works best when you expect near-term value inflection.'
+    },
+    {
+        id: 'pipe',
+        name: 'PIPE Financing',
+        description: 'Private Investment in Public Equity',
+        amount: 80,
+        tradeoff: '15% additional dilution at discount',
+        instrument: 'equity',
+        dilution: 15,
+        minPhase: 'phase3', // Post-IPO only
+        requiresIPO: true,
+        lesson: 'PIPE deals provide emergency capital for public companies at a discount to market price. Common when share prices have fallen.'
+    }
+];
+
+// Exit strategies - offered after the gates in offerAfter (see engine/exits)
+export const EXIT_STRATEGIES: ExitStrategy[] = [
+    {
+        type: 'ipo',
+        name: 'IPO',
+        description: 'Go public to fund Phase III and beyond',
+        timing: 'Typically after positive Phase II data',
+        typical: 'First-in-class programs with large market potential',
+        offerAfter: ['phase2', 'phase3'],
+    },
+    {
+        type: 'acquisition',
+        name: 'Acquisition by Large Pharma',
+        description: 'Pharma acquires company for strategic asset',
+        timing: 'Often after Phase II proof-of-concept',
+        typical: 'Programs that complement acquirer\'s pipeline',
+        offerAfter: ['phase2'],
+    },
+    {
+        type: 'partnership',
+        name: 'Strategic Partnership',
+        description: 'Ex-US or co-development deal with large pharma',
+        timing: 'Can occur at any stage',
+        typical: 'Programs needing commercial infrastructure or capital'
+    },
+    {
+        type: 'merger',
+        name: 'Merger with Complementary Biotech',
+        description: 'Combine with another biotech to create diversified portfolio',
+        timing: 'Usually pre-revenue to share risk',
+        typical: 'Platform companies seeking critical mass',
+        offerAfter: ['phase1'],
+    }
+];
+
+export const ACQUIRERS = ['Meridian Pharma', 'Halvorsen Therapeutics', 'Castellan Bio', 'Northgate Pharmaceuticals', 'Aurelius Health'];
+
+export const MERGER_PARTNERS = ['Lumen Biosciences', 'Kestrel Therapeutics', 'Solace Bio', 'Verity Genomics'];
+
+// Control premium an acquirer pays over the program's rNPV (biotech M&A, 2015-2024)
+export const ACQUISITION_PREMIUM = { min: 1.2, max: 1.8 };
+
+// Share of the acquisition price held back as a CVR, paid only on approval
+export const CVR_SHARE = 0.3;
+
+// Merger partner's value relative to ours, and the cost savings of combining
+export const MERGER_PARTNER_SIZE = { min: 0.6, max: 1.5 };
+export const MERGER_SYNERGY = 1.1;
+
+// Biotech equity markets run in cycles. The mood shifts a quarter at a time
+// along the chain in `next` (a hot or cold spell lasts about two and a half
+// years) and prices every equity round struck while it lasts. weight is the
+// odds of the market a company is founded into.
+export const MARKET_MOODS: Record<MarketMood, {
+    weight: number;
+    windowOdds: number;         // Odds the IPO window is open
+    valuation: number;          // Listing value against rNPV
+    roundSize: number;          // Venture round size against FINANCING_ROUNDS
+    dilution: number;           // Share sold against FINANCING_ROUNDS
+    next: Record<MarketMood, number>;
+    label: string;
+}> = {
+    hot: {
+        weight: 0.25, windowOdds: 0.9, valuation: 1.4, roundSize: 1.3, dilution: 0.75,
+        next: { hot: 0.9, neutral: 0.1, cold: 0 },
+        label: 'Hot: generalists are buying biotech',
+    },
+    neutral: {
+        weight: 0.5, windowOdds: 0.6, valuation: 1.0, roundSize: 1, dilution: 1,
+        next: { hot: 0.05, neutral: 0.9, cold: 0.05 },
+        label: 'Neutral: specialists only',
+    },
+    cold: {
+        weight: 0.25, windowOdds: 0.2, valuation: 0.7, roundSize: 0.7, dilution: 1.4,
+        next: { hot: 0, neutral: 0.1, cold: 0.9 },
+        label: 'Cold: XBI down, follow-ons pulled',
+    },
+};
+
+// Interest rates move more slowly than sentiment. Cheap money swells rounds
+// and cheapens venture debt; dear money does the opposite.
+export const RATE_REGIMES: Record<RateRegime, {
+    weight: number;
+    debtRate: number;           // Added to the lender's interest rate
+    roundSize: number;
+    next: Record<RateRegime, number>;
+    label: string;
+}> = {
+    low: {
+        weight: 0.3, debtRate: -0.03, roundSize: 1.1,
+        next: { low: 0.95, normal: 0.05, high: 0 },
+        label: 'Low rates: money is cheap',
+    },
+    normal: {
+        weight: 0.4, debtRate: 0, roundSize: 1,
+        next: { low: 0.025, normal: 0.95, high: 0.025 },
+        label: 'Normal rates',
+    },
+    high: {
+        weight: 0.3, debtRate: 0.04, roundSize: 0.9,
+        next: { low: 0, normal: 0.05, high: 0.95 },
+        label: 'High rates: investors can earn 5% in T-bills',
+    },
+};
+
+// Months between moves of the market climate
+export const CLIMATE_STEP_MONTHS = 3;
+
+// A round never sells more than this share of the company, however cold the market
+export const MAX_ROUND_DILUTION = 45;
+
+// Window odds move with the data: programs whose rNPV exceeds the capital
+// sunk into them are easier to sell
+export const IPO_DATA_BONUS = 0.15;
@@ -0,0 +1,30 @@
+/**
+ * IRA - The Long Journey
+ *
+ * Medicare drug price negotiation under the Inflation Reduction Act (2022):
+ * when a drug's negotiated price takes effect, how far below the brand
+ * price it can go, and which drugs are left out. The rules applying them
+ * live in engine/ira.
+ */
+
+// Years from approval until the negotiated price takes effect. Small
+// molecules get four fewer years than biologics: the "pill penalty"
+export const NEGOTIATION_DELAY_YEARS = {
+    smallMolecule: 9,
+    biologic: 13,
+};
+
+// Ceiling on the negotiated price, as a cut from the brand's net price,
+// by years since approval (42 U.S.C. 1320f-3(c))
+export const MAX_FAIR_PRICE_CUTS = [
+    { fromYear: 0, cut: 0.25 },
+    { fromYear: 12, cut: 0.35 },
+    { fromYear: 16, cut: 0.6 },
+];
+
+// Drugs approved only for rare diseases are excluded from negotiation
+// (IRA orphan exclusion, widened to several orphan indications in 2025)
+export const ORPHAN_EXCLUSION = 'orphan';
+
+// Medicare share for an indication missing from the table
+export const DEFAULT_MEDICARE_SHARE = 0.3;
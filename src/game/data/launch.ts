@@ -0,0 +1,126 @@
+/**
+ * LAUNCH - The Long Journey
+ *
+ * What it costs and takes to sell an approved drug in its first years:
+ * the sales force fielded, the deal struck with payers, discounts by
+ * channel and the cost of making each modality. Market size sets the
+ * scale (see MARKET_SIZE_DATA); the rules playing a launch out quarter by
+ * quarter live in engine/launch.
+ */
+
+import { LaunchSalesForce, LaunchPayerStrategy, LaunchRoyalty } from '@/types/Game.types';
+
+// Quarters the player runs the launch before the drug's story is told
+export const LAUNCH_QUARTERS = 12;
+
+// Quarters a fully supported launch takes to reach peak sales, as the
+// revenue model's five-year ramp
+export const RAMP_QUARTERS = 20;
+
+// A sales rep, fully loaded with car, samples and management ($M a year)
+export const REP_COST = 0.25;
+
+// Launch marketing runs at full weight for the first year, then halves.
+// It is sized to the field force it supports.
+export const MARKETING_FULL_QUARTERS = 4;
+export const MARKETING_TAPER = 0.5;
+
+// How prescribers take to the drug, drawn once at launch
+export const RECEPTION_RANGE = { min: 0.7, max: 1.3 };
+
+// Sales forces, as a share of the market's full field force
+export const SALES_FORCES: LaunchSalesForce[] = [
+    {
+        id: 'lean',
+        name: 'Lean',
+        share: 0.4,
+        reach: 0.6,
+        speed: 0.8,
+        description: 'Cover the top prescribers only and let the rest find the drug',
+    },
+    {
+        id: 'targeted',
+        name: 'Targeted',
+        share: 0.7,
+        reach: 0.85,
+        speed: 1,
+        description: 'Reps in the specialist centers that treat most patients',
+    },
+    {
+        id: 'full',
+        name: 'Full',
+        share: 1,
+        reach: 1,
+        speed: 1.2,
+        description: 'A national field force calling on every prescriber',
+    },
+];
+
+// Commercial contracts with PBMs and insurers. Government channels pay
+// by statute whatever is agreed here.
+export const PAYER_STRATEGIES: LaunchPayerStrategy[] = [
+    {
+        id: 'premium',
+        name: 'Premium price',
+        coverage: 0.85,
+        commercialDiscount: 0.25,
+        uptake: 0.85,
+        description: 'Hold the price; step edits and prior authorization keep some patients off',
+    },
+    {
+        id: 'balanced',
+        name: 'Balanced',
+        coverage: 1,
+        commercialDiscount: 0.48,
+        uptake: 1,
+        description: 'Standard rebates for preferred status on most formularies',
+    },
+    {
+        id: 'access',
+        name: 'Broad access',
+        coverage: 1.15,
+        commercialDiscount: 0.58,
+        uptake: 1.2,
+        description: 'Deep rebates for first-line, unrestricted coverage',
+    },
+];
+
+// Discounts off list that government channels take by statute: Medicare
+// Part D rebates and the Medicaid best-price rebate (Drug Channels, 2025)
+export const CHANNEL_DISCOUNTS = {
+    medicare: 0.45,
+    medicaid: 0.65,
+};
+
+// Share of an indication's patients covered by Medicaid
+export const MEDICAID_SHARE = 0.15;
+
+// Cost of goods as a share of list-price sales: cheap pills, costlier
+// cell culture, viral vectors and patient-by-patient manufacturing
+export const COGS_SHARE: Record<string, number> = {
+    'small-molecule': 0.03,
+    'biologic': 0.08,
+    'genetic-medicine': 0.12,
+    'cell-therapy': 0.18,
+};
+
+export const DEFAULT_COGS_SHARE = 0.08;
+
+// Revenue interest financing once the drug is approved: a royalty fund
+// pays upfront for a tiered cut of net sales. Commercial-stage deals are
+// sized off the drug's peak and capped lower than development-stage
+// royalties, since the risk left is sales, not science.
+export const LAUNCH_ROYALTY: LaunchRoyalty = {
+    id: 'launch_royalty',
+    name: 'Revenue Interest Financing',
+    peakSalesShare: 0.3,
+    obligation: {
+        kind: 'royalty',
+        counterparty: 'Commercial royalty fund',
+        tiers: [
+            { upTo: 500, rate: 0.08 },
+            { upTo: null, rate: 0.03 },
+        ],
+        capMultiple: 1.8,
+    },
+};
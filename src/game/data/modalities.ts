@@ -0,0 +1,468 @@
+/**
+ * MODALITIES - The Long Journey
+ *
+ * Modality profiles, modality-specific phase context and failure modes,
+ * modality/indication and modality/program fit, and post-approval access
+ * challenges. Moved out of TheLongGame.jsx so the engine can run headlessly.
+ */
+
+import {
+    ModalityProfile,
+    ModalityPhaseContext,
+    ModalityFailureMode,
+    ModalityFit,
+    ProgramFit,
+    AccessChallenge,
+    Platform,
+    PlatformLeverage,
+    RiskMeters,
+} from '@/types/Game.types';
+
+// Modality-specific data: failure modes, biomarkers, and disease fit
+// Based on: "Modalities fail in predictable, non-random ways. 
+// Choosing a modality is choosing your risk profile before you ever choose a target."
+// 5-Class Failure Framework:
+// 1. Biology risk (does the intervention do what we think?)
+// 2. Chemistry/Engineering risk (can we make and control it?)
+// 3. Delivery risk (does it reach the site of action?)
+// 4. Safety risk (what breaks when it works?)
+// 5. Clinical/Translational risk (does human biology diverge?)
+export const MODALITY_DATA: Record<string, ModalityProfile> = {
+    'small-molecule': {
+        displayName: 'Small Molecule',
+        description: 'Traditional chemistry-based drugs. Oral delivery possible. HTS and medicinal chemistry.',
+        dominantFailure: 'Selectivity & toxicity',
+        failureModes: [
+            'Insufficient target engagement in humans (Biology)',
+            'Off-target toxicity due to promiscuous binding (Safety)',
+            'Metabolic liabilities - CYP induction/inhibition (Chemistry)',
+            'Narrow therapeutic window (Safety)',
+            'Resistance mutations in oncology (Biology)'
+        ],
+        biologyRisk: 'Moderate - well-understood pharmacology',
+        chemistryRisk: 'High - lead optimization difficulty, ADME/Tox issues',
+        deliveryRisk: 'Low - broad intracellular exposure, oral possible',
+        safetyRisk: 'Moderate - off-target binding predictable from structure',
+        translationalRisk: 'Moderate - species differences in metabolism',
+        goNoGoBiomarker: 'Target occupancy + pathway PD',
+        commonFailureSignal: 'Clean PK but no PD shift → target not causal',
+        keyDrivers: ['Lead optimization difficulty', 'ADME/Tox issues', 'Large Phase 3 trials (chronic indications)'],
+        biggestCapitalSinks: ['Clinical trials (Phase 2→3)', 'Preclinical toxicology', 'Medicinal chemistry & DMPK'],
+        platformEffect: 'Limited - chemistry skills reusable but each target requires bespoke optimization',
+        speedUps: ['Clear target with biomarker', 'Drug repurposing', 'Strong predictive animal models'],
+        bestFitDiseases: ['CNS', 'Cardiovascular', 'Metabolic', 'Infectious'],
+        poorFitDiseases: ['One-time curative intent', 'Extracellular protein replacement'],
+        timeline: '8-12 years',
+        capitalRange: '$200M-$800M'
+    },
+    'biologic': {
+        displayName: 'Biologic',
+        description: 'Antibodies, therapeutic proteins. Injection/infusion delivery. Protein engineering.',
+        dominantFailure: 'Biology redundancy / pathway compensation',
+        failureModes: [
+            'Poor tissue penetration - solid tumors, CNS (Delivery)',
+            'Target redundancy / pathway compensation (Biology)',
+            'Anti-drug antibodies - ADA/immunogenicity (Safety)',
+            'Lack of efficacy despite strong target binding (Biology)'
+        ],
+        biologyRisk: 'High - target biology may not translate from preclinical',
+        chemistryRisk: 'Moderate - CMC scale-up, GMP bioreactors',
+        deliveryRisk: 'Moderate - IV/SC administration, poor CNS penetration',
+        safetyRisk: 'Low-Moderate - immunogenicity main concern',
+        translationalRisk: 'High - solid tumor vs hematologic, patient recruitment complexity',
+        goNoGoBiomarker: 'Sustained ligand suppression',
+        commonFailureSignal: 'Complete target neutralization with no clinical benefit',
+        keyDrivers: ['Target biology (solid tumor vs hematologic)', 'Combination studies needed', 'Immunogenicity', 'Patient recruitment complexity'],
+        biggestCapitalSinks: ['Phase 2/3 trials', 'Biologics CMC scale-up', 'Cell line development', 'GMP bioreactors'],
+        platformEffect: 'Significant - antibody discovery, Fc engineering, platform CMC cut lead time & cost',
+        speedUps: ['Platform cell lines', 'Platform toxicology packages', 'Accelerated approval with biomarkers'],
+        bestFitDiseases: ['Autoimmune', 'Oncology (extracellular)', 'Rare diseases'],
+        poorFitDiseases: ['CNS (unless barrier disrupted)', 'Intracellular targets'],
+        timeline: '9-14 years',
+        capitalRange: '$400M-$1.5B'
+    },
+    'genetic-medicine': {
+        displayName: 'Genetic Medicine',
+        description: 'Gene therapy (AAV), siRNA/RNAi, CRISPR gene editing. Sequence-based therapeutics.',
+        dominantFailure: 'Delivery & durability',
+        failureModes: [
+            'Delivery failure to target tissue (Delivery)',
+            'Pre-existing immunity to viral vectors (Delivery)',
+            'Loss of expression/knockdown over time (Biology)',
+            'Off-target effects - genomic or transcriptomic (Safety)',
+            'Immune activation (Safety)'
+        ],
+        biologyRisk: 'Moderate - sequence-specific mechanisms well-understood',
+        chemistryRisk: 'High - viral vector or LNP manufacturing, specialized analytics',
+        deliveryRisk: 'Very High - tissue targeting is the key challenge',
+        safetyRisk: 'High - permanent changes (editing) or immune activation',
+        translationalRisk: 'High - durability in humans often differs from animal models',
+        goNoGoBiomarker: 'Target tissue expression/knockdown with acceptable safety',
+        commonFailureSignal: 'Strong activity in easy tissues (liver) but disease elsewhere',
+        keyDrivers: ['Delivery platform (AAV, LNP, GalNAc)', 'Tissue targeting', 'Durability of effect', 'Manufacturing capacity'],
+        biggestCapitalSinks: ['Vector/LNP manufacturing', 'Long-term follow-up studies', 'Delivery optimization'],
+        platformEffect: 'Strong for liver targets - other tissues require bespoke solutions',
+        speedUps: ['Liver-targeted indications', 'Platform delivery systems', 'Biomarker endpoints'],
+        bestFitDiseases: ['Rare monogenic (liver-expressed)', 'Genetic diseases with clear single-gene cause', 'Liver diseases'],
+        poorFitDiseases: ['CNS without specialized delivery', 'Polygenic diseases', 'Non-life-threatening conditions (for editing)'],
+        timeline: '7-14 years',
+        capitalRange: '$300M-$1.5B+'
+    },
+    'cell-therapy': {
+        displayName: 'Cell Therapy',
+        description: 'CAR-T, stem cells, engineered cells. Living drugs with patient-specific manufacturing.',
+        dominantFailure: 'Safety & manufacturing',
+        failureModes: [
+            'Cytokine release syndrome - CRS (Safety)',
+            'Neurotoxicity - ICANS (Safety)',
+            'Limited persistence or over-persistence (Biology)',
+            'Antigen escape / tumor heterogeneity (Biology)',
+            'Manufacturing failures / vein-to-vein time (Chemistry)'
+        ],
+        biologyRisk: 'Moderate - living, self-amplifying drugs',
+        chemistryRisk: 'Very High - autologous COGS, GMP manufacturing complexity',
+        deliveryRisk: 'Low-Moderate - direct infusion but logistics complex',
+        safetyRisk: 'Very High - CRS/ICANS require intensive management',
+        translationalRisk: 'High - complex clinical trial operations, long-term safety monitoring',
+        goNoGoBiomarker: 'CAR-T expansion correlates with response',
+        commonFailureSignal: 'Expansion without durability or safety control',
+        keyDrivers: ['Autologous vs allogeneic (manufacturing complexity)', 'CRS/ICANS safety management', 'Persistence vs exhaustion balancing', 'Logistics (vein-to-vein time)'],
+        biggestCapitalSinks: ['GMP manufacturing facilities', 'Release testing', 'Complex clinical trial operations', 'Long-term safety monitoring'],
+        platformEffect: 'Very high for allogeneic - once off-the-shelf product validated, per-program costs fall dramatically',
+        speedUps: ['Allogeneic approaches', 'Established manufacturing', 'Real-world evidence from prior CAR-T'],
+        bestFitDiseases: ['Hematologic cancers', 'Certain solid tumors (emerging)'],
+        poorFitDiseases: ['Chronic non-fatal diseases', 'Widespread systemic diseases'],
+        timeline: '8-15 years',
+        capitalRange: '$600M-$2B+'
+    }
+};
+
+// Modality-specific phase context overlay
+// Provides tailored descriptions and activities for early phases
+export const MODALITY_PHASE_CONTEXT: Record<string, ModalityPhaseContext> = {
+    'small-molecule': {
+        basic_research: {
+            context: 'Small molecule discovery begins with understanding disease biology and identifying druggable targets - typically enzymes, receptors, or ion channels with well-defined binding pockets. Target validation uses genetic knockdown/knockout studies, biochemical assays, and animal models to confirm that modulating the target affects disease.',
+            activities: ['Target druggability assessment', 'Binding pocket analysis', 'Genetic validation studies', 'Biochemical assay development', 'Hit-finding strategy']
+        },
+        drug_discovery: {
+            context: 'Hit identification uses high-throughput screening of compound libraries or computational design. Lead optimization balances potency, selectivity, metabolic stability, and oral bioavailability. Small molecules under 500 daltons can often achieve oral dosing - a major convenience advantage.',
+            activities: ['High-throughput screening', 'Medicinal chemistry optimization', 'ADMET profiling', 'Oral bioavailability testing', 'Candidate selection']
+        },
+        lead_optimization: {
+            context: 'Lead optimization refines drug-like properties through medicinal chemistry. ADME (absorption, distribution, metabolism, excretion) studies guide chemical modifications. The goal is a development candidate with optimal potency, selectivity, metabolic stability, and safety margin.',
+            activities: ['Medicinal chemistry optimization', 'ADME profiling', 'Metabolic stability studies', 'Formulation development', 'Candidate nomination']
+        },
+        ind_enabling: {
+            context: 'IND-enabling studies establish safety in two animal species and develop scalable manufacturing processes. GLP toxicology, safety pharmacology, and CMC documentation prepare for FDA submission.',
+            activities: ['GLP toxicology studies', 'Safety pharmacology', 'CMC development', 'IND package preparation', 'First-in-human dose selection']
+        }
+    },
+    'biologic': {
+        basic_research: {
+            description: 'Understanding disease biology and identifying antibody-accessible targets',
+            context: 'Biologic development begins with identifying extracellular or cell-surface targets accessible to large molecules. Target validation focuses on understanding pathway biology and potential redundancy - where blocking one pathway may be compensated by another. Antibody developability assessment is critical early.',
+            activities: ['Target pathway mapping', 'Redundancy assessment', 'Epitope identification', 'Developability screening', 'Format selection']
+        },
+        drug_discovery: {
+            description: 'Finding and engineering antibodies or proteins that interact with the target',
+            context: 'Antibody discovery uses phage display, transgenic mice, or single B-cell cloning. Lead optimization focuses on binding affinity, specificity, stability, and manufacturability. Unlike small molecules, biologics require injection or infusion - they cannot survive oral administration.',
+            activities: ['Antibody discovery campaign', 'Affinity maturation', 'Humanization', 'Stability engineering', 'Cell line development']
+        },
+        lead_optimization: {
+            description: 'Antibody engineering, PK optimization, formulation development',
+            context: 'Antibody engineering optimizes binding affinity, Fc effector function, and half-life. Cell line development establishes stable production clones. Formulation studies ensure protein stability during storage and delivery.',
+            activities: ['Fc engineering', 'Half-life extension', 'Cell line selection', 'Upstream/downstream process development', 'Formulation stability studies']
+        },
+        ind_enabling: {
+            description: 'Final safety testing, immunogenicity assessment, manufacturing scale-up',
+            context: 'Biologic IND-enabling includes GLP toxicology in relevant species (often non-human primates for humanized antibodies), immunogenicity assessment, and process validation. Manufacturing at clinical scale requires significant investment.',
+            activities: ['GLP toxicology in primates', 'Immunogenicity studies', 'Clinical manufacturing', 'Comparability studies', 'IND submission']
+        }
+    },
+    'genetic-medicine': {
+        basic_research: {
+            description: 'Understanding genetic basis of disease and validating therapeutic targets',
+            context: 'Genetic medicine development requires strong genetic validation linking gene modulation to disease. Human genetic evidence - natural loss-of-function or gain-of-function variants - provides the strongest validation. Delivery strategy and tissue targeting are critical early considerations.',
+            activities: ['Human genetic evidence review', 'Target gene validation', 'Delivery platform selection', 'Tissue targeting strategy', 'Sequence design']
+        },
+        drug_discovery: {
+            description: 'Designing genetic constructs and selecting optimal delivery vectors',
+            context: 'Genetic medicine optimization involves payload design (gene, antisense, siRNA, or editing construct), delivery vehicle engineering, and tissue targeting. Durability of expression and potential for re-dosing are key considerations. Pre-existing immunity to viral vectors can limit patient eligibility.',
+            activities: ['Payload optimization', 'Vector or delivery engineering', 'Tropism and targeting', 'Expression durability studies', 'Immunogenicity assessment']
+        },
+        lead_optimization: {
+            description: 'Vector engineering, biodistribution studies, expression optimization',
+            context: 'Genetic medicine optimization focuses on sequence engineering, delivery vehicle refinement, and manufacturing scalability. For siRNA/ASO, this includes chemical modifications for stability and targeting (e.g., GalNAc conjugation). For gene therapy, vector optimization improves transduction efficiency and reduces immunogenicity.',
+            activities: ['Sequence optimization', 'Delivery vehicle engineering', 'Chemical modifications (siRNA/ASO)', 'Manufacturing process development', 'Potency assay development']
+        },
+        ind_enabling: {
+            description: 'Biodistribution, vector shedding studies, GMP manufacturing',
+            context: 'Genetic medicine IND-enabling requires biodistribution studies, vector shedding analysis (for gene therapy), and long-term expression/safety monitoring. Manufacturing of GMP-grade material is complex and specialized.',
+            activities: ['Biodistribution studies', 'Vector shedding analysis', 'Long-term safety monitoring', 'GMP manufacturing', 'IND package preparation']
+        }
+    },
+    'cell-therapy': {
+        basic_research: {
+            description: 'Understanding target biology and defining therapeutic cell mechanism',
+            context: 'Cell therapy development begins with understanding target biology and defining the therapeutic mechanism - cytotoxicity, immune modulation, or tissue repair. Cell source strategy (autologous vs allogeneic) and engineering approach are foundational decisions that affect manufacturing complexity.',
+            activities: ['Target antigen validation', 'Cell source evaluation', 'Engineering strategy', 'Safety feature design', 'Persistence optimization']
+        },
+        drug_discovery: {
+            description: 'Designing cell engineering strategies and optimizing manufacturing protocols',
+            context: 'Cell engineering optimizes receptor design, signaling domains, and additional modifications. Manufacturing process development is critical - cell therapies are living products requiring specialized Good Manufacturing Practice facilities. Autologous products face patient-specific variability.',
+            activities: ['Receptor/construct design', 'Co-stimulatory optimization', 'Manufacturing process development', 'Potency assay development', 'Release testing strategy']
+        },
+        lead_optimization: {
+            description: 'Manufacturing scale-up, potency assays, cell characterization',
+            context: 'Cell therapy optimization refines the manufacturing process to ensure consistent product quality across patient materials. This includes optimizing transduction efficiency, expansion protocols, and cryopreservation. Potency assays must correlate with clinical activity.',
+            activities: ['Manufacturing process optimization', 'Transduction efficiency improvement', 'Expansion protocol refinement', 'Cryopreservation development', 'Potency assay validation']
+        },
+        ind_enabling: {
+            description: 'Manufacturing consistency, product characterization, safety validation',
+            context: 'Cell therapy IND-enabling focuses on demonstrating manufacturing consistency and product characterization. GLP toxicology is challenging for autologous products. Safety features (e.g., suicide genes) may be required.',
+            activities: ['Manufacturing consistency', 'Product characterization', 'GLP toxicology (as feasible)', 'Safety feature validation', 'IND submission']
+        }
+    }
+};
+
+// Modality-specific failure modes - why each type of drug fails
+export const MODALITY_FAILURE_MODES: Record<string, ModalityFailureMode> = {
+    'small-molecule': {
+        earlyPhase: 'Off-target toxicity or CYP450 interactions',
+        latePhase: 'Insufficient therapeutic window - efficacious dose too close to toxic dose',
+        commonIssue: 'Target engagement confirmed but no downstream clinical benefit - target may not be causal in humans'
+    },
+    'biologic': {
+        earlyPhase: 'Immunogenicity - anti-drug antibodies reduce efficacy',
+        latePhase: 'Complete target neutralization with no clinical improvement - biology is redundant',
+        commonIssue: 'Poor tissue penetration limits efficacy in solid tumors or CNS indications'
+    },
+    'gene-therapy': {
+        earlyPhase: 'Pre-existing immunity to viral vector limits eligible patient population',
+        latePhase: 'Transgene expression wanes over time - durability is the key question',
+        commonIssue: 'Dose-limiting hepatotoxicity at therapeutic doses'
+    },
+    'cell-therapy': {
+        earlyPhase: 'Manufacturing complexity - vein-to-vein time exceeds clinical window',
+        latePhase: 'Limited T-cell persistence and antigen escape lead to relapse',
+        commonIssue: 'Cytokine release syndrome and neurotoxicity require intensive monitoring'
+    }
+};
+
+// Modality-Indication Compatibility Matrix
+// Applies risk penalties for poor modality-indication fit
+// Based on real-world delivery and biology constraints
+// Enhanced with BCG New Drug Modalities Report 2024-2025 insights
+export const MODALITY_INDICATION_COMPATIBILITY: Record<string, Record<string, ModalityFit>> = {
+    // CNS diseases: which modalities can cross blood-brain barrier?
+    'CNS': {
+        'small-molecule': { penalty: 0, reason: 'Small molecules can cross blood-brain barrier - good fit' },
+        'biologic': { penalty: 25, reason: 'Large molecules cannot cross blood-brain barrier - poor CNS penetration', riskType: 'efficacy' },
+        'genetic-medicine': { penalty: 20, reason: 'CNS delivery challenging - requires intrathecal or novel vectors', riskType: 'efficacy' },
+        'cell-therapy': { penalty: 30, reason: 'Cell delivery to CNS extremely challenging', riskType: 'efficacy' }
+    },
+    // Rare/Genetic diseases: curative modalities shine
+    // BCG 2025: mAbs have largest rare-disease pipeline; gene therapies first approved for rare genetic diseases
+    'Rare/Genetic': {
+        'small-molecule': { penalty: 10, reason: 'May need lifelong dosing for genetic disease', riskType: 'design' },
+        'biologic': { penalty: 0, reason: 'Monoclonal antibodies have largest rare disease pipeline (BCG 2025) - protein replacement often curative' },
+        'genetic-medicine': { penalty: 0, reason: 'Ideal for monogenic diseases - curative potential, first approvals were rare genetic diseases' },
+        'cell-therapy': { penalty: 0, reason: 'Stem cell or gene-corrected cells excellent for rare diseases' }
+    },
+    // Metabolic diseases: liver targets, chronic dosing
+    // BCG 2025: GLP-1 peptides dominate blockbuster markets
+    'Metabolic': {
+        'small-molecule': { penalty: 0, reason: 'Oral dosing, liver targets - excellent fit' },
+        'biologic': { penalty: 0, reason: 'GLP-1 peptides dominate metabolic blockbusters (BCG 2025)' },
+        'genetic-medicine': { penalty: 0, reason: 'Liver-targeted siRNA/gene therapy excellent for metabolic' },
+        'cell-therapy': { penalty: 25, reason: 'Manufacturing complexity not justified for chronic metabolic diseases', riskType: 'design' }
+    },
+    // Oncology (hematologic): cell therapy and biologics excel
+    // BCG 2023: CAR-T first-in-class success validated cell therapy for heme malignancies
+    'Oncology (Hematologic)': {
+        'small-molecule': { penalty: 10, reason: 'May face resistance mutations', riskType: 'efficacy' },
+        'biologic': { penalty: 0, reason: 'Antibody-drug conjugates (ADCs), bispecifics highly effective - BCG highlights ADC growth' },
+        'genetic-medicine': { penalty: 15, reason: 'Limited oncology applications for genetic medicine', riskType: 'design' },
+        'cell-therapy': { penalty: 0, reason: 'CAR-T first-in-class for heme malignancies (BCG 2023) - revolutionary success' }
+    },
+    // Oncology (solid): harder than heme - ADCs emerging
+    // BCG 2024: ADCs showing significant growth in solid tumor pipeline
+    'Oncology (Solid Tumor)': {
+        'small-molecule': { penalty: 0, reason: 'Oral tyrosine kinase inhibitors still backbone of therapy' },
+        'biologic': { penalty: 5, reason: 'ADCs gaining traction in solid tumors (BCG 2024) - tumor penetration still challenging', riskType: 'efficacy' },
+        'genetic-medicine': { penalty: 20, reason: 'Delivery to solid tumors very hard', riskType: 'efficacy' },
+        'cell-therapy': { penalty: 15, reason: 'Tumor microenvironment is immunosuppressive - less effective than heme', riskType: 'efficacy' }
+    },
+    // Autoimmune: biologics designed for this, CAR-T emerging
+    // BCG 2025: CAR-T for autoimmune showing early promise
+    'Autoimmune': {
+        'small-molecule': { penalty: 0, reason: 'JAK inhibitors, oral options - convenience advantage' },
+        'biologic': { penalty: 0, reason: 'TNF, IL-17, IL-23 antibodies dominate - proven track record' },
+        'genetic-medicine': { penalty: 15, reason: 'Few validated genetic targets for autoimmune', riskType: 'efficacy' },
+        'cell-therapy': { penalty: 5, reason: 'CAR-T for autoimmune emerging as next frontier (BCG 2025) - early but promising', riskType: 'design' }
+    },
+    // Cardiovascular: small molecules and siRNA for liver-expressed targets
+    'Cardiovascular': {
+        'small-molecule': { penalty: 0, reason: 'Statins, ACE inhibitors - proven track record' },
+        'biologic': { penalty: 5, reason: 'PCSK9 antibodies work but injectable', riskType: 'design' },
+        'genetic-medicine': { penalty: 0, reason: 'N-acetylgalactosamine-siRNA for liver cardiovascular targets - excellent (Inclisiran precedent)' },
+        'cell-therapy': { penalty: 30, reason: 'Manufacturing complexity not justified for cardiovascular', riskType: 'design' }
+    },
+    // CNS/Oncology combined (e.g., glioblastoma)
+    'CNS/Oncology': {
+        'small-molecule': { penalty: 5, reason: 'Can cross blood-brain barrier but resistance common', riskType: 'efficacy' },
+        'biologic': { penalty: 20, reason: 'Blood-brain barrier limits penetration', riskType: 'efficacy' },
+        'genetic-medicine': { penalty: 25, reason: 'CNS delivery plus tumor targeting - compounded difficulty', riskType: 'efficacy' },
+        'cell-therapy': { penalty: 20, reason: 'CAR-T showing early signals in glioblastoma but delivery challenging', riskType: 'efficacy' }
+    }
+};
+
+// Program Type Modifiers (Orphan vs First-in-Class vs Blockbuster)
+// Based on BCG insights: modalities have different fit with program strategies
+export const MODALITY_PROGRAM_FIT: Record<string, Record<string, ProgramFit>> = {
+    'orphan': {
+        'small-molecule': { modifier: 0, note: 'Neutral - can work but may not be optimal' },
+        'biologic': { modifier: -5, note: 'BCG 2025: mAbs have largest rare disease pipeline - good fit' },
+        'genetic-medicine': { modifier: -10, note: 'Ideal - gene therapies first approved in rare genetic diseases' },
+        'cell-therapy': { modifier: -5, note: 'Good fit - high price justified by curative potential' }
+    },
+    'first-in-class': {
+        'small-molecule': { modifier: 0, note: 'Neutral - requires novel target validation' },
+        'biologic': { modifier: 0, note: 'Neutral - bispecifics and ADCs offer differentiation' },
+        'genetic-medicine': { modifier: -5, note: 'Novel mechanisms - genetic medicines inherently first-in-class' },
+        'cell-therapy': { modifier: -5, note: 'CAR-T was first-in-class for heme malignancies (BCG 2023)' }
+    },
+    'blockbuster': {
+        'small-molecule': { modifier: -5, note: 'Oral convenience drives blockbuster adoption' },
+        'biologic': { modifier: -10, note: 'BCG 2025: GLP-1 peptides dominate blockbusters - 8 of top 10 drugs are new modalities' },
+        'genetic-medicine': { modifier: 0, note: 'siRNA scales well for blockbuster (Inclisiran precedent); AAV gene therapy limited but typically orphan anyway' },
+        'cell-therapy': { modifier: 15, note: 'Autologous manufacturing incompatible with blockbuster volumes', riskType: 'design' }
+    }
+};
+
+// Modality-Specific Access & Affordability Challenges
+// Each modality faces different insurance/coverage realities
+export const MODALITY_ACCESS_CHALLENGES: Record<string, AccessChallenge> = {
+    'small-molecule': {
+        typicalPrice: '$500-5,000/month',
+        coverageTier: 'Tier 2-3 (specialty may be Tier 4)',
+        patientCopay: '$50-150/month typical',
+        accessChallenge: 'Generic competition and formulary wars',
+        insuranceReality: 'Oral drugs are easier for patients but face intense formulary competition. When generics exist, insurers require step therapy through cheaper options first.',
+        uniqueIssue: 'Step-through requirements',
+        question: {
+            context: 'Your small molecule is approved, but insurers require patients to fail on 2-3 generic alternatives before covering yours. This "step therapy" delays your drug by 6-12 months per patient.',
+            options: [
+                { text: 'Accept step therapy requirements', detail: 'Patients try generics first', marketBonus: 0.5, lesson: 'Step therapy protects payer budgets but delays access to newer, potentially better drugs.' },
+                { text: 'Prove differentiation with head-to-head data', detail: 'Expensive but removes barriers', cashEffect: -20, marketBonus: 0.85, lesson: 'Head-to-head trials against generics can exempt you from step therapy, but they are expensive and risky.' },
+                { text: 'Launch copay program + advocacy', detail: 'Work around the system', cashEffect: -10, marketBonus: 0.7, lesson: 'Copay programs help commercially insured patients, but Medicare and Medicaid patients still face barriers.' }
+            ]
+        }
+    },
+    'biologic': {
+        typicalPrice: '$5,000-15,000/month',
+        coverageTier: 'Specialty Tier (Tier 4-5)',
+        patientCopay: '$200-500/month with specialty coinsurance',
+        accessChallenge: 'Specialty tier cost-sharing and delivery logistics',
+        insuranceReality: 'Biologics require injection (subcutaneous at home) or infusion (IV at a facility). Many plans put biologics on specialty tiers with 20-30% coinsurance instead of flat copays.',
+        uniqueIssue: 'Delivery format choice and biosimilar competition',
+        question: {
+            context: 'Your biologic is approved. You must decide on delivery format: IV infusion requires healthcare facility visits, while subcutaneous allows home self-injection.',
+            options: [
+                { text: 'Partner with infusion center networks', detail: 'Improve site access', cashEffect: -15, marketBonus: 0.8, lesson: 'Site-of-care matters. Home infusion or convenient centers improve adherence.' },
+                { text: 'Develop subcutaneous formulation', detail: 'Enable self-injection at home', cashEffect: -30, timeEffect: 24, marketBonus: 1.2, lesson: 'Subcutaneous formulations let patients self-inject at home, dramatically improving convenience.' },
+                { text: 'Focus on specialty pharmacy partnerships', detail: 'Leverage existing infrastructure', marketBonus: 0.6, revenueEffect: -0.2, lesson: 'Specialty pharmacies handle complex logistics but take a large cut.' }
+            ]
+        }
+    },
+    'genetic-medicine': {
+        typicalPrice: '$20K-40K/year (siRNA) or $500K-3M one-time (gene therapy)',
+        coverageTier: 'Specialty tier (siRNA) or individual coverage decisions (gene therapy)',
+        patientCopay: '$500-2,000/month (siRNA) or highly variable (gene therapy)',
+        accessChallenge: 'Varies by modality subtype: siRNA is shippable and self-injectable; gene therapy requires specialized centers',
+        insuranceReality: 'Genetic medicines span a wide range: siRNA therapies (e.g., GalNAc-conjugated) can be synthesized, shipped, and self-injected at home like subcutaneous biologics. AAV gene therapies are one-time cures requiring specialized centers and cold-chain logistics.',
+        uniqueIssue: 'Subtype-specific: siRNA faces formulary competition; gene therapy faces center capacity and outcomes contracts',
+        question: {
+            context: 'Your genetic medicine is approved. The access strategy depends on your specific product type and administration requirements.',
+            options: [
+                { text: 'Partner with specialty pharmacies for home delivery', detail: 'If siRNA: shippable, self-injectable', cashEffect: -5, marketBonus: 0.85, lesson: 'siRNA therapies (like GalNAc-conjugated ASOs) can be self-injected at home. Specialty pharmacy partnerships enable broad access without specialized centers.' },
+                { text: 'Expand center of excellence network', detail: 'If gene therapy: requires specialized administration', cashEffect: -25, marketBonus: 0.7, lesson: 'AAV gene therapies require trained centers for administration, monitoring, and immunosuppression management. This limits access.' },
+                { text: 'Offer outcomes-based payment structure', detail: 'Align payment with durability', cashEffect: -5, marketBonus: 0.75, revenueEffect: -0.15, lesson: 'For expensive one-time therapies, outcomes-based contracts align incentives. If the therapy works, everyone benefits.' }
+            ]
+        }
+    },
+    'cell-therapy': {
+        typicalPrice: '$400,000-500,000 one-time',
+        coverageTier: 'Hospital outpatient/inpatient, not pharmacy',
+        patientCopay: '$50,000-100,000 potential hospital coinsurance',
+        accessChallenge: 'Manufacturing slot availability, site-of-care complexity',
+        insuranceReality: 'Cell therapies are administered in hospitals, not pharmacies. Manufacturing takes 3-4 weeks; patients may progress while waiting. Only certified transplant centers can treat.',
+        uniqueIssue: 'Manufacturing delays and hospital reimbursement',
+        question: {
+            context: 'Your CAR-T therapy requires 3-week manufacturing per patient. 20% of patients progress while waiting. Hospitals lose money on each treatment due to ICU stays for CRS management.',
+            options: [
+                { text: 'Invest in manufacturing speed', detail: 'Reduce vein-to-vein time', cashEffect: -40, marketBonus: 0.9, lesson: 'Faster manufacturing saves lives. But speed requires massive investment in specialized facilities.' },
+                { text: 'Partner with hospitals on CRS costs', detail: 'Cover ICU and supportive care', cashEffect: -20, revenueEffect: -0.1, marketBonus: 0.8, lesson: 'Hospitals often lose money on cell therapy patients. Covering these costs improves willingness to treat.' },
+                { text: 'Focus on academic medical centers only', detail: 'Limited sites but experienced', marketBonus: 0.5, lesson: 'Academic centers have transplant expertise but limited capacity.' }
+            ]
+        }
+    }
+};
+
+// Platform types by modality - investors fund platforms, not just single assets
+export const PLATFORMS: Record<string, Platform[]> = {
+    'small-molecule': [
+        { name: 'Targeted Protein Degradation', pipeline: '3-5 additional indications addressable', followOns: 4 },
+        { name: 'Allosteric Modulation', pipeline: '2-4 related targets in pipeline', followOns: 3 },
+        { name: 'Structure-Based Drug Design', pipeline: 'Platform applicable to multiple targets', followOns: 3 },
+        { name: 'Covalent Inhibitor Platform', pipeline: '4-6 programs in discovery across therapeutic areas', followOns: 5 }
+    ],
+    'biologic': [
+        { name: 'Antibody Engineering Platform', pipeline: 'Bispecific and ADC programs in development', followOns: 3 },
+        { name: 'Next-Gen Antibody Discovery', pipeline: '3-4 follow-on programs targeting related pathways', followOns: 4 },
+        { name: 'Fc-Engineered Therapeutics', pipeline: 'Platform enables rapid development of new candidates', followOns: 3 }
+    ],
+    'genetic-medicine': [
+        { name: 'AAV Vector Platform', pipeline: 'Capsid technology applicable to 10+ rare diseases', followOns: 5 },
+        { name: 'Gene Editing Technology', pipeline: 'Platform enables programs across genetic diseases', followOns: 4 },
+        { name: 'Optimized Delivery System', pipeline: 'Tissue-targeted delivery for CNS, muscle, and liver', followOns: 3 }
+    ],
+    'cell-therapy': [
+        { name: 'CAR-T Engineering Platform', pipeline: 'Next-gen constructs for solid tumors in development', followOns: 2 },
+        { name: 'Allogeneic Cell Platform', pipeline: 'Off-the-shelf approach enables rapid scaling', followOns: 4 },
+        { name: 'iPSC-Derived Cell Therapy', pipeline: 'Platform produces multiple cell types for different diseases', followOns: 4 }
+    ]
+};
+
+// What a follow-on inherits once the lead has its IND package, sized to
+// each modality's platformEffect in MODALITY_DATA
+export const PLATFORM_LEVERAGE: Record<string, PlatformLeverage> = {
+    // Limited - chemistry skills carry over, each target is optimized from scratch
+    'small-molecule': { costSaving: 0.15, timeSaving: 0.10, riskCredit: 0.02, inherits: ['Medicinal chemistry and DMPK know-how', 'Assay cascade'] },
+    // Significant - platform cell lines, CMC and toxicology packages
+    'biologic': { costSaving: 0.35, timeSaving: 0.25, riskCredit: 0.05, inherits: ['Platform cell lines and CMC', 'Platform toxicology package', 'Antibody discovery engine'] },
+    // Strong - same delivery vehicle, new payload
+    'genetic-medicine': { costSaving: 0.40, timeSaving: 0.30, riskCredit: 0.06, inherits: ['Validated delivery vehicle', 'Vector/LNP manufacturing', 'Class toxicology'] },
+    // Very high once the manufacturing process is validated
+    'cell-therapy': { costSaving: 0.50, timeSaving: 0.20, riskCredit: 0.04, inherits: ['Validated manufacturing process', 'Release assays', 'CRS/ICANS management protocols'] },
+};
+
+export const DEFAULT_PLATFORM_LEVERAGE: PlatformLeverage = PLATFORM_LEVERAGE['small-molecule'];
+
+// Modality-specific starting risks (based on real failure patterns)
+// Small molecules: efficacy is main risk (target engagement)
+// Biologics: efficacy risk (pathway redundancy)
+// Gene therapy: safety risk (immune response, durability)
+// Cell therapy: safety risk (CRS, manufacturing)
+// Modalities without an entry start from DEFAULT_STARTING_RISK
+export const DEFAULT_STARTING_RISK: RiskMeters = { efficacyRisk: 50, safetyRisk: 30, designRisk: 20 };
+
+export const MODALITY_STARTING_RISK: Record<string, RiskMeters> = {
+    'small-molecule': { efficacyRisk: 55, safetyRisk: 35, designRisk: 20 }, // Off-target effects, metabolism
+    'biologic': { efficacyRisk: 50, safetyRisk: 25, designRisk: 25 },       // Target redundancy, ADA risk
+    'gene-therapy': { efficacyRisk: 40, safetyRisk: 50, designRisk: 30 },   // Durability, pre-existing immunity
+    'cell-therapy': { efficacyRisk: 35, safetyRisk: 55, designRisk: 35 },   // CRS/ICANS, manufacturing complexity
+    'sirna': { efficacyRisk: 40, safetyRisk: 30, designRisk: 45 },          // Delivery optimization critical
+    'gene-editing': { efficacyRisk: 35, safetyRisk: 60, designRisk: 40 },   // Off-target edits, regulatory scrutiny
+};
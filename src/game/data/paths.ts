@@ -74,6 +74,8 @@ export const FUNDING_ROUND_DEFS: Record<string, FundingRoundDef> = {
         description: 'Strategic partner funding',
         typicalRaise: { min: 50, max: 200 },
         dilution: { min: 0, max: 0.10 },
+        shareClass: 'common',
+        holderKind: 'partner',
         investorExpectation: 'Strategic value',
         targetMultiple: 'Royalties',
     },
@@ -83,6 +85,8 @@ export const FUNDING_ROUND_DEFS: Record<string, FundingRoundDef> = {
         description: 'Public market financing',
         typicalRaise: { min: 150, max: 500 },
         dilution: { min: 0.12, max: 0.18 },
+        shareClass: 'common',
+        convertsPreferred: true,
         investorExpectation: 'Clear path to profitability',
         targetMultiple: '1.5-2x',
     },
@@ -0,0 +1,246 @@
+/**
+ * PHASES - The Long Journey
+ *
+ * The ten development stages from basic research to patient access, their
+ * gate success rates and phase-specific failure reasons.
+ */
+
+import { LongGamePhase, FailureReason } from '@/types/Game.types';
+import { MODALITY_PHASE_CONTEXT } from '@/game/data/modalities';
+
+// Accurate drug development phases based on scientific process
+// Sources: PPD/Thermo Fisher, FDA.gov
+// Preclinical: 4 phases per PPD. Clinical: FDA success rates
+export const PHASES: LongGamePhase[] = [
+    {
+        id: 'basic_research',
+        name: 'Basic Research',
+        color: '#22c55e',
+        duration: '2-4 years',
+        baseMonths: 36,
+        cost: '$5-20M',
+        baseCost: 3,
+        overhead: 0.02,
+        realSuccessRate: null,  // Pre-IND - no FDA tracking
+        description: 'Understanding disease biology and identifying drug targets',
+        context: 'Basic research is conducted by academic institutions, pharmaceutical companies and biotech firms to understand the underlying biology of a disease. Scientists discover drug targets - biological processes or pathways that play a role in a condition. Target validation gathers evidence to confirm therapeutic effects of target modulation through genetic studies, biochemical assays and animal models.',
+        activities: ['Disease biology research', 'Target identification', 'Target validation', 'Genetic studies', 'Biochemical assays']
+    },
+    {
+        id: 'drug_discovery',
+        name: 'Drug Discovery & Candidate Nomination',
+        color: '#10b981',
+        duration: '1-2 years',
+        baseMonths: 18,
+        cost: '$10-30M',
+        baseCost: 5,
+        overhead: 0.03,
+        realSuccessRate: null,  // Pre-IND - no FDA tracking
+        description: 'Finding molecules that interact with the target, testing in cellular models',
+        context: 'After target validation, focus shifts to finding or designing molecules that can interact with the target. Researchers test potential compounds in cellular models of disease (in vitro). Compounds showing promise are called "hits." Candidate nomination considers potency, selectivity, pharmacokinetics, safety profile and formulation potential.',
+        activities: ['Molecule design', 'High-throughput screening', 'Cellular model testing', 'Hit identification', 'Candidate nomination']
+    },
+    {
+        id: 'lead_optimization',
+        name: 'Lead Optimization',
+        color: '#3b82f6',
+        duration: '1-3 years',
+        baseMonths: 24,
+        cost: '$15-50M',
+        baseCost: 15,
+        overhead: 0.05,
+        realSuccessRate: null,  // Pre-IND - no FDA tracking
+        description: 'Chemical modification, ADME studies, dosing strategy, formulation',
+        context: 'Promising compounds (leads) are chemically modified to improve performance. Scientists gather information on ADME (absorption, distribution, metabolism, excretion), dosing strategy, formulation, and safety. This includes preformulation, analytical method development, metabolism/pharmacokinetics, safety pharmacology and GMP manufacture.',
+        activities: ['Chemical modification', 'ADME studies', 'Dosing strategy', 'Formulation development', 'Safety pharmacology', 'GMP manufacture']
+    },
+    {
+        id: 'ind_enabling',
+        name: 'IND-Enabling Studies',
+        color: '#8b5cf6',
+        duration: '1-2 years',
+        baseMonths: 18,
+        cost: '$10-30M',
+        baseCost: 20,
+        overhead: 0.05,
+        realSuccessRate: null,  // Pre-IND - no FDA tracking
+        description: 'Final safety testing, GLP toxicology, manufacturing info, clinical trial plans',
+        context: 'Leads with the most promising preclinical data advance to IND-enabling studies - final advanced safety testing. Sponsors submit manufacturing information and clinical trial plans. FDA reviews results and evaluates potential risks and benefits before determining if clinical trials can proceed.',
+        activities: ['GLP toxicology', 'Safety assessments', 'Manufacturing documentation', 'Clinical trial protocol', 'IND submission', 'FDA review']
+    },
+    {
+        id: 'phase1',
+        name: 'Phase I Clinical Trial',
+        color: '#f59e0b',
+        duration: 'Several months',
+        baseMonths: 12,
+        cost: '$15-30M',
+        baseCost: 20,
+        overhead: 0.08,
+        realSuccessRate: 47,  // Citeline 2014-2023: 47% move to Phase II
+        description: 'Safety and dosage in 20-100 healthy volunteers',
+        context: 'Phase I is the first test in humans, focusing on safety, tolerability, and pharmacokinetics. Study participants: 20-100 healthy volunteers or people with the disease/condition. Purpose: Safety and dosage. According to Citeline analysis (2014-2023), approximately 47% of drugs move to the next phase.',
+        activities: ['Safety assessment', 'Dosage determination', 'Side effect identification', 'Pharmacokinetics', 'Maximum tolerated dose']
+    },
+    {
+        id: 'phase2',
+        name: 'Phase II Clinical Trial',
+        color: '#ef4444',
+        duration: 'Several months to 2 years',
+        baseMonths: 24,
+        cost: '$20-100M',
+        baseCost: 50,
+        overhead: 0.1,
+        realSuccessRate: 28,  // Citeline 2014-2023: 28% move to Phase III - "Valley of Death"
+        description: 'Efficacy and side effects in up to several hundred patients',
+        context: 'Study participants: Up to several hundred people with the disease/condition. Purpose: Efficacy and side effects. This is the "Valley of Death" - according to Citeline analysis (2014-2023), only 28% of drugs move to Phase III. Most fail due to insufficient efficacy, safety concerns, or intolerable side effects.',
+        activities: ['Efficacy testing', 'Dose optimization', 'Side effect monitoring', 'Randomized controlled trials', 'Biomarker development']
+    },
+    {
+        id: 'phase3',
+        name: 'Phase III Clinical Trial',
+        color: '#dc2626',
+        duration: '1-4 years',
+        baseMonths: 36,
+        cost: '$100-500M',
+        baseCost: 200,
+        overhead: 0.12,
+        realSuccessRate: 55,  // Citeline 2014-2023: 55% move to approval
+        description: 'Efficacy and adverse reactions in 300-3,000 patients',
+        context: 'Study participants: 300-3,000 volunteers with the disease/condition. Purpose: Efficacy and monitoring of adverse reactions. According to Citeline analysis (2014-2023), approximately 55% of drugs that reach Phase III move to approval. This is the largest investment in drug development.',
+        activities: ['Large-scale efficacy trials', 'Adverse reaction monitoring', 'Multi-site studies', 'Comparative effectiveness', 'NDA/BLA preparation']
+    },
+    {
+        id: 'fda_review',
+        name: 'FDA Review',
+        color: '#ec4899',
+        duration: '6-10 months',
+        baseMonths: 10,
+        cost: '$5-10M',
+        baseCost: 8,
+        overhead: 0.15,
+        realSuccessRate: 90,  // Most complete NDAs approved
+        description: 'NDA/BLA submission and FDA approval decision',
+        context: 'The New Drug Application (NDA) or Biologics License Application (BLA) includes all data from preclinical through Phase III. FDA review team has 6-10 months to decide. If complete and safe/effective, FDA works with applicant on labeling.',
+        activities: ['NDA/BLA submission', 'FDA review', 'Site inspections', 'Advisory Committee', 'Labeling development', 'Approval decision']
+    },
+    {
+        id: 'post_market',
+        name: 'Post-Market Safety Monitoring',
+        color: '#6366f1',
+        duration: 'Ongoing',
+        baseMonths: 6,
+        cost: '$2-5M',
+        baseCost: 3,
+        overhead: 0.15,
+        realSuccessRate: 95,  // Most approved drugs remain on market
+        description: 'Phase IV studies and ongoing safety surveillance',
+        context: 'Study participants: Several thousand people with the disease/condition. Purpose: Long-term safety and efficacy in real-world patients. FDA monitors through MedWatch, MedSun, manufacturer inspections, drug advertising review, and the Sentinel Initiative.',
+        activities: ['Phase IV studies', 'MedWatch reporting', 'Manufacturer inspections', 'Drug advertising review', 'Generic drug pathway', 'Sentinel surveillance']
+    },
+    {
+        id: 'patient_access',
+        name: 'Patient Access',
+        color: '#f59e0b',
+        duration: '6-18 months',
+        baseMonths: 12,
+        cost: '$10-50M',
+        baseCost: 20,
+        overhead: 0.15,
+        realSuccessRate: null,  // Commercial phase, not clinical trial
+        description: 'Formulary negotiations, payer coverage, and patient affordability',
+        context: 'Regulatory approval establishes the right to market your therapy. However, patient access depends on coverage decisions by payers, formulary placement by pharmacy benefit managers (PBMs), and cost-sharing structures that determine out-of-pocket obligations. This phase determines whether patients who need your therapy can actually access it.',
+        activities: ['PBM formulary negotiations', 'Payer coverage discussions', 'Copay assistance programs', 'Patient support services', 'Specialty pharmacy setup', 'Policy engagement']
+    }
+];
+
+// Helper function to get modality-specific phase content
+export const getPhaseContent = (phase: LongGamePhase, modality: string | null) => {
+    const modalityContext = modality ? MODALITY_PHASE_CONTEXT[modality] : undefined;
+    if (modalityContext && modalityContext[phase.id]) {
+        return {
+            description: modalityContext[phase.id].description || phase.description,
+            context: modalityContext[phase.id].context || phase.context,
+            activities: modalityContext[phase.id].activities || phase.activities
+        };
+    }
+    return {
+        description: phase.description,
+        context: phase.context,
+        activities: phase.activities
+    };
+};
+
+// Phase-specific failure reasons - based on clinical trial failure analysis
+// Sources: Citeline, FDA, Nature Reviews Drug Discovery
+export const FAILURE_REASONS: Record<string, FailureReason> = {
+    basic_research: {
+        primary: 'Target not validated',
+        details: 'The biological hypothesis did not hold up under rigorous testing.',
+        endpoint: 'Target engagement not demonstrated'
+    },
+    drug_discovery: {
+        primary: 'No viable lead compound',
+        details: 'Despite screening thousands of compounds, none showed suitable drug-like properties.',
+        endpoint: 'Failed to identify compound with acceptable potency, selectivity, and ADMET profile'
+    },
+    lead_optimization: {
+        primary: 'Insurmountable medicinal chemistry challenges',
+        details: 'Could not optimize lead compound to meet required specifications.',
+        endpoint: 'Unable to achieve therapeutic window with acceptable safety margin'
+    },
+    ind_enabling: {
+        primary: 'Preclinical toxicity',
+        details: 'GLP toxicology studies revealed safety signals incompatible with human dosing.',
+        endpoint: 'No-observed-adverse-effect level (NOAEL) too low for therapeutic dose'
+    },
+    phase1: {
+        primary: 'Dose-limiting toxicity or poor pharmacokinetics',
+        details: 'Human PK/PD did not support therapeutic dosing, or maximum tolerated dose was below efficacious threshold.',
+        endpoint: 'MTD not established or AUC insufficient for target engagement',
+        successRate: '47%'
+    },
+    phase2: {
+        primary: 'Failed to demonstrate efficacy (52% of Phase II failures)',
+        details: 'The drug did not show meaningful clinical benefit compared to placebo in a controlled study. The biology that worked in preclinical models did not translate to human disease.',
+        endpoint: 'Primary efficacy endpoint not met - effect size statistically insignificant or clinically meaningless',
+        successRate: '28%'
+    },
+    phase3: {
+        primary: 'Efficacy not replicated at scale (55% of Phase III failures)',
+        details: 'Despite positive Phase II signals, the larger pivotal trial failed to confirm efficacy. This is often due to patient heterogeneity, site variability, or the Phase II effect being a statistical artifact.',
+        endpoint: 'Primary endpoint p-value > 0.05 or hazard ratio confidence interval crossed 1.0',
+        successRate: '55%'
+    },
+    fda_review: {
+        primary: 'Regulatory concerns',
+        details: 'FDA identified issues with trial design, data integrity, or benefit-risk profile.',
+        endpoint: 'Complete Response Letter issued citing deficiencies'
+    },
+    post_market: {
+        primary: 'Post-market safety signal',
+        details: 'Real-world evidence revealed safety issues not detected in clinical trials.',
+        endpoint: 'Black box warning or market withdrawal required'
+    },
+    patient_access: {
+        primary: 'Failed to achieve sustainable market access',
+        details: 'Despite FDA approval, payer coverage decisions, formulary exclusions, and prohibitive cost-sharing structures prevented patients from accessing your therapy.',
+        endpoint: 'Commercial failure - unable to reach patients who need the treatment'
+    }
+};
+
+// Gate success rates by phase (for educational display)
+// Preclinical phases: no FDA tracking (pre-IND)
+// Clinical phases: FDA-cited success rates
+export const GATE_SUCCESS: Record<string, number> = {
+    basic_research: 0.90,   // Pre-IND, no official rate
+    drug_discovery: 0.85,   // Pre-IND, no official rate
+    lead_optimization: 0.80, // Pre-IND, no official rate
+    ind_enabling: 0.75,     // Pre-IND, no official rate
+    phase1: 0.47,           // Citeline 2014-2023: 47%
+    phase2: 0.28,           // Citeline 2014-2023: 28% - "Valley of Death"
+    phase3: 0.55,           // Citeline 2014-2023: 55%
+    fda_review: 0.90,       // Most complete NDAs approved
+    post_market: 0.95       // Most drugs remain on market post-approval
+    // patient_access has no gate - it's a commercial phase
+};
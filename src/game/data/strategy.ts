@@ -0,0 +1,364 @@
+/**
+ * PROGRAM STRATEGY - The Long Journey
+ *
+ * The two strategy dimensions chosen at setup (market size and innovation
+ * position), the indications available for each market size, and the
+ * rival programs each position races against.
+ */
+
+import { MarketSizeProfile, InnovationProfile, Indication, RivalField } from '@/types/Game.types';
+
+// === TWO-DIMENSIONAL STRATEGY SYSTEM ===
+// Dimension 1: Market Size (commercial outcome)
+// Dimension 2: Innovation Position (scientific/competitive status)
+
+export const MARKET_SIZE_DATA: Record<string, MarketSizeProfile> = {
+    'orphan': {
+        displayName: 'Orphan Drug',
+        subtitle: '<200K US patients',
+        description: 'Rare disease with regulatory advantages and premium pricing',
+        riskBonus: 0.05,         // Easier trials, FDA support
+        marketMultiplier: 0.4,    // Smaller market
+        trialSize: 'small',
+        vcInvestment: 50,         // $50M - smaller trials
+        enrollmentPace: 0.7,      // Trial enrollment against a specialty indication
+        salesReps: 40,            // Full field force at launch
+        launchMarketing: 3,       // $M a quarter in the launch year
+        highlights: [
+            { text: '+5% success rate', type: 'positive', detail: 'smaller trials' },
+            { text: '-60% market size', type: 'neutral', detail: 'rare disease' },
+            { text: 'Exempt from IRA', type: 'positive', detail: 'negotiation' }
+        ],
+
+        note: '7-year exclusivity, 50% tax credit, priority review'
+    },
+    'specialty': {
+        displayName: 'Specialty Market',
+        subtitle: '200K - 1M patients',
+        description: 'Focused population with balanced risk/reward profile',
+        riskBonus: 0,
+        marketMultiplier: 0.7,
+        trialSize: 'medium',
+        vcInvestment: 80,         // $80M - medium trials
+        enrollmentPace: 1,        // Trial enrollment against a specialty indication
+        salesReps: 150,           // Full field force at launch
+        launchMarketing: 8,       // $M a quarter in the launch year
+        highlights: [
+            { text: 'Standard success rates', type: 'neutral', detail: '' },
+            { text: 'Moderate competition', type: 'neutral', detail: '' },
+            { text: '$50k-150k/patient/year', type: 'positive', detail: 'typical' }
+        ],
+
+        note: 'Sweet spot for biotech - manageable trials, good economics'
+    },
+    'blockbuster': {
+        displayName: 'Blockbuster',
+        subtitle: '>1M patients',
+        description: 'Large market with fierce competition and massive opportunity',
+        riskBonus: -0.05,         // Harder large trials
+        marketMultiplier: 1.0,
+        trialSize: 'large',
+        vcInvestment: 120,        // $120M - large trials
+        enrollmentPace: 1.5,      // Trial enrollment against a specialty indication
+        salesReps: 500,           // Full field force at launch
+        launchMarketing: 25,      // $M a quarter in the launch year
+        highlights: [
+            { text: '-5% success rate', type: 'negative', detail: 'large trials harder' },
+            { text: 'Large market opportunity', type: 'positive', detail: '' },
+            { text: 'Subject to IRA', type: 'warning', detail: 'price negotiation' }
+        ],
+
+        note: 'Home run potential but requires significant capital and differentiation'
+    }
+};
+
+export const INNOVATION_DATA: Record<string, InnovationProfile> = {
+    'first-in-class': {
+        displayName: 'First-in-Class',
+        subtitle: 'Pioneer / Novel Mechanism',
+        description: 'No approved drugs target this pathway. You\'re pioneering new biology.',
+        riskBonus: -0.08,         // Novel biology risk
+        marketMultiplier: 1.5,    // Premium if successful
+        highlights: [
+            { text: '-8% success rate', type: 'negative', detail: 'novel biology risk' },
+            { text: '+50% market premium', type: 'positive', detail: 'pricing power' },
+            { text: 'Set the standard', type: 'positive', detail: '' }
+        ],
+
+        note: 'Highest risk, highest reward. You define the treatment paradigm.'
+    },
+    'best-in-class': {
+        displayName: 'Best-in-Class',
+        subtitle: 'Validated / Improve',
+        description: 'Proven mechanism exists. You\'re building something better.',
+        riskBonus: 0,
+        marketMultiplier: 1.2,    // Can capture share
+        highlights: [
+            { text: 'Standard success rate', type: 'neutral', detail: 'de-risked' },
+            { text: '+20% market share', type: 'positive', detail: 'if differentiated' },
+            { text: 'Must show superiority', type: 'warning', detail: '' }
+        ],
+
+        note: 'Validated mechanism, but you need clear differentiation to win.'
+    },
+    'fast-follower': {
+        displayName: 'Fast-Follower',
+        subtitle: 'De-risked / Execute',
+        description: 'Copy a proven approach. Compete on execution, price, or access.',
+        riskBonus: 0.05,          // De-risked
+        marketMultiplier: 0.7,    // Lower share
+        highlights: [
+            { text: '+5% success rate', type: 'positive', detail: 'de-risked biology' },
+            { text: '-30% market share', type: 'negative', detail: 'late to market' },
+            { text: 'Faster development', type: 'positive', detail: '' }
+        ],
+
+        note: 'Lowest risk, but must compete on price, convenience, or access.'
+    }
+};
+
+// Rival programs already racing in the indication when the program starts
+// (see engine/competitors). A pioneer is mostly alone and ahead; a
+// best-in-class or fast-follower program chases a drug already on the
+// market, with others in the clinic alongside it.
+export const RIVAL_FIELDS: Record<string, RivalField> = {
+    'first-in-class': {
+        count: { min: 0, max: 1 },
+        startPhases: ['basic_research', 'drug_discovery', 'lead_optimization'],
+        marketed: 0,
+    },
+    'best-in-class': {
+        count: { min: 1, max: 2 },
+        startPhases: ['lead_optimization', 'ind_enabling', 'phase1', 'phase2'],
+        marketed: 1,
+    },
+    'fast-follower': {
+        count: { min: 1, max: 3 },
+        startPhases: ['ind_enabling', 'phase1', 'phase2', 'phase3'],
+        marketed: 1,
+    },
+};
+
+// Big markets draw more sponsors into the race; rare diseases fewer
+export const RIVAL_MARKET_SIZE_COUNT: Record<string, number> = {
+    orphan: -1,
+    specialty: 0,
+    blockbuster: 1,
+};
+
+export const RIVAL_SPONSORS = [
+    'Orbis Therapeutics', 'Calder Bio', 'Vantage Pharma', 'Tessera Biosciences',
+    'Ardent Medicines', 'Novalis Health', 'Pinecrest Oncology', 'Redwater Pharma',
+];
+
+// Indications with therapeutic area and key challenges
+// Indications separated by program type
+// ORPHAN: <200,000 US patients (FDA threshold) - get 7 years exclusivity, tax credits, smaller trials
+// FIRST-IN-CLASS: Novel mechanism/target - any prevalence but requires target validation
+// BLOCKBUSTER: Large chronic disease markets >1M patients - high competition but huge revenue potential
+export const INDICATIONS_BY_TYPE: Record<string, Indication[]> = {
+    orphan: [
+        {
+            name: 'Amyotrophic Lateral Sclerosis (ALS)',
+            area: 'CNS',
+            usPrevalence: '~30,000',
+            challenges: ['CNS penetration', 'No validated biomarkers', 'Irreversible neurodegeneration'],
+            medicareShare: 0.45,
+            note: 'Orphan drug incentives: 7 years exclusivity, 50% tax credit on trials, exempt from IRA negotiation.'
+        },
+        {
+            name: 'Duchenne Muscular Dystrophy',
+            area: 'Rare/Genetic',
+            usPrevalence: '~15,000',
+            challenges: ['Mutation-specific response', 'Muscle delivery', 'Functional endpoints'],
+            medicareShare: 0.02,
+            note: 'Orphan indication with accelerated approval pathway often used.',
+            pediatric: true
+        },
+        {
+            name: 'Huntington\'s Disease',
+            area: 'CNS',
+            usPrevalence: '~30,000',
+            challenges: ['CNS penetration', 'Huntingtin lowering', 'Slow progression'],
+            medicareShare: 0.35,
+            note: 'Orphan disease - smaller trials (500-1000 patients) may be sufficient for approval.'
+        },
+        {
+            name: 'Cystic Fibrosis (Rare Mutations)',
+            area: 'Rare/Genetic',
+            usPrevalence: '~40,000 total, subpopulations much smaller',
+            challenges: ['Mutation-specific response', 'Chronic dosing', 'Lung function endpoints'],
+            medicareShare: 0.05,
+            note: 'Vertex pioneered mutation-specific therapies. Some mutations affect <1000 patients.',
+            pediatric: true
+        },
+        {
+            name: 'Progressive Supranuclear Palsy',
+            area: 'CNS',
+            usPrevalence: '~30,000',
+            challenges: ['CNS penetration', 'Tau pathology', 'Small patient population'],
+            medicareShare: 0.8,
+            note: 'Rare tauopathy - smaller trials but enrollment is challenging.'
+        },
+        {
+            name: 'Spinal Muscular Atrophy',
+            area: 'Rare/Genetic',
+            usPrevalence: '~25,000',
+            challenges: ['Gene therapy delivery', 'Durability of effect', 'Timing of intervention'],
+            medicareShare: 0.03,
+            note: 'Orphan success story - antisense oligonucleotide and gene therapy approaches have transformed this space.',
+            pediatric: true
+        }
+    ],
+    'first-in-class': [
+        {
+            name: 'Alzheimer\'s Disease (Novel Target)',
+            area: 'CNS',
+            usPrevalence: '~6.7 million',
+            challenges: ['Novel mechanism validation', 'CNS penetration', 'Long trials (18-24 months)', 'Biomarker development'],
+            medicareShare: 0.85,
+            note: 'First-in-class risk: novel targets have higher failure rates but command premium pricing.'
+        },
+        {
+            name: 'Treatment-Resistant Depression',
+            area: 'CNS',
+            usPrevalence: '~2.8 million',
+            challenges: ['Novel mechanism validation', 'Subjective endpoints', 'Placebo response'],
+            medicareShare: 0.25,
+            note: 'Non-monoamine targets are first-in-class (e.g., NMDA modulators, psychedelics).'
+        },
+        {
+            name: 'NASH/Metabolic Liver Disease',
+            area: 'Metabolic',
+            usPrevalence: '~16 million with NASH',
+            challenges: ['Novel biology', 'Liver biopsy endpoints', 'Long-term outcomes'],
+            medicareShare: 0.3,
+            note: 'Multiple novel mechanisms under development. No approved disease-modifying therapy.'
+        },
+        {
+            name: 'Heart Failure with Preserved Ejection Fraction',
+            area: 'Cardiovascular',
+            usPrevalence: '~3 million',
+            challenges: ['Heterogeneous syndrome', 'Novel pathways', 'Large trials needed'],
+            medicareShare: 0.75,
+            note: 'Novel mechanisms targeting cardiac metabolism, inflammation, or fibrosis.'
+        },
+        {
+            name: 'Recurrent Glioblastoma',
+            area: 'CNS/Oncology',
+            usPrevalence: '~13,000/year',
+            challenges: ['Blood-brain barrier', 'Tumor microenvironment', 'Novel approaches needed'],
+            medicareShare: 0.4,
+            note: 'Standard of care unchanged for decades - first-in-class desperately needed.'
+        }
+    ],
+    specialty: [
+        {
+            name: 'Multiple Sclerosis',
+            area: 'CNS/Immunology',
+            usPrevalence: '~1 million',
+            challenges: ['Differentiation from Ocrevus', 'Long-term safety', 'Remyelination'],
+            medicareShare: 0.25,
+            note: 'Specialty market - high-value patients, specialty pharmacy distribution.'
+        },
+        {
+            name: 'Psoriatic Arthritis',
+            area: 'Immunology',
+            usPrevalence: '~500,000',
+            challenges: ['IL-17/IL-23 competition', 'Skin and joint endpoints', 'Differentiation'],
+            medicareShare: 0.25,
+            note: 'Growing specialty market with established biologic pathways.'
+        },
+        {
+            name: 'Ulcerative Colitis',
+            area: 'GI/Immunology',
+            usPrevalence: '~900,000',
+            challenges: ['Biologic competition', 'Mucosal healing endpoints', 'Safety'],
+            medicareShare: 0.2,
+            note: 'Specialty IBD market with multiple mechanisms available.'
+        },
+        {
+            name: 'Systemic Lupus Erythematosus',
+            area: 'Immunology',
+            usPrevalence: '~300,000',
+            challenges: ['Disease heterogeneity', 'Flare prevention', 'Organ involvement'],
+            medicareShare: 0.2,
+            note: 'Underserved specialty market with few effective therapies.'
+        },
+        {
+            name: 'Idiopathic Pulmonary Fibrosis',
+            area: 'Pulmonary',
+            usPrevalence: '~200,000',
+            challenges: ['Progressive disease', 'Functional endpoints', 'Combination approaches'],
+            medicareShare: 0.8,
+            note: 'Specialty market at the orphan/specialty boundary. Nintedanib and pirfenidone approved.'
+        },
+        {
+            name: 'Migraine Prevention',
+            area: 'CNS',
+            usPrevalence: '~4 million (chronic)',
+            challenges: ['CGRP competition', 'Oral vs injectable', 'Payer access'],
+            medicareShare: 0.15,
+            note: 'Large specialty market dominated by CGRP antibodies and gepants.'
+        }
+    ],
+    blockbuster: [
+        {
+            name: 'Type 2 Diabetes',
+            area: 'Metabolic',
+            usPrevalence: '~37 million',
+            challenges: ['Crowded market', 'CV outcomes required', 'Differentiation critical'],
+            medicareShare: 0.45,
+            note: 'Massive market but fierce competition. GLP-1s dominate. Must show CV benefit.'
+        },
+        {
+            name: 'Obesity',
+            area: 'Metabolic',
+            usPrevalence: '~100 million',
+            challenges: ['Weight loss durability', 'Side effect profile', 'Payer coverage'],
+            medicareShare: 0.2,
+            note: '$100B market by 2030. Semaglutide set new efficacy bar. Oral formulations race.'
+        },
+        {
+            name: 'Chronic Kidney Disease',
+            area: 'Nephrology',
+            usPrevalence: '~37 million',
+            challenges: ['Slow progression', 'Hard endpoints', 'Long trials'],
+            medicareShare: 0.55,
+            note: 'Huge unmet need despite SGLT2 advances. Trials require 3-4 years.'
+        },
+        {
+            name: 'Atopic Dermatitis',
+            area: 'Immunology',
+            usPrevalence: '~26 million',
+            challenges: ['Dupixent dominance', 'JAK safety signals', 'Differentiation'],
+            medicareShare: 0.1,
+            note: 'Blockbuster market but Dupixent sets high bar. Oral options in demand.',
+            pediatric: true
+        },
+        {
+            name: 'Rheumatoid Arthritis',
+            area: 'Immunology',
+            usPrevalence: '~1.5 million',
+            challenges: ['Biologic competition', 'JAK safety concerns', 'Step therapy'],
+            medicareShare: 0.35,
+            note: 'Mature market with many options. Differentiation on safety or convenience.'
+        },
+        {
+            name: 'Non-Small Cell Lung Cancer',
+            area: 'Oncology',
+            usPrevalence: '~235,000 new cases/year',
+            challenges: ['PD-1 dominance', 'Combination complexity', 'Biomarker selection'],
+            medicareShare: 0.6,
+            note: 'Largest oncology market. Checkpoint combinations are current standard.'
+        }
+    ]
+};
+
+// Legacy array for backward compatibility - combine all indications
+export const INDICATIONS: Indication[] = [
+    ...INDICATIONS_BY_TYPE.orphan,
+    ...INDICATIONS_BY_TYPE.specialty,
+    ...INDICATIONS_BY_TYPE['first-in-class'],
+    ...INDICATIONS_BY_TYPE.blockbuster
+];
@@ -0,0 +1,361 @@
+/**
+ * TRIAL DESIGN - The Long Journey
+ *
+ * The choices behind a Phase II or Phase III trial: what it measures,
+ * what it is compared against, how many arms it runs, and the effect,
+ * spread, alpha and power it is sized on, and the interim looks a data
+ * safety monitoring board (DSMB) takes along the way. Each phase that runs
+ * a trial has its own costs, pace and standard design. The rules turning a
+ * design into patients, months, dollars and odds live in engine/trialDesign;
+ * the looks are run in engine/dsmb, and the patients a finished trial reads
+ * out on are drawn in engine/trialReadout.
+ */
+
+import { TrialArms, TrialBoundary, TrialComparator, TrialEndpoint, TrialPhaseSpec, TrialSetting, TrialDesignField, TrialSubgroup } from '@/types/Game.types';
+
+// What a trial measures. Effects and spreads are in the endpoint's units.
+export const TRIAL_ENDPOINTS: TrialEndpoint[] = [
+    {
+        id: 'biomarker',
+        name: 'Biomarker',
+        unit: '% change',
+        sd: 30,
+        followUpMonths: 3,
+        costMultiplier: 0.7,
+        efficiency: 1,
+        signal: 1.3,
+        pivotalAcceptance: 0.6,    // Surrogates need accelerated approval and a confirmatory trial
+        designEffect: 10,
+        analysis: 'mean',
+        description: 'A lab or imaging measure that moves fast; few are accepted as proof of benefit',
+    },
+    {
+        id: 'clinical_score',
+        name: 'Clinical score',
+        unit: 'points',
+        sd: 10,
+        followUpMonths: 6,
+        costMultiplier: 1,
+        efficiency: 1,
+        signal: 1,
+        pivotalAcceptance: 0.85,   // Scales need a clinically meaningful threshold agreed up front
+        designEffect: 0,
+        analysis: 'mean',
+        description: 'A validated symptom or function scale, read at a fixed visit',
+    },
+    {
+        id: 'responder',
+        name: 'Responder rate',
+        unit: 'points of response',
+        sd: 50,
+        followUpMonths: 6,
+        costMultiplier: 1,
+        efficiency: 0.64,          // Cutting a scale at a threshold throws information away
+        signal: 1,
+        pivotalAcceptance: 0.85,
+        designEffect: 0,
+        analysis: 'responder',
+        description: 'The share of patients past a response threshold: easy to read, costs patients',
+    },
+    {
+        id: 'time_to_event',
+        name: 'Time to event',
+        unit: 'months',
+        sd: 12,
+        followUpMonths: 12,
+        costMultiplier: 1.2,
+        efficiency: 0.6,           // Only patients who have the event inform the comparison
+        signal: 0.9,
+        pivotalAcceptance: 1,
+        designEffect: -5,
+        analysis: 'survival',
+        description: 'Survival or progression: the hard outcome regulators trust, counted in events',
+    },
+];
+
+// What the drug is compared against
+export const TRIAL_COMPARATORS: TrialComparator[] = [
+    {
+        id: 'placebo',
+        name: 'Placebo',
+        effectRetained: 1,
+        enrollmentPace: 0.8,
+        labelRevenue: 0,
+        armName: 'Placebo',
+        description: 'The cleanest read of the drug; patients and investigators shy away from placebo',
+    },
+    {
+        id: 'standard_of_care',
+        name: 'Add-on to standard care',
+        effectRetained: 0.85,
+        enrollmentPace: 1.1,
+        labelRevenue: 0.03,
+        armName: 'Standard care',
+        description: 'Everyone gets today\'s treatment and the drug has to add to it',
+    },
+    {
+        id: 'active',
+        name: 'Head-to-head',
+        effectRetained: 0.6,
+        enrollmentPace: 1,
+        labelRevenue: 0.1,
+        armName: 'Market leader',
+        description: 'Beat the market leader outright; a win earns preferred formulary status',
+    },
+];
+
+// Dose arms against one control arm. Alpha is split across the comparisons.
+export const TRIAL_ARMS: TrialArms[] = [
+    {
+        id: 'one_dose',
+        name: 'One dose',
+        arms: 2,
+        doseCapture: 0.85,
+        designEffect: 0,
+        description: 'The drug at the dose Phase I picked, against control',
+    },
+    {
+        id: 'two_doses',
+        name: 'Two doses',
+        arms: 3,
+        doseCapture: 0.95,
+        designEffect: -5,
+        description: 'A high and a low dose, each against control',
+    },
+    {
+        id: 'three_doses',
+        name: 'Dose ranging',
+        arms: 4,
+        doseCapture: 1,
+        designEffect: -10,
+        description: 'Three doses to find the one Phase III should carry',
+    },
+];
+
+// The effect the trial is powered to detect, in the endpoint's standard deviations
+export const TRIAL_EFFECT_SIZES: TrialSetting[] = [
+    { id: 'optimistic', name: 'Optimistic', value: 0.6, designEffect: 10, description: 'The effect the best preclinical data suggest' },
+    { id: 'expected', name: 'Expected', value: 0.45, designEffect: 0, description: 'What similar drugs have shown' },
+    { id: 'cautious', name: 'Cautious', value: 0.3, designEffect: -5, description: 'The smallest effect worth approving' },
+];
+
+// The spread assumed around it, against the endpoint's typical spread
+export const TRIAL_VARIANCES: TrialSetting[] = [
+    { id: 'tight', name: 'Tight', value: 0.8, designEffect: 5, description: 'A homogeneous, well-selected population' },
+    { id: 'typical', name: 'Typical', value: 1, designEffect: 0, description: 'The spread earlier trials saw' },
+    { id: 'wide', name: 'Wide', value: 1.25, designEffect: -5, description: 'Broad entry criteria and many sites' },
+];
+
+// Two-sided significance level; Phase III is held to the regulatory standard
+export const TRIAL_ALPHAS: TrialSetting[] = [
+    { id: 'a10', name: '0.10', value: 0.1, pivotalAcceptance: 0.5, designEffect: 5, description: 'A screening threshold: more false positives go on to Phase III' },
+    { id: 'a05', name: '0.05', value: 0.05, pivotalAcceptance: 1, designEffect: 0, description: 'The regulatory standard' },
+    { id: 'a01', name: '0.01', value: 0.01, pivotalAcceptance: 1, designEffect: -5, description: 'Evidence strong enough to stand on its own' },
+];
+
+// Chance of a positive readout if the assumed effect is the true one
+export const TRIAL_POWERS: TrialSetting[] = [
+    { id: 'p70', name: '70%', value: 0.7, designEffect: 10, description: 'Lean: almost a third of working drugs miss' },
+    { id: 'p80', name: '80%', value: 0.8, designEffect: 0, description: 'The convention most trials are sized to' },
+    { id: 'p90', name: '90%', value: 0.9, designEffect: -5, description: 'A third more patients to miss half as often' },
+];
+
+// Interim looks the DSMB takes at unblinded data before the final
+// analysis, evenly spaced through the designed patients
+export const TRIAL_LOOKS: TrialSetting[] = [
+    { id: 'none', name: 'None', value: 0, designEffect: 0, description: 'One analysis, once every patient has read out' },
+    { id: 'one', name: 'One look', value: 1, designEffect: 0, description: 'The DSMB looks once, at half the patients' },
+    { id: 'two', name: 'Two looks', value: 2, designEffect: 5, description: 'Looks at a third and two thirds; every unblinding risks a leak' },
+];
+
+// z an interim look has to clear to stop for efficacy, as multiples of a
+// single analysis's, by number of looks and ending with the final
+// analysis. Equally spaced group-sequential boundaries at two-sided 0.05.
+export const TRIAL_EFFICACY_BOUNDARIES: TrialBoundary[] = [
+    { id: 'none', name: 'None', critical: null, designEffect: 0, description: 'Never stop early for efficacy; looks can only stop for futility' },
+    {
+        id: 'obrien_fleming',
+        name: 'O\'Brien-Fleming',
+        critical: { 1: [1.427, 1.009], 2: [1.771, 1.252, 1.022] },
+        designEffect: 0,
+        description: 'Hard to stop early, so the final analysis keeps almost all its alpha',
+    },
+    {
+        id: 'pocock',
+        name: 'Pocock',
+        critical: { 1: [1.111, 1.111], 2: [1.168, 1.168, 1.168] },
+        designEffect: 5,
+        description: 'The same bar at every look: early stops are likelier and the final is harder',
+    },
+];
+
+// Conditional power on the current trend below which the DSMB stops the
+// trial for futility
+export const TRIAL_FUTILITY_RULES: TrialSetting[] = [
+    { id: 'none', name: 'None', value: 0, designEffect: 0, description: 'Run to the end whatever the looks show' },
+    { id: 'lenient', name: 'Lenient', value: 0.01, designEffect: 0, description: 'Stop a trial with almost no chance left, about where the drug trails control' },
+    { id: 'strict', name: 'Strict', value: 0.2, designEffect: 0, description: 'Stop below a 20% chance of winning: saves money, loses some working drugs' },
+];
+
+// The most patients re-estimation can grow the trial to, as a multiple of its design
+export const TRIAL_SAMPLE_SIZES: TrialSetting[] = [
+    { id: 'fixed', name: 'Fixed', value: 1, designEffect: 0, description: 'The trial enrolls what it was sized for' },
+    { id: 'reestimate', name: 'Re-estimate', value: 1.5, designEffect: 5, description: 'A promising look can add up to half again as many patients' },
+];
+
+// Share of the trailing doses' remaining patients moved to the leading dose after the first look
+export const TRIAL_RANDOMIZATIONS: TrialSetting[] = [
+    { id: 'fixed', name: 'Fixed', value: 0, designEffect: 0, description: 'Every arm enrolls equally to the end' },
+    { id: 'adaptive', name: 'Response-adaptive', value: 0.5, designEffect: 5, description: 'After the first look, lagging doses give half their patients to the leader' },
+];
+
+// The workbench's choices in the order it shows them: how the trial is
+// sized, then how the DSMB watches it
+export const TRIAL_SIZING_CHOICES: { field: TrialDesignField; title: string; options: { id: string; name: string; description: string }[] }[] = [
+    { field: 'endpoint', title: 'Primary endpoint', options: TRIAL_ENDPOINTS },
+    { field: 'comparator', title: 'Comparator', options: TRIAL_COMPARATORS },
+    { field: 'arms', title: 'Arms', options: TRIAL_ARMS },
+    { field: 'effectSize', title: 'Effect to detect', options: TRIAL_EFFECT_SIZES },
+    { field: 'variance', title: 'Assumed spread', options: TRIAL_VARIANCES },
+    { field: 'alpha', title: 'Alpha', options: TRIAL_ALPHAS },
+    { field: 'power', title: 'Power', options: TRIAL_POWERS },
+];
+
+export const TRIAL_ADAPTIVE_CHOICES: typeof TRIAL_SIZING_CHOICES = [
+    { field: 'looks', title: 'Interim looks', options: TRIAL_LOOKS },
+    { field: 'efficacyBoundary', title: 'Efficacy boundary', options: TRIAL_EFFICACY_BOUNDARIES },
+    { field: 'futility', title: 'Futility rule', options: TRIAL_FUTILITY_RULES },
+    { field: 'sampleSize', title: 'Sample size', options: TRIAL_SAMPLE_SIZES },
+    { field: 'randomization', title: 'Randomization', options: TRIAL_RANDOMIZATIONS },
+];
+
+export const TRIAL_DESIGN_CHOICES = [...TRIAL_SIZING_CHOICES, ...TRIAL_ADAPTIVE_CHOICES];
+
+// Phases that size a trial. Standard designs cost and run about what the
+// stage's typical trial does in a specialty indication.
+export const TRIAL_PHASES: Record<string, TrialPhaseSpec> = {
+    phase2: {
+        pivotal: false,
+        fixedCost: 15,
+        costPerPatient: 0.45,
+        startupMonths: 4,
+        readoutMonths: 2,
+        enrollmentRate: 11,
+        standard: {
+            endpoint: 'clinical_score',
+            comparator: 'placebo',
+            arms: 'one_dose',
+            effectSize: 'expected',
+            variance: 'typical',
+            alpha: 'a05',
+            power: 'p80',
+            looks: 'none',
+            efficacyBoundary: 'obrien_fleming',
+            futility: 'none',
+            sampleSize: 'fixed',
+            randomization: 'fixed',
+        },
+    },
+    phase3: {
+        pivotal: true,
+        fixedCost: 60,
+        costPerPatient: 0.43,
+        startupMonths: 6,
+        readoutMonths: 4,
+        enrollmentRate: 36,
+        standard: {
+            endpoint: 'time_to_event',
+            comparator: 'placebo',
+            arms: 'one_dose',
+            effectSize: 'cautious',
+            variance: 'typical',
+            alpha: 'a05',
+            power: 'p80',
+            looks: 'none',
+            efficacyBoundary: 'obrien_fleming',
+            futility: 'none',
+            sampleSize: 'fixed',
+            randomization: 'fixed',
+        },
+    },
+};
+
+// Standardized effect the drug truly has, from a certain failure at 100%
+// efficacy risk to a strong drug at none
+export const TRUE_EFFECT = { min: 0.05, max: 0.75 };
+
+// Share of a design's edge in readout odds over the standard design that
+// reaches the gate; the rest of a gate is biology the design cannot change
+export const DESIGN_ODDS_WEIGHT = 0.5;
+
+// A look whose trend gives conditional power in this zone is promising:
+// re-estimation grows the trial until the trend would reach the target.
+// Growing only promising trials keeps the final test's alpha close to
+// nominal, so the final analysis is left as designed.
+export const PROMISING_ZONE = { low: 0.3, target: 0.8 };
+
+// Steps re-estimation grows the trial in, as a multiple of its design
+export const SAMPLE_SIZE_STEP = 0.05;
+
+// The drug's true effect strays from what its efficacy risk points to by
+// about this much (log scale); nobody learns how far until the readout
+export const HIDDEN_EFFECT_SPREAD = 0.25;
+
+// Baseline characteristics every readout is broken down by. The drug works
+// the same in all of them, so any difference on the forest plot is chance.
+export const TRIAL_SUBGROUPS: TrialSubgroup[] = [
+    {
+        id: 'age',
+        name: 'Age',
+        levels: [
+            { id: 'under_65', name: 'Under 65', share: 0.6 },
+            { id: 'over_65', name: '65 and over', share: 0.4 },
+        ],
+    },
+    {
+        id: 'sex',
+        name: 'Sex',
+        levels: [
+            { id: 'female', name: 'Female', share: 0.5 },
+            { id: 'male', name: 'Male', share: 0.5 },
+        ],
+    },
+    {
+        id: 'region',
+        name: 'Region',
+        levels: [
+            { id: 'north_america', name: 'North America', share: 0.45 },
+            { id: 'europe', name: 'Europe', share: 0.35 },
+            { id: 'rest_of_world', name: 'Rest of world', share: 0.2 },
+        ],
+    },
+    {
+        id: 'severity',
+        name: 'Baseline severity',
+        levels: [
+            { id: 'moderate', name: 'Moderate disease', share: 0.6 },
+            { id: 'severe', name: 'Severe disease', share: 0.4 },
+        ],
+    },
+];
+
+// Dose arms on a readout, by number of doses
+export const DOSE_ARM_NAMES: Record<number, string[]> = {
+    1: ['Drug'],
+    2: ['Low dose', 'High dose'],
+    3: ['Low dose', 'Middle dose', 'High dose'],
+};
+
+// A lower dose keeps (dose / doses) to this power of the top dose's effect
+export const DOSE_RESPONSE = 0.5;
+
+// Time to event: the control arm's median is the endpoint's sd, and each
+// patient is followed for between half and one and a half times this many
+// control medians, so about 60% of control patients have the event
+export const SURVIVAL_FOLLOW_UP = 1.44;
+
+// Generated trials tried before one matching the gate is kept
+export const READOUT_DRAWS = 40;
+
+// Patients drawn on a waterfall; larger trials are sampled evenly
+export const WATERFALL_BARS = 120;
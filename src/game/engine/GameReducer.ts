@@ -1,5 +1,6 @@
 import { GameState, GameAction, DataTokens, Difficulty, ShadowProgramState } from '@/types/Game.types';
-import { DIFFICULTY_SETTINGS } from '@/game/data/balance';
+import { DIFFICULTY_SETTINGS, FUNDING_ROUNDS } from '@/game/data/balance';
+import { createCapTable, raiseRound, founderOwnership } from '@/game/engine/capTable';
 import { SHADOW_PROGRAMS } from '@/game/data/shadowPrograms';
 import { getScenarioForSpace } from '@/game/data/policyScenarios';
 
@@ -66,8 +67,9 @@ export const createMenuState = (): GameState => {
         currentYear: 0,
         yearHistory: [],
         // Funding tracking (RA Capital framework)
-        founderOwnership: 1.0, // 100% at start
+        founderOwnership: founderOwnership(createCapTable()),
         fundingRoundsCompleted: [],
+        capTable: createCapTable(),
         fundingHistory: [],
         pendingFundingRound: null,
     };
@@ -122,8 +124,9 @@ export const createInitialState = (difficulty: Difficulty): GameState => {
         currentYear: 0,
         yearHistory: [],
         // Funding tracking (RA Capital framework)
-        founderOwnership: 1.0, // 100% at start
+        founderOwnership: founderOwnership(createCapTable()),
         fundingRoundsCompleted: [],
+        capTable: createCapTable(),
         fundingHistory: [],
         pendingFundingRound: null,
     };
@@ -285,10 +288,18 @@ export const gameReducer = (state: GameState, action: GameAction): GameState =>
 
         case 'DILUTE': {
             const newCapital = state.capital + action.amount;
+            const capTable = raiseRound(state.capTable, {
+                id: `equity_turn_${state.turnNumber}`,
+                name: `Equity raise (turn ${state.turnNumber})`,
+                amount: action.amount,
+                dilution: action.dilutionPercent / 100,
+            });
 
             return {
                 ...state,
                 capital: newCapital,
+                capTable,
+                founderOwnership: founderOwnership(capTable),
                 history: {
                     ...state.history,
                     financingEvents: [
@@ -316,9 +327,18 @@ export const gameReducer = (state: GameState, action: GameAction): GameState =>
         }
 
         case 'EMERGENCY_FINANCING': {
+            const capTable = raiseRound(state.capTable, {
+                id: `emergency_turn_${state.turnNumber}`,
+                name: `Emergency financing (turn ${state.turnNumber})`,
+                amount: 100,
+                dilution: 0.5,
+                liquidationPreference: 2,   // Rescue money sets its own terms
+            });
             return {
                 ...state,
                 capital: state.capital + 100,
+                capTable,
+                founderOwnership: founderOwnership(capTable),
                 status: 'playing',
                 history: {
                     ...state.history,
@@ -567,11 +587,18 @@ export const gameReducer = (state: GameState, action: GameAction): GameState =>
         }
 
         case 'COMPLETE_FUNDING_ROUND': {
-            const newOwnership = state.founderOwnership * (1 - action.event.dilution);
+            const round = FUNDING_ROUNDS[action.event.round as keyof typeof FUNDING_ROUNDS];
+            const capTable = raiseRound(state.capTable, {
+                id: action.event.round,
+                name: round?.name ?? action.event.round,
+                amount: action.event.amountRaised,
+                dilution: action.event.dilution,
+            });
             return {
                 ...state,
                 capital: state.capital + action.event.amountRaised,
-                founderOwnership: newOwnership,
+                capTable,
+                founderOwnership: founderOwnership(capTable),
                 fundingRoundsCompleted: [...state.fundingRoundsCompleted, action.event.round],
                 fundingHistory: [...state.fundingHistory, action.event],
                 pendingFundingRound: null,
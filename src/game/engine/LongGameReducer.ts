@@ -0,0 +1,1411 @@
+/**
+ * LONG GAME REDUCER
+ *
+ * Rules engine for The Long Journey (TheLongGame.jsx).
+ * The state is a plain serializable object and every rule lives in the
+ * reducer, so the component only renders and dispatches. Randomness comes
+ * from the seeded generator stored on the state (rngState), so a seed plus
+ * the player's actions replays exactly the same game. Those actions are
+ * kept on the state too (replayLog).
+ */
+
+import {
+    LongGameState,
+    GateRules,
+    Indication,
+    GateResult,
+    AlternativeFinancing,
+    CompletedPhase,
+    ProgramEventRecord,
+    Platform,
+    ProgramAllocation,
+    PayerStrategyId,
+    SalesForceId,
+    SaveSchema,
+    TrialDesignField,
+} from '@/types/Game.types';
+import { PHASES, FAILURE_REASONS } from '@/game/data/phases';
+import { EVENTS, MODALITY_EVENTS, POLICY_EVENTS } from '@/game/data/decisions';
+import { FINANCING_ROUNDS, ALTERNATIVE_FINANCING, EXIT_STRATEGIES, MARKET_MOODS } from '@/game/data/financing';
+import { MARKET_SIZE_DATA, INNOVATION_DATA, INDICATIONS } from '@/game/data/strategy';
+import { DEFAULT_MEDICARE_SHARE } from '@/game/data/ira';
+import { TRIAL_PHASES } from '@/game/data/trialDesign';
+import {
+    MODALITY_DATA,
+    MODALITY_INDICATION_COMPATIBILITY,
+    MODALITY_PROGRAM_FIT,
+    MODALITY_STARTING_RISK,
+    DEFAULT_STARTING_RISK,
+    PLATFORMS,
+} from '@/game/data/modalities';
+import { createRng, createSeed, Rng } from '@/game/engine/random';
+import { encodeAction, UNLOGGED_ACTIONS } from '@/game/engine/replayLog';
+import { valuationPoint } from '@/game/engine/valuation';
+import {
+    createCapTable,
+    raiseRound,
+    financingRoundTerms,
+    applyAlternativeFinancing,
+    founderDilution,
+    setDebtOutstanding,
+    addWarrants,
+} from '@/game/engine/capTable';
+import { drawFacility, serviceDebt, checkCovenants } from '@/game/engine/ventureDebt';
+import { phaseBudget, runPhase, selectOverheadRate, selectPhaseCashNeed } from '@/game/engine/burn';
+import { createObligation } from '@/game/engine/revenue';
+import { createExitOffer, describeExit, exitOfferKey, exitCapTable, ipoWindowOpen } from '@/game/engine/exits';
+import { climateEvents, selectMarketClimate } from '@/game/engine/marketClimate';
+import { createRivals, delayEnrollment, raceRivals } from '@/game/engine/competitors';
+import { selectMedicareNegotiation } from '@/game/engine/ira';
+import { advanceFollowOns, createFollowOn, selectCanLaunchFollowOn, selectFollowOnLaunchCost } from '@/game/engine/platform';
+import { createLaunch, playLaunchQuarter, sellLaunchRoyalty, setPayerStrategy, setSalesForce } from '@/game/engine/launch';
+import {
+    createTrialDesign,
+    describeTrialDesign,
+    plannedPhase,
+    selectTrialPlan,
+    setTrialDesign,
+    trialDesignRisk,
+    trialLabelRevenue,
+} from '@/game/engine/trialDesign';
+import { describeReadout, readTrial } from '@/game/engine/trialReadout';
+import {
+    questionKey,
+    riskKey,
+    selectAvailableAlternatives,
+    selectCurrentPhase,
+    selectDebtOffer,
+    selectGateOdds,
+    selectHasMoreRounds,
+    selectNextRound,
+    selectPhaseQuestions,
+    selectSeedRound,
+    RISK_FAILURE_THRESHOLDS,
+} from '@/game/engine/selectors';
+import { conveneDsmb, selectFinalOdds, selectNextLook } from '@/game/engine/dsmb';
+import {
+    closeCompany,
+    createPortfolio,
+    endTurn,
+    enlistProgram,
+    playQuarter,
+    selectCompanyMonths,
+    setAllocation,
+    skipToReadout,
+    PORTFOLIO_SIZE,
+} from '@/game/engine/portfolio';
+
+// ============================================
+// ACTION TYPES
+// ============================================
+
+export type LongGameAction =
+    | { type: 'START_GAME'; seed: number; gateRules: GateRules }
+    | { type: 'SET_PORTFOLIO_SIZE'; size: number }
+    | { type: 'SELECT_MODALITY'; modality: string }
+    | { type: 'SELECT_MARKET_SIZE'; marketSize: string }
+    | { type: 'SELECT_INNOVATION'; innovation: string }
+    | { type: 'SELECT_INDICATION'; indication: Indication }
+    | { type: 'ADVANCE_STEP' }
+    | { type: 'SET_TRIAL_DESIGN'; field: TrialDesignField; value: string }
+    | { type: 'CONFIRM_TRIAL_DESIGN' }
+    | { type: 'ANSWER_QUESTION'; optionIndex: number }
+    | { type: 'CONTINUE_AFTER_QUESTION' }
+    | { type: 'ACKNOWLEDGE_EVENT' }
+    | { type: 'ANSWER_POLICY'; value: string }
+    | { type: 'CONTINUE_AFTER_POLICY' }
+    | { type: 'ACKNOWLEDGE_IRA' }
+    | { type: 'ACKNOWLEDGE_DSMB' }
+    | { type: 'ROLL_GATE' }
+    | { type: 'RAISE_NEXT_ROUND' }
+    | { type: 'SKIP_FINANCING' }
+    | { type: 'ACKNOWLEDGE_FINANCING' }
+    | { type: 'SELECT_ALTERNATIVE_FINANCING'; financingId: string }
+    | { type: 'DECLINE_ALTERNATIVE_FINANCING' }
+    | { type: 'TAKE_VENTURE_DEBT' }
+    | { type: 'NEGOTIATE_WAIVER' }
+    | { type: 'ACCEPT_DEFAULT' }
+    | { type: 'LAUNCH_FOLLOW_ON' }
+    | { type: 'ACCEPT_EXIT' }
+    | { type: 'DECLINE_EXIT' }
+    | { type: 'SET_ALLOCATION'; programId: string; allocation: ProgramAllocation }
+    | { type: 'PLAY_QUARTER' }
+    | { type: 'SKIP_TO_READOUT' }
+    | { type: 'SET_SALES_FORCE'; salesForce: SalesForceId }
+    | { type: 'SET_PAYER_STRATEGY'; payerStrategy: PayerStrategyId }
+    | { type: 'PLAY_LAUNCH_QUARTER' }
+    | { type: 'SELL_LAUNCH_ROYALTY' }
+    | { type: 'RETURN_TO_TITLE' }
+    | { type: 'LOAD_GAME'; state: LongGameState };
+
+// ============================================
+// INITIAL STATE
+// ============================================
+
+export const createInitialLongGameState = (seed: number = createSeed(), gateRules: GateRules = 'teaching'): LongGameState => ({
+    seed,
+    rngState: seed,
+    gateRules,
+    screen: 'title',
+    currentPhaseIndex: 0,
+    phaseStep: 0,
+    phaseProgress: { months: 0, spent: 0 },
+    cash: 150,
+    capitalInvested: 0,
+    months: 0,
+    riskBonus: 0,
+    marketMultiplier: 1.0,
+    drugName: '',
+    indication: '',
+    indicationData: null,
+    vcInvestment: 0,
+    platform: null,
+    exitStrategy: null,
+    marketSize: null,
+    innovation: null,
+    programType: null,
+    modality: null,
+    currentRoundIndex: 0,
+    totalDilution: 0,
+    capTable: createCapTable(),
+    showFinancingScreen: false,
+    financingResult: null,
+    alternativeFinancingUsed: [],
+    showAlternativeFinancing: false,
+    revenueMultiplier: 1.0,
+    obligations: [],
+    debt: [],
+    debtDefault: null,
+    followOns: [],
+    rivals: [],
+    exitOffer: null,
+    exitOffersSeen: [],
+    exit: null,
+    currentQuestion: null,
+    currentEvent: null,
+    currentPolicy: null,
+    questionResult: null,
+    gateResult: null,
+    policyResult: null,
+    usedQuestions: [],
+    usedEvents: [],
+    seenPolicy: false,
+    seenIRA: false,
+    trialDesigns: {},
+    trialReadouts: {},
+    trialMonitoring: {},
+    programEvents: [],
+    phasesCompleted: [],
+    decisionsLog: [],
+    valuationHistory: [],
+    portfolio: null,
+    launch: null,
+    replayLog: [],
+    ...DEFAULT_STARTING_RISK,
+});
+
+// ============================================
+// RULE CONSTANTS
+// ============================================
+
+// Chance that an unused event fires when a phase reaches its event step
+export const EVENT_CHANCE = 0.65;
+
+// Financing is offered when cash falls below this multiple of the next phase cost
+const FINANCING_BUFFER = 1.5;
+
+// Actions still open while a loan breach waits on the player
+const DEFAULT_ACTIONS: LongGameAction['type'][] = ['NEGOTIATE_WAIVER', 'ACCEPT_DEFAULT', ...UNLOGGED_ACTIONS];
+
+// Actions still open while an exit offer waits on the player
+const EXIT_ACTIONS: LongGameAction['type'][] = ['ACCEPT_EXIT', 'DECLINE_EXIT', ...UNLOGGED_ACTIONS];
+
+// Actions taken on the portfolio board between turns
+const PORTFOLIO_ACTIONS: LongGameAction['type'][] = ['SET_ALLOCATION', 'PLAY_QUARTER', 'SKIP_TO_READOUT'];
+
+// Actions taken on the market once the drug is approved
+const LAUNCH_ACTIONS: LongGameAction['type'][] = ['SET_SALES_FORCE', 'SET_PAYER_STRATEGY', 'PLAY_LAUNCH_QUARTER', 'SELL_LAUNCH_ROYALTY'];
+
+// Extra warrants a lender asks for to waive a breach, as a share of the original coverage
+const WAIVER_WARRANT_SHARE = 0.5;
+
+// Phase II policy event and Phase III IRA step are tied to these stage indexes
+const POLICY_PHASE_INDEX = 5;
+const IRA_PHASE_INDEX = 6;
+
+const clampRisk = (value: number): number => Math.max(0, Math.min(100, value));
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Does the Phase III IRA negotiation step apply to this program? Orphan
+ * drugs are excluded from negotiation, so there is nothing to show them.
+ */
+const iraApplies = (state: LongGameState): boolean =>
+    state.currentPhaseIndex === IRA_PHASE_INDEX &&
+    !state.seenIRA &&
+    !selectMedicareNegotiation(state).exempt;
+
+/**
+ * A program that stops here. In a portfolio the company carries on with
+ * the others; a single-asset company ends with it.
+ */
+const failProgram = (state: LongGameState): LongGameState =>
+    state.portfolio ? endTurn(state, 'failed') : { ...state, screen: 'failure' };
+
+/**
+ * An approved drug. A single-asset company takes it to market itself; a
+ * portfolio counts the approval and moves on.
+ */
+const completeProgram = (state: LongGameState, rng: Rng): LongGameState =>
+    state.portfolio ? endTurn(state, 'approved') : { ...state, screen: 'launch', launch: createLaunch(rng) };
+
+// Out of money with nothing left to raise: every program stops
+const failCompany = (state: LongGameState): LongGameState =>
+    state.portfolio ? closeCompany(state) : { ...state, screen: 'failure' };
+
+// ============================================
+// STEP LOGIC
+// ============================================
+
+const triggerEventStep = (state: LongGameState, rng: Rng): LongGameState => {
+    const phase = selectCurrentPhase(state);
+
+    // Combine generic phase events with modality-specific events
+    const genericEvents = EVENTS[phase.id] || [];
+    const modalityEvents = (state.modality && MODALITY_EVENTS[state.modality]?.[phase.id]) || [];
+    const available = [...genericEvents, ...modalityEvents].filter(e => !state.usedEvents.includes(e.title));
+
+    if (available.length > 0 && rng.next() < EVENT_CHANCE) {
+        const event = rng.pick(available);
+        return {
+            ...state,
+            currentEvent: event,
+            usedEvents: [...state.usedEvents, event.title],
+            phaseStep: 2,
+        };
+    }
+
+    return { ...state, currentEvent: null, phaseStep: 2 };
+};
+
+// The phase's next question if one is left, otherwise its event step
+const openPhaseWork = (state: LongGameState, rng: Rng): LongGameState => {
+    const available = selectPhaseQuestions(state);
+    if (available.length > 0) {
+        return { ...state, currentQuestion: available[0], phaseStep: 1 };
+    }
+    return triggerEventStep(state, rng);
+};
+
+/**
+ * Start the trial as designed. Its design moves design risk, a pivotal
+ * win over an active comparator goes on the label and into revenue, and a
+ * trial with interim looks gets a DSMB to watch it.
+ */
+const startTrial = (state: LongGameState): LongGameState => {
+    const phase = selectCurrentPhase(state);
+    const design = state.trialDesigns[phase.id];
+    const spec = TRIAL_PHASES[phase.id];
+    if (!design || !spec) return state;
+
+    const plan = selectTrialPlan(state, design, phase.id);
+    const designEffect = trialDesignRisk(design);
+    const labelRevenue = spec.pivotal ? trialLabelRevenue(design) : 0;
+    return {
+        ...state,
+        designRisk: clampRisk(state.designRisk + designEffect),
+        revenueMultiplier: state.revenueMultiplier + labelRevenue,
+        trialMonitoring: plan.looks.length > 0
+            ? { ...state.trialMonitoring, [phase.id]: { looks: [], score: 0, information: 0, sampleSize: 1, drift: null, stopped: null } }
+            : state.trialMonitoring,
+        decisionsLog: [...state.decisionsLog, {
+            type: 'strategic',
+            phase: phase.name,
+            question: 'Trial Design',
+            decision: describeTrialDesign(design, plan),
+            impact: designEffect > 0 ? 'risky' : designEffect < 0 ? 'safe' : labelRevenue > 0 ? 'positive' : 'neutral',
+            riskChange: designEffect,
+        }],
+    };
+};
+
+/**
+ * Put the first exit a cleared gate opens in front of the player. Each
+ * exit is offered once per gate; an IPO window that stays shut is noted
+ * and passed over.
+ */
+const offerExit = (state: LongGameState, rng: Rng): LongGameState => {
+    // Buyers price a single asset; a portfolio company is not for sale one program at a time
+    if (state.portfolio) return state;
+    const phase = selectCurrentPhase(state);
+    let next = state;
+    for (const strategy of EXIT_STRATEGIES) {
+        const key = exitOfferKey(strategy.type, phase.id);
+        if (!strategy.offerAfter?.includes(phase.id) || next.exitOffersSeen.includes(key)) continue;
+        // A company that has already listed has no IPO left to offer
+        if (strategy.type === 'ipo' && !selectHasMoreRounds(next)) continue;
+
+        next = { ...next, exitOffersSeen: [...next.exitOffersSeen, key] };
+        const mood = strategy.type === 'ipo' ? selectMarketClimate(next).mood : null;
+        if (mood && !ipoWindowOpen(next, mood, rng)) {
+            next = {
+                ...next,
+                programEvents: [...next.programEvents, {
+                    title: 'IPO Window Shut',
+                    description: `${MARKET_MOODS[mood].label}. Bankers could not build a book for a listing.`,
+                    phase: phase.name,
+                    financing: true,
+                }],
+            };
+            continue;
+        }
+
+        const offer = createExitOffer(next, strategy, rng, mood);
+        if (offer) return { ...next, exitOffer: offer };
+    }
+    return next;
+};
+
+/**
+ * Move the current phase forward one step.
+ * Financing checks run first; offerFinancing is false when the player has
+ * just closed a round, so the same gate does not prompt twice.
+ */
+const advance = (state: LongGameState, rng: Rng, offerFinancing = true): LongGameState => {
+    // Out of cash: raise the next round, fall back to alternatives, or fail
+    if (state.cash <= 0) {
+        if (selectHasMoreRounds(state)) {
+            return { ...state, showFinancingScreen: true };
+        }
+        return selectAvailableAlternatives(state).length > 0
+            ? { ...state, showAlternativeFinancing: true }
+            : failCompany(state);
+    }
+
+    const phase = selectCurrentPhase(state);
+
+    switch (state.phaseStep) {
+        case 0: {
+            // Phase intro -> Trial design (Phase II and III), then Question (if available) or Event
+            const design = state.trialDesigns[phase.id] ?? createTrialDesign(phase.id);
+            if (design) {
+                return { ...state, trialDesigns: { ...state.trialDesigns, [phase.id]: design }, phaseStep: 0.5 };
+            }
+            return openPhaseWork(state, rng);
+        }
+
+        case 0.5:
+            // Design confirmed -> Question (if available) or Event
+            return openPhaseWork(startTrial(state), rng);
+
+        case 1:
+            // Question answered -> Event step
+            return triggerEventStep(state, rng);
+
+        case 2: {
+            // Event acknowledged or skipped -> Policy (Phase II) or IRA (Phase III) or Gate
+            if (state.currentPhaseIndex === POLICY_PHASE_INDEX && !state.seenPolicy) {
+                const policy = rng.pick(POLICY_EVENTS);
+                return { ...state, currentPolicy: policy, phaseStep: 2.5 };
+            }
+            if (iraApplies(state)) {
+                return { ...state, phaseStep: 2.7 };
+            }
+            if (phase.id === 'patient_access') {
+                // Patient Access is last phase - no gate
+                return completeProgram(state, rng);
+            }
+            return { ...state, phaseStep: 3 };
+        }
+
+        case 2.5: {
+            // Policy aftermath acknowledged -> IRA or Gate
+            const next = { ...state, seenPolicy: true };
+            return { ...next, phaseStep: iraApplies(next) ? 2.7 : 3 };
+        }
+
+        case 2.7:
+            // IRA acknowledged -> Gate
+            return { ...state, seenIRA: true, phaseStep: 3 };
+
+        case 2.9: {
+            // DSMB look acknowledged -> Gate, which runs on to the next look or the
+            // end; a trial stopped for efficacy closes out, one stopped for futility ends
+            const stopped = state.trialMonitoring[phase.id]?.stopped;
+            if (stopped === 'futility') return stopForFutility(state);
+            if (stopped === 'efficacy') return rollGate({ ...state, phaseStep: 3 }, rng);
+            return { ...state, phaseStep: 3 };
+        }
+
+        case 3: {
+            // The gate has to be evaluated before moving on
+            if (!state.gateResult) return state;
+
+            // Clearing a gate can bring buyers to the table
+            const checked = offerExit(state, rng);
+            if (checked.exitOffer) return checked;
+
+            if (checked.currentPhaseIndex >= PHASES.length - 1) {
+                return completeProgram(checked, rng);
+            }
+
+            // Check financing BEFORE advancing to next phase
+            const nextPhase = plannedPhase(checked, checked.currentPhaseIndex + 1);
+            if (offerFinancing && checked.cash < phaseBudget(nextPhase) * FINANCING_BUFFER && selectHasMoreRounds(checked)) {
+                return { ...checked, showFinancingScreen: true };
+            }
+
+            // A trial starting against rival trials takes longer to enroll
+            const moved = delayEnrollment({
+                ...checked,
+                currentPhaseIndex: checked.currentPhaseIndex + 1,
+                phaseStep: 0,
+                phaseProgress: { months: 0, spent: 0 },
+                currentQuestion: null,
+                currentEvent: null,
+                questionResult: null,
+                gateResult: null,
+            });
+            // A portfolio program waits out the phase it just ran before its next turn
+            return moved.portfolio ? endTurn(moved, 'running') : moved;
+        }
+
+        default:
+            return state;
+    }
+};
+
+/**
+ * Found the company: seed funding, an empty ledger and no deals yet
+ */
+const initializeCompany = (state: LongGameState): LongGameState => {
+    // Start with SEED funding - not the full Series A - in whatever market the company is founded into
+    const seedRound = selectSeedRound(state);
+    const capTable = raiseRound(createCapTable(), financingRoundTerms(seedRound));
+
+    return {
+        ...state,
+        cash: seedRound.amount,
+        currentRoundIndex: 0,
+        totalDilution: founderDilution(capTable),
+        capTable,
+        capitalInvested: seedRound.amount,
+        showFinancingScreen: false,
+        financingResult: null,
+        alternativeFinancingUsed: [],
+        showAlternativeFinancing: false,
+        debt: [],
+        debtDefault: null,
+        exitOffer: null,
+        exitOffersSeen: [],
+        exit: null,
+    };
+};
+
+/**
+ * Apply setup penalties and bonuses once the indication is chosen. Later
+ * programs in a portfolio join the company the first one founded.
+ */
+const initializeProgram = (state: LongGameState, indication: Indication): LongGameState => {
+    const mod = state.modality || '';
+    const modalityName = MODALITY_DATA[mod]?.displayName || mod;
+    const company = state.portfolio?.programs.length ? state : initializeCompany(state);
+
+    let next: LongGameState = {
+        ...company,
+        indicationData: indication,
+        indication: indication.name,
+        months: 0,
+        currentPhaseIndex: 0,
+        phaseStep: 0,
+        phaseProgress: { months: 0, spent: 0 },
+        usedQuestions: [],
+        usedEvents: [],
+        seenPolicy: false,
+        seenIRA: false,
+        trialDesigns: {},
+        trialReadouts: {},
+        trialMonitoring: {},
+        currentQuestion: null,
+        currentEvent: null,
+        currentPolicy: null,
+        questionResult: null,
+        gateResult: null,
+        policyResult: null,
+        revenueMultiplier: 1.0,
+        obligations: [],
+        followOns: [],
+        programEvents: [],
+        phasesCompleted: [],
+        decisionsLog: [],
+        ...(MODALITY_STARTING_RISK[mod] || DEFAULT_STARTING_RISK),
+        screen: 'phase',
+    };
+
+    // Apply modality-indication compatibility penalties
+    const compat = MODALITY_INDICATION_COMPATIBILITY[indication.area]?.[mod];
+    if (compat && compat.penalty > 0) {
+        const key = riskKey(compat.riskType);
+        next = {
+            ...next,
+            [key]: Math.min(100, next[key] + compat.penalty),
+            decisionsLog: [{
+                question: 'Modality-Indication Compatibility',
+                choice: `${modalityName} for ${indication.area}`,
+                riskChange: `+${compat.penalty} ${compat.riskType || 'design'} risk`,
+                impact: compat.reason,
+            }],
+            programEvents: [{
+                phase: 'Modality Selection',
+                type: 'warning',
+                message: `${compat.reason}`,
+                detail: `+${compat.penalty}% ${compat.riskType || 'design'} risk applied`,
+            }],
+        };
+    }
+
+    // Apply modality-program type fit modifiers (BCG insights)
+    const programFit = state.programType ? MODALITY_PROGRAM_FIT[state.programType]?.[mod] : undefined;
+    if (programFit && programFit.modifier !== 0) {
+        const absModifier = Math.abs(programFit.modifier);
+        if (programFit.modifier > 0) {
+            // Penalty for poor fit
+            const key = riskKey(programFit.riskType);
+            next = {
+                ...next,
+                [key]: Math.min(100, next[key] + absModifier),
+                programEvents: [...next.programEvents, {
+                    phase: 'Program Strategy',
+                    type: 'warning',
+                    message: `${modalityName} challenging for ${state.programType} programs`,
+                    detail: programFit.note,
+                }],
+            };
+        } else {
+            // Bonus for good fit
+            next = {
+                ...next,
+                designRisk: Math.max(5, next.designRisk - absModifier),
+                programEvents: [...next.programEvents, {
+                    phase: 'Program Strategy',
+                    type: 'positive',
+                    message: `${modalityName} well-suited for ${state.programType} programs`,
+                    detail: programFit.note,
+                }],
+            };
+        }
+    }
+
+    // Who is already racing for the same patients
+    next = { ...next, rivals: createRivals(next) };
+
+    return { ...next, valuationHistory: [valuationPoint(next, 'Program start')] };
+};
+
+/**
+ * A portfolio short of cash for one program can shelve it while another
+ * funded program carries on
+ */
+const selectCanPauseForCash = (state: LongGameState): boolean =>
+    !!state.portfolio?.programs.some(p => p.id !== state.portfolio!.activeId && p.status === 'running' && p.allocation === 'fund');
+
+const pauseForCash = (state: LongGameState, need: number): LongGameState => endTurn({
+    ...state,
+    programEvents: [...state.programEvents, {
+        title: 'Program Paused',
+        description: `${selectCurrentPhase(state).name} needs $${need}M more and the company has $${state.cash}M with no financing left to cover it. The program waits until you fund it again.`,
+        phase: selectCurrentPhase(state).name,
+        financing: true,
+    }],
+}, 'running', 'pause');
+
+/**
+ * The phase stopped short of cash: raise a round mid-phase, fall back to
+ * alternatives that cover the rest of it, or run dry
+ */
+const fundRestOfPhase = (state: LongGameState): LongGameState => {
+    if (selectHasMoreRounds(state)) {
+        return { ...state, showFinancingScreen: true };
+    }
+    // Traditional rounds exhausted - offer alternatives that cover the shortfall
+    const need = selectPhaseCashNeed(state);
+    const coveringAlternatives = selectAvailableAlternatives(state)
+        .filter(alt => alt.amount >= need - state.cash);
+    if (coveringAlternatives.length > 0) return { ...state, showAlternativeFinancing: true };
+    if (selectCanPauseForCash(state)) return pauseForCash(state, need);
+
+    const phase = plannedPhase(state);
+    const { months, spent } = state.phaseProgress;
+    return failCompany({
+        ...state,
+        programEvents: [...state.programEvents, {
+            title: 'Ran Out of Capital',
+            description: months > 0
+                ? `${months} of ${phase.baseMonths} months into ${phase.name}, with $${spent}M of its $${phase.baseCost}M budget spent, there was no money left to raise the $${need}M still needed.`
+                : `There was no money left to raise the $${need}M ${phase.name} needs.`,
+            phase: phase.name,
+            isFailure: true,
+            financing: true,
+        }],
+    });
+};
+
+/**
+ * Record what the phase's trial showed, drawn to agree with its gate
+ */
+const withReadout = (state: LongGameState, success: boolean): LongGameState => {
+    const readout = readTrial(state, success);
+    return readout ? { ...state, trialReadouts: { ...state.trialReadouts, [selectCurrentPhase(state).id]: readout } } : state;
+};
+
+// The phase's readout as the first sentence of a failure, when it ran a trial
+const readoutSentence = (state: LongGameState): string => {
+    const readout = state.trialReadouts[selectCurrentPhase(state).id];
+    return readout ? `${describeReadout(readout)}. ` : '';
+};
+
+/**
+ * The DSMB stopped the trial for futility: the program ends at the look
+ */
+const stopForFutility = (state: LongGameState): LongGameState => {
+    const phase = selectCurrentPhase(state);
+    const looks = state.trialMonitoring[phase.id].looks;
+    const look = looks[looks.length - 1];
+    const read = withReadout(state, false);
+    return failProgram({
+        ...read,
+        programEvents: [...read.programEvents, {
+            title: 'Stopped for Futility',
+            description: `${readoutSentence(read)}The trend gave the trial a ${Math.round(look.conditionalPower * 100)}% chance of winning, and the DSMB stopped it for futility rather than spend the rest of its budget`,
+            phase: phase.name,
+            isFailure: true,
+        }],
+    });
+};
+
+/**
+ * Run the phase month by month, then decide whether the program clears its
+ * gate. A trial with interim looks runs to its next look first, for the
+ * DSMB to meet.
+ */
+const rollGate = (state: LongGameState, rng: Rng): LongGameState => {
+    const phase = selectCurrentPhase(state);
+    const look = selectNextLook(state);
+
+    // Spend the budget as the months go by; overhead and loans are charged as the clock moves
+    const run = runPhase(state, look?.month);
+    const paid: LongGameState = {
+        ...state,
+        months: state.months + run.months,
+        cash: Math.round((state.cash - run.spent) * 10) / 10,
+        capitalInvested: Math.round((state.capitalInvested + run.spent) * 10) / 10,
+        phaseProgress: {
+            months: state.phaseProgress.months + run.months,
+            spent: Math.round((state.phaseProgress.spent + run.spent) * 10) / 10,
+        },
+    };
+    if (!run.complete) return fundRestOfPhase(paid);
+
+    const odds = selectGateOdds(paid);
+    const check = RISK_FAILURE_THRESHOLDS[phase.id];
+    const overThreshold = !!check && paid[riskKey(check.type)] >= check.threshold;
+
+    // The DSMB sees a trial headed for its gate's odds, or for nothing past the
+    // threshold; teaching rules only let it stop a trial that is past it
+    if (look) return conveneDsmb(paid, overThreshold ? 0 : odds.probability, rng, overThreshold || state.gateRules === 'realistic');
+    if (paid.trialMonitoring[phase.id]?.stopped === 'efficacy') {
+        return advanceThroughGate(withReadout(paid, true), { success: true, probability: odds.probability, realWorldRate: phase.realSuccessRate }, rng);
+    }
+
+    // Decision-based failure check for clinical phases
+    if (check && overThreshold) {
+        const title = check.type === 'safety' ? 'Safety Signal Detected'
+            : check.type === 'efficacy' ? 'Efficacy Signal Not Detected'
+                : 'Primary Endpoint Missed';
+        const read = withReadout(paid, false);
+        return failProgram({
+            ...read,
+            programEvents: [...read.programEvents, {
+                title,
+                description: `${readoutSentence(read)}Your accumulated ${check.type} risk (${paid[riskKey(check.type)]}%) exceeded threshold`,
+                phase: phase.name,
+                isFailure: true,
+            }],
+        });
+    }
+
+    // Realistic attrition: even a well-run program can miss. After interim
+    // looks the odds are the trial's from where its evidence stands
+    if (state.gateRules === 'realistic') {
+        const chance = selectFinalOdds(paid, odds.probability);
+        const roll = rng.next();
+        if (roll >= chance) {
+            const reason = FAILURE_REASONS[phase.id];
+            const read = withReadout(paid, false);
+            return failProgram({
+                ...read,
+                gateResult: { success: false, probability: chance, realWorldRate: phase.realSuccessRate, roll },
+                programEvents: [...read.programEvents, {
+                    title: reason?.primary || `${phase.name} Gate Failed`,
+                    description: `${readoutSentence(read)}The data did not support advancing (${Math.round(chance * 100)}% odds of success)`,
+                    phase: phase.name,
+                    isFailure: true,
+                }],
+            });
+        }
+        return advanceThroughGate(withReadout(paid, true), { success: true, probability: chance, realWorldRate: phase.realSuccessRate, roll }, rng);
+    }
+
+    return advanceThroughGate(withReadout(paid, true), { success: true, probability: odds.probability, realWorldRate: phase.realSuccessRate }, rng);
+};
+
+/**
+ * Record a passed gate; the platform's follow-ons move with it
+ */
+const advanceThroughGate = (state: LongGameState, gateResult: GateResult, rng: Rng): LongGameState => {
+    const phase = selectCurrentPhase(state);
+    const pipeline = advanceFollowOns(state, rng);
+    const passed: LongGameState = {
+        ...state,
+        cash: Math.round((state.cash - pipeline.spent) * 10) / 10,
+        capitalInvested: Math.round((state.capitalInvested + pipeline.spent) * 10) / 10,
+        followOns: pipeline.followOns,
+        programEvents: [...state.programEvents, ...pipeline.events],
+        gateResult,
+        phasesCompleted: [...state.phasesCompleted, {
+            name: phase.name,
+            id: phase.id,
+            realSuccessRate: phase.realSuccessRate,
+            color: phase.color,
+            month: state.months,
+        }],
+    };
+    return {
+        ...passed,
+        valuationHistory: [...passed.valuationHistory, valuationPoint(passed, phase.name, phase.id)],
+    };
+};
+
+/**
+ * Take a loan: cash in, a facility to service, and the lender on the cap table
+ */
+const drawVentureDebt = (state: LongGameState, alt: AlternativeFinancing): LongGameState => {
+    const capTable = applyAlternativeFinancing(state.capTable, alt);
+    const terms = alt.debtTerms!;
+    return {
+        ...state,
+        cash: state.cash + alt.amount,
+        capitalInvested: state.capitalInvested + alt.amount,
+        capTable,
+        totalDilution: founderDilution(capTable),
+        debt: [...state.debt, drawFacility(alt.id, alt.name, alt.amount, terms, selectCompanyMonths(state))],
+        alternativeFinancingUsed: [...state.alternativeFinancingUsed, alt.id],
+        programEvents: [...state.programEvents, {
+            title: `${alt.name} Drawn`,
+            description: `Borrowed $${alt.amount}M at ${Math.round(terms.interestRate * 100)}%: interest only for ${terms.interestOnlyMonths} months, then repaid over ${terms.amortizationMonths}. Cash must stay above $${terms.minimumCash}M.`,
+            phase: selectCurrentPhase(state).name,
+            financing: true,
+        }],
+    };
+};
+
+/**
+ * Charge G&A overhead and loan payments for the months an action moved
+ * the company clock, then hold the company to its covenants. A portfolio
+ * pays by the quarter and is checked as each program takes its turn.
+ */
+const accrueCosts = (before: LongGameState, after: LongGameState): LongGameState => {
+    const from = selectCompanyMonths(before);
+    const to = selectCompanyMonths(after);
+    const turnStarted = !!after.portfolio?.activeId && !before.portfolio?.activeId;
+    if (to <= from && !turnStarted) return after;
+
+    // Overhead runs at the rate of the stage the months were spent in
+    const overhead = Math.round(selectOverheadRate(before) * (to - from) * 10) / 10;
+    const charged: LongGameState = overhead > 0
+        ? {
+            ...after,
+            cash: Math.round((after.cash - overhead) * 10) / 10,
+            capitalInvested: Math.round((after.capitalInvested + overhead) * 10) / 10,
+        }
+        : after;
+    if (charged.debt.length === 0 || charged.screen === 'failure') return charged;
+
+    const { facilities, paid } = serviceDebt(charged.debt, from, to);
+    const capTable = facilities.reduce((table, f) => setDebtOutstanding(table, f.id, f.balance), charged.capTable);
+    const serviced: LongGameState = {
+        ...charged,
+        debt: facilities,
+        capTable,
+        cash: Math.round((charged.cash - paid) * 10) / 10,
+    };
+    if (serviced.screen !== 'phase') return serviced;
+    return { ...serviced, debtDefault: checkCovenants(facilities, serviced.cash, to) };
+};
+
+/**
+ * Generate a code name that doesn't imply modality, e.g. ABX-001, GTX-042
+ */
+export const generateDrugName = (rng: Rng): string => {
+    const letters = 'ABCDEFGHJKLMNPQRSTVWXYZ';
+    const prefix = letters[rng.int(letters.length)] + letters[rng.int(letters.length)] + letters[rng.int(letters.length)];
+    const number = String(rng.int(900) + 100);
+    return `${prefix}-${number}`;
+};
+
+// ============================================
+// REDUCER
+// ============================================
+
+const reduce = (state: LongGameState, action: LongGameAction, rng: Rng): LongGameState => {
+    // A loan breach or an exit offer has to be settled before anything else happens
+    if (state.debtDefault && !DEFAULT_ACTIONS.includes(action.type)) return state;
+    if (state.exitOffer && !EXIT_ACTIONS.includes(action.type)) return state;
+    // Quarters are planned from the board, between turns
+    if (PORTFOLIO_ACTIONS.includes(action.type) && !(state.screen === 'portfolio' && state.portfolio && !state.portfolio.activeId)) return state;
+    // A launch only takes launch decisions; they mean nothing before approval
+    if (state.screen === 'launch' && !LAUNCH_ACTIONS.includes(action.type) && !UNLOGGED_ACTIONS.includes(action.type)) return state;
+    if (LAUNCH_ACTIONS.includes(action.type) && state.screen !== 'launch') return state;
+
+    switch (action.type) {
+        case 'START_GAME': {
+            return { ...createInitialLongGameState(action.seed, action.gateRules), screen: 'setup_modality' };
+        }
+
+        case 'SET_PORTFOLIO_SIZE': {
+            if (state.screen !== 'setup_modality' || state.portfolio || action.size < PORTFOLIO_SIZE.min) return state;
+            return { ...state, portfolio: createPortfolio(action.size) };
+        }
+
+        case 'SELECT_MODALITY': {
+            if (state.screen !== 'setup_modality' || !MODALITY_DATA[action.modality]) return state;
+            // Investors fund platforms, not just single assets
+            const modalityPlatforms = PLATFORMS[action.modality] || PLATFORMS['small-molecule'];
+            const drugName = generateDrugName(rng);
+            const platform = rng.pick(modalityPlatforms);
+
+            return {
+                ...state,
+                modality: action.modality,
+                drugName,
+                platform,
+                screen: 'setup_market_size',
+            };
+        }
+
+        case 'SELECT_MARKET_SIZE': {
+            if (state.screen !== 'setup_market_size' || !MARKET_SIZE_DATA[action.marketSize]) return state;
+            return {
+                ...state,
+                marketSize: action.marketSize,
+                programType: action.marketSize,
+                screen: 'setup_innovation',
+            };
+        }
+
+        case 'SELECT_INNOVATION': {
+            if (state.screen !== 'setup_innovation' || !INNOVATION_DATA[action.innovation]) return state;
+            const marketData = state.marketSize ? MARKET_SIZE_DATA[state.marketSize] : undefined;
+            const innovData = INNOVATION_DATA[action.innovation];
+
+            return {
+                ...state,
+                innovation: action.innovation,
+                // Combine risk bonuses, multiply market multipliers
+                riskBonus: (marketData?.riskBonus || 0) + (innovData?.riskBonus || 0),
+                marketMultiplier: (marketData?.marketMultiplier || 1) * (innovData?.marketMultiplier || 1),
+                vcInvestment: marketData?.vcInvestment || 80,
+                screen: 'setup_indication',
+            };
+        }
+
+        case 'SELECT_INDICATION': {
+            if (state.screen !== 'setup_indication') return state;
+            const program = initializeProgram(state, action.indication);
+            return program.portfolio ? enlistProgram(program) : program;
+        }
+
+        case 'ADVANCE_STEP': {
+            // Moves on from a phase intro, a quiet event step or a cleared gate; every other step has its own action
+            const open = state.phaseStep === 0 || (state.phaseStep === 2 && !state.currentEvent) || (state.phaseStep === 3 && !!state.gateResult);
+            if (state.screen !== 'phase' || !open || state.showFinancingScreen || state.showAlternativeFinancing) return state;
+            return advance(state, rng);
+        }
+
+        case 'SET_TRIAL_DESIGN': {
+            return setTrialDesign(state, action.field, action.value);
+        }
+
+        case 'CONFIRM_TRIAL_DESIGN': {
+            if (state.phaseStep !== 0.5) return state;
+            return advance(state, rng);
+        }
+
+        case 'ANSWER_QUESTION': {
+            const question = state.currentQuestion;
+            const option = question?.options[action.optionIndex];
+            if (!question || !option || state.questionResult) return state;
+
+            const riskImpact = (option.efficacyEffect || 0) + (option.safetyEffect || 0) + (option.designEffect || 0);
+            const riskBonusChange = option.riskBonus || 0;
+
+            return {
+                ...state,
+                cash: state.cash + (option.cashEffect || 0),
+                capitalInvested: state.capitalInvested + Math.max(0, -(option.cashEffect || 0)),
+                months: state.months + (option.timeEffect || 0),
+                riskBonus: state.riskBonus + riskBonusChange,
+                marketMultiplier: state.marketMultiplier * (option.marketBonus || 1),
+                revenueMultiplier: state.revenueMultiplier + (option.revenueEffect || 0),
+                efficacyRisk: clampRisk(state.efficacyRisk + (option.efficacyEffect || 0)),
+                safetyRisk: clampRisk(state.safetyRisk + (option.safetyEffect || 0)),
+                designRisk: clampRisk(state.designRisk + (option.designEffect || 0)),
+                usedQuestions: [...state.usedQuestions, questionKey(question)],
+                questionResult: option,
+                // Log this decision for the final report
+                decisionsLog: [...state.decisionsLog, {
+                    type: 'strategic',
+                    phase: selectCurrentPhase(state)?.name,
+                    question: question.title,
+                    decision: option.text,
+                    impact: riskImpact > 0 ? 'risky' : riskImpact < 0 ? 'safe'
+                        : riskBonusChange > 0 ? 'positive' : riskBonusChange < 0 ? 'negative' : 'neutral',
+                    riskChange: riskImpact,
+                }],
+            };
+        }
+
+        case 'CONTINUE_AFTER_QUESTION': {
+            if (state.phaseStep !== 1 || (state.currentQuestion && !state.questionResult)) return state;
+            return advance({ ...state, questionResult: null }, rng);
+        }
+
+        case 'ACKNOWLEDGE_EVENT': {
+            const event = state.currentEvent;
+            if (!event) return state;
+
+            // Track adverse events for the failure post-mortem
+            const tracked: ProgramEventRecord[] = event.positive === false || (event.riskBonus || 0) < 0
+                ? [{
+                    title: event.title,
+                    description: event.description,
+                    phase: selectCurrentPhase(state)?.name,
+                    failureMode: event.failureMode || null,
+                }]
+                : [];
+
+            // Deals offered by events carry their claim on future sales
+            const obligations = event.obligation
+                ? [...state.obligations, createObligation(
+                    event.title.toLowerCase().replace(/\W+/g, '_'),
+                    event.title,
+                    event.cashEffect || 0,
+                    selectCurrentPhase(state).name,
+                    event.obligation
+                )]
+                : state.obligations;
+
+            return advance({
+                ...state,
+                cash: state.cash + (event.cashEffect || 0),
+                capitalInvested: state.capitalInvested + Math.max(0, -(event.cashEffect || 0)),
+                months: state.months + (event.timeEffect || 0),
+                riskBonus: state.riskBonus + (event.riskBonus || 0),
+                marketMultiplier: state.marketMultiplier * (event.marketBonus || 1),
+                obligations,
+                programEvents: [...state.programEvents, ...tracked],
+                currentEvent: null,
+            }, rng);
+        }
+
+        case 'ANSWER_POLICY': {
+            const policy = state.currentPolicy;
+            const aftermath = policy?.aftermath[action.value];
+            if (!policy || !aftermath || state.policyResult) return state;
+
+            return {
+                ...state,
+                marketMultiplier: state.marketMultiplier * (1 + (aftermath.marketEffect || 0)),
+                policyResult: { policy, choice: action.value, aftermath },
+            };
+        }
+
+        case 'CONTINUE_AFTER_POLICY': {
+            if (state.phaseStep !== 2.5 || (state.currentPolicy && !state.policyResult)) return state;
+            return advance({ ...state, currentPolicy: null, policyResult: null }, rng);
+        }
+
+        case 'ACKNOWLEDGE_IRA': {
+            // Negotiation is already in the revenue model; the step only explains it
+            if (state.phaseStep !== 2.7) return state;
+            return advance({ ...state, seenIRA: true }, rng);
+        }
+
+        case 'ACKNOWLEDGE_DSMB': {
+            if (state.phaseStep !== 2.9) return state;
+            return advance(state, rng);
+        }
+
+        case 'ROLL_GATE': {
+            // Only at the gate, once, and not while a financing prompt is open
+            if (state.phaseStep !== 3 || state.gateResult || state.showFinancingScreen || state.showAlternativeFinancing) return state;
+            return rollGate(state, rng);
+        }
+
+        case 'RAISE_NEXT_ROUND': {
+            if (!state.showFinancingScreen || state.financingResult) return state;
+            const nextRound = selectNextRound(state);
+            if (!nextRound) {
+                return { ...state, showFinancingScreen: false };
+            }
+
+            const newCash = state.cash + nextRound.amount;
+            const capTable = raiseRound(state.capTable, financingRoundTerms(nextRound));
+            const totalDilution = founderDilution(capTable);
+
+            return {
+                ...state,
+                cash: newCash,
+                capitalInvested: state.capitalInvested + nextRound.amount,
+                totalDilution,
+                capTable,
+                currentRoundIndex: state.currentRoundIndex + 1,
+                financingResult: { round: nextRound, newCash, totalDilution },
+            };
+        }
+
+        case 'SKIP_FINANCING': {
+            if (!state.showFinancingScreen || state.financingResult) return state;
+            return { ...state, showFinancingScreen: false, financingResult: null };
+        }
+
+        case 'ACKNOWLEDGE_FINANCING': {
+            // Continue the game flow from where we left off
+            if (!state.financingResult) return state;
+            return advance({ ...state, showFinancingScreen: false, financingResult: null }, rng, false);
+        }
+
+        case 'SELECT_ALTERNATIVE_FINANCING': {
+            // Only what the program qualifies for, priced by today's market
+            const alt = selectAvailableAlternatives(state).find(a => a.id === action.financingId);
+            if (!state.showAlternativeFinancing || !alt) return state;
+
+            const phase = selectCurrentPhase(state);
+            const newCash = state.cash + alt.amount;
+            const need = selectPhaseCashNeed(state);
+
+            // Insufficient financing for the current phase - fail the program
+            if (newCash < need) {
+                return failCompany({
+                    ...state,
+                    programEvents: [...state.programEvents, {
+                        title: 'Insufficient Financing',
+                        description: `Raised $${alt.amount}M but needed $${need}M for ${phase.name}. Program failed due to undercapitalization.`,
+                        phase: phase.name,
+                        financing: true,
+                    }],
+                    showAlternativeFinancing: false,
+                });
+            }
+
+            if (alt.debtTerms) {
+                return { ...drawVentureDebt(state, alt), showAlternativeFinancing: false };
+            }
+
+            const capTable = applyAlternativeFinancing(state.capTable, alt);
+            return {
+                ...state,
+                cash: newCash,
+                capitalInvested: state.capitalInvested + alt.amount,
+                capTable,
+                totalDilution: founderDilution(capTable),
+                obligations: alt.obligation
+                    ? [...state.obligations, createObligation(alt.id, alt.name, alt.amount, phase.name, alt.obligation)]
+                    : state.obligations,
+                alternativeFinancingUsed: [...state.alternativeFinancingUsed, alt.id],
+                programEvents: [...state.programEvents, {
+                    title: `${alt.name} Secured`,
+                    description: `Raised $${alt.amount}M via ${alt.name.toLowerCase()}. ${alt.tradeoff}.`,
+                    phase: phase.name,
+                    financing: true,
+                }],
+                showAlternativeFinancing: false,
+            };
+        }
+
+        case 'DECLINE_ALTERNATIVE_FINANCING': {
+            if (!state.showAlternativeFinancing) return state;
+            return failCompany({ ...state, showAlternativeFinancing: false });
+        }
+
+        case 'TAKE_VENTURE_DEBT': {
+            // Borrow instead of raising the next round, then carry on like a closed round
+            const offer = selectDebtOffer(state);
+            if (!state.showFinancingScreen || state.financingResult || !offer) return state;
+            return advance({ ...drawVentureDebt(state, offer), showFinancingScreen: false }, rng, false);
+        }
+
+        case 'NEGOTIATE_WAIVER': {
+            const breach = state.debtDefault;
+            if (!breach || breach.waiverFee === null) return state;
+            const facility = state.debt.find(f => f.id === breach.facilityId)!;
+            const capTable = addWarrants(state.capTable, {
+                id: `${facility.id}_warrants`,
+                name: `${facility.name} Warrants`,
+                value: facility.principal * facility.terms.warrantCoverage * WAIVER_WARRANT_SHARE,
+                note: 'Extra warrants for a covenant waiver',
+            });
+            return {
+                ...state,
+                cash: Math.round((state.cash - breach.waiverFee) * 10) / 10,
+                capTable,
+                totalDilution: founderDilution(capTable),
+                debt: state.debt.map(f => (f.id === facility.id ? { ...f, waiverUsed: true } : f)),
+                debtDefault: null,
+                programEvents: [...state.programEvents, {
+                    title: 'Covenant Waived',
+                    description: `Cash fell to $${breach.cash}M, under the $${breach.minimumCash}M minimum. The lender waived it for a $${breach.waiverFee}M fee and more warrants; there will not be a second waiver.`,
+                    phase: selectCurrentPhase(state).name,
+                    financing: true,
+                }],
+            };
+        }
+
+        case 'ACCEPT_DEFAULT': {
+            const breach = state.debtDefault;
+            if (!breach) return state;
+            return failCompany({
+                ...state,
+                debt: state.debt.map(f => (f.id === breach.facilityId ? { ...f, defaultedAtMonth: breach.month } : f)),
+                debtDefault: null,
+                programEvents: [...state.programEvents, {
+                    title: 'Loan Default',
+                    description: breach.reason === 'payment'
+                        ? `The company could not make its loan payments. The lender called the loan and took the program's assets.`
+                        : `Cash fell to $${breach.cash}M, under the $${breach.minimumCash}M covenant. The lender called the loan and took the program's assets.`,
+                    phase: selectCurrentPhase(state).name,
+                    isFailure: true,
+                    financing: true,
+                }],
+            });
+        }
+
+        case 'LAUNCH_FOLLOW_ON': {
+            if (!selectCanLaunchFollowOn(state) || state.showFinancingScreen || state.showAlternativeFinancing) return state;
+            const program = createFollowOn(state, rng);
+            const cost = selectFollowOnLaunchCost(state);
+            return {
+                ...state,
+                cash: Math.round((state.cash - cost) * 10) / 10,
+                capitalInvested: Math.round((state.capitalInvested + cost) * 10) / 10,
+                followOns: [...state.followOns, program],
+                programEvents: [...state.programEvents, {
+                    title: `${program.name} Launched`,
+                    description: `${state.platform?.name ?? 'The platform'} spun out a follow-on for ${program.indication} for $${cost}M, starting at ${PHASES[program.phaseIndex].name}.`,
+                    phase: selectCurrentPhase(state).name,
+                }],
+            };
+        }
+
+        case 'ACCEPT_EXIT': {
+            const offer = state.exitOffer;
+            if (!offer) return state;
+            const capTable = exitCapTable(state.capTable, offer);
+            return {
+                ...state,
+                cash: state.cash + offer.raise,
+                capTable,
+                totalDilution: founderDilution(capTable),
+                exitStrategy: EXIT_STRATEGIES.find(strategy => strategy.type === offer.type) ?? null,
+                exitOffer: null,
+                exit: offer,
+                programEvents: [...state.programEvents, {
+                    title: `${offer.name} Completed`,
+                    description: describeExit(offer),
+                    phase: offer.phase,
+                    financing: true,
+                }],
+                screen: 'exit',
+            };
+        }
+
+        case 'DECLINE_EXIT': {
+            if (!state.exitOffer) return state;
+            return advance({ ...state, exitOffer: null }, rng);
+        }
+
+        case 'SET_ALLOCATION': {
+            return setAllocation(state, action.programId, action.allocation);
+        }
+
+        case 'PLAY_QUARTER': {
+            return playQuarter(state);
+        }
+
+        case 'SKIP_TO_READOUT': {
+            return skipToReadout(state);
+        }
+
+        case 'SET_SALES_FORCE': {
+            return setSalesForce(state, action.salesForce);
+        }
+
+        case 'SET_PAYER_STRATEGY': {
+            return setPayerStrategy(state, action.payerStrategy);
+        }
+
+        case 'PLAY_LAUNCH_QUARTER': {
+            return playLaunchQuarter(state);
+        }
+
+        case 'SELL_LAUNCH_ROYALTY': {
+            return sellLaunchRoyalty(state);
+        }
+
+        case 'RETURN_TO_TITLE': {
+            return createInitialLongGameState(state.seed, state.gateRules);
+        }
+
+        case 'LOAD_GAME': {
+            return action.state;
+        }
+
+        default:
+            return state;
+    }
+};
+
+/**
+ * Record a turn in the markets in the history of the program on screen.
+ * The portfolio board has none on screen; its header shows the climate.
+ */
+const noteMarketTurns = (before: LongGameState, after: LongGameState): LongGameState => {
+    if (after.portfolio && !after.portfolio.activeId) return after;
+    const events = climateEvents(before, after);
+    return events.length > 0 ? { ...after, programEvents: [...after.programEvents, ...events] } : after;
+};
+
+/**
+ * Apply an action, carrying the generator forward when it was drawn from
+ * and logging the action when it changed the game
+ */
+export const longGameReducer = (state: LongGameState, action: LongGameAction): LongGameState => {
+    const rng = createRng(state.rngState);
+    const reduced = reduce(state, action, rng);
+    if (reduced === state) return state;
+
+    // Overhead and loans are paid as the clock moves, not when a run is swapped in
+    // Rivals read out as the same months pass
+    const next = UNLOGGED_ACTIONS.includes(action.type)
+        ? reduced
+        : accrueCosts(state, raceRivals(state, noteMarketTurns(state, reduced)));
+
+    const logged = next.replayLog && !UNLOGGED_ACTIONS.includes(action.type)
+        ? { ...next, replayLog: [...next.replayLog, encodeAction(action)] }
+        : next;
+    return rng.state === state.rngState ? logged : { ...logged, rngState: rng.state };
+};
+
+// ============================================
+// SAVES
+// ============================================
+
+const LONG_GAME_SCREENS: LongGameState['screen'][] = [
+    'title', 'setup_modality', 'setup_market_size', 'setup_innovation', 'setup_indication', 'phase', 'failure', 'victory', 'exit',
+    'portfolio', 'launch',
+];
+
+export const LONG_GAME_SAVE: SaveSchema<LongGameState> = {
+    mode: 'long',
+    version: 2,
+    migrations: {
+        // v1 runs were single assets and predate everything below. Fields they
+        // never had (phase progress, rivals, trial designs, the launch, the
+        // value chart, ...) start from the defaults; what can be rebuilt from
+        // the run so far is rebuilt here.
+        1: (state) => {
+            const { revenueShare, ...rest } = state;
+            const used = (state.alternativeFinancingUsed as string[] | undefined) ?? [];
+            const taken = used
+                .map(id => ALTERNATIVE_FINANCING.find(alt => alt.id === id))
+                .filter((alt): alt is AlternativeFinancing => !!alt);
+            const started = state.screen === 'phase' || state.screen === 'victory' || state.screen === 'failure';
+
+            // The cap table, from the rounds and deals already taken, warrants included
+            const capTable = started
+                ? taken.reduce(
+                    applyAlternativeFinancing,
+                    FINANCING_ROUNDS.slice(0, (state.currentRoundIndex as number) + 1)
+                        .reduce((table, round) => raiseRound(table, financingRoundTerms(round)), createCapTable())
+                )
+                : state.capTable as LongGameState['capTable'] | undefined;
+
+            // A loan already taken starts accruing from the save
+            const loan = taken.find(alt => alt.debtTerms);
+            const debt = loan?.debtTerms ? [drawFacility(loan.id, loan.name, loan.amount, loan.debtTerms, state.months as number)] : [];
+
+            // Deals become obligations on future sales, and the revenue multipliers they used to apply come back out
+            const phase = PHASES[state.currentPhaseIndex as number]?.name ?? '';
+            const deals = taken.filter(alt => alt.obligation);
+            const obligations = deals.map(alt => createObligation(alt.id, alt.name, alt.amount, phase, alt.obligation!));
+            const legacyImpact: Record<string, number> = { partnership: 0.75, royalty: 0.94, licensing: 0.70 };
+            const dealImpact = deals.reduce((product, alt) => product * (legacyImpact[alt.id] ?? 1), 1);
+            const partnership = Object.values(EVENTS).flat().find(event => event.obligation);
+            if (partnership?.obligation && typeof revenueShare === 'number' && revenueShare < 1) {
+                obligations.push(createObligation('partnership_offer', partnership.title, partnership.cashEffect || 0, phase, partnership.obligation));
+            }
+
+            // Medicare negotiation is modelled in revenue; the flat haircut the IRA step took comes back out
+            const program = state as unknown as LongGameState;
+            const indicationData = program.indicationData && {
+                ...program.indicationData,
+                medicareShare: INDICATIONS.find(ind => ind.name === program.indicationData!.name)?.medicareShare ?? DEFAULT_MEDICARE_SHARE,
+            };
+            const haircut = program.seenIRA && program.modality === 'small-molecule' && program.programType !== 'orphan';
+
+            const platform = state.platform as Platform | null;
+            const followOns = Object.values(PLATFORMS).flat().find(p => p.name === platform?.name)?.followOns ?? 0;
+
+            return {
+                ...rest,
+                // v1 logged no actions, so there is nothing to replay
+                replayLog: null,
+                ...(capTable && { capTable, totalDilution: founderDilution(capTable) }),
+                debt,
+                obligations,
+                revenueMultiplier: (state.revenueMultiplier as number) / dealImpact,
+                // The randomly assigned exit label gives way to playable exits
+                exitStrategy: null,
+                platform: platform && { ...platform, followOns },
+                // Cleared gates are dated at the save, the earliest month the run can show for them
+                phasesCompleted: (state.phasesCompleted as CompletedPhase[]).map(cleared => ({ ...cleared, month: state.months as number })),
+                indicationData,
+                marketMultiplier: program.marketMultiplier / (haircut ? 0.85 : 1),
+            };
+        },
+    },
+    createDefault: () => createInitialLongGameState(),
+    validate: (state) => {
+        if (!LONG_GAME_SCREENS.includes(state.screen)) return `Unknown screen "${state.screen}"`;
+        if (!PHASES[state.currentPhaseIndex]) return 'The saved phase no longer exists';
+        if (state.modality && !MODALITY_DATA[state.modality]) return `The modality "${state.modality}" no longer exists`;
+        if (state.marketSize && !MARKET_SIZE_DATA[state.marketSize]) return `The market size "${state.marketSize}" no longer exists`;
+        if (state.innovation && !INNOVATION_DATA[state.innovation]) return `The innovation position "${state.innovation}" no longer exists`;
+        if (!FINANCING_ROUNDS[state.currentRoundIndex]) return 'The saved financing round no longer exists';
+        return null;
+    },
+    describe: (state) => {
+        if (state.portfolio && (state.screen === 'portfolio' || state.screen === 'phase')) {
+            return `${state.portfolio.programs.length} programs • Q${state.portfolio.quarter} • $${state.cash}M`;
+        }
+        if (state.screen === 'launch' && state.launch) {
+            return `${state.drugName} • Launch Q${state.launch.quarters.length + 1} • $${state.cash}M`;
+        }
+        return ['phase', 'failure', 'victory', 'exit'].includes(state.screen)
+            ? `${state.drugName} • ${PHASES[state.currentPhaseIndex].name} • $${state.cash}M`
+            : 'Setting up a program';
+    },
+};
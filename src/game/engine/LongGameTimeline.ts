@@ -0,0 +1,225 @@
+/**
+ * LONG GAME TIMELINE
+ *
+ * Rewind and "what-if" branches for The Long Journey. Wraps longGameReducer
+ * and keeps a snapshot of the game each time a question, event, policy or
+ * trial design is put to the player. Rewinding opens a new branch from a snapshot and
+ * leaves the original intact, so both can be compared side by side.
+ *
+ * Snapshots carry the generator state, so a branch sees the same luck as
+ * its parent until its choices change what gets drawn. An event is luck,
+ * not a choice: its snapshot holds the event already drawn, and a branch
+ * from it plays that event again and differs only in what follows.
+ */
+
+import {
+    BranchSummary,
+    CheckpointKind,
+    LongGameState,
+    LongGameTimeline,
+    TimelineBranch,
+    TimelineCheckpoint,
+} from '@/types/Game.types';
+import { PHASES } from '@/game/data/phases';
+import { longGameReducer, LongGameAction } from '@/game/engine/LongGameReducer';
+import { selectCurrentPhase } from '@/game/engine/selectors';
+import { selectCompanyMonths } from '@/game/engine/portfolio';
+
+// Every branch holds its own snapshots; this bounds what one session keeps
+export const MAX_BRANCHES = 6;
+
+// Actions that begin a new run and so clear the branches
+const NEW_RUN_ACTIONS: LongGameAction['type'][] = ['START_GAME', 'LOAD_GAME', 'RETURN_TO_TITLE'];
+
+// ============================================
+// ACTION TYPES
+// ============================================
+
+export type TimelineAction =
+    | { type: 'PLAY'; action: LongGameAction }
+    | { type: 'REWIND'; checkpointIndex: number }
+    | { type: 'SWITCH_BRANCH'; branchId: number }
+    | { type: 'DISCARD_BRANCH'; branchId: number };
+
+// ============================================
+// INITIAL STATE
+// ============================================
+
+export const createTimeline = (state: LongGameState): LongGameTimeline => ({
+    branches: [{ id: 1, name: 'Original', parentId: null, forkLabel: null, forkDecisions: 0, checkpoints: [], state }],
+    activeBranchId: 1,
+    nextBranchId: 2,
+});
+
+// ============================================
+// SELECTORS
+// ============================================
+
+export const selectActiveBranch = (timeline: LongGameTimeline): TimelineBranch =>
+    timeline.branches.find(b => b.id === timeline.activeBranchId) ?? timeline.branches[0];
+
+export const selectActiveState = (timeline: LongGameTimeline): LongGameState => selectActiveBranch(timeline).state;
+
+/**
+ * Checkpoints the active branch can rewind to: every decision already
+ * taken, not the one currently on screen
+ */
+export const selectRewindPoints = (timeline: LongGameTimeline): { index: number; checkpoint: TimelineCheckpoint }[] => {
+    const branch = selectActiveBranch(timeline);
+    return branch.checkpoints
+        .map((checkpoint, index) => ({ index, checkpoint }))
+        .filter(({ checkpoint }) => checkpoint.state !== branch.state);
+};
+
+export const selectCanBranch = (timeline: LongGameTimeline): boolean => timeline.branches.length < MAX_BRANCHES;
+
+const outcomeOf = (state: LongGameState): BranchSummary['outcome'] => {
+    switch (state.screen) {
+        case 'victory': return 'approved';
+        case 'failure': return 'failed';
+        case 'exit': return 'exited';
+        // Approved and selling, with the launch still to see through
+        case 'launch': return 'launched';
+        // Between a portfolio's turns, what it has already won
+        case 'portfolio': return state.portfolio!.programs.some(p => p.status === 'approved') ? 'approved' : 'in progress';
+        default: return 'in progress';
+    }
+};
+
+const describeDecision = (entry: LongGameState['decisionsLog'][number]): string =>
+    `${entry.question}: ${entry.decision ?? entry.choice ?? ''}`;
+
+/**
+ * One summary per branch, listing the decisions each made from the
+ * point where branches part ways
+ */
+export const selectBranchSummaries = (timeline: LongGameTimeline): BranchSummary[] => {
+    return timeline.branches.map(branch => {
+        const { state } = branch;
+        // A parent is compared from the earliest point one of its children left it
+        const childForks = timeline.branches.filter(b => b.parentId === branch.id).map(b => b.forkDecisions);
+        const since = branch.parentId !== null
+            ? branch.forkDecisions
+            : childForks.length ? Math.min(...childForks) : 0;
+
+        return {
+            id: branch.id,
+            name: branch.name,
+            forkLabel: branch.forkLabel,
+            outcome: outcomeOf(state),
+            phase: PHASES[state.currentPhaseIndex]?.name ?? '',
+            months: selectCompanyMonths(state),
+            capitalInvested: state.capitalInvested,
+            cash: state.cash,
+            totalDilution: state.totalDilution,
+            riskBonus: state.riskBonus,
+            efficacyRisk: state.efficacyRisk,
+            safetyRisk: state.safetyRisk,
+            designRisk: state.designRisk,
+            decisions: state.decisionsLog.slice(since).map(describeDecision),
+        };
+    });
+};
+
+// ============================================
+// CHECKPOINTS
+// ============================================
+
+/**
+ * The decision newly put to the player by this transition, if any
+ */
+const newDecision = (prev: LongGameState, next: LongGameState): { kind: CheckpointKind; label: string } | null => {
+    // A portfolio program swapped onto the screen brings back its own state, not a new decision
+    if (next.portfolio?.activeId !== prev.portfolio?.activeId) return null;
+    if (next.currentQuestion && !next.questionResult && next.currentQuestion !== prev.currentQuestion) {
+        return { kind: 'question', label: next.currentQuestion.title };
+    }
+    if (next.currentEvent && next.currentEvent !== prev.currentEvent) {
+        return { kind: 'event', label: next.currentEvent.title };
+    }
+    if (next.currentPolicy && !next.policyResult && next.currentPolicy !== prev.currentPolicy) {
+        return { kind: 'policy', label: next.currentPolicy.title };
+    }
+    if (next.phaseStep === 0.5 && prev.phaseStep !== 0.5) {
+        return { kind: 'design', label: `${selectCurrentPhase(next).name} Design` };
+    }
+    return null;
+};
+
+const play = (timeline: LongGameTimeline, action: LongGameAction): LongGameTimeline => {
+    const branch = selectActiveBranch(timeline);
+    const next = longGameReducer(branch.state, action);
+    if (next === branch.state) return timeline;
+
+    if (NEW_RUN_ACTIONS.includes(action.type)) return createTimeline(next);
+
+    const decision = newDecision(branch.state, next);
+    const checkpoints = decision
+        ? [...branch.checkpoints, { ...decision, phase: selectCurrentPhase(next)?.name ?? '', state: next }]
+        : branch.checkpoints;
+
+    return {
+        ...timeline,
+        branches: timeline.branches.map(b => (b.id === branch.id ? { ...b, checkpoints, state: next } : b)),
+    };
+};
+
+// ============================================
+// REDUCER
+// ============================================
+
+export const timelineReducer = (timeline: LongGameTimeline, action: TimelineAction): LongGameTimeline => {
+    switch (action.type) {
+        case 'PLAY': {
+            return play(timeline, action.action);
+        }
+
+        case 'REWIND': {
+            const parent = selectActiveBranch(timeline);
+            const checkpoint = parent.checkpoints[action.checkpointIndex];
+            if (!checkpoint || !selectCanBranch(timeline)) return timeline;
+
+            const branch: TimelineBranch = {
+                id: timeline.nextBranchId,
+                name: `Branch ${timeline.nextBranchId}`,
+                parentId: parent.id,
+                forkLabel: checkpoint.label,
+                forkDecisions: checkpoint.state.decisionsLog.length,
+                // Earlier snapshots are shared with the parent, not copied
+                checkpoints: parent.checkpoints.slice(0, action.checkpointIndex + 1),
+                state: checkpoint.state,
+            };
+
+            return {
+                branches: [...timeline.branches, branch],
+                activeBranchId: branch.id,
+                nextBranchId: timeline.nextBranchId + 1,
+            };
+        }
+
+        case 'SWITCH_BRANCH': {
+            if (!timeline.branches.some(b => b.id === action.branchId)) return timeline;
+            return { ...timeline, activeBranchId: action.branchId };
+        }
+
+        case 'DISCARD_BRANCH': {
+            // The original run always stays
+            const discarded = timeline.branches.find(b => b.id === action.branchId);
+            if (!discarded || discarded.parentId === null) return timeline;
+
+            // Children of a discarded branch are re-parented to its parent
+            const branches = timeline.branches
+                .filter(b => b.id !== discarded.id)
+                .map(b => (b.parentId === discarded.id ? { ...b, parentId: discarded.parentId } : b));
+
+            return {
+                ...timeline,
+                branches,
+                activeBranchId: timeline.activeBranchId === discarded.id ? discarded.parentId : timeline.activeBranchId,
+            };
+        }
+
+        default:
+            return timeline;
+    }
+};
@@ -5,20 +5,23 @@
  * Replaces the old GameReducer with a decision-focused game loop.
  */
 
-import { PathGameState, PathPhase, PathEvent, CompletedEvent } from '@/types/Game.types';
+import { PathGameState, PathPhase, PathEvent, CompletedEvent, SaveSchema } from '@/types/Game.types';
 import { GAME_PATHS, FUNDING_ROUND_DEFS } from '@/game/data/paths';
 import { getEventsForPhase } from '@/game/data/pathEvents';
+import { createRng, createSeed, Rng } from '@/game/engine/random';
+import { createCapTable, raiseRound, fundingRoundTerms, founderOwnership, capTableFromOwnership } from '@/game/engine/capTable';
 
 // ============================================
 // ACTION TYPES
 // ============================================
 
 export type PathGameAction =
-    | { type: 'SELECT_PATH'; pathId: string }
+    | { type: 'SELECT_PATH'; pathId: string; seed?: number }
     | { type: 'ADVANCE_TIME'; quarters: number }
     | { type: 'SPEND_CAPITAL'; amount: number }
     | { type: 'GAIN_CAPITAL'; amount: number }
     | { type: 'SET_PENDING_EVENT'; event: PathEvent }
+    | { type: 'DRAW_EVENT' }
     | { type: 'RESOLVE_EVENT'; choiceId: string; event: PathEvent }
     | { type: 'COMPLETE_FUNDING_ROUND'; roundId: string; raised: number; dilution: number }
     | { type: 'ADVANCE_PHASE' }
@@ -26,13 +29,14 @@ export type PathGameAction =
     | { type: 'UPDATE_MARKET_POTENTIAL'; multiplier: number }
     | { type: 'GAME_OVER'; reason: string }
     | { type: 'VICTORY' }
-    | { type: 'RESET_GAME' };
+    | { type: 'RESET_GAME' }
+    | { type: 'LOAD_GAME'; state: PathGameState };
 
 // ============================================
 // INITIAL STATE
 // ============================================
 
-export const createInitialPathState = (): PathGameState => ({
+export const createInitialPathState = (seed: number = createSeed()): PathGameState => ({
     selectedPath: null,
     pathData: null,
     capital: 0,
@@ -41,14 +45,17 @@ export const createInitialPathState = (): PathGameState => ({
     currentQuarter: 1,
     currentPhase: 'discovery',
     phaseProgress: 0,
-    founderOwnership: 1.0, // 100%
+    founderOwnership: founderOwnership(createCapTable()),
     fundingRoundsCompleted: [],
+    capTable: createCapTable(),
     investorConfidence: 80, // Start at 80%
     marketPotential: 0,
     pendingEvent: null,
     completedEvents: [],
     eventHistory: [],
     status: 'path-selection',
+    seed,
+    rngState: seed,
 });
 
 // ============================================
@@ -85,8 +92,12 @@ export const pathGameReducer = (state: PathGameState, action: PathGameAction): P
             const pathData = GAME_PATHS[action.pathId];
             if (!pathData) return state;
 
+            const seed = action.seed ?? state.seed;
+
             return {
                 ...state,
+                seed,
+                rngState: seed,
                 selectedPath: action.pathId,
                 pathData,
                 capital: pathData.parameters.startingCapital,
@@ -167,6 +178,20 @@ export const pathGameReducer = (state: PathGameState, action: PathGameAction): P
             };
         }
 
+        case 'DRAW_EVENT': {
+            if (state.status !== 'playing' || state.pendingEvent) return state;
+
+            const rng = createRng(state.rngState);
+            const event = getRandomEvent(state, rng);
+            if (!event) return state;
+
+            return {
+                ...state,
+                pendingEvent: event,
+                rngState: rng.state,
+            };
+        }
+
         case 'RESOLVE_EVENT': {
             const choice = action.event.choices.find(c => c.id === action.choiceId);
             if (!choice) return state;
@@ -215,12 +240,17 @@ export const pathGameReducer = (state: PathGameState, action: PathGameAction): P
         }
 
         case 'COMPLETE_FUNDING_ROUND': {
-            const newOwnership = state.founderOwnership * (1 - action.dilution);
+            const roundDef = FUNDING_ROUND_DEFS[action.roundId];
+            const terms = roundDef
+                ? fundingRoundTerms(roundDef, action.raised, action.dilution)
+                : { id: action.roundId, name: action.roundId, amount: action.raised, dilution: action.dilution };
+            const capTable = raiseRound(state.capTable, terms);
 
             return {
                 ...state,
                 capital: state.capital + action.raised,
-                founderOwnership: newOwnership,
+                founderOwnership: founderOwnership(capTable),
+                capTable,
                 fundingRoundsCompleted: [...state.fundingRoundsCompleted, action.roundId],
             };
         }
@@ -274,7 +304,11 @@ export const pathGameReducer = (state: PathGameState, action: PathGameAction): P
         }
 
         case 'RESET_GAME': {
-            return createInitialPathState();
+            return createInitialPathState(state.seed);
+        }
+
+        case 'LOAD_GAME': {
+            return action.state;
         }
 
         default:
@@ -282,6 +316,36 @@ export const pathGameReducer = (state: PathGameState, action: PathGameAction): P
     }
 };
 
+// ============================================
+// SAVES
+// ============================================
+
+const PATH_STATUSES: PathGameState['status'][] = ['path-selection', 'playing', 'victory', 'defeat'];
+
+export const PATH_GAME_SAVE: SaveSchema<PathGameState> = {
+    mode: 'path',
+    version: 2,
+    migrations: {
+        // v2 keeps a cap table; earlier saves only recorded the founders' stake
+        1: (state) => ({ ...state, capTable: capTableFromOwnership(state.founderOwnership as number) }),
+    },
+    createDefault: () => createInitialPathState(),
+    // Path content is saved by id; pick up its current definition
+    refresh: (state) => ({
+        ...state,
+        pathData: state.selectedPath ? GAME_PATHS[state.selectedPath] ?? null : null,
+    }),
+    validate: (state) => {
+        if (!PATH_STATUSES.includes(state.status)) return `Unknown game status "${state.status}"`;
+        if (state.selectedPath && !state.pathData) return `The path "${state.selectedPath}" no longer exists`;
+        if (!PHASE_ORDER.includes(state.currentPhase)) return `Unknown phase "${state.currentPhase}"`;
+        return null;
+    },
+    describe: (state) => state.pathData
+        ? `${state.pathData.name} • ${state.currentPhase} • Year ${state.currentYear} • $${state.capital}M`
+        : 'Choosing a path',
+};
+
 // ============================================
 // GAME LOGIC HELPERS
 // ============================================
@@ -289,7 +353,7 @@ export const pathGameReducer = (state: PathGameState, action: PathGameAction): P
 /**
  * Get a random event for the current phase
  */
-export const getRandomEvent = (state: PathGameState): PathEvent | null => {
+export const getRandomEvent = (state: PathGameState, rng: Rng): PathEvent | null => {
     if (!state.selectedPath) return null;
 
     const phaseEvents = getEventsForPhase(state.selectedPath, state.currentPhase);
@@ -299,18 +363,16 @@ export const getRandomEvent = (state: PathGameState): PathEvent | null => {
 
     if (availableEvents.length > 0) {
         // Random selection from unused events
-        const randomIndex = Math.floor(Math.random() * availableEvents.length);
-        return availableEvents[randomIndex];
+        return rng.pick(availableEvents);
     }
 
     // If all events used, recycle from the full pool (events repeat but that's better than empty turns)
     if (phaseEvents.length > 0) {
-        const randomIndex = Math.floor(Math.random() * phaseEvents.length);
         // Return a copy with modified ID so it can be tracked as a separate instance
-        const event = phaseEvents[randomIndex];
+        const event = rng.pick(phaseEvents);
         return {
             ...event,
-            id: `${event.id}-repeat-${Date.now()}`,
+            id: `${event.id}-repeat-${state.completedEvents.length}`,
         };
     }
 
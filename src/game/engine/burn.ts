@@ -0,0 +1,125 @@
+/**
+ * BURN
+ *
+ * Cash flow month by month. A phase spends its budget evenly across its
+ * months instead of in one lump at the gate (a trial phase's months and
+ * budget are the ones its design sets, see engine/trialDesign), and the company pays G&A
+ * overhead and loan payments for every month the clock moves (the reducer
+ * charges those as it goes). A phase runs until it completes or the next
+ * month cannot be paid for, so financing can arrive mid-phase and a
+ * company can run dry halfway through a trial.
+ */
+
+import { LongGamePhase, LongGameState, PhaseProgress, Runway } from '@/types/Game.types';
+import { PHASES } from '@/game/data/phases';
+import { projectDebtService } from '@/game/engine/ventureDebt';
+import { programView, selectCompanyMonths } from '@/game/engine/portfolio';
+import { plannedPhase } from '@/game/engine/trialDesign';
+
+// How far ahead the runway projection looks
+export const RUNWAY_HORIZON = 60;
+
+const roundMoney = (value: number): number => Math.round(value * 10) / 10;
+
+export const phaseBurnRate = (phase: LongGamePhase): number => phase.baseCost / phase.baseMonths;
+
+/**
+ * What a whole phase costs in cash: its budget and the overhead of running that long
+ */
+export const phaseBudget = (phase: LongGamePhase): number => roundMoney(phase.baseCost + phase.overhead * phase.baseMonths);
+
+// ============================================
+// SELECTORS
+// ============================================
+
+/**
+ * G&A a month: a company is staffed for its most advanced running program
+ */
+export const selectOverheadRate = (state: LongGameState): number => {
+    const running = state.portfolio?.programs.filter(p => p.status === 'running') ?? [];
+    if (running.length === 0) return PHASES[state.currentPhaseIndex].overhead;
+    return Math.max(...running.map(p => PHASES[programView(state, p).currentPhaseIndex].overhead));
+};
+
+// Overhead and loan payments over the next months of the company clock
+const fixedCosts = (state: LongGameState, months: number): number =>
+    selectOverheadRate(state) * months + projectDebtService(state.debt, selectCompanyMonths(state), months);
+
+// A portfolio pays overhead and loans quarter by quarter on the company
+// clock, so a program's own turn only has to cover its phase budget
+const carriedCosts = (state: LongGameState, months: number): number =>
+    state.portfolio ? 0 : fixedCosts(state, months);
+
+/**
+ * Cash needed to finish the current phase from where it stands
+ */
+export const selectPhaseCashNeed = (state: LongGameState): number => {
+    const phase = plannedPhase(state);
+    const monthsLeft = phase.baseMonths - state.phaseProgress.months;
+    return roundMoney(phase.baseCost - state.phaseProgress.spent + carriedCosts(state, monthsLeft));
+};
+
+/**
+ * Months of cash left if the program carries on through its phases, and
+ * the cash curve that gets there
+ */
+export const selectRunway = (state: LongGameState): Runway => {
+    // Phase budget each month ahead: the rest of this phase, then the ones after it
+    const schedule: number[] = [];
+    const current = plannedPhase(state);
+    const phaseMonthsLeft = current.baseMonths - state.phaseProgress.months;
+    for (let i = 0; i < phaseMonthsLeft; i++) schedule.push(phaseBurnRate(current));
+    for (let index = state.currentPhaseIndex + 1; index < PHASES.length && schedule.length < RUNWAY_HORIZON; index++) {
+        const phase = plannedPhase(state, index);
+        for (let i = 0; i < phase.baseMonths && schedule.length < RUNWAY_HORIZON; i++) schedule.push(phaseBurnRate(phase));
+    }
+
+    const overhead = selectOverheadRate(state);
+    const now = selectCompanyMonths(state);
+    const projection = [{ month: 0, cash: state.cash }];
+    let budget = 0;
+    let months: number | null = null;
+    for (let month = 1; month <= RUNWAY_HORIZON; month++) {
+        budget += schedule[month - 1] ?? 0;
+        const cash = roundMoney(state.cash - budget - overhead * month - projectDebtService(state.debt, now, month));
+        if (cash < 0 && months === null) months = month - 1;
+        projection.push({ month, cash });
+    }
+
+    const phaseBurn = roundMoney(phaseBurnRate(current));
+    const debtService = roundMoney(projectDebtService(state.debt, now, 1));
+    return {
+        phaseBurn,
+        overhead,
+        debtService,
+        monthlyBurn: roundMoney(phaseBurn + overhead + debtService),
+        months,
+        phaseMonthsLeft,
+        phaseCashNeed: selectPhaseCashNeed(state),
+        projection,
+    };
+};
+
+// ============================================
+// RUNNING A PHASE
+// ============================================
+
+/**
+ * Run the current phase month by month from where it stands, until it
+ * completes, reaches month until of the phase (a DSMB look, see
+ * engine/dsmb), or the next month cannot be paid for. Returns the months
+ * run and budget spent this time, and whether it got where it was going.
+ */
+export const runPhase = (state: LongGameState, until?: number): PhaseProgress & { complete: boolean } => {
+    const phase = plannedPhase(state);
+    const rate = phaseBurnRate(phase);
+    const { months: run, spent } = state.phaseProgress;
+    const end = Math.min(until ?? phase.baseMonths, phase.baseMonths);
+
+    let months = 0;
+    while (run + months < end && rate * (months + 1) + carriedCosts(state, months + 1) <= state.cash) months++;
+
+    // The last month settles the budget exactly, whatever rounding came before
+    const finished = run + months >= phase.baseMonths;
+    return { months, spent: finished ? roundMoney(phase.baseCost - spent) : roundMoney(rate * months), complete: run + months >= end };
+};
@@ -0,0 +1,393 @@
+/**
+ * CAP TABLE
+ *
+ * Equity ledger shared by all three games. Ownership follows from the
+ * shares each financing actually issued rather than from summed or
+ * multiplied percentages:
+ * - a priced round sells a fraction of the post-money company, after the
+ *   option pool has been topped up out of the pre-money (the "option pool
+ *   shuffle"), and gives its investors their own share class
+ * - non-dilutive money (grants, royalties, licensing, partnerships) is
+ *   recorded in the ledger but issues no shares
+ * - venture debt is a senior claim repaid before any equity at exit, and
+ *   its warrants are shares like any other
+ *
+ * exitWaterfall splits a sale price the way a real distribution would:
+ * lenders first, then preferences from the most senior series down, then
+ * common, with non-participating preferred converting whenever common pays
+ * it more.
+ */
+
+import {
+    CapTable,
+    CapTableEntry,
+    CapTableHolder,
+    RoundTerms,
+    ExitWaterfall,
+    WaterfallPayout,
+    HolderKind,
+    FinancingRound,
+    FundingRoundDef,
+    AlternativeFinancing,
+} from '@/types/Game.types';
+
+// Company formed with 10M shares: founders' common plus a starting option pool
+const FOUNDER_SHARES = 9;
+const INITIAL_POOL_SHARES = 1;
+
+// Option pool restored to this share of the post-money company before each priced round
+const OPTION_POOL_TARGET = 0.10;
+
+export const OPTION_POOL_ID = 'option_pool';
+export const FOUNDERS_ID = 'founders';
+
+const sum = (values: number[]): number => values.reduce((total, value) => total + value, 0);
+
+const roundMoney = (value: number): number => Math.round(value * 10) / 10;
+
+const ledgerEntry = (entry: Partial<CapTableEntry> & Pick<CapTableEntry, 'id' | 'name' | 'kind' | 'amount' | 'note'>): CapTableEntry => ({
+    preMoney: null,
+    postMoney: null,
+    pricePerShare: null,
+    sharesIssued: 0,
+    poolTopUp: 0,
+    dilution: 0,
+    ...entry,
+});
+
+/**
+ * Add shares or money to a holder, creating it if this is its first round
+ */
+const credit = (holders: CapTableHolder[], holder: CapTableHolder): CapTableHolder[] => {
+    const existing = holders.find(h => h.id === holder.id);
+    if (!existing) return [...holders, holder];
+    return holders.map(h => h === existing
+        ? { ...h, shares: h.shares + holder.shares, invested: h.invested + holder.invested }
+        : h);
+};
+
+// ============================================
+// BUILDING THE TABLE
+// ============================================
+
+export const createCapTable = (): CapTable => ({
+    holders: [
+        { id: FOUNDERS_ID, name: 'Founders', kind: 'founders', shareClass: 'common', shares: FOUNDER_SHARES, invested: 0, preference: 0, participating: false, seniority: 0 },
+        { id: OPTION_POOL_ID, name: 'Employee option pool', kind: 'employees', shareClass: 'options', shares: INITIAL_POOL_SHARES, invested: 0, preference: 0, participating: false, seniority: 0 },
+    ],
+    ledger: [ledgerEntry({
+        id: 'formation',
+        name: 'Formation',
+        kind: 'formation',
+        amount: 0,
+        note: `${FOUNDER_SHARES + INITIAL_POOL_SHARES}M shares: founders' common and a ${Math.round(INITIAL_POOL_SHARES / (FOUNDER_SHARES + INITIAL_POOL_SHARES) * 100)}% option pool`,
+    })],
+});
+
+/**
+ * Sell a fraction of the post-money company. Rounds that sell nothing are
+ * recorded as non-dilutive.
+ */
+export const raiseRound = (table: CapTable, terms: RoundTerms): CapTable => {
+    if (terms.dilution <= 0) {
+        return addNonDilutive(table, { id: terms.id, name: terms.name, amount: terms.amount, note: 'No equity issued' });
+    }
+
+    let { holders } = table;
+    const ledger = [...table.ledger];
+
+    // An IPO turns every preferred series into common first
+    if (terms.convertsPreferred && holders.some(h => h.shareClass === 'preferred')) {
+        holders = holders.map(h => h.shareClass === 'preferred'
+            ? { ...h, shareClass: 'common', preference: 0, participating: false }
+            : h);
+        ledger.push(ledgerEntry({
+            id: `${terms.id}_conversion`,
+            name: 'Preferred converts to common',
+            kind: 'conversion',
+            amount: 0,
+            note: 'Liquidation preferences fall away at the public offering',
+        }));
+    }
+
+    const dilution = Math.min(0.95, terms.dilution);
+    const existing = sum(holders.filter(h => h.shareClass !== 'debt').map(h => h.shares));
+    const pool = holders.find(h => h.id === OPTION_POOL_ID)?.shares ?? 0;
+
+    // Post-money shares, with the pool topped up out of the pre-money when it has fallen short
+    let postShares = existing / (1 - dilution);
+    let poolTopUp = 0;
+    if (terms.topUpPool !== false && pool < OPTION_POOL_TARGET * postShares) {
+        postShares = (existing - pool) / (1 - dilution - OPTION_POOL_TARGET);
+        poolTopUp = OPTION_POOL_TARGET * postShares - pool;
+    }
+
+    const sharesIssued = dilution * postShares;
+    const pricePerShare = terms.amount / sharesIssued;
+    const shareClass = terms.shareClass ?? 'preferred';
+    const seniority = shareClass === 'preferred'
+        ? Math.max(0, ...holders.filter(h => h.shareClass === 'preferred').map(h => h.seniority)) + 1
+        : 0;
+
+    if (poolTopUp > 0) {
+        holders = credit(holders, { id: OPTION_POOL_ID, name: 'Employee option pool', kind: 'employees', shareClass: 'options', shares: poolTopUp, invested: 0, preference: 0, participating: false, seniority: 0 });
+    }
+    holders = credit(holders, {
+        id: terms.id,
+        name: terms.name,
+        kind: terms.kind ?? 'investor',
+        shareClass,
+        shares: sharesIssued,
+        invested: terms.amount,
+        preference: shareClass === 'preferred' ? terms.liquidationPreference ?? 1 : 0,
+        participating: shareClass === 'preferred' && !!terms.participating,
+        seniority,
+    });
+
+    ledger.push(ledgerEntry({
+        id: terms.id,
+        name: terms.name,
+        kind: 'priced',
+        amount: terms.amount,
+        preMoney: roundMoney(pricePerShare * (existing + poolTopUp)),
+        postMoney: roundMoney(pricePerShare * postShares),
+        pricePerShare: Math.round(pricePerShare * 100) / 100,
+        sharesIssued,
+        poolTopUp,
+        dilution,
+        note: shareClass === 'preferred'
+            ? `${terms.liquidationPreference ?? 1}x ${terms.participating ? 'participating' : 'non-participating'} preferred`
+            : 'Common stock',
+    }));
+
+    return { holders, ledger };
+};
+
+/**
+ * Money that buys no equity: grants, royalty sales, licensing and partnership deals
+ */
+export const addNonDilutive = (table: CapTable, { id, name, amount, note }: { id: string; name: string; amount: number; note: string }): CapTable => ({
+    holders: table.holders,
+    ledger: [...table.ledger, ledgerEntry({ id, name, kind: 'non_dilutive', amount, note })],
+});
+
+/**
+ * Borrowed money: no shares, but repaid ahead of every shareholder
+ */
+export const addDebt = (table: CapTable, { id, name, amount, note }: { id: string; name: string; amount: number; note: string }): CapTable => ({
+    holders: credit(table.holders, { id, name, kind: 'lender', shareClass: 'debt', shares: 0, invested: amount, outstanding: amount, preference: 1, participating: false, seniority: 0 }),
+    ledger: [...table.ledger, ledgerEntry({ id, name, kind: 'debt', amount, note })],
+});
+
+/**
+ * Record what a lender is still owed after repayments
+ */
+export const setDebtOutstanding = (table: CapTable, id: string, outstanding: number): CapTable => ({
+    ...table,
+    holders: table.holders.map(h => (h.id === id && h.shareClass === 'debt' ? { ...h, outstanding } : h)),
+});
+
+/**
+ * Issue warrants worth a dollar amount at the latest round price. Exercise
+ * price is ignored, as for options.
+ */
+export const addWarrants = (table: CapTable, { id, name, value, note }: { id: string; name: string; value: number; note: string }): CapTable => {
+    const lastPrice = [...table.ledger].reverse().find(entry => entry.kind === 'priced' && entry.pricePerShare)?.pricePerShare ?? 1;
+    const shares = value / lastPrice;
+    return {
+        holders: credit(table.holders, { id, name, kind: 'lender', shareClass: 'warrants', shares, invested: 0, preference: 0, participating: false, seniority: 0 }),
+        ledger: [...table.ledger, ledgerEntry({
+            id,
+            name,
+            kind: 'warrants',
+            amount: 0,
+            pricePerShare: lastPrice,
+            sharesIssued: shares,
+            dilution: shares / (fullyDilutedShares(table) + shares),
+            note,
+        })],
+    };
+};
+
+// ============================================
+// ROUND DEFINITIONS
+// ============================================
+
+/**
+ * Terms for a Long Journey venture round (FINANCING_ROUNDS)
+ */
+export const financingRoundTerms = (round: FinancingRound): RoundTerms => ({
+    id: round.id,
+    name: round.name,
+    amount: round.amount,
+    dilution: round.dilution / 100,
+    shareClass: round.shareClass,
+    liquidationPreference: round.liquidationPreference,
+    convertsPreferred: round.convertsPreferred,
+    topUpPool: !round.convertsPreferred,
+});
+
+/**
+ * Terms for a path-game round (FUNDING_ROUND_DEFS) as negotiated
+ */
+export const fundingRoundTerms = (def: FundingRoundDef, raised: number, dilution: number): RoundTerms => ({
+    id: def.id,
+    name: def.name,
+    amount: raised,
+    dilution,
+    shareClass: def.shareClass,
+    liquidationPreference: def.liquidationPreference,
+    kind: def.holderKind,
+    convertsPreferred: def.convertsPreferred,
+    topUpPool: !def.convertsPreferred,
+});
+
+/**
+ * Record an ALTERNATIVE_FINANCING deal in the ledger
+ */
+export const applyAlternativeFinancing = (table: CapTable, alt: AlternativeFinancing): CapTable => {
+    switch (alt.instrument) {
+        case 'debt': {
+            const loan = addDebt(table, { id: alt.id, name: alt.name, amount: alt.amount, note: alt.tradeoff });
+            if (!alt.debtTerms) return loan;
+            return addWarrants(loan, {
+                id: `${alt.id}_warrants`,
+                name: `${alt.name} Warrants`,
+                value: alt.amount * alt.debtTerms.warrantCoverage,
+                note: `${Math.round(alt.debtTerms.warrantCoverage * 100)}% warrant coverage on the loan`,
+            });
+        }
+        case 'equity':
+            return raiseRound(table, {
+                id: alt.id,
+                name: alt.name,
+                amount: alt.amount,
+                dilution: (alt.dilution ?? 0) / 100,
+                shareClass: 'common',
+                topUpPool: false,
+            });
+        default:
+            return addNonDilutive(table, { id: alt.id, name: alt.name, amount: alt.amount, note: alt.tradeoff });
+    }
+};
+
+/**
+ * A table that reproduces a founder stake recorded before cap tables
+ * existed, for migrating old saves
+ */
+export const capTableFromOwnership = (founderOwnership: number): CapTable => {
+    const table = createCapTable();
+    const founderShare = FOUNDER_SHARES / (FOUNDER_SHARES + INITIAL_POOL_SHARES);
+    if (founderOwnership >= founderShare) return table;
+    return raiseRound(table, {
+        id: 'earlier_rounds',
+        name: 'Earlier investors',
+        amount: 0,
+        dilution: 1 - Math.max(0.01, founderOwnership) / founderShare,
+        shareClass: 'common',
+        topUpPool: false,
+    });
+};
+
+// ============================================
+// SELECTORS
+// ============================================
+
+export const fullyDilutedShares = (table: CapTable): number =>
+    sum(table.holders.filter(h => h.shareClass !== 'debt').map(h => h.shares));
+
+export const ownershipOf = (table: CapTable, kind: HolderKind): number =>
+    sum(table.holders.filter(h => h.kind === kind).map(h => h.shares)) / fullyDilutedShares(table);
+
+export const founderOwnership = (table: CapTable): number => ownershipOf(table, 'founders');
+
+// Percent of the company the founders no longer own, to one decimal
+export const founderDilution = (table: CapTable): number =>
+    Math.round((1 - founderOwnership(table)) * 1000) / 10;
+
+// ============================================
+// EXIT WATERFALL
+// ============================================
+
+/**
+ * Split an exit price ($M) between every holder. Options are treated as
+ * granted and vested, with exercise prices ignored.
+ */
+export const exitWaterfall = (table: CapTable, exitValue: number): ExitWaterfall => {
+    const totalShares = fullyDilutedShares(table);
+    let afterDebt = Math.max(0, exitValue);
+
+    // Lenders are repaid what they are still owed before any equity
+    const debtPaid = new Map<string, number>();
+    table.holders.filter(h => h.shareClass === 'debt').forEach(h => {
+        const paid = Math.min(afterDebt, h.outstanding ?? h.invested);
+        debtPaid.set(h.id, paid);
+        afterDebt -= paid;
+    });
+
+    const preferred = table.holders.filter(h => h.shareClass === 'preferred');
+
+    // Preferences from the most senior series down, pari passu within a series; the rest to common
+    const distribute = (converted: Set<string>) => {
+        const preferencePaid = new Map<string, number>();
+        let left = afterDebt;
+        const claimants = preferred.filter(h => !converted.has(h.id));
+        const tiers = [...new Set(claimants.map(h => h.seniority))].sort((a, b) => b - a);
+        tiers.forEach(tier => {
+            const members = claimants.filter(h => h.seniority === tier);
+            const claim = sum(members.map(h => h.invested * h.preference));
+            const paid = Math.min(left, claim);
+            members.forEach(h => preferencePaid.set(h.id, claim > 0 ? paid * (h.invested * h.preference) / claim : 0));
+            left -= paid;
+        });
+
+        const sharesInCommon = (h: CapTableHolder): boolean =>
+            h.shareClass !== 'debt' && (h.shareClass !== 'preferred' || h.participating || converted.has(h.id));
+        const commonShares = sum(table.holders.filter(sharesInCommon).map(h => h.shares));
+        const perShare = commonShares > 0 ? left / commonShares : 0;
+        const payout = (h: CapTableHolder): number =>
+            (preferencePaid.get(h.id) ?? 0) + (sharesInCommon(h) ? h.shares * perShare : 0);
+
+        return { preferencePaid, sharesInCommon, perShare, payout };
+    };
+
+    // Non-participating preferred converts, one series at a time, whenever that pays it more
+    const converted = new Set<string>();
+    let result = distribute(converted);
+    let changed = true;
+    while (changed) {
+        changed = false;
+        const candidates = preferred
+            .filter(h => !h.participating && !converted.has(h.id))
+            .sort((a, b) => (a.invested * a.preference) / a.shares - (b.invested * b.preference) / b.shares);
+        for (const holder of candidates) {
+            const trial = distribute(new Set([...converted, holder.id]));
+            if (trial.payout(holder) > result.payout(holder)) {
+                converted.add(holder.id);
+                result = trial;
+                changed = true;
+                break;
+            }
+        }
+    }
+
+    const payouts: WaterfallPayout[] = table.holders.map(h => {
+        const preference = h.shareClass === 'debt' ? debtPaid.get(h.id) ?? 0 : result.preferencePaid.get(h.id) ?? 0;
+        const common = result.sharesInCommon(h) ? h.shares * result.perShare : 0;
+        const total = preference + common;
+        return {
+            holderId: h.id,
+            name: h.name,
+            kind: h.kind,
+            shareClass: h.shareClass,
+            ownership: totalShares > 0 ? h.shares / totalShares : 0,
+            invested: h.invested,
+            preference,
+            common,
+            total,
+            multiple: h.invested > 0 ? total / h.invested : null,
+        };
+    });
+
+    return { exitValue: Math.max(0, exitValue), payouts, converted: [...converted] };
+};
@@ -0,0 +1,224 @@
+/**
+ * COMPETITORS
+ *
+ * Rival programs racing ours in the same indication. Each works through
+ * the same phases at its own pace and faces the industry's attrition
+ * (GATE_SUCCESS) whatever the game rules, reading out as the program's
+ * own clock passes its readout month. Like the market climate, the field
+ * and every readout are drawn from generators derived from the game seed,
+ * never from rngState, so a seed always meets the same rivals and they
+ * leave the player's own rolls alone. What the rivals do changes the
+ * market we are racing for:
+ *
+ * - a rival that launches takes share, more of it if it gets there before
+ *   we do, and a first-in-class program it beats is first-in-class no more;
+ * - a rival that fails late leaves its prescribers and patients to us;
+ * - rivals in the clinic recruit the same patients, so each one enrolling
+ *   when our trial starts makes it run longer.
+ */
+
+import { LongGameState, ProgramEventRecord, RivalProgram } from '@/types/Game.types';
+import { PHASES, GATE_SUCCESS } from '@/game/data/phases';
+import { INNOVATION_DATA, RIVAL_FIELDS, RIVAL_MARKET_SIZE_COUNT, RIVAL_SPONSORS } from '@/game/data/strategy';
+import { createRng, hashText, Rng } from '@/game/engine/random';
+
+// Share of the market a rival launch leaves us, before and after our own launch
+export const RIVAL_LAUNCH_SHARE = { ahead: 0.75, behind: 0.9 };
+
+// A rival failing at the last hurdles frees up the share it had lined up
+export const RIVAL_FAILURE_MARKET = 1.1;
+const LATE_STAGE = ['phase3', 'fda_review'];
+
+// Months each rival trial recruiting the same patients adds to ours
+export const RECRUITMENT_DELAY: Record<string, number> = { phase1: 1, phase2: 2, phase3: 3 };
+
+// Rare-disease patients are few enough that every competing trial hurts twice as much
+const ORPHAN_RECRUITMENT_FACTOR = 2;
+
+const CLINICAL_PHASES = ['phase1', 'phase2', 'phase3'];
+
+// Clearing FDA review puts a rival on the market
+const LAUNCH_INDEX = PHASES.findIndex(phase => phase.id === 'fda_review');
+
+// Rivals run their phases anywhere from a little faster to a good deal slower than the textbook
+const RIVAL_PACE = { min: 0.8, max: 1.3 };
+
+const RIVAL_SALT = 0x2c1b3c6d;
+
+// A generator for one draw of the rivals in this program's indication
+const rivalRng = (state: LongGameState, key: string): Rng =>
+    createRng((state.seed ^ RIVAL_SALT ^ hashText(`${state.indication}:${key}`)) >>> 0);
+
+const phaseMonths = (phaseIndex: number, pace: number): number =>
+    Math.max(1, Math.round(PHASES[phaseIndex].baseMonths * pace));
+
+// Orbis Therapeutics' programs are OT-1234, OT-5678...
+const rivalName = (sponsor: string, rng: Rng): string =>
+    `${sponsor.split(' ').map(word => word[0]).join('')}-${1000 + rng.int(9000)}`;
+
+// ============================================
+// SELECTORS
+// ============================================
+
+/**
+ * Rival trials enrolling patients right now
+ */
+export const selectRecruitingRivals = (state: LongGameState): RivalProgram[] =>
+    state.rivals.filter(rival => rival.status === 'active' && CLINICAL_PHASES.includes(PHASES[rival.phaseIndex].id));
+
+/**
+ * What the rivals have done to our market since the program started
+ */
+export const selectRivalMarketEffect = (state: LongGameState): number =>
+    state.rivals.reduce((effect, rival) => effect * rival.marketEffect, 1);
+
+/**
+ * Months competing trials will add to the current phase's enrollment
+ */
+export const selectRecruitmentDelay = (state: LongGameState): number => {
+    const perRival = RECRUITMENT_DELAY[PHASES[state.currentPhaseIndex].id] ?? 0;
+    const factor = state.marketSize === 'orphan' ? ORPHAN_RECRUITMENT_FACTOR : 1;
+    return selectRecruitingRivals(state).length * perRival * factor;
+};
+
+// ============================================
+// THE FIELD
+// ============================================
+
+/**
+ * The rivals already in the indication when the program starts. Drugs
+ * already on the market are priced into the innovation position, so they
+ * launch with no further effect.
+ */
+export const createRivals = (state: LongGameState): RivalProgram[] => {
+    const field = RIVAL_FIELDS[state.innovation ?? ''];
+    if (!field) return [];
+    const rng = rivalRng(state, 'field');
+
+    const racing = Math.max(0, field.count.min + rng.int(field.count.max - field.count.min + 1)
+        + (RIVAL_MARKET_SIZE_COUNT[state.marketSize ?? ''] ?? 0));
+    const sponsors = [...RIVAL_SPONSORS];
+
+    return Array.from({ length: field.marketed + racing }, (_, i) => {
+        const sponsor = sponsors.splice(rng.int(sponsors.length), 1)[0];
+        const base = { id: `rival_${i + 1}`, sponsor, name: rivalName(sponsor, rng), marketEffect: 1 };
+        if (i < field.marketed) {
+            return { ...base, phaseIndex: LAUNCH_INDEX, status: 'approved' as const, readoutAt: state.months, pace: 1, endedAt: state.months };
+        }
+
+        // Somewhere part-way through the phase it is in
+        const startPhase = rng.pick(field.startPhases);
+        const phaseIndex = PHASES.findIndex(phase => phase.id === startPhase);
+        const pace = RIVAL_PACE.min + rng.next() * (RIVAL_PACE.max - RIVAL_PACE.min);
+        return {
+            ...base,
+            phaseIndex,
+            status: 'active' as const,
+            readoutAt: state.months + Math.max(1, Math.round(phaseMonths(phaseIndex, pace) * rng.next())),
+            pace,
+            endedAt: null,
+        };
+    });
+};
+
+/**
+ * One rival phase reads out: it fails, moves on, or launches
+ */
+const readOut = (state: LongGameState, rival: RivalProgram): LongGameState => {
+    const phase = PHASES[rival.phaseIndex];
+    const clinical = CLINICAL_PHASES.includes(phase.id) || phase.id === 'fda_review';
+    const withRival = (updated: RivalProgram, event: ProgramEventRecord | null, changes: Partial<LongGameState> = {}): LongGameState => ({
+        ...state,
+        ...changes,
+        rivals: state.rivals.map(r => (r.id === rival.id ? updated : r)),
+        programEvents: event ? [...state.programEvents, event] : state.programEvents,
+    });
+    const record = (title: string, description: string): ProgramEventRecord => ({
+        title,
+        description,
+        phase: PHASES[state.currentPhaseIndex].name,
+        competitor: true,
+    });
+
+    if (rivalRng(state, `${rival.id}:${phase.id}`).next() >= (GATE_SUCCESS[phase.id] ?? 1)) {
+        const freed = LATE_STAGE.includes(phase.id) ? RIVAL_FAILURE_MARKET : 1;
+        return withRival(
+            { ...rival, status: 'failed', endedAt: rival.readoutAt, marketEffect: freed },
+            clinical
+                ? record(`${rival.name} Fails ${phase.name}`, freed > 1
+                    ? `${rival.sponsor}'s ${state.indication} program failed ${phase.name}. Its prescribers and patients are up for grabs: your market grows ${Math.round((freed - 1) * 100)}%.`
+                    : `${rival.sponsor}'s ${state.indication} program failed ${phase.name}. One fewer program in the race.`)
+                : null,
+            { marketMultiplier: state.marketMultiplier * freed }
+        );
+    }
+
+    if (rival.phaseIndex >= LAUNCH_INDEX) {
+        const ahead = !state.phasesCompleted.some(p => p.id === 'fda_review');
+        const share = ahead ? RIVAL_LAUNCH_SHARE.ahead : RIVAL_LAUNCH_SHARE.behind;
+
+        // Beaten to market, a pioneer becomes one more drug on a validated mechanism
+        const dethroned = ahead && state.innovation === 'first-in-class';
+        const pioneer = INNOVATION_DATA['first-in-class'];
+        const follower = INNOVATION_DATA['best-in-class'];
+        const effect = share * (dethroned ? follower.marketMultiplier / pioneer.marketMultiplier : 1);
+
+        return withRival(
+            { ...rival, status: 'approved', endedAt: rival.readoutAt, marketEffect: effect },
+            record(`${rival.name} Approved`, `${rival.sponsor} launched in ${state.indication}${ahead ? ' before you' : ''}: your market shrinks ${Math.round((1 - effect) * 100)}%.${dethroned
+                ? ' You are no longer first-in-class. The pioneer\'s premium is gone, and so is the novel-biology risk.'
+                : ''}`),
+            {
+                marketMultiplier: state.marketMultiplier * effect,
+                ...(dethroned && {
+                    innovation: 'best-in-class',
+                    riskBonus: state.riskBonus + follower.riskBonus - pioneer.riskBonus,
+                }),
+            }
+        );
+    }
+
+    const next = rival.phaseIndex + 1;
+    return withRival(
+        { ...rival, phaseIndex: next, readoutAt: rival.readoutAt + phaseMonths(next, rival.pace) },
+        CLINICAL_PHASES.includes(phase.id)
+            ? record(`${rival.name} Clears ${phase.name}`, `${rival.sponsor}'s ${state.indication} program moves into ${PHASES[next].name}.`)
+            : null
+    );
+};
+
+/**
+ * Read out every rival phase the program's clock has passed, in the order
+ * they fell due. Only the program on screen races; a portfolio program's
+ * rivals catch up when it next takes its turn.
+ */
+export const raceRivals = (before: LongGameState, after: LongGameState): LongGameState => {
+    if (after.portfolio && after.portfolio.activeId !== before.portfolio?.activeId) return after;
+    if (after.months <= before.months) return after;
+
+    let next = after;
+    for (;;) {
+        const due = next.rivals.filter(rival => rival.status === 'active' && rival.readoutAt <= next.months);
+        if (due.length === 0) return next;
+        next = readOut(next, due.reduce((first, rival) => (rival.readoutAt < first.readoutAt ? rival : first)));
+    }
+};
+
+/**
+ * A trial starting while rivals recruit the same patients takes longer to fill
+ */
+export const delayEnrollment = (state: LongGameState): LongGameState => {
+    const delay = selectRecruitmentDelay(state);
+    if (delay === 0) return state;
+    const recruiting = selectRecruitingRivals(state);
+    return {
+        ...state,
+        months: state.months + delay,
+        programEvents: [...state.programEvents, {
+            title: 'Competing Trials Slow Enrollment',
+            description: `${recruiting.length} rival ${recruiting.length === 1 ? 'trial is' : 'trials are'} recruiting the same ${state.indication} patients (${recruiting.map(r => r.name).join(', ')}). Enrollment runs ${delay} months longer.`,
+            phase: PHASES[state.currentPhaseIndex].name,
+            competitor: true,
+        }],
+    };
+};
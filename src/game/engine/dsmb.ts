@@ -0,0 +1,177 @@
+/**
+ * DSMB
+ *
+ * A trial designed with interim looks is watched by a data safety
+ * monitoring board. Once a look's share of the patients has read out, the
+ * board sees the unblinded z statistic and stops the trial for efficacy if
+ * it clears the look's boundary, stops it for futility at or below the
+ * floor, or lets it run on. A trial in the promising zone, whose trend so
+ * far gives it a fair but not a good chance of winning, can be grown by
+ * re-estimating its sample size, up to the design's cap.
+ *
+ * The evidence is a score that builds over the trial's information (see
+ * sequentialOdds in engine/trialDesign). At the first look the score's
+ * drift is set to the one that gives the trial the odds its gate gives
+ * it, so the looks stop it as often as they should; once it has run past
+ * them, the gate is rolled on where the score stands. The score's steps
+ * are drawn from the game's generator, like the gate roll they stand in
+ * for.
+ */
+
+import { DsmbDecision, LongGameState, TrialLook, TrialMonitoring, TrialPlan } from '@/types/Game.types';
+import { PHASES } from '@/game/data/phases';
+import { TRIAL_PHASES, TRIAL_SAMPLE_SIZES, PROMISING_ZONE, SAMPLE_SIZE_STEP } from '@/game/data/trialDesign';
+import { normalCdf, selectTrialPlan, sequentialOdds } from '@/game/engine/trialDesign';
+import { Rng } from '@/game/engine/random';
+
+// The drift is searched for across this range either side of none
+const DRIFT_RANGE = 10;
+
+const round = (value: number, places: number): number => Math.round(value * 10 ** places) / 10 ** places;
+
+const byId = <T extends { id: string }>(options: T[], id: string): T => options.find(option => option.id === id) ?? options[0];
+
+// Standard normal draw (Box-Muller)
+const gaussian = (rng: Rng): number => Math.sqrt(-2 * Math.log(1 - rng.next())) * Math.cos(2 * Math.PI * rng.next());
+
+// The current phase's monitored trial at the size it has grown to
+const monitoredTrial = (state: LongGameState): { phaseId: string; plan: TrialPlan; monitoring: TrialMonitoring } | null => {
+    const phaseId = PHASES[state.currentPhaseIndex].id;
+    const design = state.trialDesigns[phaseId];
+    const monitoring = state.trialMonitoring[phaseId];
+    if (!design || !monitoring || !TRIAL_PHASES[phaseId]) return null;
+    return { phaseId, plan: selectTrialPlan(state, design, phaseId, monitoring.sampleSize), monitoring };
+};
+
+/**
+ * Drift that gives the designed trial, looks and all, this chance of a
+ * positive result
+ */
+const solveDrift = (plan: TrialPlan, outlook: number): number => {
+    const looks = plan.looks.map(look => ({ information: look.fraction, efficacy: look.efficacy, futility: look.futility }));
+    let low = -DRIFT_RANGE;
+    let high = DRIFT_RANGE;
+    for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if (sequentialOdds(mid, looks, 1, plan.critical).power < outlook) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+};
+
+/**
+ * Chance the final analysis at size wins from a score at information,
+ * with the score drifting at the given rate from here on
+ */
+const powerFrom = (score: number, information: number, size: number, critical: number, drift: number): number =>
+    1 - normalCdf((critical * Math.sqrt(size) - score - drift * (size - information)) / Math.sqrt(size - information));
+
+// Conditional power if the trend so far holds
+const trendPower = (score: number, information: number, size: number, critical: number): number =>
+    powerFrom(score, information, size, critical, score / information);
+
+// ============================================
+// SELECTORS
+// ============================================
+
+/**
+ * The running trial's next interim look, or null once it has had them all
+ * or been stopped
+ */
+export const selectNextLook = (state: LongGameState): TrialLook | null => {
+    const trial = monitoredTrial(state);
+    if (!trial || trial.monitoring.stopped) return null;
+    return trial.plan.looks[trial.monitoring.looks.length] ?? null;
+};
+
+/**
+ * The trial's odds at its final analysis. Before any look they are the
+ * gate's own; after, the chance of winning from where the evidence stands.
+ */
+export const selectFinalOdds = (state: LongGameState, outlook: number): number => {
+    const trial = monitoredTrial(state);
+    const drift = trial?.monitoring.drift ?? null;
+    if (!trial || drift === null) return outlook;
+    const { plan, monitoring } = trial;
+    return powerFrom(monitoring.score, monitoring.information, monitoring.sampleSize, plan.critical, drift);
+};
+
+// ============================================
+// LOOKS
+// ============================================
+
+/**
+ * The DSMB meets at the trial's next look: the evidence moves on to it,
+ * the board decides, and a promising trial may be grown. Outlook is the
+ * chance the gate gives the trial of a positive result; under rules where
+ * the trial cannot fail by chance, futile is false and it is never
+ * stopped for futility.
+ */
+export const conveneDsmb = (state: LongGameState, outlook: number, rng: Rng, futile = true): LongGameState => {
+    const trial = monitoredTrial(state);
+    const look = selectNextLook(state);
+    if (!trial || !look) return state;
+    const { phaseId, plan, monitoring } = trial;
+    const phase = PHASES[state.currentPhaseIndex];
+
+    const drift = monitoring.drift ?? solveDrift(selectTrialPlan(state, state.trialDesigns[phaseId], phaseId), outlook);
+    const step = look.fraction - monitoring.information;
+    const score = monitoring.score + drift * step + Math.sqrt(step) * gaussian(rng);
+    const z = score / Math.sqrt(look.fraction);
+    const decision: DsmbDecision = look.efficacy !== null && z >= look.efficacy ? 'efficacy'
+        : futile && look.futility !== null && z <= look.futility ? 'futility'
+            : 'continue';
+    const conditionalPower = trendPower(score, look.fraction, monitoring.sampleSize, plan.critical);
+
+    // Re-estimation grows a promising trial until its trend would win often enough
+    const cap = byId(TRIAL_SAMPLE_SIZES, state.trialDesigns[phaseId].sampleSize).value;
+    let sampleSize = monitoring.sampleSize;
+    if (decision === 'continue' && conditionalPower >= PROMISING_ZONE.low && conditionalPower < PROMISING_ZONE.target) {
+        while (sampleSize < cap && trendPower(score, look.fraction, sampleSize, plan.critical) < PROMISING_ZONE.target) {
+            sampleSize = Math.min(cap, round(sampleSize + SAMPLE_SIZE_STEP, 2));
+        }
+    }
+
+    const number = monitoring.looks.length + 1;
+    const events = decision === 'efficacy'
+        ? [{
+            title: 'Stopped Early for Efficacy',
+            description: `At interim look ${number} the DSMB saw z = ${z.toFixed(2)}, past the ${look.efficacy!.toFixed(2)} boundary, and stopped ${phase.name} for overwhelming efficacy. The trial closes out now instead of running to the end.`,
+            phase: phase.name,
+            type: 'positive' as const,
+        }]
+        : sampleSize > monitoring.sampleSize
+            ? [{
+                title: 'Sample Size Re-estimated',
+                description: `The trend at interim look ${number} gave ${phase.name} a ${Math.round(conditionalPower * 100)}% chance of winning. The DSMB grew the trial to ${Math.round(sampleSize * 100)}% of its designed patients to lift that to ${Math.round(trendPower(score, look.fraction, sampleSize, plan.critical) * 100)}%.`,
+                phase: phase.name,
+            }]
+            : [];
+
+    return {
+        ...state,
+        phaseStep: 2.9,
+        programEvents: [...state.programEvents, ...events],
+        trialMonitoring: {
+            ...state.trialMonitoring,
+            [phaseId]: {
+                looks: [...monitoring.looks, {
+                    look: number,
+                    fraction: look.fraction,
+                    month: look.month,
+                    z: round(z, 3),
+                    efficacy: look.efficacy,
+                    futility: look.futility,
+                    conditionalPower: round(conditionalPower, 3),
+                    decision,
+                    sampleSize,
+                }],
+                score,
+                information: look.fraction,
+                sampleSize,
+                drift,
+                stopped: decision === 'continue' ? null : decision,
+            },
+        },
+    };
+};
@@ -0,0 +1,155 @@
+/**
+ * EXCLUSIVITY
+ *
+ * How long the drug sells as a brand. The composition-of-matter patent is
+ * filed when basic research pays off and its 20-year term runs from then,
+ * however long development takes; patent term extension gives back part
+ * of the clinical and review time. Regulatory exclusivity (five years for
+ * a new chemical entity, twelve for a biologic, seven for an orphan drug)
+ * runs from approval, pediatric exclusivity adds six months to all of
+ * them, and generics or biosimilars arrive when the last one lapses.
+ *
+ * Milestones the program has reached are dated from its completed phases;
+ * the rest are projected at textbook pace (trials as designed), so every
+ * month of delay comes straight off the branded years the valuation
+ * counts on.
+ */
+
+import { Exclusivity, ExclusivityProtection, LongGameState } from '@/types/Game.types';
+import { PHASES } from '@/game/data/phases';
+import {
+    PATENT_FILING_PHASE,
+    PATENT_TERM_MONTHS,
+    PATENT_TERM_EXTENSION,
+    IND_PHASE,
+    NDA_PHASE,
+    APPROVAL_PHASE,
+    REGULATORY_EXCLUSIVITY,
+    PEDIATRIC_EXCLUSIVITY_MONTHS,
+} from '@/game/data/exclusivity';
+import { plannedPhase } from '@/game/engine/trialDesign';
+
+// Program months at which each milestone's gate is cleared
+interface ExclusivityTimeline {
+    filed: number;
+    ind: number;
+    nda: number;
+    approval: number;
+}
+
+interface ExclusivityProfile {
+    smallMolecule: boolean;
+    orphan: boolean;
+    pediatric: boolean;
+}
+
+const phaseIndex = (id: string): number => PHASES.findIndex(phase => phase.id === id);
+
+/**
+ * Patent and regulatory exclusivity for a program on a given timeline
+ */
+export const exclusivityFor = (timeline: ExclusivityTimeline, profile: ExclusivityProfile, projected = false): Exclusivity => {
+    const { filed, ind, nda, approval } = timeline;
+    const pediatric = profile.pediatric ? PEDIATRIC_EXCLUSIVITY_MONTHS : 0;
+
+    const patentExpiry = filed + PATENT_TERM_MONTHS;
+    const restored = PATENT_TERM_EXTENSION.testingShare * Math.max(0, nda - ind)
+        + PATENT_TERM_EXTENSION.reviewShare * Math.max(0, approval - nda);
+    const extension = Math.max(0, Math.min(
+        restored,
+        PATENT_TERM_EXTENSION.maxMonths,
+        approval + PATENT_TERM_EXTENSION.maxAfterApprovalMonths - patentExpiry
+    ));
+
+    const regulatory = [
+        profile.smallMolecule ? { id: 'nce' as const, ...REGULATORY_EXCLUSIVITY.nce } : { id: 'biologic' as const, ...REGULATORY_EXCLUSIVITY.biologic },
+        ...(profile.orphan ? [{ id: 'orphan' as const, ...REGULATORY_EXCLUSIVITY.orphan }] : []),
+    ];
+    const protections: ExclusivityProtection[] = [
+        {
+            id: 'patent',
+            label: 'Composition-of-matter patent',
+            detail: extension > 0
+                ? `20 years from filing, plus ${Math.round(extension)} months of patent term extension`
+                : '20 years from filing',
+            endsAt: patentExpiry + extension + pediatric,
+        },
+        ...regulatory.map(({ id, label, detail, months }) => ({ id, label, detail, endsAt: approval + months + pediatric })),
+    ];
+
+    const genericEntry = Math.max(approval, ...protections.map(p => p.endsAt));
+    return {
+        patentFiledAt: filed,
+        indAt: ind,
+        ndaAt: nda,
+        approvalAt: approval,
+        projected,
+        patentExpiry,
+        extension,
+        pediatric: profile.pediatric,
+        protections,
+        genericEntry,
+        patentYears: Math.max(0, patentExpiry + extension - approval) / 12,
+        brandedYears: (genericEntry - approval) / 12,
+    };
+};
+
+// A program's milestones at a steady multiple of the textbook phase lengths
+const textbookTimeline = (pace: number): ExclusivityTimeline => {
+    const endOf = (id: string): number =>
+        PHASES.slice(0, phaseIndex(id) + 1).reduce((months, phase) => months + phase.baseMonths * pace, 0);
+    return { filed: endOf(PATENT_FILING_PHASE), ind: endOf(IND_PHASE), nda: endOf(NDA_PHASE), approval: endOf(APPROVAL_PHASE) };
+};
+
+// Development from a quarter faster to half again slower than the textbook
+const FAST_PACE = 0.75;
+const SLOW_PACE = 1.5;
+
+const range = (pick: (exclusivity: Exclusivity) => number): { min: number; max: number } => {
+    const slowest = exclusivityFor(textbookTimeline(SLOW_PACE), { smallMolecule: true, orphan: false, pediatric: false });
+    const fastest = exclusivityFor(textbookTimeline(FAST_PACE), { smallMolecule: false, orphan: false, pediatric: true });
+    return { min: Math.round(pick(slowest) * 10) / 10, max: Math.round(pick(fastest) * 10) / 10 };
+};
+
+// Years of branded sales and of patent life left at approval, from the
+// slowest small molecule to the quickest biologic with pediatric studies
+export const BRANDED_PERIOD = range(exclusivity => exclusivity.brandedYears);
+export const PATENT_LIFE = range(exclusivity => exclusivity.patentYears);
+
+// ============================================
+// SELECTORS
+// ============================================
+
+/**
+ * Program month a phase's gate was, or at planned pace will be, cleared
+ */
+const milestone = (state: LongGameState, id: string): { month: number; projected: boolean } => {
+    const completed = state.phasesCompleted.find(phase => phase.id === id);
+    if (completed) return { month: completed.month, projected: false };
+
+    let month = state.months;
+    const firstRemaining = state.currentPhaseIndex + (state.gateResult?.success ? 1 : 0);
+    for (let i = firstRemaining; i <= phaseIndex(id); i++) {
+        month += plannedPhase(state, i).baseMonths - (i === state.currentPhaseIndex ? state.phaseProgress.months : 0);
+    }
+    return { month, projected: true };
+};
+
+/**
+ * The program's patents and exclusivities, and the branded years they add up to
+ */
+export const selectExclusivity = (state: LongGameState): Exclusivity => {
+    const filed = milestone(state, PATENT_FILING_PHASE);
+    const ind = milestone(state, IND_PHASE);
+    const nda = milestone(state, NDA_PHASE);
+    const approval = milestone(state, APPROVAL_PHASE);
+    return exclusivityFor(
+        { filed: filed.month, ind: ind.month, nda: nda.month, approval: approval.month },
+        {
+            smallMolecule: state.modality === 'small-molecule',
+            orphan: state.marketSize === 'orphan',
+            pediatric: !!state.indicationData?.pediatric,
+        },
+        approval.projected
+    );
+};
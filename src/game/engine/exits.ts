@@ -0,0 +1,168 @@
+/**
+ * EXITS
+ *
+ * The ways a Long Journey company can end before it reaches patients on
+ * its own: sold to a large pharma after proof of concept, listed when the
+ * IPO window is open, or merged with a complementary biotech. Each offer
+ * is priced off the program as it stands (its rNPV plus the cash in the
+ * bank), and the proceeds run through the cap table like any other
+ * liquidity event, preferences and all.
+ */
+
+import { CapTable, ExitOffer, ExitStrategy, ExitType, LongGameState, MarketMood } from '@/types/Game.types';
+import {
+    FINANCING_ROUNDS,
+    ACQUIRERS,
+    MERGER_PARTNERS,
+    ACQUISITION_PREMIUM,
+    CVR_SHARE,
+    MERGER_PARTNER_SIZE,
+    MERGER_SYNERGY,
+    MARKET_MOODS,
+    IPO_DATA_BONUS,
+} from '@/game/data/financing';
+import { selectCurrentPhase } from '@/game/engine/selectors';
+import { selectValuation } from '@/game/engine/valuation';
+import { raiseRound } from '@/game/engine/capTable';
+import { Rng } from '@/game/engine/random';
+
+const IPO_RAISE = FINANCING_ROUNDS.find(round => round.id === 'ipo')?.amount ?? 0;
+
+const between = (rng: Rng, { min, max }: { min: number; max: number }): number => min + rng.next() * (max - min);
+
+export const exitOfferKey = (type: string, phaseId: string): string => `${type}:${phaseId}`;
+
+// ============================================
+// OFFERS
+// ============================================
+
+/**
+ * Whether bankers can sell the story: the market's mood (see
+ * engine/marketClimate) sets the odds, the data moves them
+ */
+export const ipoWindowOpen = (state: LongGameState, mood: MarketMood, rng: Rng): boolean => {
+    const valuation = selectValuation(state);
+    const data = valuation.rnpv > state.capitalInvested ? IPO_DATA_BONUS : -IPO_DATA_BONUS;
+    return rng.next() < MARKET_MOODS[mood].windowOdds + data;
+};
+
+/**
+ * An offer priced off the program as it stands, or null when there is
+ * nothing for a buyer to pay for
+ */
+export const createExitOffer = (
+    state: LongGameState,
+    strategy: ExitStrategy,
+    rng: Rng,
+    mood: MarketMood | null = null
+): ExitOffer | null => {
+    const valuation = selectValuation(state);
+    const programValue = Math.max(0, valuation.rnpv);
+    const base = {
+        type: strategy.type as ExitType,
+        name: strategy.name,
+        phase: selectCurrentPhase(state).name,
+        month: state.months,
+        rnpv: valuation.rnpv,
+        upfront: 0,
+        contingent: 0,
+        approvalOdds: valuation.probability,
+        raise: 0,
+        mood: null,
+        ownership: null,
+    };
+
+    switch (strategy.type) {
+        case 'acquisition': {
+            // Pharma pays a control premium for the asset, part of it only on approval
+            if (programValue <= 0) return null;
+            const price = Math.round(programValue * between(rng, ACQUISITION_PREMIUM) + state.cash);
+            const contingent = Math.round(price * CVR_SHARE);
+            return {
+                ...base,
+                counterparty: rng.pick(ACQUIRERS),
+                equityValue: price,
+                upfront: price - contingent,
+                contingent,
+            };
+        }
+
+        case 'ipo': {
+            const listingMood = mood ?? 'neutral';
+            return {
+                ...base,
+                counterparty: 'Public markets',
+                equityValue: Math.round(programValue * MARKET_MOODS[listingMood].valuation + state.cash),
+                raise: IPO_RAISE,
+                mood: listingMood,
+            };
+        }
+
+        case 'merger': {
+            // Stock for stock: holders swap into the combined company by relative value
+            const standalone = programValue + state.cash;
+            if (standalone <= 0) return null;
+            const partner = standalone * between(rng, MERGER_PARTNER_SIZE);
+            const ownership = standalone / (standalone + partner);
+            return {
+                ...base,
+                counterparty: rng.pick(MERGER_PARTNERS),
+                equityValue: Math.round(ownership * (standalone + partner) * MERGER_SYNERGY),
+                ownership,
+            };
+        }
+
+        default:
+            return null;
+    }
+};
+
+/**
+ * The deal in one sentence
+ */
+export const describeExit = (offer: ExitOffer): string => {
+    switch (offer.type) {
+        case 'acquisition':
+            return `${offer.counterparty} buys the company for $${offer.equityValue}M: $${offer.upfront}M at close and a $${offer.contingent}M CVR paid only on approval.`;
+        case 'ipo':
+            return `The company lists at a $${offer.equityValue}M pre-money valuation and raises $${offer.raise}M from public investors.`;
+        case 'merger':
+            return `Stock-for-stock merger with ${offer.counterparty}: your holders own ${Math.round((offer.ownership ?? 0) * 100)}% of the combined company, worth $${offer.equityValue}M.`;
+    }
+};
+
+// ============================================
+// PROCEEDS
+// ============================================
+
+/**
+ * The cap table after closing: a listing issues new shares and converts
+ * preferred, a sale or merger leaves the table as it is
+ */
+export const exitCapTable = (capTable: CapTable, offer: ExitOffer): CapTable => {
+    if (offer.type !== 'ipo') return capTable;
+    return raiseRound(capTable, {
+        id: 'ipo_listing',
+        name: 'IPO',
+        amount: offer.raise,
+        dilution: offer.raise / (offer.equityValue + offer.raise),
+        shareClass: 'common',
+        liquidationPreference: 0,
+        convertsPreferred: true,
+        topUpPool: false,
+    });
+};
+
+/**
+ * The value the exit distributes through the closing cap table
+ */
+export const exitValue = (offer: ExitOffer): { value: number; label: string } => {
+    switch (offer.type) {
+        case 'acquisition':
+            return { value: Math.round(offer.upfront + offer.contingent * offer.approvalOdds), label: 'upfront plus risk-adjusted CVR' };
+        case 'ipo':
+            return { value: offer.equityValue + offer.raise, label: 'market cap at the IPO price' };
+        case 'merger':
+            return { value: offer.equityValue, label: 'value of your stake in the combined company' };
+    }
+};
@@ -0,0 +1,50 @@
+/**
+ * IRA
+ *
+ * Medicare price negotiation as it applies to the program's drug. Nine
+ * years after approval for a small molecule, thirteen for a biologic,
+ * Medicare starts paying a negotiated price, capped at a deeper cut the
+ * longer the drug has been on the market. Only the Medicare patients'
+ * share of sales is cut, nothing is negotiated once generics or
+ * biosimilars have arrived, and drugs for rare diseases are excluded.
+ *
+ * Revenue (see engine/revenue) applies the cut year by year, so both the
+ * victory economics and the rNPV carry it from the day the program starts.
+ */
+
+import { LongGameState, MedicareNegotiation } from '@/types/Game.types';
+import {
+    NEGOTIATION_DELAY_YEARS,
+    MAX_FAIR_PRICE_CUTS,
+    ORPHAN_EXCLUSION,
+    DEFAULT_MEDICARE_SHARE,
+} from '@/game/data/ira';
+
+/**
+ * Ceiling cut on the negotiated price some years after approval
+ */
+export const maxFairPriceCut = (yearsSinceApproval: number): number =>
+    MAX_FAIR_PRICE_CUTS.reduce((cut, tier) => (yearsSinceApproval >= tier.fromYear ? tier.cut : cut), 0);
+
+/**
+ * Share of a year's branded net sales that negotiation takes, the year
+ * starting some whole number of years after approval
+ */
+export const negotiationCut = (negotiation: MedicareNegotiation, year: number): number => {
+    if (negotiation.exempt) return 0;
+    const negotiated = Math.min(1, Math.max(0, year + 1 - negotiation.startYear));
+    return negotiated * negotiation.medicareShare * maxFairPriceCut(year);
+};
+
+// ============================================
+// SELECTORS
+// ============================================
+
+/**
+ * When and how hard Medicare negotiation reaches this program
+ */
+export const selectMedicareNegotiation = (state: LongGameState): MedicareNegotiation => ({
+    exempt: state.marketSize === ORPHAN_EXCLUSION,
+    startYear: state.modality === 'small-molecule' ? NEGOTIATION_DELAY_YEARS.smallMolecule : NEGOTIATION_DELAY_YEARS.biologic,
+    medicareShare: state.indicationData?.medicareShare ?? DEFAULT_MEDICARE_SHARE,
+});
@@ -0,0 +1,209 @@
+/**
+ * LAUNCH
+ *
+ * The approved drug's first quarters on the market. Peak sales are the
+ * revenue model's (see engine/revenue): the market the program chose, as
+ * innovation, events and rivals have moved it, less what pricing and
+ * access decisions gave up. How much of that peak each quarter reaches
+ * depends on the launch: uptake builds toward peak as fast as the sales
+ * force and formulary position allow, payers take their rebates channel
+ * by channel, and royalty holders and partners take their share. Cost of
+ * goods, the field force and launch marketing come out before the
+ * company sees a dollar, so a launch can burn cash for a year or more.
+ * Once approved the drug itself is collateral: a royalty fund will pay
+ * upfront for a cut of its sales, once. A company that runs out before
+ * sales catch up fails with an approved drug in hand.
+ *
+ * Only a single-asset company plays its launch; a portfolio counts an
+ * approval as done and carries on with its other programs.
+ */
+
+import { Launch, LaunchPayerStrategy, LaunchQuarter, LaunchSalesForce, LongGameState, PayerStrategyId, SalesForceId } from '@/types/Game.types';
+import {
+    LAUNCH_QUARTERS,
+    RAMP_QUARTERS,
+    REP_COST,
+    MARKETING_FULL_QUARTERS,
+    MARKETING_TAPER,
+    RECEPTION_RANGE,
+    SALES_FORCES,
+    PAYER_STRATEGIES,
+    CHANNEL_DISCOUNTS,
+    MEDICAID_SHARE,
+    COGS_SHARE,
+    DEFAULT_COGS_SHARE,
+    LAUNCH_ROYALTY,
+} from '@/game/data/launch';
+import { MARKET_SIZE_DATA } from '@/game/data/strategy';
+import { DEFAULT_MEDICARE_SHARE } from '@/game/data/ira';
+import { createObligation, describeObligation, selectPeakSales, selectRevenueWaterfall } from '@/game/engine/revenue';
+import { selectOverheadRate } from '@/game/engine/burn';
+import { projectDebtService } from '@/game/engine/ventureDebt';
+import { selectCompanyMonths } from '@/game/engine/portfolio';
+import { Rng } from '@/game/engine/random';
+
+const QUARTER_MONTHS = 3;
+
+const LAUNCH_PHASE = 'Commercial Launch';
+
+const roundMoney = (value: number): number => Math.round(value * 10) / 10;
+
+const salesForceOf = (launch: Launch): LaunchSalesForce => SALES_FORCES.find(force => force.id === launch.salesForce) ?? SALES_FORCES[1];
+
+const payerStrategyOf = (launch: Launch): LaunchPayerStrategy => PAYER_STRATEGIES.find(payer => payer.id === launch.payerStrategy) ?? PAYER_STRATEGIES[1];
+
+/**
+ * Open the launch with a targeted sales force and standard payer terms.
+ * How prescribers take to the drug is only known once it is on the market.
+ */
+export const createLaunch = (rng: Rng): Launch => ({
+    salesForce: 'targeted',
+    payerStrategy: 'balanced',
+    reception: Math.round((RECEPTION_RANGE.min + rng.next() * (RECEPTION_RANGE.max - RECEPTION_RANGE.min)) * 100) / 100,
+    adoption: 0,
+    quarters: [],
+});
+
+export const setSalesForce = (state: LongGameState, salesForce: SalesForceId): LongGameState =>
+    state.launch && SALES_FORCES.some(force => force.id === salesForce)
+        ? { ...state, launch: { ...state.launch, salesForce } }
+        : state;
+
+export const setPayerStrategy = (state: LongGameState, payerStrategy: PayerStrategyId): LongGameState =>
+    state.launch && PAYER_STRATEGIES.some(payer => payer.id === payerStrategy)
+        ? { ...state, launch: { ...state.launch, payerStrategy } }
+        : state;
+
+// ============================================
+// SELECTORS
+// ============================================
+
+/**
+ * What the royalty fund would pay upfront for a cut of the drug's sales,
+ * or null once the royalty is sold
+ */
+export const selectLaunchRoyaltyOffer = (state: LongGameState): number | null =>
+    state.launch && !state.obligations.some(o => o.id === LAUNCH_ROYALTY.id)
+        ? roundMoney(selectPeakSales(state) * LAUNCH_ROYALTY.peakSalesShare)
+        : null;
+
+/**
+ * Net sales as a share of list across the payer mix. Pricing and access
+ * decisions move what commercial payers pay on the terms the launch
+ * struck, never above list; Medicare and Medicaid pay by statute.
+ */
+const netShare = (state: LongGameState, payer: LaunchPayerStrategy): number => {
+    const medicare = state.indicationData?.medicareShare ?? DEFAULT_MEDICARE_SHARE;
+    const commercial = Math.max(0, 1 - medicare - MEDICAID_SHARE);
+    return commercial * Math.min(1, (1 - payer.commercialDiscount) * state.revenueMultiplier)
+        + medicare * (1 - CHANNEL_DISCOUNTS.medicare)
+        + MEDICAID_SHARE * (1 - CHANNEL_DISCOUNTS.medicaid);
+};
+
+/**
+ * The next launch quarter as the launch stands: what it would sell and
+ * cost with the current sales force and payer terms
+ */
+export const selectNextLaunchQuarter = (state: LongGameState): LaunchQuarter | null => {
+    const { launch } = state;
+    if (!launch) return null;
+    const force = salesForceOf(launch);
+    const payer = payerStrategyOf(launch);
+    const market = MARKET_SIZE_DATA[state.marketSize ?? ''] ?? MARKET_SIZE_DATA.specialty;
+    const quarter = launch.quarters.length + 1;
+
+    // Uptake builds a quarter at a time; the sales force and formulary set the pace
+    const adoption = Math.min(1, launch.adoption + force.speed * payer.uptake / RAMP_QUARTERS);
+    const gross = selectPeakSales(state) / 4 * adoption * force.reach * payer.coverage * launch.reception;
+    const net = gross * netShare(state, payer);
+    const partners = net * (1 - selectRevenueWaterfall(state).keptShare);
+    const cogs = gross * (COGS_SHARE[state.modality ?? ''] ?? DEFAULT_COGS_SHARE);
+    const salesForce = market.salesReps * force.share * REP_COST / 4;
+    const marketing = market.launchMarketing * force.share * (quarter <= MARKETING_FULL_QUARTERS ? 1 : MARKETING_TAPER);
+    const overhead = selectOverheadRate(state) * QUARTER_MONTHS
+        + projectDebtService(state.debt, selectCompanyMonths(state), QUARTER_MONTHS);
+
+    return {
+        quarter,
+        adoption,
+        gross: roundMoney(gross),
+        rebates: roundMoney(gross - net),
+        net: roundMoney(net),
+        partners: roundMoney(partners),
+        cogs: roundMoney(cogs),
+        salesForce: roundMoney(salesForce),
+        marketing: roundMoney(marketing),
+        overhead: roundMoney(overhead),
+        profit: roundMoney(net - partners - cogs - salesForce - marketing - overhead),
+    };
+};
+
+// ============================================
+// FINANCING
+// ============================================
+
+/**
+ * Sell a royalty on the drug's sales for cash now. Every quarter after
+ * pays it out of net sales, through the revenue waterfall, until the cap.
+ */
+export const sellLaunchRoyalty = (state: LongGameState): LongGameState => {
+    const upfront = selectLaunchRoyaltyOffer(state);
+    if (upfront === null) return state;
+    const { id, name, obligation } = LAUNCH_ROYALTY;
+    return {
+        ...state,
+        cash: roundMoney(state.cash + upfront),
+        capitalInvested: roundMoney(state.capitalInvested + upfront),
+        obligations: [...state.obligations, createObligation(id, name, upfront, LAUNCH_PHASE, obligation)],
+        programEvents: [...state.programEvents, {
+            title: `${name} Secured`,
+            description: `Raised $${upfront}M against ${state.drugName}'s sales. ${describeObligation(obligation, upfront)}.`,
+            phase: LAUNCH_PHASE,
+            financing: true,
+        }],
+    };
+};
+
+// ============================================
+// PLAYING A QUARTER
+// ============================================
+
+/**
+ * Sell for a quarter and pay for it. G&A and loan payments are charged by
+ * the reducer as the clock moves, so only the commercial result lands on
+ * cash here; the quarter's record carries them to show the whole loss.
+ */
+export const playLaunchQuarter = (state: LongGameState): LongGameState => {
+    const played = selectNextLaunchQuarter(state);
+    if (!played || !state.launch) return state;
+
+    const quarters = [...state.launch.quarters, played];
+    const next: LongGameState = {
+        ...state,
+        months: state.months + QUARTER_MONTHS,
+        cash: roundMoney(state.cash + played.profit + played.overhead),
+        capitalInvested: roundMoney(state.capitalInvested + Math.max(0, -(played.profit + played.overhead))),
+        launch: {
+            ...state.launch,
+            adoption: played.adoption,
+            quarters,
+        },
+    };
+
+    if (state.cash + played.profit < 0) {
+        const lost = -quarters.reduce((sum, quarter) => sum + Math.min(0, quarter.profit), 0);
+        return {
+            ...next,
+            screen: 'failure',
+            programEvents: [...next.programEvents, {
+                title: 'Launch Ran Out of Cash',
+                description: `${played.quarter} ${played.quarter === 1 ? 'quarter' : 'quarters'} into the launch, sales of $${played.net}M a quarter could not yet cover the cost of goods, the field force and marketing. The company lost $${roundMoney(lost)}M selling an approved drug and had nothing left to carry it to profit.`,
+                phase: LAUNCH_PHASE,
+                isFailure: true,
+                financing: true,
+            }],
+        };
+    }
+
+    return played.quarter >= LAUNCH_QUARTERS ? { ...next, screen: 'victory' } : next;
+};
@@ -0,0 +1,128 @@
+/**
+ * MARKET CLIMATE
+ *
+ * Biotech capital markets over game time. Investor mood (hot, neutral,
+ * cold) and the interest-rate regime each drift a quarter at a time along
+ * the chains in MARKET_MOODS and RATE_REGIMES. The path is drawn from its
+ * own generator seeded by the game seed, so it never touches the game's
+ * rngState: the same seed always meets the same markets, whatever the
+ * player does, and a class playing one seed lives through the same cycle.
+ *
+ * The climate prices what the company raises while it lasts: venture
+ * round sizes and dilution, the IPO window, and venture debt rates.
+ */
+
+import {
+    AlternativeFinancing,
+    FinancingRound,
+    LongGameState,
+    MarketClimate,
+    ProgramEventRecord,
+} from '@/types/Game.types';
+import {
+    ALTERNATIVE_FINANCING,
+    MARKET_MOODS,
+    RATE_REGIMES,
+    CLIMATE_STEP_MONTHS,
+    MAX_ROUND_DILUTION,
+} from '@/game/data/financing';
+import { PHASES } from '@/game/data/phases';
+import { createRng } from '@/game/engine/random';
+import { selectCompanyMonths } from '@/game/engine/portfolio';
+
+// Keeps the market's generator apart from the game's, which starts from the bare seed
+const CLIMATE_SALT = 0x5eedc11a;
+
+const weights = <T extends string>(table: Record<T, { weight: number }>): Record<T, number> =>
+    Object.fromEntries(Object.entries<{ weight: number }>(table).map(([id, entry]) => [id, entry.weight])) as Record<T, number>;
+
+const pickWeighted = <T extends string>(odds: Record<T, number>, roll: number): T => {
+    const options = Object.keys(odds) as T[];
+    let cumulative = 0;
+    for (const option of options) {
+        cumulative += odds[option];
+        if (roll < cumulative) return option;
+    }
+    return options[options.length - 1];
+};
+
+/**
+ * The climate a game's markets are in at a company month
+ */
+export const climateAt = (seed: number, month: number): MarketClimate => {
+    const rng = createRng((seed ^ CLIMATE_SALT) >>> 0);
+
+    let climate: MarketClimate = {
+        mood: pickWeighted(weights(MARKET_MOODS), rng.next()),
+        rates: pickWeighted(weights(RATE_REGIMES), rng.next()),
+        since: 0,
+    };
+    for (let step = 1; step * CLIMATE_STEP_MONTHS <= month; step++) {
+        const mood = pickWeighted(MARKET_MOODS[climate.mood].next, rng.next());
+        const rates = pickWeighted(RATE_REGIMES[climate.rates].next, rng.next());
+        climate = { mood, rates, since: mood === climate.mood ? climate.since : step * CLIMATE_STEP_MONTHS };
+    }
+    return climate;
+};
+
+// ============================================
+// SELECTORS
+// ============================================
+
+export const selectMarketClimate = (state: LongGameState): MarketClimate =>
+    climateAt(state.seed, selectCompanyMonths(state));
+
+/**
+ * A venture round as the market will price it: hot money writes bigger
+ * cheques for less of the company, a cold market the reverse
+ */
+export const priceRound = (round: FinancingRound, climate: MarketClimate): FinancingRound => ({
+    ...round,
+    amount: Math.round(round.amount * MARKET_MOODS[climate.mood].roundSize * RATE_REGIMES[climate.rates].roundSize),
+    dilution: Math.min(MAX_ROUND_DILUTION, Math.round(round.dilution * MARKET_MOODS[climate.mood].dilution)),
+});
+
+/**
+ * Alternative financing on today's terms: lenders charge the going rate
+ */
+export const priceAlternative = (alt: AlternativeFinancing, climate: MarketClimate): AlternativeFinancing => {
+    if (!alt.debtTerms) return alt;
+    const interestRate = Math.round((alt.debtTerms.interestRate + RATE_REGIMES[climate.rates].debtRate) * 100) / 100;
+    return {
+        ...alt,
+        debtTerms: { ...alt.debtTerms, interestRate },
+        tradeoff: `${Math.round(interestRate * 100)}% interest + warrants`,
+    };
+};
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * Note in the program's history when the markets turn while the clock moves
+ */
+export const climateEvents = (before: LongGameState, after: LongGameState): ProgramEventRecord[] => {
+    const from = climateAt(after.seed, selectCompanyMonths(before));
+    const to = climateAt(after.seed, selectCompanyMonths(after));
+    const phase = PHASES[after.currentPhaseIndex].name;
+    const events: ProgramEventRecord[] = [];
+    if (to.mood !== from.mood) {
+        events.push({
+            title: `Biotech Market Turns ${to.mood.charAt(0).toUpperCase() + to.mood.slice(1)}`,
+            description: `${MARKET_MOODS[to.mood].label}. Rounds now raise about ${Math.round(MARKET_MOODS[to.mood].roundSize * 100)}% of the usual amount for ${Math.round(MARKET_MOODS[to.mood].dilution * 100)}% of the usual dilution.`,
+            phase,
+            financing: true,
+        });
+    }
+    const loan = ALTERNATIVE_FINANCING.find(alt => alt.debtTerms);
+    if (to.rates !== from.rates && loan) {
+        events.push({
+            title: to.rates === 'high' || (to.rates === 'normal' && from.rates === 'low') ? 'Interest Rates Rise' : 'Interest Rates Fall',
+            description: `${RATE_REGIMES[to.rates].label}. New venture debt costs ${Math.round(priceAlternative(loan, to).debtTerms!.interestRate * 100)}% a year.`,
+            phase,
+            financing: true,
+        });
+    }
+    return events;
+};
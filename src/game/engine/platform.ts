@@ -0,0 +1,162 @@
+/**
+ * PLATFORM PIPELINE
+ *
+ * Follow-on programs spun out of the lead's platform. Once the lead has
+ * an IND package, its CMC, toxicology and delivery work no longer has to
+ * be redone: each follow-on starts at lead optimization, pays only part
+ * of every phase budget, moves faster and clears gates a little more
+ * often, by how much its modality's platformEffect allows
+ * (PLATFORM_LEVERAGE). Follow-ons run alongside the lead, completing a
+ * phase each time the lead clears a gate, and only when the cash left
+ * still covers the lead's next phase.
+ */
+
+import { FollowOnProgram, LongGameState, PlatformLeverage, ProgramEventRecord } from '@/types/Game.types';
+import { PHASES, GATE_SUCCESS } from '@/game/data/phases';
+import { PLATFORM_LEVERAGE, DEFAULT_PLATFORM_LEVERAGE } from '@/game/data/modalities';
+import { INDICATIONS } from '@/game/data/strategy';
+import { Rng } from '@/game/engine/random';
+import { phaseBudget } from '@/game/engine/burn';
+import { plannedPhase } from '@/game/engine/trialDesign';
+
+// The lead gate whose package follow-ons inherit
+export const PLATFORM_UNLOCK_PHASE = 'ind_enabling';
+
+// Follow-ons skip target discovery: the platform already found the chemistry, vector or cells
+const FOLLOW_ON_START_INDEX = PHASES.findIndex(phase => phase.id === 'lead_optimization');
+
+// The last gate a follow-on has to clear to reach patients
+const FOLLOW_ON_LAUNCH_INDEX = PHASES.findIndex(phase => phase.id === 'fda_review');
+
+// A follow-on indication is worth about as much as the lead's
+export const FOLLOW_ON_MARKET_SHARE = 1;
+
+const roundMoney = (value: number): number => Math.round(value * 10) / 10;
+
+// ============================================
+// SELECTORS
+// ============================================
+
+export const selectPlatformLeverage = (state: LongGameState): PlatformLeverage =>
+    PLATFORM_LEVERAGE[state.modality ?? ''] ?? DEFAULT_PLATFORM_LEVERAGE;
+
+/**
+ * Has the lead produced the package follow-ons build on?
+ */
+export const selectPlatformUnlocked = (state: LongGameState): boolean =>
+    state.phasesCompleted.some(phase => phase.id === PLATFORM_UNLOCK_PHASE);
+
+/**
+ * Follow-on programs the platform can still spawn
+ */
+export const selectFollowOnSlots = (state: LongGameState): number =>
+    Math.max(0, (state.platform?.followOns ?? 0) - state.followOns.length);
+
+/**
+ * What a follow-on pays for one phase, after the work the lead already did
+ */
+export const followOnPhaseCost = (phaseIndex: number, leverage: PlatformLeverage): number =>
+    roundMoney(PHASES[phaseIndex].baseCost * (1 - leverage.costSaving));
+
+export const followOnPhaseMonths = (phaseIndex: number, leverage: PlatformLeverage): number =>
+    PHASES[phaseIndex].baseMonths * (1 - leverage.timeSaving);
+
+/**
+ * Odds of a follow-on clearing a phase's gate: the industry rate plus the platform's credit
+ */
+export const followOnGateOdds = (phaseIndex: number, leverage: PlatformLeverage): number =>
+    Math.min(0.95, (GATE_SUCCESS[PHASES[phaseIndex].id] ?? 1) + leverage.riskCredit);
+
+/**
+ * Cost to start a follow-on: the discovery work it skips is bought at platform prices
+ */
+export const selectFollowOnLaunchCost = (state: LongGameState): number => {
+    const leverage = selectPlatformLeverage(state);
+    return roundMoney(PHASES.slice(0, FOLLOW_ON_START_INDEX)
+        .reduce((total, _, i) => total + followOnPhaseCost(i, leverage), 0));
+};
+
+export const selectCanLaunchFollowOn = (state: LongGameState): boolean =>
+    state.screen === 'phase' &&
+    selectPlatformUnlocked(state) &&
+    selectFollowOnSlots(state) > 0 &&
+    state.cash >= selectFollowOnLaunchCost(state);
+
+// ============================================
+// PROGRAMS
+// ============================================
+
+/**
+ * A new follow-on in an indication near the lead's, named after it
+ */
+export const createFollowOn = (state: LongGameState, rng: Rng): FollowOnProgram => {
+    const taken = [state.indication, ...state.followOns.map(program => program.indication)];
+    const open = INDICATIONS.filter(indication => !taken.includes(indication.name));
+    const nearby = open.filter(indication => indication.area === state.indicationData?.area);
+    const indication = rng.pick(nearby.length > 0 ? nearby : open);
+
+    // ABX-123 spawns ABX-124, ABX-125...
+    const [prefix, number] = state.drugName.split('-');
+    const name = `${prefix}-${String(Number(number) + state.followOns.length + 1).padStart(3, '0')}`;
+
+    return {
+        id: `follow_on_${state.followOns.length + 1}`,
+        name,
+        indication: indication.name,
+        phaseIndex: FOLLOW_ON_START_INDEX,
+        status: 'active',
+        launchedAtMonth: state.months,
+        spent: selectFollowOnLaunchCost(state),
+        waiting: false,
+    };
+};
+
+/**
+ * Each active follow-on works through its current phase while the lead
+ * clears a gate. The lead keeps first call on cash: a follow-on whose
+ * phase would leave less than the lead's next phase costs waits.
+ */
+export const advanceFollowOns = (
+    state: LongGameState,
+    rng: Rng
+): { followOns: FollowOnProgram[]; spent: number; events: ProgramEventRecord[] } => {
+    const leverage = selectPlatformLeverage(state);
+    const leadNeed = state.currentPhaseIndex + 1 < PHASES.length ? phaseBudget(plannedPhase(state, state.currentPhaseIndex + 1)) : 0;
+    const leadPhase = PHASES[state.currentPhaseIndex].name;
+    let cash = state.cash;
+    let spent = 0;
+    const events: ProgramEventRecord[] = [];
+
+    const followOns = state.followOns.map(program => {
+        if (program.status !== 'active') return program;
+
+        const cost = followOnPhaseCost(program.phaseIndex, leverage);
+        if (cash - cost < leadNeed) return { ...program, waiting: true };
+        cash -= cost;
+        spent += cost;
+        const paid = { ...program, spent: roundMoney(program.spent + cost), waiting: false };
+
+        const phase = PHASES[program.phaseIndex];
+        const odds = followOnGateOdds(program.phaseIndex, leverage);
+        if (state.gateRules === 'realistic' && rng.next() >= odds) {
+            events.push({
+                title: `${program.name} Discontinued`,
+                description: `The ${program.indication} follow-on failed ${phase.name} (${Math.round(odds * 100)}% odds). The platform carries on.`,
+                phase: leadPhase,
+            });
+            return { ...paid, status: 'failed' as const };
+        }
+
+        if (program.phaseIndex >= FOLLOW_ON_LAUNCH_INDEX) {
+            events.push({
+                title: `${program.name} Approved`,
+                description: `The ${program.indication} follow-on cleared ${phase.name} on the back of the platform.`,
+                phase: leadPhase,
+            });
+            return { ...paid, status: 'approved' as const };
+        }
+        return { ...paid, phaseIndex: program.phaseIndex + 1 };
+    });
+
+    return { followOns, spent: roundMoney(spent), events };
+};
@@ -0,0 +1,267 @@
+/**
+ * PORTFOLIO
+ *
+ * A company running several programs at once. The program on screen
+ * lives in the top-level LongGameState fields exactly as in a
+ * single-asset run, so every rule in LongGameReducer applies to it
+ * unchanged; the others are parked as ProgramSnapshots. Cash, the cap
+ * table, financing rounds and debt belong to the company and are shared.
+ *
+ * Time moves a quarter at a time on the company clock. Each quarter every
+ * funded program whose current phase has finished takes a turn: it plays
+ * one phase (question, event, gate) and is parked again until that
+ * phase's months have passed. Paused programs hold their place, stalling
+ * a quarter at a time, and killed programs are gone for good.
+ */
+
+import {
+    LongGameState,
+    Portfolio,
+    PortfolioAttrition,
+    PortfolioProgram,
+    PortfolioProgramStatus,
+    ProgramAllocation,
+    ProgramSnapshot,
+} from '@/types/Game.types';
+import { PHASES } from '@/game/data/phases';
+import { plannedPhase } from '@/game/engine/trialDesign';
+
+export const PORTFOLIO_SIZE = { min: 2, max: 5 };
+
+export const QUARTER_MONTHS = 3;
+
+// Every ProgramSnapshot field, so parking a program cannot leave one behind
+const PROGRAM_FIELDS: Record<keyof ProgramSnapshot, true> = {
+    modality: true, drugName: true, platform: true, marketSize: true, programType: true, innovation: true,
+    indication: true, indicationData: true, vcInvestment: true, riskBonus: true, marketMultiplier: true,
+    revenueMultiplier: true, obligations: true, followOns: true, rivals: true, months: true,
+    currentPhaseIndex: true, phaseStep: true, phaseProgress: true, efficacyRisk: true, safetyRisk: true, designRisk: true,
+    currentQuestion: true, currentEvent: true, currentPolicy: true, questionResult: true, gateResult: true, policyResult: true,
+    usedQuestions: true, usedEvents: true, seenPolicy: true, seenIRA: true, trialDesigns: true, trialReadouts: true,
+    trialMonitoring: true,
+    programEvents: true, phasesCompleted: true, decisionsLog: true, valuationHistory: true,
+};
+
+const PROGRAM_KEYS = Object.keys(PROGRAM_FIELDS) as (keyof ProgramSnapshot)[];
+
+const snapshot = (state: LongGameState): ProgramSnapshot =>
+    Object.fromEntries(PROGRAM_KEYS.map(key => [key, state[key]])) as ProgramSnapshot;
+
+export const createPortfolio = (size: number): Portfolio => ({
+    size: Math.min(PORTFOLIO_SIZE.max, Math.max(PORTFOLIO_SIZE.min, size)),
+    programs: [],
+    activeId: null,
+    turnStartMonths: 0,
+    months: 0,
+    quarter: 1,
+});
+
+// ============================================
+// SELECTORS
+// ============================================
+
+/**
+ * A program seen as a whole game state, for selectors and rendering
+ */
+export const programView = (state: LongGameState, program: PortfolioProgram): LongGameState =>
+    program.program ? { ...state, ...program.program } : state;
+
+/**
+ * The company clock: quarters in a portfolio, the program's own months otherwise
+ */
+export const selectCompanyMonths = (state: LongGameState): number =>
+    state.portfolio ? state.portfolio.months : state.months;
+
+/**
+ * Funded programs whose current phase has finished, in the order they take their turns
+ */
+export const selectReadyPrograms = (state: LongGameState): PortfolioProgram[] => {
+    const portfolio = state.portfolio;
+    if (!portfolio) return [];
+    return portfolio.programs.filter(p => p.status === 'running' && p.allocation === 'fund' && p.readyAt <= portfolio.months);
+};
+
+/**
+ * Company month of the next readout among funded programs, or null when none is funded
+ */
+export const selectNextReadout = (state: LongGameState): number | null => {
+    const funded = (state.portfolio?.programs ?? []).filter(p => p.status === 'running' && p.allocation === 'fund');
+    return funded.length > 0 ? Math.min(...funded.map(p => p.readyAt)) : null;
+};
+
+/**
+ * Phase budgets a program has paid: every phase it cleared, and what it
+ * spent of the one that failed it
+ */
+const phaseBudgets = (view: LongGameState, status: PortfolioProgramStatus): number => {
+    const cleared = view.phasesCompleted.reduce((total, phase) => total + plannedPhase(view, PHASES.findIndex(p => p.id === phase.id)).baseCost, 0);
+    return cleared + (status === 'failed' ? view.phaseProgress.spent : 0);
+};
+
+/**
+ * Attrition across the portfolio, phase by phase, for the end-of-run reports
+ */
+export const selectPortfolioAttrition = (state: LongGameState): PortfolioAttrition | null => {
+    const portfolio = state.portfolio;
+    if (!portfolio) return null;
+
+    const programs = portfolio.programs.map(p => ({ status: p.status, view: programView(state, p) }));
+    const count = (status: PortfolioProgramStatus): number => programs.filter(p => p.status === status).length;
+    const approved = count('approved');
+    const budgets = programs.reduce((total, p) => total + phaseBudgets(p.view, p.status), 0);
+
+    return {
+        started: programs.length,
+        approved,
+        failed: count('failed'),
+        killed: count('killed'),
+        running: count('running'),
+        attemptsPerSuccess: approved > 0 ? programs.length / approved : null,
+        phaseBudgets: budgets,
+        costPerApproval: approved > 0 ? Math.round(budgets / approved) : null,
+        byPhase: PHASES.map((phase, i) => ({
+            id: phase.id,
+            name: phase.name,
+            entered: programs.filter(p => p.status === 'approved' || p.view.currentPhaseIndex >= i).length,
+            failed: programs.filter(p => p.status === 'failed' && p.view.currentPhaseIndex === i).length,
+            killed: programs.filter(p => p.status === 'killed' && p.view.currentPhaseIndex === i).length,
+        })),
+    };
+};
+
+// ============================================
+// TURNS
+// ============================================
+
+/**
+ * Once no program is left running, show the first approval, or the last
+ * program to end when nothing was approved
+ */
+const settle = (state: LongGameState): LongGameState => {
+    const programs = state.portfolio!.programs;
+    if (programs.some(p => p.status === 'running')) return state;
+
+    const shown = programs.find(p => p.status === 'approved')
+        ?? programs.reduce((last, p) => ((p.endedAt ?? 0) >= (last.endedAt ?? 0) ? p : last));
+    return { ...state, ...shown.program, screen: shown.status === 'approved' ? 'victory' : 'failure' };
+};
+
+/**
+ * Park the program just set up, then set up the next one or open the board
+ */
+export const enlistProgram = (state: LongGameState): LongGameState => {
+    const portfolio = state.portfolio!;
+    const programs: PortfolioProgram[] = [...portfolio.programs, {
+        id: `program_${portfolio.programs.length + 1}`,
+        allocation: 'fund',
+        status: 'running',
+        readyAt: 0,
+        endedAt: null,
+        program: snapshot(state),
+    }];
+    return {
+        ...state,
+        portfolio: { ...portfolio, programs },
+        screen: programs.length < portfolio.size ? 'setup_modality' : 'portfolio',
+    };
+};
+
+/**
+ * Fund, pause or kill a program; killing is final
+ */
+export const setAllocation = (state: LongGameState, programId: string, allocation: ProgramAllocation): LongGameState => {
+    const portfolio = state.portfolio!;
+    const target = portfolio.programs.find(p => p.id === programId);
+    if (!target || target.status !== 'running' || target.allocation === allocation) return state;
+
+    const killed = allocation === 'kill';
+    const programs = portfolio.programs.map(p => (p.id === programId
+        ? { ...p, allocation, status: killed ? 'killed' as const : p.status, endedAt: killed ? portfolio.months : null }
+        : p));
+    return settle({ ...state, portfolio: { ...portfolio, programs } });
+};
+
+/**
+ * Close the quarter: the clock moves on and paused programs stall mid-phase
+ */
+const endQuarter = (state: LongGameState): LongGameState => {
+    const portfolio = state.portfolio!;
+    const programs = portfolio.programs.map(p => (p.status === 'running' && p.allocation === 'pause' && p.readyAt > portfolio.months
+        ? { ...p, readyAt: p.readyAt + QUARTER_MONTHS }
+        : p));
+    return {
+        ...state,
+        portfolio: { ...portfolio, programs, months: portfolio.months + QUARTER_MONTHS, quarter: portfolio.quarter + 1 },
+    };
+};
+
+/**
+ * Put the next ready program on screen, or close the quarter when every
+ * funded program has had its turn
+ */
+export const playQuarter = (state: LongGameState): LongGameState => {
+    const [next] = selectReadyPrograms(state);
+    if (!next) return endQuarter(state);
+
+    const portfolio = state.portfolio!;
+    return {
+        ...state,
+        ...next.program,
+        screen: 'phase',
+        portfolio: {
+            ...portfolio,
+            activeId: next.id,
+            turnStartMonths: next.program!.months,
+            programs: portfolio.programs.map(p => (p.id === next.id ? { ...p, program: null } : p)),
+        },
+    };
+};
+
+/**
+ * Close quarters until a funded program is ready for its next phase
+ */
+export const skipToReadout = (state: LongGameState): LongGameState => {
+    if (selectNextReadout(state) === null) return state;
+    let next = state;
+    while (selectReadyPrograms(next).length === 0) next = endQuarter(next);
+    return next;
+};
+
+/**
+ * Park the program on screen when its turn ends. The phase it just ran
+ * keeps it busy for as many company months as it took.
+ */
+export const endTurn = (
+    state: LongGameState,
+    status: PortfolioProgramStatus,
+    allocation: ProgramAllocation | null = null
+): LongGameState => {
+    const portfolio = state.portfolio!;
+    const finishedAt = portfolio.months + state.months - portfolio.turnStartMonths;
+    const programs = portfolio.programs.map(p => (p.id === portfolio.activeId
+        ? {
+            ...p,
+            status,
+            allocation: allocation ?? p.allocation,
+            readyAt: finishedAt,
+            endedAt: status === 'running' ? null : finishedAt,
+            program: snapshot(state),
+        }
+        : p));
+    return settle({ ...state, portfolio: { ...portfolio, programs, activeId: null }, screen: 'portfolio' });
+};
+
+/**
+ * The company itself has failed: the program on screen goes down with it
+ * and every other running program is shut
+ */
+export const closeCompany = (state: LongGameState): LongGameState => {
+    const portfolio = state.portfolio!;
+    const programs = portfolio.programs.map(p => {
+        if (p.id === portfolio.activeId) {
+            return { ...p, status: 'failed' as const, endedAt: portfolio.months, program: snapshot(state) };
+        }
+        return p.status === 'running' ? { ...p, allocation: 'kill' as const, status: 'killed' as const, endedAt: portfolio.months } : p;
+    });
+    return { ...state, portfolio: { ...portfolio, programs, activeId: null }, screen: 'failure' };
+};
@@ -0,0 +1,88 @@
+/**
+ * SEEDED RANDOM
+ *
+ * Every game draws its randomness from one seeded generator (mulberry32)
+ * whose 32-bit state is stored in the game state. The same seed and the
+ * same choices always replay the same game.
+ */
+
+// ============================================
+// SEEDS
+// ============================================
+
+/**
+ * Pick a fresh seed for a new run
+ */
+export const createSeed = (): number => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+/**
+ * Seeds are shown as short base-36 codes, e.g. "1K9ZQ4"
+ */
+export const formatSeed = (seed: number): string => (seed >>> 0).toString(36).toUpperCase();
+
+/**
+ * Read a seed typed by the player. Codes from formatSeed round-trip, up to
+ * seven characters for the largest 32-bit seeds; any other text is hashed
+ * (FNV-1a) so a class can agree on "Week 3".
+ */
+export const parseSeed = (input: string): number | null => {
+    const text = input.trim().toUpperCase();
+    if (!text) return null;
+
+    if (/^[0-9A-Z]{1,7}$/.test(text)) {
+        const seed = parseInt(text, 36);
+        if (seed <= 0xffffffff) return seed;
+    }
+
+    return hashText(text);
+};
+
+/**
+ * FNV-1a, for deriving a generator from a seed and a name
+ */
+export const hashText = (text: string): number => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// ============================================
+// GENERATOR
+// ============================================
+
+export interface Rng {
+    next: () => number;                 // Uniform [0, 1)
+    int: (max: number) => number;       // Integer in [0, max)
+    pick: <T>(items: readonly T[]) => T;
+    readonly state: number;             // Store this back on the game state
+}
+
+/**
+ * Resume the generator from a stored state. Reducers create one per
+ * action and save rng.state on the state they return.
+ */
+export const createRng = (rngState: number): Rng => {
+    let current = rngState >>> 0;
+
+    const next = (): number => {
+        current = (current + 0x6d2b79f5) >>> 0;
+        let t = current;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    };
+
+    const int = (max: number): number => Math.floor(next() * max);
+
+    return {
+        next,
+        int,
+        pick: <T>(items: readonly T[]): T => items[int(items.length)],
+        get state() {
+            return current;
+        },
+    };
+};
@@ -0,0 +1,96 @@
+/**
+ * REPLAYS
+ *
+ * A replay file is a seed, the gate rules and the run's action log.
+ * Because every random draw comes from the seed, playing the log back
+ * through longGameReducer rebuilds the run screen by screen.
+ */
+
+import { LongGameState, ReplayFile, ReplayFrame } from '@/types/Game.types';
+import { longGameReducer, createInitialLongGameState } from '@/game/engine/LongGameReducer';
+import { decodeAction, describeStep } from '@/game/engine/replayLog';
+import { formatSeed } from '@/game/engine/random';
+
+const REPLAY_FORMAT = 'the-long-game/replay';
+const REPLAY_VERSION = 1;
+
+export class ReplayError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = 'ReplayError';
+    }
+}
+
+// ============================================
+// FILES
+// ============================================
+
+/**
+ * Package the current run, or null when it has no complete log
+ */
+export const createReplay = (state: LongGameState): ReplayFile | null => {
+    if (!state.replayLog || state.screen === 'title') return null;
+    return {
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        seed: state.seed,
+        gateRules: state.gateRules,
+        recordedAt: Date.now(),
+        steps: state.replayLog,
+        final: { screen: state.screen, months: state.months, cash: state.cash, drugName: state.drugName },
+    };
+};
+
+export const replayFileName = (replay: ReplayFile): string =>
+    `${(replay.final.drugName || 'run').toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${formatSeed(replay.seed)}.replay.json`;
+
+export const serializeReplay = (replay: ReplayFile): string => JSON.stringify(replay);
+
+export const parseReplay = (text: string): ReplayFile => {
+    let replay: ReplayFile;
+    try {
+        replay = JSON.parse(text);
+    } catch {
+        throw new ReplayError('This file is not a replay');
+    }
+    if (replay?.format !== REPLAY_FORMAT) throw new ReplayError('This file is not a replay');
+    if (replay.version > REPLAY_VERSION) throw new ReplayError('This replay was recorded by a newer version of the game');
+    if (typeof replay.seed !== 'number' || !Array.isArray(replay.steps)) throw new ReplayError('This replay is damaged');
+    return replay;
+};
+
+// ============================================
+// PLAYBACK
+// ============================================
+
+/**
+ * Every state of the run, from the game as started to the last step.
+ * Stops with an error at the first step this build cannot apply.
+ */
+export const replayFrames = (replay: ReplayFile): ReplayFrame[] => {
+    let state = longGameReducer(
+        createInitialLongGameState(replay.seed, replay.gateRules),
+        { type: 'START_GAME', seed: replay.seed, gateRules: replay.gateRules }
+    );
+    const frames: ReplayFrame[] = [{ index: 0, label: 'Start game', state }];
+
+    replay.steps.forEach((step, i) => {
+        const action = decodeAction(step);
+        if (!action) throw new ReplayError(`Step ${i + 1} (${describeStep(step)}) does not exist in this version of the game`);
+        const next = longGameReducer(state, action);
+        if (next === state) throw new ReplayError(`Step ${i + 1} (${describeStep(step)}) had no effect; the game content has changed`);
+        state = next;
+        frames.push({ index: i + 1, label: describeStep(step), state });
+    });
+
+    return frames;
+};
+
+/**
+ * Whether playback ended where the recording did
+ */
+export const matchesRecording = (replay: ReplayFile, frames: ReplayFrame[]): boolean => {
+    const last = frames[frames.length - 1].state;
+    const { final } = replay;
+    return last.screen === final.screen && last.months === final.months && last.cash === final.cash && last.drugName === final.drugName;
+};
@@ -0,0 +1,131 @@
+/**
+ * REPLAY LOG
+ *
+ * Compact encoding of Long Journey actions for replay files. Each action
+ * becomes [type] or [type, arg]; the setup indication is stored by name
+ * and looked up again on decode, and a portfolio allocation packs the
+ * program and its allocation into one "program_2:pause" argument, as a
+ * trial design choice does its field and option ("power:p90").
+ */
+
+import { PayerStrategyId, ProgramAllocation, ReplayStep, SalesForceId } from '@/types/Game.types';
+import { INDICATIONS } from '@/game/data/strategy';
+import { PAYER_STRATEGIES, SALES_FORCES } from '@/game/data/launch';
+import { isTrialChoice } from '@/game/engine/trialDesign';
+import type { LongGameAction } from '@/game/engine/LongGameReducer';
+
+// Actions that begin or replace a run are never part of its log
+export const UNLOGGED_ACTIONS: LongGameAction['type'][] = ['START_GAME', 'LOAD_GAME', 'RETURN_TO_TITLE'];
+
+const NO_ARG_ACTIONS: LongGameAction['type'][] = [
+    'ADVANCE_STEP',
+    'CONFIRM_TRIAL_DESIGN',
+    'CONTINUE_AFTER_QUESTION',
+    'ACKNOWLEDGE_EVENT',
+    'CONTINUE_AFTER_POLICY',
+    'ACKNOWLEDGE_IRA',
+    'ACKNOWLEDGE_DSMB',
+    'ROLL_GATE',
+    'RAISE_NEXT_ROUND',
+    'SKIP_FINANCING',
+    'ACKNOWLEDGE_FINANCING',
+    'DECLINE_ALTERNATIVE_FINANCING',
+    'TAKE_VENTURE_DEBT',
+    'NEGOTIATE_WAIVER',
+    'ACCEPT_DEFAULT',
+    'LAUNCH_FOLLOW_ON',
+    'ACCEPT_EXIT',
+    'DECLINE_EXIT',
+    'PLAY_QUARTER',
+    'SKIP_TO_READOUT',
+    'PLAY_LAUNCH_QUARTER',
+    'SELL_LAUNCH_ROYALTY',
+];
+
+const ALLOCATIONS: ProgramAllocation[] = ['fund', 'pause', 'kill'];
+
+export const encodeAction = (action: LongGameAction): ReplayStep => {
+    switch (action.type) {
+        case 'SET_PORTFOLIO_SIZE':
+            return [action.type, action.size];
+        case 'SELECT_MODALITY':
+            return [action.type, action.modality];
+        case 'SELECT_MARKET_SIZE':
+            return [action.type, action.marketSize];
+        case 'SELECT_INNOVATION':
+            return [action.type, action.innovation];
+        case 'SELECT_INDICATION':
+            return [action.type, action.indication.name];
+        case 'SET_TRIAL_DESIGN':
+            return [action.type, `${action.field}:${action.value}`];
+        case 'ANSWER_QUESTION':
+            return [action.type, action.optionIndex];
+        case 'ANSWER_POLICY':
+            return [action.type, action.value];
+        case 'SELECT_ALTERNATIVE_FINANCING':
+            return [action.type, action.financingId];
+        case 'SET_ALLOCATION':
+            return [action.type, `${action.programId}:${action.allocation}`];
+        case 'SET_SALES_FORCE':
+            return [action.type, action.salesForce];
+        case 'SET_PAYER_STRATEGY':
+            return [action.type, action.payerStrategy];
+        default:
+            return [action.type];
+    }
+};
+
+/**
+ * The action a logged step stands for, or null if this build has no such
+ * action or no longer has the content it names
+ */
+export const decodeAction = ([type, arg]: ReplayStep): LongGameAction | null => {
+    switch (type) {
+        case 'SET_PORTFOLIO_SIZE':
+            return typeof arg === 'number' ? { type, size: arg } : null;
+        case 'SELECT_MODALITY':
+            return typeof arg === 'string' ? { type, modality: arg } : null;
+        case 'SELECT_MARKET_SIZE':
+            return typeof arg === 'string' ? { type, marketSize: arg } : null;
+        case 'SELECT_INNOVATION':
+            return typeof arg === 'string' ? { type, innovation: arg } : null;
+        case 'SELECT_INDICATION': {
+            const indication = INDICATIONS.find(i => i.name === arg);
+            return indication ? { type, indication } : null;
+        }
+        case 'SET_TRIAL_DESIGN': {
+            const [field, value] = typeof arg === 'string' ? arg.split(':') : [];
+            return field && value && isTrialChoice(field, value) ? { type, field, value } : null;
+        }
+        case 'ANSWER_QUESTION':
+            return typeof arg === 'number' ? { type, optionIndex: arg } : null;
+        case 'ANSWER_POLICY':
+            return typeof arg === 'string' ? { type, value: arg } : null;
+        case 'SELECT_ALTERNATIVE_FINANCING':
+            return typeof arg === 'string' ? { type, financingId: arg } : null;
+        case 'SET_ALLOCATION': {
+            const [programId, allocation] = typeof arg === 'string' ? arg.split(':') : [];
+            return programId && ALLOCATIONS.includes(allocation as ProgramAllocation)
+                ? { type, programId, allocation: allocation as ProgramAllocation }
+                : null;
+        }
+        case 'SET_SALES_FORCE':
+            return SALES_FORCES.some(force => force.id === arg) ? { type, salesForce: arg as SalesForceId } : null;
+        case 'SET_PAYER_STRATEGY':
+            return PAYER_STRATEGIES.some(payer => payer.id === arg) ? { type, payerStrategy: arg as PayerStrategyId } : null;
+        default:
+            return NO_ARG_ACTIONS.includes(type as LongGameAction['type'])
+                ? { type } as LongGameAction
+                : null;
+    }
+};
+
+/**
+ * Short human-readable label for a step, for the replay viewer
+ */
+export const describeStep = ([type, arg]: ReplayStep): string => {
+    const name = type.toLowerCase().replace(/_/g, ' ');
+    const label = name.charAt(0).toUpperCase() + name.slice(1);
+    if (type === 'ANSWER_QUESTION' && typeof arg === 'number') return `${label} (option ${arg + 1})`;
+    return arg === undefined ? label : `${label}: ${arg}`;
+};
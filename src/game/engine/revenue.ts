@@ -0,0 +1,275 @@
+/**
+ * REVENUE WATERFALL
+ *
+ * Follows a launched drug's sales from list price down to what the company
+ * keeps: rebates and discounts come off first, then royalties owed to each
+ * counterparty, then what partners take for the territory they hold or the
+ * profits they share. Deals record their terms as RevenueObligations when
+ * they are signed, and the waterfall applies them year by year, so royalty
+ * tiers and caps only bite when sales actually reach them. Branded sales
+ * last as long as the program's patents and exclusivities (see
+ * engine/exclusivity); after that the drug's sales erode along its
+ * modality's curve, collapsing within a couple of years under generics or
+ * sliding for a decade under biosimilars, and the lifecycle is followed
+ * for three decades from launch. While the brand is protected, Medicare
+ * negotiation (see engine/ira) cuts what Medicare patients' sales bring in.
+ */
+
+import {
+    LongGameState,
+    MedicareNegotiation,
+    NegotiationImpact,
+    ObligationTerms,
+    RevenueObligation,
+    RevenueLifecycle,
+    RevenueLine,
+    RevenueWaterfall,
+    RoyaltyTier,
+} from '@/types/Game.types';
+import { EROSION_CURVES, GROSS_TO_NET_DISCOUNT } from '@/game/data/balance';
+import { selectExclusivity } from '@/game/engine/exclusivity';
+import { negotiationCut, selectMedicareNegotiation } from '@/game/engine/ira';
+import { NEGOTIATION_DELAY_YEARS } from '@/game/data/ira';
+
+// Annual peak net sales ($M) of a program with a market multiplier of 1.0
+const BASE_PEAK_SALES = 1000;
+
+// Years from launch to peak sales
+const RAMP_YEARS = 5;
+
+// Years from launch the drug's sales are followed, well past generic entry
+const LIFECYCLE_YEARS = 30;
+
+interface SalesYear {
+    protectedShare: number;             // Share of the year still under exclusivity
+    price: number;                      // Share of the branded price the drug still commands
+    gross: number;
+    rebates: number;
+    medicare: number;                   // Taken by Medicare's negotiated price
+    net: number;
+    claims: Record<string, number>;     // Obligation id -> $M owed that year
+    kept: number;
+}
+
+const percent = (share: number): string => `${Math.round(share * 100)}%`;
+
+const erosionCurve = (modality: string | null) => (modality === 'small-molecule' ? EROSION_CURVES.generic : EROSION_CURVES.biosimilar);
+
+// ============================================
+// OBLIGATIONS
+// ============================================
+
+export const createObligation = (id: string, source: string, upfront: number, phase: string, terms: ObligationTerms): RevenueObligation => ({
+    ...terms,
+    id,
+    source,
+    upfront,
+    phase,
+});
+
+/**
+ * The terms of an obligation in one line
+ */
+export const describeObligation = (terms: ObligationTerms, upfront: number | null = null): string => {
+    switch (terms.kind) {
+        case 'royalty': {
+            const tiers = (terms.tiers ?? []).map((tier, i, all) => (
+                tier.upTo === null
+                    ? `${percent(tier.rate)} ${i > 0 ? `above $${all[i - 1].upTo}M` : 'of net sales'}`
+                    : `${percent(tier.rate)} ${i > 0 ? `from $${all[i - 1].upTo}M ` : ''}to $${tier.upTo}M a year`
+            ));
+            const cap = terms.capMultiple
+                ? `, capped at ${terms.capMultiple}x${upfront !== null ? ` ($${Math.round(upfront * terms.capMultiple)}M)` : ' the upfront'}`
+                : '';
+            return `${terms.counterparty}: ${tiers.join(', ')}${cap}`;
+        }
+        case 'territory':
+            return `${terms.counterparty}: ${terms.territory} (${percent(terms.territoryShare ?? 0)} of net sales)`;
+        case 'profit_split':
+            return `${terms.counterparty}: ${percent(terms.profitShare ?? 0)} of what is left`;
+    }
+};
+
+/**
+ * Royalty on one year's net sales, tier by tier
+ */
+const tieredRoyalty = (tiers: RoyaltyTier[], sales: number): number => {
+    let due = 0;
+    let floor = 0;
+    for (const tier of tiers) {
+        const ceiling = tier.upTo ?? Infinity;
+        if (sales <= floor) break;
+        due += (Math.min(sales, ceiling) - floor) * tier.rate;
+        floor = ceiling;
+    }
+    return due;
+};
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+/**
+ * Share of its branded sales a drug keeps some years after generics or
+ * biosimilars arrive
+ */
+export const erosionAt = (modality: string | null, yearsSinceEntry: number): number => {
+    if (yearsSinceEntry <= 0) return 1;
+    const curve = erosionCurve(modality);
+    return 1 - curve.drop * (1 - Math.pow(0.5, yearsSinceEntry / curve.halfLifeYears));
+};
+
+/**
+ * Sales in each commercial year, and what every obligation takes from them
+ */
+export const revenueSchedule = (state: LongGameState, negotiation: MedicareNegotiation = selectMedicareNegotiation(state)): SalesYear[] => {
+    const peakGross = selectPeakSales(state);
+    const royaltiesPaid = new Map<string, number>();
+    const { brandedYears } = selectExclusivity(state);
+
+    const years: SalesYear[] = [];
+    for (let year = 0; year < Math.max(LIFECYCLE_YEARS, Math.ceil(brandedYears)); year++) {
+        const ramp = Math.min(1, (year + 1) / RAMP_YEARS);
+        const protectedShare = Math.min(1, Math.max(0, brandedYears - year));
+        // The unprotected part of the year, priced at its midpoint on the curve
+        const price = protectedShare + (1 - protectedShare)
+            * erosionAt(state.modality, (Math.max(year, brandedYears) + year + 1) / 2 - brandedYears);
+        const gross = peakGross * ramp * price;
+        // Pricing and access decisions move net sales, never above list
+        const listed = Math.min(gross, gross * (1 - GROSS_TO_NET_DISCOUNT) * state.revenueMultiplier);
+        // Medicare negotiates only the brand, never the generics
+        const medicare = listed * (protectedShare / price) * negotiationCut(negotiation, year);
+        const net = listed - medicare;
+
+        // Royalties come off worldwide net sales, partners share what is left
+        const claims: Record<string, number> = {};
+        let left = net;
+        state.obligations.filter(o => o.kind === 'royalty').forEach(o => {
+            const paid = royaltiesPaid.get(o.id) ?? 0;
+            const cap = o.capMultiple ? o.capMultiple * o.upfront : Infinity;
+            const due = Math.min(tieredRoyalty(o.tiers ?? [], net), cap - paid);
+            royaltiesPaid.set(o.id, paid + due);
+            claims[o.id] = due;
+            left -= due;
+        });
+        state.obligations.filter(o => o.kind === 'territory').forEach(o => {
+            claims[o.id] = Math.min(left, net * (o.territoryShare ?? 0));
+            left -= claims[o.id];
+        });
+        state.obligations.filter(o => o.kind === 'profit_split').forEach(o => {
+            claims[o.id] = left * (o.profitShare ?? 0);
+            left -= claims[o.id];
+        });
+
+        years.push({ protectedShare, price, gross, rebates: gross - listed, medicare, net, claims, kept: left });
+    }
+    return years;
+};
+
+// ============================================
+// SELECTORS
+// ============================================
+
+/**
+ * Annual list-price sales at peak, before rebates: the market the
+ * program chose, as innovation, events and rivals have moved it since
+ */
+export const selectPeakSales = (state: LongGameState): number =>
+    BASE_PEAK_SALES * state.marketMultiplier / (1 - GROSS_TO_NET_DISCOUNT);
+
+/**
+ * What Medicare negotiation takes from the drug's lifetime sales, and how
+ * much of that is down to the small-molecule timeline
+ */
+export const selectNegotiationImpact = (state: LongGameState): NegotiationImpact => {
+    const negotiation = selectMedicareNegotiation(state);
+    const lifetime = (terms: MedicareNegotiation): number => revenueSchedule(state, terms).reduce((sum, year) => sum + year.net, 0);
+    const untouched = lifetime({ ...negotiation, exempt: true });
+    const actual = lifetime(negotiation);
+    const asBiologic = lifetime({ ...negotiation, startYear: Math.max(negotiation.startYear, NEGOTIATION_DELAY_YEARS.biologic) });
+    return {
+        ...negotiation,
+        lost: Math.round(untouched - actual),
+        lostShare: untouched > 0 ? (untouched - actual) / untouched : 0,
+        pillPenalty: Math.round(asBiologic - actual),
+    };
+};
+
+/**
+ * The drug's sales over its whole life, branded years and after
+ */
+export const selectRevenueLifecycle = (state: LongGameState): RevenueLifecycle => {
+    const years = revenueSchedule(state);
+    const { brandedYears } = selectExclusivity(state);
+    const lifetime = years.reduce((sum, year) => sum + year.net, 0);
+    const branded = years.reduce((sum, year) => sum + year.net * year.protectedShare, 0);
+    return {
+        years: years.map((year, i) => ({ year: i + 1, net: Math.round(year.net), kept: Math.round(year.kept), price: year.price, protectedShare: year.protectedShare })),
+        brandedYears,
+        brandedShare: lifetime > 0 ? branded / lifetime : 1,
+        erosion: erosionCurve(state.modality),
+    };
+};
+
+/**
+ * Lifetime revenue waterfall, from list-price sales to what the company keeps
+ */
+export const selectRevenueWaterfall = (state: LongGameState): RevenueWaterfall => {
+    const years = revenueSchedule(state);
+    const negotiation = selectMedicareNegotiation(state);
+    const peak = years.reduce((best, year) => (year.net > best.net ? year : best), years[0]);
+    const total = (pick: (year: SalesYear) => number): number => Math.round(years.reduce((sum, year) => sum + pick(year), 0));
+    const net = total(year => year.net);
+    const kept = total(year => year.kept);
+
+    const obligationLines: RevenueLine[] = state.obligations.map(o => ({
+        id: o.id,
+        kind: o.kind,
+        label: o.source,
+        detail: describeObligation(o, o.upfront),
+        lifetime: total(year => year.claims[o.id] ?? 0),
+        peakYear: Math.round(peak.claims[o.id] ?? 0),
+    }));
+    const ordered = (['royalty', 'territory', 'profit_split'] as const)
+        .flatMap(kind => obligationLines.filter(line => line.kind === kind));
+
+    return {
+        years: years.length,
+        lines: [
+            {
+                id: 'gross',
+                kind: 'gross',
+                label: 'Gross sales',
+                detail: `At list price over ${years.length} years from launch, including generic or biosimilar erosion`,
+                lifetime: total(year => year.gross),
+                peakYear: Math.round(peak.gross),
+            },
+            {
+                id: 'rebates',
+                kind: 'rebates',
+                label: 'Rebates & discounts',
+                detail: `${percent(total(year => year.rebates) / Math.max(1, total(year => year.gross)))} of list to PBMs, payers and government programs`,
+                lifetime: total(year => year.rebates),
+                peakYear: Math.round(peak.rebates),
+            },
+            ...(total(year => year.medicare) > 0 ? [{
+                id: 'medicare',
+                kind: 'medicare' as const,
+                label: 'Medicare negotiation',
+                detail: `Negotiated price from year ${negotiation.startYear} on the ${percent(negotiation.medicareShare)} of patients Medicare covers`,
+                lifetime: total(year => year.medicare),
+                peakYear: Math.round(peak.medicare),
+            }] : []),
+            ...ordered,
+            {
+                id: 'kept',
+                kind: 'kept',
+                label: 'Company keeps',
+                detail: `${percent(net > 0 ? kept / net : 1)} of net sales`,
+                lifetime: kept,
+                peakYear: Math.round(peak.kept),
+            },
+        ],
+        keptShare: net > 0 ? kept / net : 1,
+    };
+};
@@ -0,0 +1,168 @@
+/**
+ * LONG GAME SELECTORS
+ *
+ * Read-only views of a Long Journey state: where the program stands, the
+ * rounds and alternatives it can raise, its gate odds and the questions
+ * left to ask. They live apart from the reducer so the engine modules the
+ * reducer builds on (valuation, exits) can use them without importing it.
+ */
+
+import { AlternativeFinancing, DecisionQuestion, FinancingRound, GateOdds, LongGameState, RiskType } from '@/types/Game.types';
+import { PHASES, GATE_SUCCESS } from '@/game/data/phases';
+import { QUESTIONS } from '@/game/data/decisions';
+import { FINANCING_ROUNDS, ALTERNATIVE_FINANCING } from '@/game/data/financing';
+import { MODALITY_ACCESS_CHALLENGES } from '@/game/data/modalities';
+import { priceAlternative, priceRound, selectMarketClimate } from '@/game/engine/marketClimate';
+import { selectTrialDesignOdds } from '@/game/engine/trialDesign';
+
+// ============================================
+// RULE CONSTANTS
+// ============================================
+
+// Phase order used to decide when alternative financing unlocks
+const FINANCING_PHASE_ORDER = ['basic_research', 'drug_discovery', 'lead_optimization', 'ind_enabling', 'phase1', 'phase2', 'phase3', 'fda_review'];
+
+// Accumulated risk that fails a clinical gate outright
+export const RISK_FAILURE_THRESHOLDS: Record<string, { type: RiskType; threshold: number }> = {
+    phase1: { type: 'safety', threshold: 70 },    // Phase I: safety focus
+    phase2: { type: 'efficacy', threshold: 65 },  // Phase II: efficacy focus (Valley of Death)
+    phase3: { type: 'design', threshold: 60 },    // Phase III: design focus
+};
+
+// Risk meter each gate is most sensitive to; clinical gates match the thresholds above
+const GATE_RISK_FOCUS: Record<string, RiskType> = {
+    basic_research: 'efficacy',     // Target validation
+    drug_discovery: 'efficacy',
+    lead_optimization: 'safety',    // Therapeutic window
+    ind_enabling: 'safety',         // GLP toxicology
+    phase1: 'safety',
+    phase2: 'efficacy',
+    phase3: 'design',
+    fda_review: 'design',           // Quality of the pivotal package
+    post_market: 'safety',          // Real-world safety signals
+};
+
+// Each risk point above (or below) neutral moves gate odds by this much
+const RISK_NEUTRAL = 40;
+const RISK_ODDS_PER_POINT = 0.004;
+
+export const questionKey = (question: DecisionQuestion): string => question.id ?? question.title;
+
+export const riskKey = (type: RiskType = 'design'): 'efficacyRisk' | 'safetyRisk' | 'designRisk' =>
+    type === 'efficacy' ? 'efficacyRisk' : type === 'safety' ? 'safetyRisk' : 'designRisk';
+
+// ============================================
+// SELECTORS
+// ============================================
+
+export const selectCurrentPhase = (state: LongGameState) => PHASES[state.currentPhaseIndex];
+
+export const selectElapsed = (state: LongGameState) => ({
+    years: Math.floor(state.months / 12),
+    monthsRemainder: state.months % 12,
+});
+
+export const selectCurrentRound = (state: LongGameState) => FINANCING_ROUNDS[state.currentRoundIndex];
+
+/**
+ * The seed round the company is founded on, priced by the market it is founded into
+ */
+export const selectSeedRound = (state: LongGameState): FinancingRound =>
+    priceRound(FINANCING_ROUNDS[0], selectMarketClimate(state));
+
+/**
+ * The next venture round on the terms the market offers today
+ */
+export const selectNextRound = (state: LongGameState): FinancingRound | undefined => {
+    const round = FINANCING_ROUNDS[state.currentRoundIndex + 1];
+    return round && priceRound(round, selectMarketClimate(state));
+};
+
+export const selectHasMoreRounds = (state: LongGameState): boolean =>
+    state.currentRoundIndex < FINANCING_ROUNDS.length - 1;
+
+/**
+ * Odds breakdown for the current phase gate
+ */
+export const selectGateOdds = (state: LongGameState): GateOdds => {
+    const phase = selectCurrentPhase(state);
+    const base = GATE_SUCCESS[phase.id] || 0.5;
+    const modality = state.modality === 'biologic' && (phase.id === 'lead_optimization' || phase.id === 'preclinical') ? 0.05 : 0;
+    const program = state.programType === 'orphan' ? 0.05 : 0;
+
+    const riskType = GATE_RISK_FOCUS[phase.id] || 'design';
+    const riskLevel = state[riskKey(riskType)];
+    const riskAdjustment = (RISK_NEUTRAL - riskLevel) * RISK_ODDS_PER_POINT;
+    const limit = RISK_FAILURE_THRESHOLDS[phase.id];
+    const trialDesign = selectTrialDesignOdds(state);
+
+    return {
+        base,
+        strategy: state.riskBonus,
+        modality,
+        program,
+        riskType,
+        riskLevel,
+        riskAdjustment,
+        trialDesign,
+        probability: Math.min(0.95, Math.max(0.05, base + state.riskBonus + modality + program + riskAdjustment + trialDesign)),
+        riskLimit: limit ? limit.threshold : null,
+    };
+};
+
+/**
+ * Alternative financing the program qualifies for right now
+ */
+export const selectAvailableAlternatives = (state: LongGameState): AlternativeFinancing[] => {
+    const currentPhaseOrder = FINANCING_PHASE_ORDER.indexOf(selectCurrentPhase(state)?.id);
+    const climate = selectMarketClimate(state);
+    return ALTERNATIVE_FINANCING.filter(alt => {
+        if (state.alternativeFinancingUsed.includes(alt.id)) return false;
+        if (currentPhaseOrder < FINANCING_PHASE_ORDER.indexOf(alt.minPhase)) return false;
+        if (alt.requiresIPO && selectHasMoreRounds(state)) return false;
+        return true;
+    }).map(alt => priceAlternative(alt, climate));
+};
+
+/**
+ * Venture debt the program can draw instead of the next equity round
+ */
+export const selectDebtOffer = (state: LongGameState): AlternativeFinancing | null =>
+    selectAvailableAlternatives(state).find(alt => alt.instrument === 'debt' && alt.debtTerms) ?? null;
+
+/**
+ * Unused strategic questions for the current phase, in the order they are asked
+ */
+export const selectPhaseQuestions = (state: LongGameState): DecisionQuestion[] => {
+    const phase = selectCurrentPhase(state);
+    const modality = state.modality || '';
+    let phaseQuestions: DecisionQuestion[] = [];
+
+    // Early phases use modality-specific question pools
+    const questionsData = QUESTIONS[phase.id];
+    if (Array.isArray(questionsData)) {
+        phaseQuestions = questionsData;
+    } else if (questionsData) {
+        phaseQuestions = questionsData[modality] || [];
+    }
+
+    // For phase1, inject modality-specific questions (e.g., CRS/ICANS for cell therapy)
+    const phase1Modality = QUESTIONS.phase1_modality as Record<string, DecisionQuestion[]> | undefined;
+    if (phase.id === 'phase1' && phase1Modality?.[modality]) {
+        phaseQuestions = [...phase1Modality[modality], ...phaseQuestions];
+    }
+
+    // For post_market phase, inject modality-specific access question first
+    const modalityAccess = MODALITY_ACCESS_CHALLENGES[modality];
+    if (phase.id === 'post_market' && modalityAccess) {
+        phaseQuestions = [{
+            id: `access_${modality}`,
+            phase: 'post_market',
+            title: `How will you overcome ${modalityAccess.uniqueIssue.toLowerCase()}?`,
+            scenario: `${modalityAccess.question.context}\n\nThe Challenge: ${modalityAccess.insuranceReality} Typical price: ${modalityAccess.typicalPrice}. Coverage: ${modalityAccess.coverageTier}. Patient copay: ${modalityAccess.patientCopay}.`,
+            options: modalityAccess.question.options,
+        }, ...phaseQuestions];
+    }
+
+    return phaseQuestions.filter(q => !state.usedQuestions.includes(questionKey(q)));
+};
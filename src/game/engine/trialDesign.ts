@@ -0,0 +1,355 @@
+/**
+ * TRIAL DESIGN
+ *
+ * Phase II and Phase III trials are sized rather than picked from a list.
+ * A design sets the endpoint, the comparator, the arms, and the effect,
+ * spread, alpha and power the trial is sized on; the textbook sample-size
+ * formula for comparing two means turns those into patients per arm:
+ *
+ *     n = 2 (z[1 - alpha/2] + z[power])^2 / (effect / spread)^2
+ *
+ * inflated for endpoints that carry less information per patient, with
+ * alpha split across the comparisons of a multi-arm trial. Patients set
+ * enrollment, months and budget. The effect the trial will actually see
+ * comes from the program's efficacy risk, so a trial sized on an
+ * optimistic effect or a tight spread is underpowered against the real
+ * one. A pivotal trial also has to be one regulators accept.
+ *
+ * A design can also have a DSMB look at the data partway through. Each
+ * look stops the trial for efficacy if z clears its group-sequential
+ * boundary, or for futility if the trend leaves too little chance of
+ * winning, and the final analysis has to clear a higher bar for the alpha
+ * the looks spent. Re-estimation can grow a promising trial, and adaptive
+ * randomization moves patients from lagging doses to the leader, which
+ * adds information where the trial is compared. The odds of stopping at
+ * each look come from carrying the evidence's distribution from look to
+ * look; the looks themselves are run in engine/dsmb.
+ *
+ * The designed months and budget replace the phase's textbook ones. The
+ * design's odds of a positive readout, against the standard design's,
+ * move its gate, and how carefully it is built moves design risk.
+ */
+
+import { LongGamePhase, LongGameState, TrialDesign, TrialDesignField, TrialPlan } from '@/types/Game.types';
+import {
+    TRIAL_ENDPOINTS,
+    TRIAL_COMPARATORS,
+    TRIAL_ARMS,
+    TRIAL_EFFECT_SIZES,
+    TRIAL_VARIANCES,
+    TRIAL_ALPHAS,
+    TRIAL_POWERS,
+    TRIAL_LOOKS,
+    TRIAL_EFFICACY_BOUNDARIES,
+    TRIAL_FUTILITY_RULES,
+    TRIAL_SAMPLE_SIZES,
+    TRIAL_RANDOMIZATIONS,
+    TRIAL_DESIGN_CHOICES,
+    TRIAL_PHASES,
+    TRUE_EFFECT,
+    DESIGN_ODDS_WEIGHT,
+} from '@/game/data/trialDesign';
+import { PHASES } from '@/game/data/phases';
+import { MARKET_SIZE_DATA } from '@/game/data/strategy';
+
+const roundMoney = (value: number): number => Math.round(value * 10) / 10;
+
+// Cells each look's continuation region is split into, and how far past
+// the scores the trial could be at it reaches, in standard deviations
+const GRID_CELLS = 120;
+const GRID_REACH = 8;
+
+const byId = <T extends { id: string }>(options: T[], id: string): T => options.find(option => option.id === id) ?? options[0];
+
+// ============================================
+// NORMAL DISTRIBUTION
+// ============================================
+
+/**
+ * Standard normal CDF (Abramowitz and Stegun 7.1.26, error below 1.5e-7)
+ */
+export const normalCdf = (z: number): number => {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * z with the given share of the standard normal below it
+ */
+export const normalQuantile = (p: number): number => {
+    let low = -10;
+    let high = 10;
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (normalCdf(mid) < p) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+};
+
+const normalDensity = (z: number): number => Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+// ============================================
+// INTERIM LOOKS
+// ============================================
+
+/**
+ * Chances a trial stops at each interim look, and of it ending positive.
+ * Evidence is a score that grows by drift per unit of information, with
+ * variance equal to the information read; a look stops for efficacy at z
+ * on or above its boundary and for futility at z on or below its floor,
+ * where z is the score over the root of the information, and the final
+ * analysis at size wins above critical. The score's distribution is
+ * carried from look to look on a grid over where the trial continues
+ * (Armitage, McPherson and Rowe). Pass from to start partway through.
+ */
+export const sequentialOdds = (
+    drift: number,
+    looks: { information: number; efficacy: number | null; futility: number | null }[],
+    size: number,
+    critical: number,
+    from: { score: number; information: number } = { score: 0, information: 0 }
+): { efficacy: number[]; futility: number[]; power: number } => {
+    // Scores the trial can still be at, with their probability
+    let points = [{ score: from.score, mass: 1 }];
+    let information = from.information;
+    const efficacy: number[] = [];
+    const futility: number[] = [];
+
+    for (const look of looks) {
+        const step = look.information - information;
+        const spread = Math.sqrt(step);
+        const upper = look.efficacy !== null ? look.efficacy * Math.sqrt(look.information) : Infinity;
+        const lower = look.futility !== null ? look.futility * Math.sqrt(look.information) : -Infinity;
+        const means = points.map(point => point.score + drift * step);
+
+        efficacy.push(points.reduce((total, point, i) => total + point.mass * (1 - normalCdf((upper - means[i]) / spread)), 0));
+        futility.push(points.reduce((total, point, i) => total + point.mass * normalCdf((lower - means[i]) / spread), 0));
+
+        const low = Math.max(lower, Math.min(...means) - GRID_REACH * spread);
+        const high = Math.min(upper, Math.max(...means) + GRID_REACH * spread);
+        const width = (high - low) / GRID_CELLS;
+        points = width > 0
+            ? Array.from({ length: GRID_CELLS }, (_, cell) => {
+                const score = low + (cell + 0.5) * width;
+                const density = points.reduce((total, point, i) => total + point.mass * normalDensity((score - means[i]) / spread) / spread, 0);
+                return { score, mass: density * width };
+            })
+            : [];
+        information = look.information;
+    }
+
+    const remaining = size - information;
+    const bar = critical * Math.sqrt(size);
+    const final = points.reduce((total, point) => total + point.mass * (remaining > 0
+        ? 1 - normalCdf((bar - point.score - drift * remaining) / Math.sqrt(remaining))
+        : Number(point.score > bar)), 0);
+    return { efficacy, futility, power: efficacy.reduce((total, p) => total + p, 0) + final };
+};
+
+/**
+ * A design's interim looks and the z its final analysis has to clear,
+ * from the z a single analysis would
+ */
+const lookBoundaries = (design: TrialDesign, zAlpha: number): { critical: number; looks: { fraction: number; efficacy: number | null; futility: number | null }[] } => {
+    const count = byId(TRIAL_LOOKS, design.looks).value;
+    const multiples = byId(TRIAL_EFFICACY_BOUNDARIES, design.efficacyBoundary).critical?.[count] ?? null;
+    const critical = count > 0 && multiples ? zAlpha * multiples[count] : zAlpha;
+    const floor = byId(TRIAL_FUTILITY_RULES, design.futility).value;
+
+    const looks = Array.from({ length: count }, (_, i) => {
+        const fraction = (i + 1) / (count + 1);
+        const efficacy = multiples ? zAlpha * multiples[i] : null;
+        // The z whose trend, carried to the end, wins with the floor's chance
+        const futility = floor > 0 ? Math.sqrt(fraction) * (critical + Math.sqrt(1 - fraction) * normalQuantile(floor)) : null;
+        return { fraction, efficacy, futility: futility !== null && efficacy !== null ? Math.min(futility, efficacy) : futility };
+    });
+    return { critical, looks };
+};
+
+// ============================================
+// DESIGNS
+// ============================================
+
+/**
+ * The standard design for a phase that runs a sized trial, or null
+ */
+export const createTrialDesign = (phaseId: string): TrialDesign | null =>
+    TRIAL_PHASES[phaseId] ? { ...TRIAL_PHASES[phaseId].standard } : null;
+
+/**
+ * Is this a choice the workbench offers for the field?
+ */
+export const isTrialChoice = (field: string, value: string): field is TrialDesignField =>
+    TRIAL_DESIGN_CHOICES.some(choice => choice.field === field && choice.options.some(option => option.id === value));
+
+/**
+ * Change one choice of the current phase's design. Only a design still on
+ * the workbench can change; once the trial starts it runs as designed.
+ */
+export const setTrialDesign = (state: LongGameState, field: TrialDesignField, value: string): LongGameState => {
+    const phaseId = PHASES[state.currentPhaseIndex].id;
+    const design = state.trialDesigns[phaseId];
+    if (state.phaseStep !== 0.5 || !design || !isTrialChoice(field, value)) return state;
+    return { ...state, trialDesigns: { ...state.trialDesigns, [phaseId]: { ...design, [field]: value } } };
+};
+
+/**
+ * One line summing a design up, for the decision log
+ */
+export const describeTrialDesign = (design: TrialDesign, plan: TrialPlan): string =>
+    `${byId(TRIAL_ENDPOINTS, design.endpoint).name} vs ${byId(TRIAL_COMPARATORS, design.comparator).name.toLowerCase()}, `
+    + `${byId(TRIAL_ARMS, design.arms).arms} arms, n=${plan.patients}, `
+    + `${byId(TRIAL_POWERS, design.power).name} power at alpha ${byId(TRIAL_ALPHAS, design.alpha).name}`
+    + (plan.looks.length > 0 ? `, ${plan.looks.length} interim ${plan.looks.length === 1 ? 'look' : 'looks'}` : '');
+
+/**
+ * Design risk a design adds or takes away: the endpoint, dose finding and
+ * how conservatively the trial is sized decide how much Phase III, and the
+ * package filed on it, has to guess. Adaptive choices only count on a
+ * trial that looks, and adaptive randomization only with doses to move
+ * patients between.
+ */
+export const trialDesignRisk = (design: TrialDesign): number => {
+    const sized = byId(TRIAL_ENDPOINTS, design.endpoint).designEffect
+        + byId(TRIAL_ARMS, design.arms).designEffect
+        + (byId(TRIAL_EFFECT_SIZES, design.effectSize).designEffect ?? 0)
+        + (byId(TRIAL_VARIANCES, design.variance).designEffect ?? 0)
+        + (byId(TRIAL_ALPHAS, design.alpha).designEffect ?? 0)
+        + (byId(TRIAL_POWERS, design.power).designEffect ?? 0);
+    if (byId(TRIAL_LOOKS, design.looks).value === 0) return sized;
+    return sized
+        + (byId(TRIAL_LOOKS, design.looks).designEffect ?? 0)
+        + byId(TRIAL_EFFICACY_BOUNDARIES, design.efficacyBoundary).designEffect
+        + (byId(TRIAL_FUTILITY_RULES, design.futility).designEffect ?? 0)
+        + (byId(TRIAL_SAMPLE_SIZES, design.sampleSize).designEffect ?? 0)
+        + (byId(TRIAL_ARMS, design.arms).arms > 2 ? byId(TRIAL_RANDOMIZATIONS, design.randomization).designEffect ?? 0 : 0);
+};
+
+/**
+ * What a pivotal win over the comparator adds to the label, and so to revenue
+ */
+export const trialLabelRevenue = (design: TrialDesign): number => byId(TRIAL_COMPARATORS, design.comparator).labelRevenue;
+
+// ============================================
+// SELECTORS
+// ============================================
+
+/**
+ * Patients, months, budget and odds of a design for a phase, for this
+ * program; sampleSize grows the trial past its design after re-estimation
+ */
+export const selectTrialPlan = (state: LongGameState, design: TrialDesign, phaseId: string, sampleSize = 1): TrialPlan => {
+    const spec = TRIAL_PHASES[phaseId];
+    const endpoint = byId(TRIAL_ENDPOINTS, design.endpoint);
+    const comparator = byId(TRIAL_COMPARATORS, design.comparator);
+    const arms = byId(TRIAL_ARMS, design.arms);
+    const effectSize = byId(TRIAL_EFFECT_SIZES, design.effectSize);
+    const variance = byId(TRIAL_VARIANCES, design.variance);
+    const alpha = byId(TRIAL_ALPHAS, design.alpha);
+    const power = byId(TRIAL_POWERS, design.power);
+    const market = MARKET_SIZE_DATA[state.marketSize ?? ''] ?? MARKET_SIZE_DATA.specialty;
+
+    // Each dose is tested against control at its share of alpha
+    const zAlpha = normalQuantile(1 - alpha.value / (arms.arms - 1) / 2);
+    const assumedEffect = effectSize.value / variance.value;
+    const designedPerArm = Math.ceil(2 * Math.pow(zAlpha + normalQuantile(power.value), 2) / (Math.pow(assumedEffect, 2) * endpoint.efficiency));
+    const perArm = Math.ceil(designedPerArm * sampleSize);
+    const patients = perArm * arms.arms;
+
+    const pace = spec.enrollmentRate * comparator.enrollmentPace * market.enrollmentPace;
+    const enrollmentMonths = Math.ceil(patients / pace);
+    const months = spec.startupMonths + enrollmentMonths + endpoint.followUpMonths + spec.readoutMonths;
+    const cost = roundMoney(spec.fixedCost + patients * spec.costPerPatient * endpoint.costMultiplier);
+
+    // The DSMB meets once a look's share of the designed patients has read out
+    const { critical, looks: boundaries } = lookBoundaries(design, zAlpha);
+    const designedEnrollment = Math.ceil(designedPerArm * arms.arms / pace);
+    const lookMonths = boundaries.map(look => spec.startupMonths + Math.ceil(look.fraction * designedEnrollment) + endpoint.followUpMonths);
+
+    // Adaptive randomization hands the lagging doses' later patients to the
+    // leader, which then has this many arms' worth to compare with control
+    const doses = arms.arms - 1;
+    const shift = boundaries.length > 0 && doses > 1 ? byId(TRIAL_RANDOMIZATIONS, design.randomization).value : 0;
+    const leading = 1 + (1 - (boundaries[0]?.fraction ?? 1)) * (doses - 1) * shift;
+    const allocationGain = 2 * leading / (1 + leading);
+
+    // What the trial will see: the drug's effect as this endpoint, comparator and choice of doses read it
+    const drugEffect = TRUE_EFFECT.min + (TRUE_EFFECT.max - TRUE_EFFECT.min) * (1 - state.efficacyRisk / 100);
+    const expectedEffect = drugEffect * endpoint.signal * comparator.effectRetained * arms.doseCapture;
+    const drift = expectedEffect * Math.sqrt(perArm * endpoint.efficiency * allocationGain / 2);
+    const odds = boundaries.length > 0
+        ? sequentialOdds(drift / Math.sqrt(sampleSize), boundaries.map(look => ({ ...look, information: look.fraction })), sampleSize, critical)
+        : null;
+    const actualPower = odds ? odds.power : normalCdf(drift - zAlpha);
+    const acceptance = spec.pivotal ? endpoint.pivotalAcceptance * (alpha.pivotalAcceptance ?? 1) : 1;
+
+    const looks = boundaries.map((look, i) => ({
+        ...look,
+        month: lookMonths[i],
+        stopEfficacy: odds!.efficacy[i],
+        stopFutility: odds!.futility[i],
+    }));
+    // A trial stopped for efficacy closes out after its look; one stopped for futility ends there
+    const stopped = looks.reduce((total, look) => total + look.stopEfficacy + look.stopFutility, 0);
+    const expectedMonths = looks.reduce((total, look) => total
+        + look.stopEfficacy * (look.month + spec.readoutMonths) + look.stopFutility * look.month, (1 - stopped) * months);
+
+    return {
+        perArm,
+        patients,
+        enrollmentMonths,
+        months,
+        cost,
+        effect: Math.round(effectSize.value * endpoint.sd * 10) / 10,
+        spread: Math.round(variance.value * endpoint.sd * 10) / 10,
+        assumedEffect,
+        expectedEffect,
+        power: actualPower,
+        acceptance,
+        probability: actualPower * acceptance,
+        critical,
+        looks,
+        expectedMonths: Math.round(expectedMonths),
+        expectedCost: roundMoney(cost * expectedMonths / months),
+    };
+};
+
+/**
+ * The standard design's plan for a phase, as the yardstick for the player's
+ */
+export const selectStandardTrialPlan = (state: LongGameState, phaseId: string): TrialPlan | null =>
+    TRIAL_PHASES[phaseId] ? selectTrialPlan(state, TRIAL_PHASES[phaseId].standard, phaseId) : null;
+
+/**
+ * Gate odds the current phase's design gains or gives up against the standard design
+ */
+export const selectTrialDesignOdds = (state: LongGameState): number => {
+    const phaseId = PHASES[state.currentPhaseIndex].id;
+    const design = state.trialDesigns[phaseId];
+    const standard = selectStandardTrialPlan(state, phaseId);
+    if (!design || !standard) return 0;
+    const edge = selectTrialPlan(state, design, phaseId, state.trialMonitoring[phaseId]?.sampleSize).probability - standard.probability;
+    return Math.round(edge * DESIGN_ODDS_WEIGHT * 1000) / 1000;
+};
+
+/**
+ * A phase as this program will run it: a trial phase takes its months and
+ * budget from its design, or from the standard design until it has one,
+ * at the size the DSMB has grown it to
+ */
+export const plannedPhase = (state: LongGameState, index: number = state.currentPhaseIndex): LongGamePhase => {
+    const phase = PHASES[index];
+    const spec = TRIAL_PHASES[phase.id];
+    if (!spec) return phase;
+    const monitoring = state.trialMonitoring[phase.id];
+    const plan = selectTrialPlan(state, state.trialDesigns[phase.id] ?? spec.standard, phase.id, monitoring?.sampleSize);
+
+    // A trial stopped for efficacy closes out after the look, spending at the same rate
+    const stop = monitoring?.stopped === 'efficacy' ? monitoring.looks[monitoring.looks.length - 1] : null;
+    if (!stop) return { ...phase, baseMonths: plan.months, baseCost: plan.cost };
+    const months = stop.month + spec.readoutMonths;
+    return { ...phase, baseMonths: months, baseCost: roundMoney(plan.cost * months / plan.months) };
+};
@@ -0,0 +1,378 @@
+/**
+ * TRIAL READOUT
+ *
+ * A Phase II or III trial reads out on synthetic patients when its gate
+ * resolves. The drug has a hidden true effect: what its efficacy risk
+ * points to through the trial's endpoint, comparator and doses, off by a
+ * draw of its own that is the same for every trial of the program.
+ *
+ * The gate has already decided whether the trial succeeds, so the readout
+ * is drawn to agree with it. The trial's z statistic is drawn from its
+ * distribution around the true effect, on the side of the threshold the
+ * gate fell on; patients are generated around the effect that statistic
+ * implies until a trial whose own analysis lands on that side turns up,
+ * each retry moving the effect a little further that way. A readout never
+ * contradicts its gate: a phase that finds no agreeing trial keeps none.
+ *
+ * Each patient has an arm, a level of each subgroup, and an outcome: a
+ * change on the endpoint, a response past the control median, or months
+ * to the event or the end of follow-up. The top dose is compared with
+ * control by mean difference, response-rate difference or log-rank hazard
+ * ratio, at the trial's alpha split across its doses. A trial with
+ * interim looks is held to the higher bar its final analysis was set, and
+ * one the DSMB stopped reads out on the patients it had at that look, at
+ * the z the board saw.
+ *
+ * Only the numbers are kept on the state; the patients are generated again
+ * from the seed for the charts. Like the rivals, readouts draw from
+ * generators derived from the seed and the program, never rngState, so
+ * reading a trial out leaves the game's own rolls alone.
+ */
+
+import { LongGameState, TrialAnalysis, TrialPatient, TrialReadout, TrialReadoutCharts } from '@/types/Game.types';
+import { PHASES } from '@/game/data/phases';
+import {
+    TRIAL_ENDPOINTS,
+    TRIAL_COMPARATORS,
+    TRIAL_ARMS,
+    TRIAL_ALPHAS,
+    TRIAL_PHASES,
+    TRIAL_SUBGROUPS,
+    DOSE_ARM_NAMES,
+    DOSE_RESPONSE,
+    HIDDEN_EFFECT_SPREAD,
+    SURVIVAL_FOLLOW_UP,
+    READOUT_DRAWS,
+    WATERFALL_BARS,
+} from '@/game/data/trialDesign';
+import { normalCdf, normalQuantile, selectTrialPlan } from '@/game/engine/trialDesign';
+import { createRng, hashText, Rng } from '@/game/engine/random';
+
+const READOUT_SALT = 0x6a09e667;
+
+// Two-sided 95% confidence intervals
+const Z_95 = 1.96;
+
+// Keeps a drawn tail probability inside normalQuantile's range
+const TAIL = 1e-9;
+
+interface Comparison {
+    estimate: number;
+    low: number;
+    high: number;
+    pValue: number;
+    z: number;                      // Positive when the drug did better
+}
+
+const round = (value: number, places: number): number => Math.round(value * 10 ** places) / 10 ** places;
+
+const byId = <T extends { id: string }>(options: T[], id: string): T => options.find(option => option.id === id) ?? options[0];
+
+// A generator for one part of this program's readouts
+const readoutRng = (state: LongGameState, key: string): Rng =>
+    createRng((state.seed ^ READOUT_SALT ^ hashText(`${state.drugName}:${key}`)) >>> 0);
+
+// Standard normal draw (Box-Muller)
+const gaussian = (rng: Rng): number => Math.sqrt(-2 * Math.log(1 - rng.next())) * Math.cos(2 * Math.PI * rng.next());
+
+const twoSidedP = (z: number): number => 2 * (1 - normalCdf(Math.abs(z)));
+
+// ============================================
+// PATIENTS
+// ============================================
+
+/**
+ * A trial's patients: equal arms, subgroup levels by share, and outcomes
+ * around the top dose's standardized effect, scaled down for lower doses
+ */
+const generatePatients = (rng: Rng, analysis: TrialAnalysis, sd: number, arms: number, perArm: number, effect: number): TrialPatient[] => {
+    const doses = arms - 1;
+    const hazard = Math.LN2 / sd;
+    const patients: TrialPatient[] = [];
+    for (let i = 0; i < arms * perArm; i++) {
+        const arm = i % arms;
+        const levels = TRIAL_SUBGROUPS.map(subgroup => {
+            let draw = rng.next();
+            const index = subgroup.levels.findIndex(level => (draw -= level.share) < 0);
+            return index < 0 ? subgroup.levels.length - 1 : index;
+        });
+        const armEffect = arm === 0 ? 0 : effect * Math.pow(arm / doses, DOSE_RESPONSE);
+
+        if (analysis === 'survival') {
+            // Exponential event times; the drug scales the hazard by exp(-effect)
+            const eventTime = -Math.log(1 - rng.next()) / (hazard * Math.exp(-armEffect));
+            const followUp = (0.5 + rng.next()) * SURVIVAL_FOLLOW_UP * sd;
+            patients.push({ arm, value: Math.min(eventTime, followUp), event: eventTime <= followUp, levels });
+        } else {
+            patients.push({ arm, value: (gaussian(rng) + armEffect) * sd, event: false, levels });
+        }
+    }
+    return patients;
+};
+
+// ============================================
+// ANALYSIS
+// ============================================
+
+const compareMeans = (control: TrialPatient[], drug: TrialPatient[]): Comparison | null => {
+    if (control.length < 2 || drug.length < 2) return null;
+    const mean = (group: TrialPatient[]) => group.reduce((sum, p) => sum + p.value, 0) / group.length;
+    const variance = (group: TrialPatient[], m: number) => group.reduce((sum, p) => sum + (p.value - m) ** 2, 0) / (group.length - 1);
+    const controlMean = mean(control);
+    const drugMean = mean(drug);
+    const se = Math.sqrt(variance(control, controlMean) / control.length + variance(drug, drugMean) / drug.length);
+    if (se === 0) return null;
+    const difference = drugMean - controlMean;
+    const z = difference / se;
+    return { estimate: difference, low: difference - Z_95 * se, high: difference + Z_95 * se, pValue: twoSidedP(z), z };
+};
+
+// Response rates in percentage points; a responder improved past the control median
+const compareResponse = (control: TrialPatient[], drug: TrialPatient[]): Comparison | null => {
+    if (control.length === 0 || drug.length === 0) return null;
+    const rate = (group: TrialPatient[]) => group.filter(p => p.value > 0).length / group.length;
+    const controlRate = rate(control);
+    const drugRate = rate(drug);
+    const pooled = (controlRate * control.length + drugRate * drug.length) / (control.length + drug.length);
+    const testSe = Math.sqrt(pooled * (1 - pooled) * (1 / control.length + 1 / drug.length));
+    if (testSe === 0) return null;
+    const se = Math.sqrt(controlRate * (1 - controlRate) / control.length + drugRate * (1 - drugRate) / drug.length);
+    const difference = drugRate - controlRate;
+    const z = difference / testSe;
+    return { estimate: difference * 100, low: (difference - Z_95 * se) * 100, high: (difference + Z_95 * se) * 100, pValue: twoSidedP(z), z };
+};
+
+// Log-rank test, with the hazard ratio from observed against expected events
+const compareSurvival = (control: TrialPatient[], drug: TrialPatient[]): Comparison | null => {
+    const timeline = [
+        ...control.map(p => ({ time: p.value, event: p.event, drug: false })),
+        ...drug.map(p => ({ time: p.value, event: p.event, drug: true })),
+    ].sort((a, b) => a.time - b.time);
+
+    let atRisk = timeline.length;
+    let drugAtRisk = drug.length;
+    let observed = 0;
+    let expected = 0;
+    let variance = 0;
+    for (let i = 0; i < timeline.length;) {
+        let j = i;
+        let events = 0;
+        let drugEvents = 0;
+        let drugLeaving = 0;
+        for (; j < timeline.length && timeline[j].time === timeline[i].time; j++) {
+            if (timeline[j].event) events++;
+            if (timeline[j].event && timeline[j].drug) drugEvents++;
+            if (timeline[j].drug) drugLeaving++;
+        }
+        if (events > 0 && atRisk > 1) {
+            const share = drugAtRisk / atRisk;
+            observed += drugEvents;
+            expected += events * share;
+            variance += events * share * (1 - share) * (atRisk - events) / (atRisk - 1);
+        }
+        atRisk -= j - i;
+        drugAtRisk -= drugLeaving;
+        i = j;
+    }
+
+    if (variance === 0) return null;
+    const logHazard = (observed - expected) / variance;
+    const se = 1 / Math.sqrt(variance);
+    return {
+        estimate: Math.exp(logHazard),
+        low: Math.exp(logHazard - Z_95 * se),
+        high: Math.exp(logHazard + Z_95 * se),
+        pValue: twoSidedP(logHazard / se),
+        z: -logHazard / se,
+    };
+};
+
+const COMPARISONS: Record<TrialAnalysis, (control: TrialPatient[], drug: TrialPatient[]) => Comparison | null> = {
+    mean: compareMeans,
+    responder: compareResponse,
+    survival: compareSurvival,
+};
+
+// The top dose against control
+const compareArms = (patients: TrialPatient[], analysis: TrialAnalysis, arms: number): Comparison | null =>
+    COMPARISONS[analysis](patients.filter(p => p.arm === 0), patients.filter(p => p.arm === arms - 1));
+
+/**
+ * Kaplan-Meier estimate for one arm, read at each month of follow-up
+ */
+const kaplanMeier = (group: TrialPatient[], months: number): { month: number; survival: number }[] => {
+    const sorted = [...group].sort((a, b) => a.value - b.value || Number(b.event) - Number(a.event));
+    const points = [{ month: 0, survival: 1 }];
+    let survival = 1;
+    let atRisk = sorted.length;
+    let i = 0;
+    for (let month = 1; month <= months; month++) {
+        for (; i < sorted.length && sorted[i].value <= month; i++) {
+            if (sorted[i].event) survival *= 1 - 1 / atRisk;
+            atRisk--;
+        }
+        points.push({ month, survival: round(survival, 3) });
+    }
+    return points;
+};
+
+// ============================================
+// READOUTS
+// ============================================
+
+/**
+ * Read out the current phase's trial to agree with its gate; null for a
+ * phase that runs no designed trial, or if no trial drawn agrees
+ */
+export const readTrial = (state: LongGameState, success: boolean): TrialReadout | null => {
+    const phaseId = PHASES[state.currentPhaseIndex].id;
+    const design = state.trialDesigns[phaseId];
+    if (!design || !TRIAL_PHASES[phaseId]) return null;
+
+    const endpoint = byId(TRIAL_ENDPOINTS, design.endpoint);
+    const arms = byId(TRIAL_ARMS, design.arms).arms;
+    const monitoring = state.trialMonitoring[phaseId];
+    const plan = selectTrialPlan(state, design, phaseId, monitoring?.sampleSize);
+    const trueEffect = plan.expectedEffect * Math.exp(HIDDEN_EFFECT_SPREAD * gaussian(readoutRng(state, 'truth')));
+
+    // A stopped trial has the patients read out at its last look, and one
+    // stopped for efficacy is held to that look's boundary
+    const stop = monitoring?.stopped ? monitoring.looks[monitoring.looks.length - 1] : null;
+    const perArm = stop ? Math.ceil(selectTrialPlan(state, design, phaseId).perArm * stop.fraction) : plan.perArm;
+    const threshold = stop?.decision === 'efficacy' && stop.efficacy !== null ? stop.efficacy : plan.critical;
+    const alpha = plan.looks.length > 0 ? twoSidedP(threshold) : byId(TRIAL_ALPHAS, design.alpha).value / (arms - 1);
+
+    // The trial's z statistic: the one the DSMB saw, or drawn on the side of the threshold the gate fell on
+    const information = Math.sqrt(perArm * endpoint.efficiency / 2);
+    const below = normalCdf(threshold - trueEffect * information);
+    const u = readoutRng(state, `${phaseId}:statistic`).next();
+    const tail = success ? below + u * (1 - below) : u * below;
+    const targetEffect = stop
+        ? stop.z / information
+        : (trueEffect * information + normalQuantile(Math.min(1 - TAIL, Math.max(TAIL, tail)))) / information;
+
+    // Each try lands on the target's side at least about half the time; one
+    // that misses is followed by a try half a standard error further over
+    const nudge = (success ? 0.5 : -0.5) / information;
+    for (let draw = 0; draw < READOUT_DRAWS; draw++) {
+        const effect = targetEffect + draw * nudge;
+        const patients = generatePatients(readoutRng(state, `${phaseId}:${draw}`), endpoint.analysis, endpoint.sd, arms, perArm, effect);
+        const result = compareArms(patients, endpoint.analysis, arms);
+        if (!result || (result.z > 0 && result.pValue < alpha) !== success) continue;
+        return {
+            success,
+            endpoint: design.endpoint,
+            comparator: design.comparator,
+            arms,
+            perArm,
+            trueEffect: round(trueEffect, 3),
+            targetEffect: effect,
+            draw,
+            estimate: round(result.estimate, 3),
+            low: round(result.low, 3),
+            high: round(result.high, 3),
+            pValue: result.pValue,
+            alpha,
+            look: stop?.look ?? null,
+        };
+    }
+    return null;
+};
+
+/**
+ * The patients behind a phase's readout, drawn for charts
+ */
+export const selectReadoutCharts = (state: LongGameState, phaseId: string): TrialReadoutCharts | null => {
+    const readout = state.trialReadouts[phaseId];
+    if (!readout) return null;
+    const { analysis, sd } = byId(TRIAL_ENDPOINTS, readout.endpoint);
+    const top = readout.arms - 1;
+    const patients = generatePatients(readoutRng(state, `${phaseId}:${readout.draw}`), analysis, sd, readout.arms, readout.perArm, readout.targetEffect);
+
+    const months = Math.ceil(Math.max(...patients.map(p => p.value)));
+    const survival = analysis === 'survival'
+        ? Array.from({ length: readout.arms }, (_, arm) => ({ arm, points: kaplanMeier(patients.filter(p => p.arm === arm), months) }))
+        : null;
+
+    // Control and top dose from worst to best, sampled evenly in a large trial
+    const compared = patients.filter(p => p.arm === 0 || p.arm === top).sort((a, b) => a.value - b.value);
+    const step = Math.max(1, compared.length / WATERFALL_BARS);
+    const waterfall = analysis === 'survival'
+        ? null
+        : Array.from({ length: Math.min(WATERFALL_BARS, compared.length) }, (_, i) => compared[Math.floor(i * step)])
+            .map(p => ({ arm: p.arm, value: round(p.value, 1) }));
+
+    const rows = [
+        { label: 'All patients', patients },
+        ...TRIAL_SUBGROUPS.flatMap((subgroup, s) => subgroup.levels.map((level, l) => ({
+            label: level.name,
+            patients: patients.filter(p => p.levels[s] === l),
+        }))),
+    ];
+    const forest = rows.flatMap(row => {
+        const result = compareArms(row.patients, analysis, readout.arms);
+        return result ? [{
+            label: row.label,
+            patients: row.patients.filter(p => p.arm === 0 || p.arm === top).length,
+            estimate: round(result.estimate, 3),
+            low: round(result.low, 3),
+            high: round(result.high, 3),
+        }] : [];
+    });
+
+    return {
+        armNames: [byId(TRIAL_COMPARATORS, readout.comparator).armName, ...DOSE_ARM_NAMES[top]],
+        survival,
+        waterfall,
+        threshold: analysis === 'responder' ? 0 : null,
+        forest,
+        nullValue: analysis === 'survival' ? 1 : 0,
+    };
+};
+
+const formatP = (p: number): string => (p < 0.001 ? 'p < 0.001' : `p = ${p.toFixed(3)}`);
+
+/**
+ * The primary endpoint result in a sentence, as the statistician reads it out
+ */
+export const describeReadout = (readout: TrialReadout): string => {
+    const endpoint = byId(TRIAL_ENDPOINTS, readout.endpoint);
+    const control = byId(TRIAL_COMPARATORS, readout.comparator).armName.toLowerCase();
+    const survival = endpoint.analysis === 'survival';
+    const places = survival ? 2 : 1;
+    const format = (value: number) => value.toFixed(places);
+    const interval = `95% CI ${format(readout.low)} to ${format(readout.high)}`;
+    const difference = `${readout.estimate > 0 ? '+' : ''}${format(readout.estimate)}`;
+    const result = survival
+        ? `Hazard ratio ${format(readout.estimate)} (${interval})`
+        : endpoint.analysis === 'responder'
+            ? `Response rate ${difference} points against ${control} (${interval})`
+            : `${difference} ${endpoint.unit} against ${control} (${interval})`;
+
+    const needed = `the ${Number(readout.alpha.toPrecision(2))} needed${readout.look !== null ? ` at interim look ${readout.look}` : ''}${readout.arms > 2 ? ` with alpha split across ${readout.arms - 1} doses` : ''}`;
+    const nullValue = survival ? 1 : 0;
+    if (readout.success) return `${result}: ${formatP(readout.pValue)}, below ${needed}`;
+    if (readout.look !== null) return `${result} at interim look ${readout.look}, ${formatP(readout.pValue)}`;
+    if (readout.low <= nullValue && readout.high >= nullValue) {
+        return `${result}: the confidence interval crossed ${survival ? '1.0' : '0'}, ${formatP(readout.pValue)} against ${needed}`;
+    }
+    const favoredControl = survival ? readout.estimate > 1 : readout.estimate < 0;
+    return favoredControl
+        ? `${result}: patients did worse on the drug than on ${control}`
+        : `${result}: ${formatP(readout.pValue)} missed ${needed}`;
+};
+
+/**
+ * The drug's hidden true effect, in the terms the trial reported it
+ */
+export const describeTrueEffect = (readout: TrialReadout): string => {
+    const endpoint = byId(TRIAL_ENDPOINTS, readout.endpoint);
+    const control = byId(TRIAL_COMPARATORS, readout.comparator).armName.toLowerCase();
+    const signed = (value: number) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+    if (endpoint.analysis === 'survival') return `Hazard ratio ${Math.exp(-readout.trueEffect).toFixed(2)}`;
+    // Control patients respond half the time, so the drug's rate moves to Φ(effect)
+    if (endpoint.analysis === 'responder') {
+        return `Response rate ${signed((normalCdf(readout.trueEffect) - 0.5) * 100)} points against ${control}`;
+    }
+    return `${signed(readout.trueEffect * endpoint.sd)} ${endpoint.unit} against ${control}`;
+};
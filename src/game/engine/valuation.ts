@@ -0,0 +1,187 @@
+/**
+ * rNPV VALUATION
+ *
+ * Values a Long Journey program the way an investor would (Kolchinsky):
+ * every remaining cash flow is weighted by the odds of the program still
+ * being alive when it happens and discounted back to today. Costs are the
+ * remaining phase budgets and the overhead of running them (see
+ * engine/burn); revenue is what the company keeps of its sales
+ * (see engine/revenue) from approval on, after rebates, Medicare
+ * negotiation and whatever the program's deals have given away.
+ *
+ * Follow-on programs from the platform (see engine/platform) add their own
+ * rNPV on top: a share of the lead's market, reached through cheaper,
+ * faster and likelier phases.
+ *
+ * The valuation is a pure function of the state, so it moves with every
+ * decision that changes the risk meters, the market or the revenue terms.
+ */
+
+import {
+    FollowOnProgram,
+    LongGameState,
+    MedicareNegotiation,
+    PlatformLeverage,
+    Valuation,
+    ValuationPhase,
+    ValuationPoint,
+} from '@/types/Game.types';
+import { PHASES, GATE_SUCCESS } from '@/game/data/phases';
+import { KOLCHINSKY_FRAMEWORK, PHASE_SUCCESS_RATES } from '@/game/data/balance';
+import { selectGateOdds } from '@/game/engine/selectors';
+import { revenueSchedule } from '@/game/engine/revenue';
+import { selectMedicareNegotiation } from '@/game/engine/ira';
+import {
+    selectPlatformLeverage,
+    followOnPhaseCost,
+    followOnPhaseMonths,
+    followOnGateOdds,
+    FOLLOW_ON_MARKET_SHARE,
+} from '@/game/engine/platform';
+import { phaseBudget } from '@/game/engine/burn';
+import { plannedPhase } from '@/game/engine/trialDesign';
+
+const midpoint = ({ min, max }: { min: number; max: number }): number => (min + max) / 2;
+
+export const DISCOUNT_RATE = midpoint(KOLCHINSKY_FRAMEWORK.discountRate);
+
+// Share of net sales kept after COGS, SG&A and commercial build-out
+const OPERATING_MARGIN = 0.4;
+
+// Industry odds for clinical and regulatory gates (BIO 2021); earlier
+// gates have no published rate and use the game's own GATE_SUCCESS
+const INDUSTRY_RATES: Record<string, number> = {
+    phase1: PHASE_SUCCESS_RATES.phaseI_to_II,
+    phase2: PHASE_SUCCESS_RATES.phaseII_to_III,
+    phase3: PHASE_SUCCESS_RATES.phaseIII_to_NDA,
+    fda_review: PHASE_SUCCESS_RATES.NDA_to_approval,
+};
+
+// Sales begin once this gate is cleared
+const LAUNCH_PHASE_INDEX = PHASES.findIndex(phase => phase.id === 'fda_review');
+
+const discount = (months: number): number => Math.pow(1 + DISCOUNT_RATE, -months / 12);
+
+/**
+ * Odds of clearing a phase's gate: the industry rate, moved by the same
+ * program modifiers the gate itself uses. Zero when a risk meter is
+ * already past the level that fails the gate outright.
+ */
+const phaseProbability = (state: LongGameState, index: number): number => {
+    const phase = PHASES[index];
+    const gate = GATE_SUCCESS[phase.id];
+    if (gate === undefined) return 1;  // Commercial phases have no gate
+
+    const odds = selectGateOdds({ ...state, currentPhaseIndex: index });
+    if (odds.riskLimit !== null && odds.riskLevel >= odds.riskLimit) return 0;
+
+    const adjustment = odds.strategy + odds.modality + odds.program + odds.riskAdjustment + odds.trialDesign;
+    return Math.min(0.95, Math.max(0.05, (INDUSTRY_RATES[phase.id] ?? gate) + adjustment));
+};
+
+/**
+ * Peak net sales and the value at launch of the operating profit on what
+ * the company keeps
+ */
+const commercialValue = (state: LongGameState, negotiation?: MedicareNegotiation): { peakSales: number; value: number } => {
+    const years = revenueSchedule(state, negotiation);
+    const peakSales = Math.max(...years.map(year => year.net));
+    const value = years.reduce((total, year, i) => total + year.kept * OPERATING_MARGIN * discount((i + 0.5) * 12), 0);
+    return { peakSales, value };
+};
+
+/**
+ * rNPV of one follow-on from the phase it is working through, given the
+ * lead's value at launch
+ */
+const followOnValue = (program: FollowOnProgram, leverage: PlatformLeverage, launchValue: number): number => {
+    if (program.status === 'failed') return 0;
+
+    let survival = 1;
+    let month = 0;
+    let riskedCost = 0;
+    for (let i = program.status === 'active' ? program.phaseIndex : LAUNCH_PHASE_INDEX + 1; i <= LAUNCH_PHASE_INDEX; i++) {
+        riskedCost += survival * followOnPhaseCost(i, leverage) * discount(month);
+        month += followOnPhaseMonths(i, leverage);
+        survival *= followOnGateOdds(i, leverage);
+    }
+    return survival * launchValue * FOLLOW_ON_MARKET_SHARE * discount(month) - riskedCost;
+};
+
+// ============================================
+// SELECTORS
+// ============================================
+
+/**
+ * rNPV of each follow-on program, by id
+ */
+export const selectFollowOnValues = (state: LongGameState): Record<string, number> => {
+    if (state.followOns.length === 0) return {};
+    const leverage = selectPlatformLeverage(state);
+    const { value } = commercialValue(state);
+    return Object.fromEntries(state.followOns.map(program => [program.id, Math.round(followOnValue(program, leverage, value))]));
+};
+
+/**
+ * Risk-adjusted NPV of the company from where it stands now: the lead
+ * program plus its platform pipeline
+ */
+export const selectValuation = (state: LongGameState): Valuation => {
+    // The current phase counts as done once its gate has been cleared
+    const firstRemaining = state.screen === 'victory' || state.screen === 'launch'
+        ? PHASES.length
+        : state.currentPhaseIndex + (state.gateResult?.success ? 1 : 0);
+
+    const phases: ValuationPhase[] = [];
+    let survival = 1;
+    let month = 0;
+    let riskedCost = 0;
+    let monthsToLaunch = 0;
+
+    for (let i = firstRemaining; i < PHASES.length; i++) {
+        const phase = plannedPhase(state, i);
+        const probability = phaseProbability(state, i);
+        // The phase under way has already run part of its months and budget
+        const progress = i === state.currentPhaseIndex ? state.phaseProgress : { months: 0, spent: 0 };
+        const cost = phaseBudget(phase) - progress.spent - phase.overhead * progress.months;
+        phases.push({ id: phase.id, name: phase.name, probability, cost, startMonth: month });
+
+        riskedCost += survival * cost * discount(month);
+        month += phase.baseMonths - progress.months;
+        survival *= probability;
+        if (i === LAUNCH_PHASE_INDEX) monthsToLaunch = month;
+    }
+
+    // Post-approval gates still end the run, so revenue needs all of them
+    const { peakSales, value } = commercialValue(state);
+    const riskedRevenue = survival * value * discount(monthsToLaunch);
+    const untouched = commercialValue(state, { ...selectMedicareNegotiation(state), exempt: true }).value;
+    const pipeline = Object.values(selectFollowOnValues(state)).reduce((total, v) => total + v, 0);
+
+    return {
+        rnpv: Math.round(riskedRevenue - riskedCost) + pipeline,
+        probability: survival,
+        monthsToLaunch,
+        peakSales: Math.round(peakSales),
+        riskedRevenue: Math.round(riskedRevenue),
+        riskedCost: Math.round(riskedCost),
+        pipeline,
+        medicareNegotiation: Math.round(survival * (untouched - value) * discount(monthsToLaunch)),
+        phases,
+    };
+};
+
+/**
+ * A point for the value-inflection chart
+ */
+export const valuationPoint = (state: LongGameState, label: string, phaseId: string | null = null): ValuationPoint => {
+    const valuation = selectValuation(state);
+    return {
+        label,
+        phaseId,
+        color: PHASES.find(phase => phase.id === phaseId)?.color ?? '#64748b',
+        rnpv: valuation.rnpv,
+        probability: valuation.probability,
+        months: state.months,
+    };
+};
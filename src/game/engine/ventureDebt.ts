@@ -0,0 +1,120 @@
+/**
+ * VENTURE DEBT
+ *
+ * Loans drawn against the program instead of selling equity. A facility
+ * charges monthly interest on its balance, pays interest only for a
+ * while, then amortizes in equal monthly principal payments. All of it
+ * comes out of cash as program time passes. The lender also takes
+ * warrants, and holds the company to a minimum-cash covenant: a breach,
+ * or a payment the company cannot make, puts the loan in default.
+ */
+
+import { DebtFacility, DebtTerms, DebtDefault } from '@/types/Game.types';
+
+const roundMoney = (value: number): number => Math.round(value * 10) / 10;
+
+// ============================================
+// FACILITIES
+// ============================================
+
+export const drawFacility = (id: string, name: string, principal: number, terms: DebtTerms, month: number): DebtFacility => ({
+    id,
+    name,
+    terms,
+    principal,
+    balance: principal,
+    drawnAtMonth: month,
+    interestPaid: 0,
+    principalPaid: 0,
+    waiverUsed: false,
+    defaultedAtMonth: null,
+    payments: [],
+});
+
+/**
+ * Interest and principal due in one month of a facility's life
+ */
+const monthlyService = (facility: DebtFacility, balance: number, month: number): { interest: number; principal: number } => {
+    const { terms } = facility;
+    const age = month - facility.drawnAtMonth;
+    const interest = balance * terms.interestRate / 12;
+    const principal = age > terms.interestOnlyMonths
+        ? Math.min(balance, facility.principal / terms.amortizationMonths)
+        : 0;
+    return { interest, principal };
+};
+
+/**
+ * Run facilities forward from one program month to another
+ */
+export const serviceDebt = (
+    facilities: DebtFacility[],
+    fromMonth: number,
+    toMonth: number
+): { facilities: DebtFacility[]; paid: number } => {
+    let paid = 0;
+    const next = facilities.map(facility => {
+        if (facility.balance <= 0 || facility.defaultedAtMonth !== null) return facility;
+
+        let balance = facility.balance;
+        let interest = 0;
+        let principal = 0;
+        for (let month = fromMonth + 1; month <= toMonth; month++) {
+            const due = monthlyService(facility, balance, month);
+            interest += due.interest;
+            principal += due.principal;
+            balance -= due.principal;
+        }
+        if (interest === 0 && principal === 0) return facility;
+
+        interest = roundMoney(interest);
+        principal = roundMoney(principal);
+        balance = roundMoney(Math.max(0, facility.balance - principal));
+        paid += interest + principal;
+        return {
+            ...facility,
+            balance,
+            interestPaid: roundMoney(facility.interestPaid + interest),
+            principalPaid: roundMoney(facility.principalPaid + principal),
+            payments: [...facility.payments, { month: toMonth, interest, principal, balance }],
+        };
+    });
+    return { facilities: next, paid: roundMoney(paid) };
+};
+
+/**
+ * What the next stretch of months will cost in debt service
+ */
+export const projectDebtService = (facilities: DebtFacility[], fromMonth: number, months: number): number =>
+    serviceDebt(facilities, fromMonth, fromMonth + months).paid;
+
+// ============================================
+// COVENANTS
+// ============================================
+
+/**
+ * The first breach among open facilities at this cash level, if any
+ */
+export const checkCovenants = (facilities: DebtFacility[], cash: number, month: number): DebtDefault | null => {
+    const open = facilities.filter(f => f.balance > 0 && f.defaultedAtMonth === null);
+    for (const facility of open) {
+        const reason = cash < 0 ? 'payment' : cash < facility.terms.minimumCash ? 'covenant' : null;
+        if (!reason) continue;
+
+        // One waiver per facility, and only for a covenant the company can pay its way out of
+        const fee = roundMoney(facility.balance * facility.terms.waiverFee);
+        const waiverOffered = reason === 'covenant' && !facility.waiverUsed && cash >= fee;
+        return {
+            facilityId: facility.id,
+            reason,
+            month,
+            cash,
+            minimumCash: facility.terms.minimumCash,
+            waiverFee: waiverOffered ? fee : null,
+        };
+    }
+    return null;
+};
+
+export const totalDebt = (facilities: DebtFacility[]): number =>
+    roundMoney(facilities.reduce((total, f) => total + f.balance, 0));
@@ -0,0 +1,196 @@
+/**
+ * SAVE SLOTS
+ *
+ * Named save slots in localStorage for every game mode. Each save records
+ * the schema version of its state; loading runs the mode's migrations up
+ * to the current version, fills fields added since with their defaults,
+ * and validates the result against today's content, so a content update
+ * cannot hand a reducer a state it does not understand.
+ */
+
+import {
+    SaveErrorCode,
+    SaveFile,
+    SaveMode,
+    SaveSchema,
+    SaveSlotSummary,
+    SavedState,
+} from '@/types/Game.types';
+
+const KEY_PREFIX = 'the-long-game:save:';
+
+// Every mode keeps one autosave slot, overwritten at each phase gate
+export const AUTOSAVE_SLOT = 'autosave';
+
+export class SaveError extends Error {
+    code: SaveErrorCode;
+
+    constructor(code: SaveErrorCode, message: string) {
+        super(message);
+        this.name = 'SaveError';
+        this.code = code;
+    }
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+const storageKey = (mode: SaveMode, slot: string): string => `${KEY_PREFIX}${mode}:${slot}`;
+
+const getStorage = (): Storage => {
+    try {
+        if (globalThis.localStorage) return globalThis.localStorage;
+    } catch {
+        // Some browsers throw on access when storage is disabled
+    }
+    throw new SaveError('unavailable', 'Saving is not available in this browser');
+};
+
+/**
+ * Slot id for a player-chosen name; saving under the same name overwrites
+ */
+export const slotIdFor = (name: string): string =>
+    name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'untitled';
+
+const parseFile = (raw: string | null, mode: SaveMode, slot: string): SaveFile => {
+    if (raw === null) throw new SaveError('not-found', `No save in slot "${slot}"`);
+    let file: SaveFile;
+    try {
+        file = JSON.parse(raw);
+    } catch {
+        throw new SaveError('corrupt', `The save in slot "${slot}" is damaged`);
+    }
+    if (!file || file.mode !== mode || typeof file.version !== 'number' || typeof file.state !== 'object' || file.state === null) {
+        throw new SaveError('corrupt', `The save in slot "${slot}" is damaged`);
+    }
+    return file;
+};
+
+// ============================================
+// MIGRATION
+// ============================================
+
+/**
+ * Upgrade a saved state one version at a time to the schema's current version
+ */
+export const migrateState = <S>(schema: SaveSchema<S>, version: number, state: SavedState): SavedState => {
+    if (version > schema.version) {
+        throw new SaveError('too-new', 'This save was made by a newer version of the game');
+    }
+    let migrated = state;
+    for (let v = version; v < schema.version; v++) {
+        const migration = schema.migrations[v];
+        if (!migration) throw new SaveError('incompatible', `Saves from version ${v} can no longer be loaded`);
+        migrated = migration(migrated);
+    }
+    return migrated;
+};
+
+/**
+ * Turn a save file into a state the mode's reducer can resume from
+ */
+export const hydrateSave = <S>(schema: SaveSchema<S>, file: SaveFile): S => {
+    const migrated = migrateState(schema, file.version, file.state);
+    let state = { ...schema.createDefault(), ...migrated } as S;
+    if (schema.refresh) state = schema.refresh(state);
+
+    const problem = schema.validate(state);
+    if (problem) throw new SaveError('incompatible', problem);
+    return state;
+};
+
+// ============================================
+// SLOTS
+// ============================================
+
+interface WriteOptions {
+    name: string;
+    slot?: string;
+    autosave?: boolean;
+}
+
+/**
+ * Save a state, returning its slot summary. The slot defaults to one
+ * derived from the name.
+ */
+export const writeSave = <S>(schema: SaveSchema<S>, state: S, { name, slot = slotIdFor(name), autosave = false }: WriteOptions): SaveSlotSummary => {
+    const file: SaveFile = {
+        mode: schema.mode,
+        version: schema.version,
+        slot,
+        name: name.trim() || 'Untitled',
+        savedAt: Date.now(),
+        autosave,
+        summary: schema.describe(state),
+        state: state as unknown as SavedState,
+    };
+
+    try {
+        getStorage().setItem(storageKey(schema.mode, slot), JSON.stringify(file));
+    } catch (e) {
+        if (e instanceof SaveError) throw e;
+        throw new SaveError('quota', 'Browser storage is full; delete an old save and try again');
+    }
+
+    return { ...summarize(file), problem: null };
+};
+
+export const autosave = <S>(schema: SaveSchema<S>, state: S): SaveSlotSummary =>
+    writeSave(schema, state, { name: 'Autosave', slot: AUTOSAVE_SLOT, autosave: true });
+
+export const readSave = <S>(schema: SaveSchema<S>, slot: string): S =>
+    hydrateSave(schema, parseFile(getStorage().getItem(storageKey(schema.mode, slot)), schema.mode, slot));
+
+export const deleteSave = (mode: SaveMode, slot: string): void => {
+    getStorage().removeItem(storageKey(mode, slot));
+};
+
+const summarize = (file: SaveFile): Omit<SaveSlotSummary, 'problem'> => ({
+    mode: file.mode,
+    slot: file.slot,
+    name: file.name,
+    savedAt: file.savedAt,
+    autosave: file.autosave,
+    summary: file.summary,
+    version: file.version,
+});
+
+/**
+ * Every save for a mode, newest first. Saves this build cannot load are
+ * listed with the reason so the player can delete them.
+ */
+export const listSaves = <S>(schema: SaveSchema<S>): SaveSlotSummary[] => {
+    let storage: Storage;
+    try {
+        storage = getStorage();
+    } catch {
+        return [];
+    }
+
+    const prefix = storageKey(schema.mode, '');
+    const saves: SaveSlotSummary[] = [];
+
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (!key?.startsWith(prefix)) continue;
+        const slot = key.slice(prefix.length);
+        try {
+            const file = parseFile(storage.getItem(key), schema.mode, slot);
+            let problem: string | null = null;
+            try {
+                hydrateSave(schema, file);
+            } catch (e) {
+                problem = (e as Error).message;
+            }
+            saves.push({ ...summarize(file), slot, problem });
+        } catch (e) {
+            saves.push({
+                mode: schema.mode, slot, name: slot, savedAt: 0, autosave: slot === AUTOSAVE_SLOT,
+                summary: '', version: 0, problem: (e as Error).message,
+            });
+        }
+    }
+
+    return saves.sort((a, b) => b.savedAt - a.savedAt);
+};
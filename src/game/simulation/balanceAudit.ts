@@ -0,0 +1,249 @@
+/**
+ * BALANCE AUDIT
+ *
+ * Compares a batch simulation report against the industry figures the
+ * game cites (BIO 2021, Citeline, Wouters/JAMA 2020) and flags every
+ * cell where gameplay drifts further than the tolerance allows.
+ */
+
+import {
+    AuditCell,
+    AuditMetric,
+    AuditTolerances,
+    BalanceAudit,
+    PhaseSummary,
+    SimulationReport,
+} from '@/types/Game.types';
+import {
+    INDUSTRY_STATS,
+    PHASE_SUCCESS_RATES,
+    PHASE_DURATIONS,
+    PHASE_COSTS,
+    DISEASE_LOA,
+    KOLCHINSKY_FRAMEWORK,
+} from '@/game/data/balance';
+import { PHASES } from '@/game/data/phases';
+
+export const AUDIT_TOLERANCES: AuditTolerances = {
+    rate: 0.10,
+    duration: 0.25,
+    cost: 0.25,
+};
+
+// ============================================
+// PHASE BUCKETS
+// ============================================
+
+// Reference data is reported in coarser stages than either game plays;
+// each bucket lists the phase ids (from both games) that make it up
+const BUCKETS = {
+    discovery: ['basic_research', 'drug_discovery', 'lead_optimization', 'discovery'],
+    preclinical: ['ind_enabling', 'preclinical'],
+    phase1: ['phase1'],
+    phase2: ['phase2'],
+    phase3: ['phase3'],
+    regulatory: ['fda_review', 'approval'],
+};
+
+type Bucket = keyof typeof BUCKETS;
+
+const CLINICAL_BUCKETS: Bucket[] = ['phase1', 'phase2', 'phase3', 'regulatory'];
+
+const BUCKET_LABELS: Record<Bucket, string> = {
+    discovery: 'Discovery',
+    preclinical: 'Preclinical / IND',
+    phase1: 'Phase I',
+    phase2: 'Phase II',
+    phase3: 'Phase III',
+    regulatory: 'FDA Review',
+};
+
+const bucketPhases = (phases: PhaseSummary[], bucket: Bucket): PhaseSummary[] =>
+    phases.filter(p => BUCKETS[bucket].includes(p.id));
+
+// Transition rate out of a bucket: passing every phase inside it
+const bucketRate = (phases: PhaseSummary[], bucket: Bucket): number | null => {
+    const inBucket = bucketPhases(phases, bucket);
+    if (inBucket.length === 0) return null;
+    return inBucket.reduce((rate, p) => rate * p.successRate, 1);
+};
+
+const bucketMonths = (phases: PhaseSummary[], buckets: Bucket[]): number =>
+    buckets.flatMap(b => bucketPhases(phases, b)).reduce((sum, p) => sum + p.meanMonths, 0);
+
+const bucketCost = (phases: PhaseSummary[], buckets: Bucket[]): number =>
+    buckets.flatMap(b => bucketPhases(phases, b)).reduce((sum, p) => sum + p.meanCost, 0);
+
+// Likelihood of approval from Phase I entry
+const clinicalLOA = (phases: PhaseSummary[]): number | null => {
+    const rates = CLINICAL_BUCKETS.map(b => bucketRate(phases, b));
+    return rates.some(r => r === null) ? null : rates.reduce((loa: number, r) => loa * (r as number), 1);
+};
+
+// ============================================
+// DISEASE AREAS
+// ============================================
+
+// First match wins, so "Blood Cancer" and "CNS/Oncology" count as oncology
+const AREA_PATTERNS: { key: keyof typeof DISEASE_LOA; label: string; pattern: RegExp }[] = [
+    { key: 'oncology', label: 'Oncology', pattern: /oncology|cancer|tumou?r|leukemia|lymphoma|myeloma/i },
+    { key: 'rareDisease', label: 'Rare disease', pattern: /rare|genetic|orphan|atrophy|dystrophy/i },
+    { key: 'neurology', label: 'Neurology', pattern: /cns|neuro|alzheimer|parkinson/i },
+    { key: 'metabolic', label: 'Metabolic', pattern: /metabolic|diabetes|obesity/i },
+    { key: 'hematology', label: 'Hematology', pattern: /hematolog|blood|sickle|hemophilia/i },
+    { key: 'infectious', label: 'Infectious disease', pattern: /infect|viral|bacterial/i },
+];
+
+/**
+ * The DISEASE_LOA key an indication area or path name belongs to, if any
+ */
+export const diseaseAreaFor = (area: string): keyof typeof DISEASE_LOA | null =>
+    AREA_PATTERNS.find(a => a.pattern.test(area))?.key ?? null;
+
+// ============================================
+// CELLS
+// ============================================
+
+const rateCell = (label: string, simulated: number, reference: number, source: string, tolerances: AuditTolerances): AuditCell => {
+    const deviation = simulated - reference;
+    return { metric: 'rate', label, simulated, reference, source, deviation, flagged: Math.abs(deviation) > tolerances.rate };
+};
+
+const relativeCell = (
+    metric: Exclude<AuditMetric, 'rate'>,
+    label: string,
+    simulated: number,
+    reference: number,
+    source: string,
+    tolerances: AuditTolerances
+): AuditCell => {
+    const deviation = reference ? (simulated - reference) / reference : 0;
+    return { metric, label, simulated, reference, source, deviation, flagged: Math.abs(deviation) > tolerances[metric] };
+};
+
+// Inside the range counts as no deviation; outside, measure from the nearer bound
+const rangeCell = (
+    metric: Exclude<AuditMetric, 'rate'>,
+    label: string,
+    simulated: number,
+    range: { min: number; max: number },
+    source: string,
+    tolerances: AuditTolerances
+): AuditCell => {
+    const deviation = simulated < range.min
+        ? (simulated - range.min) / range.min
+        : simulated > range.max ? (simulated - range.max) / range.max : 0;
+    return {
+        metric,
+        label,
+        simulated,
+        reference: (range.min + range.max) / 2,
+        referenceRange: range,
+        source,
+        deviation,
+        flagged: Math.abs(deviation) > tolerances[metric],
+    };
+};
+
+const yearsToMonths = (range: { min: number; max: number }) => ({ min: range.min * 12, max: range.max * 12 });
+
+// ============================================
+// AUDIT
+// ============================================
+
+const BIO_RATES: Partial<Record<Bucket, number>> = {
+    phase1: PHASE_SUCCESS_RATES.phaseI_to_II,
+    phase2: PHASE_SUCCESS_RATES.phaseII_to_III,
+    phase3: PHASE_SUCCESS_RATES.phaseIII_to_NDA,
+    regulatory: PHASE_SUCCESS_RATES.NDA_to_approval,
+};
+
+// Citeline rates live on the Long Journey phase data as whole percentages
+const citelineRate = (bucket: Bucket): number | null => {
+    const phase = PHASES.find(p => BUCKETS[bucket].includes(p.id) && p.realSuccessRate !== null);
+    return phase?.realSuccessRate != null ? phase.realSuccessRate / 100 : null;
+};
+
+const DURATION_REFERENCES: Partial<Record<Bucket, { min: number; max: number; avg: number }>> = {
+    phase1: PHASE_DURATIONS.phaseI,
+    phase2: PHASE_DURATIONS.phaseII,
+    phase3: PHASE_DURATIONS.phaseIII,
+    regulatory: PHASE_DURATIONS.regulatory,
+};
+
+/**
+ * Audit a simulation report against the cited reference data
+ */
+export const auditBalance = (report: SimulationReport, tolerances: AuditTolerances = AUDIT_TOLERANCES): BalanceAudit => {
+    const { phases } = report;
+    const cells: AuditCell[] = [];
+
+    // Transition rates
+    CLINICAL_BUCKETS.forEach(bucket => {
+        const simulated = bucketRate(phases, bucket);
+        if (simulated === null) return;
+        const label = BUCKET_LABELS[bucket];
+        const bio = BIO_RATES[bucket];
+        const citeline = citelineRate(bucket);
+        if (bio !== undefined) cells.push(rateCell(label, simulated, bio, 'BIO 2021', tolerances));
+        if (citeline !== null) cells.push(rateCell(label, simulated, citeline, 'Citeline 2014-2023', tolerances));
+    });
+
+    const loa = clinicalLOA(phases);
+    if (loa !== null) {
+        cells.push(rateCell('Phase I to approval', loa, INDUSTRY_STATS.overallSuccessRate, 'BIO 2021', tolerances));
+    }
+
+    // Approval odds by disease area, pooling every area that maps to the same key
+    const areaLOA: Partial<Record<keyof typeof DISEASE_LOA, { loa: number; runs: number }[]>> = {};
+    Object.entries(report.phasesByArea).forEach(([area, areaPhases]) => {
+        const key = diseaseAreaFor(area);
+        const value = clinicalLOA(areaPhases);
+        const entered = bucketPhases(areaPhases, 'phase1')[0]?.entered ?? 0;
+        if (key && value !== null && entered > 0) (areaLOA[key] ||= []).push({ loa: value, runs: entered });
+    });
+    AREA_PATTERNS.forEach(({ key, label }) => {
+        const groups = areaLOA[key];
+        if (!groups) return;
+        const runs = groups.reduce((sum, g) => sum + g.runs, 0);
+        const simulated = groups.reduce((sum, g) => sum + g.loa * g.runs, 0) / runs;
+        cells.push(rateCell(`${label} LOA`, simulated, DISEASE_LOA[key], 'BIO 2021', tolerances));
+    });
+
+    // Durations, in months
+    cells.push(rangeCell('duration', 'Discovery to IND', bucketMonths(phases, ['discovery', 'preclinical']),
+        yearsToMonths(PHASE_DURATIONS.discovery), 'BIO 2021', tolerances));
+    CLINICAL_BUCKETS.forEach(bucket => {
+        const reference = DURATION_REFERENCES[bucket];
+        if (!reference || bucketPhases(phases, bucket).length === 0) return;
+        cells.push(relativeCell('duration', BUCKET_LABELS[bucket], bucketMonths(phases, [bucket]),
+            reference.avg * 12, 'BIO 2021', tolerances));
+    });
+    cells.push(relativeCell('duration', 'Phase I to approval', bucketMonths(phases, CLINICAL_BUCKETS),
+        INDUSTRY_STATS.averageTimeToApproval * 12, 'BIO 2021', tolerances));
+
+    // Costs, in $M per program entering the stage
+    cells.push(rangeCell('cost', 'Discovery', bucketCost(phases, ['discovery']),
+        PHASE_COSTS.discovery.total, 'Wouters (JAMA 2020)', tolerances));
+    cells.push(rangeCell('cost', 'Preclinical / IND', bucketCost(phases, ['preclinical']),
+        PHASE_COSTS.preclinical.total, 'Wouters (JAMA 2020)', tolerances));
+    cells.push(rangeCell('cost', 'Phase I-III', bucketCost(phases, ['phase1', 'phase2', 'phase3']),
+        PHASE_COSTS.clinical.total, 'Wouters (JAMA 2020)', tolerances));
+    cells.push(rangeCell('cost', 'FDA Review', bucketCost(phases, ['regulatory']),
+        PHASE_COSTS.regulatory.total, 'Wouters (JAMA 2020)', tolerances));
+
+    // Everything spent across all runs, failures included, per approval
+    const approvals = report.overall.runs * report.overall.approvalRate;
+    if (approvals > 0) {
+        const spent = phases.reduce((sum, p) => sum + p.meanCost * p.entered, 0);
+        cells.push(relativeCell('cost', 'Out-of-pocket cost per approval', spent / approvals,
+            KOLCHINSKY_FRAMEWORK.outOfPocketCost, 'Kolchinsky', tolerances));
+    }
+
+    return {
+        runs: report.overall.runs,
+        tolerances,
+        cells,
+        flaggedCount: cells.filter(c => c.flagged).length,
+    };
+};
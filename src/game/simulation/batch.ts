@@ -0,0 +1,128 @@
+/**
+ * BATCH SIMULATION
+ *
+ * Runs many bot-driven games and summarizes the outcome distributions.
+ * Pure and synchronous, so the same code runs in a Web Worker
+ * (simulation.worker.ts) and from Node (scripts/simulate.js).
+ */
+
+import {
+    SimulationConfig,
+    SimulationReport,
+    RunOutcome,
+    Distribution,
+    OutcomeSummary,
+    PhaseSummary,
+} from '@/types/Game.types';
+import { runLongGame } from '@/game/simulation/longGameRunner';
+import { runPathGame } from '@/game/simulation/pathGameRunner';
+
+// Progress is reported every this many runs
+const PROGRESS_INTERVAL = 100;
+
+// ============================================
+// STATISTICS
+// ============================================
+
+const percentile = (sorted: number[], p: number): number => {
+    if (sorted.length === 0) return 0;
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+    return sorted[index];
+};
+
+export const describe = (values: number[]): Distribution => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const total = sorted.reduce((sum, v) => sum + v, 0);
+    return {
+        mean: sorted.length ? total / sorted.length : 0,
+        p10: percentile(sorted, 0.1),
+        p50: percentile(sorted, 0.5),
+        p90: percentile(sorted, 0.9),
+    };
+};
+
+export const summarize = (runs: RunOutcome[]): OutcomeSummary => ({
+    runs: runs.length,
+    approvalRate: runs.length ? runs.filter(r => r.approved).length / runs.length : 0,
+    victoryRate: runs.length ? runs.filter(r => r.victory).length / runs.length : 0,
+    months: describe(runs.map(r => r.months)),
+    capitalInvested: describe(runs.map(r => r.capitalInvested)),
+    dilution: describe(runs.map(r => r.dilution)),
+});
+
+const groupBy = (runs: RunOutcome[], key: (run: RunOutcome) => string): Record<string, OutcomeSummary> => {
+    const groups: Record<string, RunOutcome[]> = {};
+    runs.forEach(run => {
+        (groups[key(run)] ||= []).push(run);
+    });
+    return Object.fromEntries(Object.entries(groups).map(([name, group]) => [name, summarize(group)]));
+};
+
+/**
+ * Per-phase attrition, time and cost, in the order phases were played
+ */
+export const summarizePhases = (runs: RunOutcome[]): PhaseSummary[] => {
+    const order: string[] = [];
+    const totals: Record<string, { entered: number; passed: number; months: number; cost: number }> = {};
+
+    runs.forEach(run => run.phases.forEach(phase => {
+        if (!totals[phase.id]) {
+            order.push(phase.id);
+            totals[phase.id] = { entered: 0, passed: 0, months: 0, cost: 0 };
+        }
+        const t = totals[phase.id];
+        t.entered += 1;
+        t.passed += phase.passed ? 1 : 0;
+        t.months += phase.months;
+        t.cost += phase.cost;
+    }));
+
+    return order.map(id => {
+        const t = totals[id];
+        return {
+            id,
+            entered: t.entered,
+            passed: t.passed,
+            successRate: t.passed / t.entered,
+            meanMonths: t.months / t.entered,
+            meanCost: t.cost / t.entered,
+        };
+    });
+};
+
+// ============================================
+// RUNNER
+// ============================================
+
+export const runOne = (config: SimulationConfig, seed: number): RunOutcome =>
+    config.game === 'path'
+        ? runPathGame({ seed, strategy: config.strategy })
+        : runLongGame({ seed, strategy: config.strategy, gateRules: config.gateRules, portfolioSize: config.portfolioSize });
+
+/**
+ * Play config.runs games and build the report. A run the action limit
+ * stopped has no outcome, so it is listed on its own rather than summarized.
+ */
+export const runBatch = (config: SimulationConfig, onProgress?: (done: number) => void): SimulationReport => {
+    const played: RunOutcome[] = [];
+
+    for (let i = 0; i < config.runs; i++) {
+        played.push(runOne(config, (config.seed + i) >>> 0));
+        if (onProgress && (i + 1) % PROGRESS_INTERVAL === 0) onProgress(i + 1);
+    }
+    const runs = played.filter(r => !r.capped);
+
+    return {
+        config,
+        cappedSeeds: played.filter(r => r.capped).map(r => r.seed),
+        overall: summarize(runs),
+        byModality: groupBy(runs, r => r.modality),
+        byMarketSize: groupBy(runs, r => r.marketSize),
+        byInnovation: groupBy(runs, r => r.innovation),
+        byArea: groupBy(runs, r => r.area),
+        phases: summarizePhases(runs),
+        phasesByArea: Object.fromEntries(
+            [...new Set(runs.map(r => r.area))].map(area => [area, summarizePhases(runs.filter(r => r.area === area))])
+        ),
+    };
+};
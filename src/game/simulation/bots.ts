@@ -0,0 +1,50 @@
+/**
+ * SIMULATION BOTS
+ *
+ * Strategy bots that stand in for the player during batch simulation.
+ * Both games describe their choices as cost/risk pairs so one bot can
+ * play either of them.
+ */
+
+import { BotStrategy } from '@/types/Game.types';
+import { Rng } from '@/game/engine/random';
+
+// ============================================
+// TYPES
+// ============================================
+
+export interface BotOption {
+    cost: number;   // $M the option spends (negative = brings cash in)
+    risk: number;   // Risk it adds (negative = de-risks)
+}
+
+export const BOT_STRATEGIES: { id: BotStrategy; name: string; description: string }[] = [
+    { id: 'cheapest', name: 'Always Cheapest', description: 'Picks the option that spends the least cash' },
+    { id: 'lowest-risk', name: 'Always Lowest Risk', description: 'Picks the option that adds the least risk' },
+    { id: 'random', name: 'Random', description: 'Picks any option with equal chance' },
+];
+
+// ============================================
+// CHOICE
+// ============================================
+
+const indexOfMin = (options: BotOption[], score: (option: BotOption) => number): number =>
+    options.reduce((best, option, i) => (score(option) < score(options[best]) ? i : best), 0);
+
+/**
+ * Pick an option index. Ties go to the earlier option; the secondary
+ * measure breaks ties between equally cheap or equally safe options.
+ */
+export const chooseOption = (strategy: BotStrategy, options: BotOption[], rng: Rng): number => {
+    if (options.length === 0) return -1;
+
+    switch (strategy) {
+        case 'cheapest':
+            return indexOfMin(options, o => o.cost * 1000 + o.risk);
+        case 'lowest-risk':
+            return indexOfMin(options, o => o.risk * 1000 + o.cost);
+        case 'random':
+        default:
+            return rng.int(options.length);
+    }
+};
@@ -0,0 +1,272 @@
+/**
+ * LONG GAME RUNNER
+ *
+ * Plays one game of The Long Journey headlessly through longGameReducer,
+ * with a strategy bot making every choice the player would make. A
+ * portfolio company sets up each of its programs the same way and plays
+ * them from the board quarter by quarter.
+ */
+
+import { BotStrategy, GateRules, Indication, LongGameState, PortfolioProgram, RunOutcome, SimulatedPhase, TrialDesign, TrialDesignField } from '@/types/Game.types';
+import { longGameReducer, createInitialLongGameState, LongGameAction } from '@/game/engine/LongGameReducer';
+import { selectAvailableAlternatives, selectHasMoreRounds } from '@/game/engine/selectors';
+import { createRng, Rng } from '@/game/engine/random';
+import { PHASES } from '@/game/data/phases';
+import { MODALITY_DATA } from '@/game/data/modalities';
+import { MARKET_SIZE_DATA, INNOVATION_DATA, INDICATIONS_BY_TYPE, INDICATIONS } from '@/game/data/strategy';
+import { TRIAL_PHASES, TRIAL_DESIGN_CHOICES } from '@/game/data/trialDesign';
+import { selectTrialPlan, trialDesignRisk } from '@/game/engine/trialDesign';
+import { programView, selectCompanyMonths, selectNextReadout, selectReadyPrograms } from '@/game/engine/portfolio';
+import { selectLaunchRoyaltyOffer, selectNextLaunchQuarter } from '@/game/engine/launch';
+import { chooseOption } from '@/game/simulation/bots';
+
+// Safety net against a rules change that stops the game from ending, per program
+const MAX_ACTIONS = 1000;
+
+// Screens a game is still being played on
+const PLAYING_SCREENS: LongGameState['screen'][] = ['phase', 'portfolio', 'launch'];
+
+// Phases of a single-asset run are recorded under this id; a portfolio uses its program ids
+const SINGLE_PROGRAM = 'program';
+
+// Designs a bot can run, as changes to the standard design: the standard
+// trial, a lean one sized on an optimistic effect, or one the DSMB watches
+const BOT_TRIAL_DESIGNS: Partial<TrialDesign>[] = [
+    {},
+    { effectSize: 'optimistic', power: 'p70' },
+    { looks: 'two', futility: 'lenient', sampleSize: 'reestimate' },
+];
+
+const TRIAL_DESIGN_FIELDS: TrialDesignField[] = TRIAL_DESIGN_CHOICES.map(choice => choice.field);
+
+// Financing actions bring cash in; they do not count as phase spending
+const FINANCING_ACTIONS: LongGameAction['type'][] = ['RAISE_NEXT_ROUND', 'SELECT_ALTERNATIVE_FINANCING', 'TAKE_VENTURE_DEBT'];
+
+// ============================================
+// BOT DECISIONS
+// ============================================
+
+/**
+ * The bot's move on the portfolio board. Every program is funded while
+ * the company can still raise; once the rounds run out it backs its most
+ * advanced program alone.
+ */
+const boardAction = (state: LongGameState): LongGameAction => {
+    const running = state.portfolio!.programs.filter(p => p.status === 'running');
+    const stage = (program: PortfolioProgram) => programView(state, program).currentPhaseIndex;
+    const lead = running.reduce((best, p) => stage(p) > stage(best) ? p : best, running[0]);
+    const backed = selectHasMoreRounds(state) ? running : [lead];
+
+    const shelve = running.find(p => p.allocation === 'fund' && !backed.includes(p));
+    if (shelve) return { type: 'SET_ALLOCATION', programId: shelve.id, allocation: 'pause' };
+    // A program paused for cash is funded again once nothing else is
+    const resume = backed.find(p => p.allocation === 'pause');
+    if (resume && selectNextReadout(state) === null) return { type: 'SET_ALLOCATION', programId: resume.id, allocation: 'fund' };
+    return selectReadyPrograms(state).length > 0 ? { type: 'PLAY_QUARTER' } : { type: 'SKIP_TO_READOUT' };
+};
+
+/**
+ * The action a player would take next on the current screen
+ */
+const nextAction = (state: LongGameState, strategy: BotStrategy, rng: Rng): LongGameAction => {
+    if (state.debtDefault) {
+        // Buy time with a waiver whenever the lender offers one
+        return state.debtDefault.waiverFee !== null ? { type: 'NEGOTIATE_WAIVER' } : { type: 'ACCEPT_DEFAULT' };
+    }
+
+    // Bots play for approval, so every exit is turned down
+    if (state.exitOffer) return { type: 'DECLINE_EXIT' };
+
+    if (state.showAlternativeFinancing) {
+        // Take the largest available cheque
+        const alternatives = selectAvailableAlternatives(state);
+        if (alternatives.length === 0) return { type: 'DECLINE_ALTERNATIVE_FINANCING' };
+        const largest = alternatives.reduce((best, alt) => (alt.amount > best.amount ? alt : best));
+        return { type: 'SELECT_ALTERNATIVE_FINANCING', financingId: largest.id };
+    }
+
+    if (state.showFinancingScreen) {
+        return state.financingResult ? { type: 'ACKNOWLEDGE_FINANCING' } : { type: 'RAISE_NEXT_ROUND' };
+    }
+
+    if (state.screen === 'launch') {
+        // Bots launch with the default sales force and payer terms, selling
+        // the royalty only when a quarter would otherwise run out of cash
+        const next = selectNextLaunchQuarter(state)!;
+        return state.cash + next.profit < 0 && selectLaunchRoyaltyOffer(state) !== null
+            ? { type: 'SELL_LAUNCH_ROYALTY' }
+            : { type: 'PLAY_LAUNCH_QUARTER' };
+    }
+
+    if (state.screen === 'portfolio') return boardAction(state);
+
+    switch (state.phaseStep) {
+        case 0.5: {
+            // Bots pick a design, then apply it a choice at a time
+            const phaseId = PHASES[state.currentPhaseIndex].id;
+            const design = state.trialDesigns[phaseId];
+            const standard = TRIAL_PHASES[phaseId]?.standard;
+            if (!design || !standard) return { type: 'CONFIRM_TRIAL_DESIGN' };
+            const changed = TRIAL_DESIGN_FIELDS.filter(field => design[field] !== standard[field]);
+            const target = changed.length === 0
+                ? BOT_TRIAL_DESIGNS[chooseOption(strategy, BOT_TRIAL_DESIGNS.map(preset => {
+                    const candidate = { ...standard, ...preset };
+                    const plan = selectTrialPlan(state, candidate, phaseId);
+                    return { cost: plan.expectedCost, risk: trialDesignRisk(candidate) - plan.probability * 100 };
+                }), rng)]
+                : BOT_TRIAL_DESIGNS.find(preset => changed.every(field => preset[field] === design[field]));
+            const field = TRIAL_DESIGN_FIELDS.find(f => target?.[f] !== undefined && target[f] !== design[f]);
+            return field && target ? { type: 'SET_TRIAL_DESIGN', field, value: target[field] as string } : { type: 'CONFIRM_TRIAL_DESIGN' };
+        }
+
+        case 1: {
+            if (state.questionResult || !state.currentQuestion) return { type: 'CONTINUE_AFTER_QUESTION' };
+            const options = state.currentQuestion.options.map(option => ({
+                cost: -(option.cashEffect || 0),
+                risk: (option.efficacyEffect || 0) + (option.safetyEffect || 0) + (option.designEffect || 0) - (option.riskBonus || 0) * 100,
+            }));
+            return { type: 'ANSWER_QUESTION', optionIndex: chooseOption(strategy, options, rng) };
+        }
+
+        case 2:
+            return state.currentEvent ? { type: 'ACKNOWLEDGE_EVENT' } : { type: 'ADVANCE_STEP' };
+
+        case 2.5: {
+            if (state.policyResult || !state.currentPolicy) return { type: 'CONTINUE_AFTER_POLICY' };
+            // Policy choices carry no cost or risk, only a market effect
+            const choices = state.currentPolicy.options;
+            const index = strategy === 'random' ? rng.int(choices.length) : 0;
+            return { type: 'ANSWER_POLICY', value: choices[index].value };
+        }
+
+        case 2.7:
+            return { type: 'ACKNOWLEDGE_IRA' };
+
+        case 2.9:
+            return { type: 'ACKNOWLEDGE_DSMB' };
+
+        case 3:
+            return state.gateResult ? { type: 'ADVANCE_STEP' } : { type: 'ROLL_GATE' };
+
+        default:
+            return { type: 'ADVANCE_STEP' };
+    }
+};
+
+// ============================================
+// RUN
+// ============================================
+
+export interface LongGameRunOptions {
+    seed: number;
+    strategy: BotStrategy;
+    gateRules?: GateRules;
+    portfolioSize?: number;         // Programs to run at once; 1 plays a single asset
+}
+
+interface ProgramSetup {
+    modality: string;
+    marketSize: string;
+    innovation: string;
+    indication: Indication;
+}
+
+/**
+ * Set up the next program with choices drawn from the bot's generator
+ */
+const setUpProgram = (state: LongGameState, botRng: Rng): { state: LongGameState; setup: ProgramSetup } => {
+    const modality = botRng.pick(Object.keys(MODALITY_DATA));
+    const marketSize = botRng.pick(Object.keys(MARKET_SIZE_DATA));
+    const innovation = botRng.pick(Object.keys(INNOVATION_DATA));
+    let next = longGameReducer(state, { type: 'SELECT_MODALITY', modality });
+    next = longGameReducer(next, { type: 'SELECT_MARKET_SIZE', marketSize });
+    next = longGameReducer(next, { type: 'SELECT_INNOVATION', innovation });
+    const indication = botRng.pick(INDICATIONS_BY_TYPE[marketSize] || INDICATIONS);
+    next = longGameReducer(next, { type: 'SELECT_INDICATION', indication });
+    return { state: next, setup: { modality, marketSize, innovation, indication } };
+};
+
+/**
+ * One program's fields, whether it is on screen or parked on the board
+ */
+const programState = (state: LongGameState, id: string): LongGameState => {
+    const program = state.portfolio?.programs.find(p => p.id === id);
+    return program ? programView(state, program) : state;
+};
+
+const enterPhase = (phases: SimulatedPhase[], index: number) => phases.push({ id: PHASES[index].id, passed: false, months: 0, cost: 0 });
+
+/**
+ * Play one full game. Setup choices are drawn from the bot's own
+ * generator so the game's seeded sequence matches a human run.
+ */
+export const runLongGame = ({ seed, strategy, gateRules = 'teaching', portfolioSize = 1 }: LongGameRunOptions): RunOutcome => {
+    const botRng = createRng(seed ^ 0x5bd1e995);
+    let state = longGameReducer(createInitialLongGameState(seed, gateRules), { type: 'START_GAME', seed, gateRules });
+    if (portfolioSize > 1) state = longGameReducer(state, { type: 'SET_PORTFOLIO_SIZE', size: portfolioSize });
+
+    const setups: ProgramSetup[] = [];
+    while (state.screen === 'setup_modality') {
+        const program = setUpProgram(state, botRng);
+        state = program.state;
+        setups.push(program.setup);
+    }
+
+    // Per-phase time and spending, by program
+    const ids = state.portfolio ? state.portfolio.programs.map(p => p.id) : [SINGLE_PROGRAM];
+    const phases: Record<string, SimulatedPhase[]> = Object.fromEntries(ids.map(id => [id, []]));
+    ids.forEach(id => enterPhase(phases[id], programState(state, id).currentPhaseIndex));
+
+    for (let i = 0; i < MAX_ACTIONS * ids.length && PLAYING_SCREENS.includes(state.screen); i++) {
+        const action = nextAction(state, strategy, botRng);
+        const next = longGameReducer(state, action);
+        // The board and the launch are not development phases; company overhead
+        // paid between a portfolio's turns is not charged to any of them
+        const id = state.portfolio ? state.portfolio.activeId : SINGLE_PROGRAM;
+        if (state.screen !== 'phase' || !id) {
+            state = next;
+            continue;
+        }
+
+        const before = programState(state, id);
+        const after = programState(next, id);
+        const program = phases[id];
+        const current = program[program.length - 1];
+        current.months += after.months - before.months;
+        if (!FINANCING_ACTIONS.includes(action.type)) {
+            current.cost += state.cash - next.cash;
+        }
+
+        if (after.gateResult?.success) current.passed = true;
+        if (after.currentPhaseIndex !== before.currentPhaseIndex) enterPhase(program, after.currentPhaseIndex);
+        state = next;
+    }
+
+    // Patient access has no gate; reaching the market clears it
+    ids.forEach(id => {
+        const approved = state.portfolio ? state.portfolio.programs.find(p => p.id === id)!.status === 'approved' : !!state.launch;
+        if (approved) phases[id][phases[id].length - 1].passed = true;
+    });
+    const completed = state.screen === 'victory';
+
+    // Approval is clearing FDA review, even if the program stumbles after launch
+    const approved = Object.values(phases).some(program => program.some(phase => phase.id === 'fda_review' && phase.passed));
+
+    // A portfolio is grouped by the program it was founded on
+    const [first] = setups;
+    return {
+        seed,
+        approved,
+        victory: completed,
+        capped: PLAYING_SCREENS.includes(state.screen),
+        months: selectCompanyMonths(state),
+        capitalInvested: state.capitalInvested,
+        dilution: state.totalDilution,
+        failedPhase: completed ? null : PHASES[state.currentPhaseIndex].id,
+        modality: first.modality,
+        marketSize: first.marketSize,
+        innovation: first.innovation,
+        area: first.indication.area,
+        phases: Object.values(phases).flat(),
+    };
+};
@@ -0,0 +1,101 @@
+/**
+ * PATH GAME RUNNER
+ *
+ * Plays one game of the 6-path system headlessly through pathGameReducer,
+ * following the same turn order as PathGameScreen.advanceTurn.
+ */
+
+import { BotStrategy, PathGameState, RunOutcome, SimulatedPhase } from '@/types/Game.types';
+import {
+    pathGameReducer,
+    createInitialPathState,
+    shouldTriggerFunding,
+    calculateFundingTerms,
+    PathGameAction,
+} from '@/game/engine/PathGameReducer';
+import { createRng } from '@/game/engine/random';
+import { GAME_PATHS } from '@/game/data/paths';
+import { chooseOption } from '@/game/simulation/bots';
+
+// Safety net against a rules change that stops the game from ending
+const MAX_TURNS = 400;
+
+const monthsElapsed = (state: PathGameState): number => (state.currentYear * 4 + state.currentQuarter - 1) * 3;
+
+/**
+ * Play one full game on a randomly chosen path
+ */
+export const runPathGame = ({ seed, strategy }: { seed: number; strategy: BotStrategy }): RunOutcome => {
+    const botRng = createRng(seed ^ 0x5bd1e995);
+    const path = botRng.pick(Object.values(GAME_PATHS));
+
+    let state = pathGameReducer(createInitialPathState(seed), { type: 'SELECT_PATH', pathId: path.id, seed });
+    let raised = state.capital;
+
+    const phases: SimulatedPhase[] = [{ id: state.currentPhase, passed: false, months: 0, cost: 0 }];
+
+    const apply = (action: PathGameAction) => {
+        const next = pathGameReducer(state, action);
+        const current = phases[phases.length - 1];
+
+        current.months += monthsElapsed(next) - monthsElapsed(state);
+        if (action.type === 'COMPLETE_FUNDING_ROUND') {
+            raised += action.raised;
+        } else {
+            current.cost += state.capital - next.capital;
+        }
+
+        if (next.currentPhase !== state.currentPhase || next.status === 'victory') {
+            current.passed = true;
+            if (next.currentPhase !== state.currentPhase) {
+                phases.push({ id: next.currentPhase, passed: false, months: 0, cost: 0 });
+            }
+        }
+        state = next;
+    };
+
+    for (let turn = 0; turn < MAX_TURNS && state.status === 'playing'; turn++) {
+        if (state.pendingEvent) {
+            const event = state.pendingEvent;
+            const options = event.choices.map(choice => ({
+                cost: choice.cost,
+                risk: -(choice.confidence || 0) + choice.timeImpact * 4,
+            }));
+            apply({ type: 'RESOLVE_EVENT', choiceId: event.choices[chooseOption(strategy, options, botRng)].id, event });
+            continue;
+        }
+
+        // Funding first, on standard terms
+        const roundId = shouldTriggerFunding(state);
+        if (roundId) {
+            const terms = calculateFundingTerms(roundId, state.investorConfidence);
+            apply({ type: 'COMPLETE_FUNDING_ROUND', roundId, raised: terms.raise, dilution: terms.dilution });
+            continue;
+        }
+
+        if (state.phaseProgress >= 100) {
+            apply({ type: 'ADVANCE_PHASE' });
+        } else {
+            apply({ type: 'ADVANCE_TIME', quarters: 1 });
+        }
+        apply({ type: 'DRAW_EVENT' });
+    }
+
+    const approved = state.status === 'victory';
+
+    return {
+        seed,
+        approved,
+        victory: approved,
+        capped: state.status === 'playing',
+        months: monthsElapsed(state),
+        capitalInvested: raised,
+        dilution: Math.round((1 - state.founderOwnership) * 1000) / 10,
+        failedPhase: approved ? null : state.currentPhase,
+        modality: path.modality,
+        marketSize: path.tier,
+        innovation: path.tier === 'first-in-class' ? 'first-in-class' : 'follow-on',
+        area: path.name,
+        phases,
+    };
+};
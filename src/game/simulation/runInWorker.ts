@@ -0,0 +1,33 @@
+/**
+ * Browser entry point for batch simulation: runs the batch in a Web Worker
+ * and resolves with the report.
+ */
+
+import { SimulationConfig, SimulationReport } from '@/types/Game.types';
+
+type WorkerMessage =
+    | { type: 'progress'; done: number }
+    | { type: 'done'; report: SimulationReport };
+
+export const runBatchInWorker = (
+    config: SimulationConfig,
+    onProgress?: (done: number) => void
+): Promise<SimulationReport> =>
+    new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./simulation.worker.ts', import.meta.url), { type: 'module' });
+
+        worker.onmessage = (e: MessageEvent<WorkerMessage>) => {
+            if (e.data.type === 'progress') {
+                onProgress?.(e.data.done);
+                return;
+            }
+            worker.terminate();
+            resolve(e.data.report);
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            reject(new Error(e.message));
+        };
+
+        worker.postMessage(config);
+    });
@@ -0,0 +1,14 @@
+/**
+ * SIMULATION WORKER
+ *
+ * Runs a batch off the main thread. Post a SimulationConfig; the worker
+ * answers with progress messages and then the finished report.
+ */
+
+import { SimulationConfig } from '@/types/Game.types';
+import { runBatch } from '@/game/simulation/batch';
+
+self.onmessage = (e: MessageEvent<SimulationConfig>) => {
+    const report = runBatch(e.data, done => self.postMessage({ type: 'progress', done }));
+    self.postMessage({ type: 'done', report });
+};
@@ -285,6 +285,7 @@ export interface GameState {
     founderOwnership: number;          // Current founder ownership % (0-1)
     fundingRoundsCompleted: string[];  // Which rounds have been completed
     fundingHistory: FundingEvent[];    // Log of all funding events
+    capTable: CapTable;                // Shares behind founderOwnership
     pendingFundingRound: string | null; // Current funding round being offered
 }
 
@@ -341,7 +342,6 @@ export type GameAction =
     | { type: 'RETURN_TO_SPACE'; spaceId: number }
     | { type: 'GAME_OVER'; reason: string }
     | { type: 'VICTORY' }
-    | { type: 'SAVE_GAME' }
     | { type: 'LOAD_GAME'; state: GameState }
     // Shadow Program Actions
     | { type: 'SHADOW_PROGRAM_FAILED'; programId: string; cost: number }
@@ -434,6 +434,10 @@ export interface FundingRoundDef {
     dilution: { min: number; max: number };
     investorExpectation: string;
     targetMultiple: string;
+    shareClass?: EquityClass;       // Defaults to preferred; rounds with no dilution are non-dilutive
+    liquidationPreference?: number; // Multiple of the amount invested; defaults to 1x for preferred
+    holderKind?: HolderKind;        // Defaults to investor
+    convertsPreferred?: boolean;    // IPO: preferred converts to common before the round
 }
 
 // ============================================
@@ -492,6 +496,7 @@ export interface PathGameState {
     // Funding & Ownership
     founderOwnership: number;
     fundingRoundsCompleted: string[];
+    capTable: CapTable;
 
     // Investor confidence (affects funding terms)
     investorConfidence: number;
@@ -507,6 +512,10 @@ export interface PathGameState {
     // Game status
     status: 'path-selection' | 'playing' | 'victory' | 'defeat';
     defeatReason?: string;
+
+    // Seeded randomness (see engine/random)
+    seed: number;
+    rngState: number;
 }
 
 export interface CompletedEvent {
@@ -515,3 +524,1286 @@ export interface CompletedEvent {
     year: number;
     outcome: string;
 }
+
+// ============================================
+// THE LONG JOURNEY - CONTENT TYPES
+// ============================================
+
+export interface ModalityProfile {
+    displayName: string;
+    description: string;
+    dominantFailure: string;
+    failureModes: string[];
+    biologyRisk: string;
+    chemistryRisk: string;
+    deliveryRisk: string;
+    safetyRisk: string;
+    translationalRisk: string;
+    goNoGoBiomarker: string;
+    commonFailureSignal: string;
+    keyDrivers: string[];
+    biggestCapitalSinks: string[];
+    platformEffect: string;
+    speedUps: string[];
+    bestFitDiseases: string[];
+    poorFitDiseases: string[];
+    timeline: string;
+    capitalRange: string;
+}
+
+export type ModalityPhaseContext = Record<string, {
+    description?: string;
+    context: string;
+    activities: string[];
+}>;
+
+export interface ModalityFailureMode {
+    earlyPhase: string;
+    latePhase: string;
+    commonIssue: string;
+}
+
+export type RiskType = 'efficacy' | 'safety' | 'design';
+
+export interface ModalityFit {
+    penalty: number;
+    reason: string;
+    riskType?: RiskType;
+}
+
+export interface ProgramFit {
+    modifier: number;
+    note: string;
+    riskType?: RiskType;
+}
+
+export interface AccessChallenge {
+    typicalPrice: string;
+    coverageTier: string;
+    patientCopay: string;
+    accessChallenge: string;
+    insuranceReality: string;
+    uniqueIssue: string;
+    question: {
+        context: string;
+        options: DecisionOption[];
+    };
+}
+
+export interface Platform {
+    name: string;
+    pipeline: string;
+    followOns: number;              // Follow-on programs the platform can spawn
+}
+
+// What a follow-on program inherits from the lead's validated platform
+export interface PlatformLeverage {
+    costSaving: number;             // Share of each phase budget already paid for by the lead
+    timeSaving: number;             // Share of each phase's duration saved
+    riskCredit: number;             // Added to the odds of every follow-on gate
+    inherits: string[];             // De-risked work carried over
+}
+
+export type FollowOnStatus = 'active' | 'failed' | 'approved';
+
+// A program spun out of the platform once the lead is IND-ready
+export interface FollowOnProgram {
+    id: string;
+    name: string;
+    indication: string;
+    phaseIndex: number;             // Phase the program is working through
+    status: FollowOnStatus;
+    launchedAtMonth: number;
+    spent: number;                  // $M
+    waiting: boolean;               // Held at its phase because the lead needed the cash
+}
+
+export type RivalStatus = 'active' | 'failed' | 'approved';
+
+// Another sponsor's program in the same indication (see engine/competitors)
+export interface RivalProgram {
+    id: string;
+    sponsor: string;
+    name: string;
+    phaseIndex: number;             // Phase the program is working through
+    status: RivalStatus;
+    readoutAt: number;              // Program month its current phase reads out
+    pace: number;                   // Its phase lengths against PHASES baseMonths
+    endedAt: number | null;         // Program month it failed or launched
+    marketEffect: number;           // What its launch or failure did to our marketMultiplier
+}
+
+// Who is already racing in the indication, by innovation position
+export interface RivalField {
+    count: { min: number; max: number };
+    startPhases: string[];          // Phases rivals may be in when we start
+    marketed: number;               // Rivals already on the market, priced into the position
+}
+
+export interface LongGamePhase {
+    id: string;
+    name: string;
+    color: string;
+    duration: string;
+    baseMonths: number;
+    cost: string;
+    baseCost: number;
+    overhead: number;       // G&A per month ($M) while the phase runs
+    realSuccessRate: number | null;
+    description: string;
+    context: string;
+    activities: string[];
+}
+
+export interface FailureReason {
+    primary: string;
+    details: string;
+    endpoint: string;               // Stands in when no trial read out on patients (see engine/trialReadout)
+    successRate?: string;
+}
+
+export interface DecisionOption {
+    text: string;
+    detail?: string;
+    cashEffect?: number;
+    timeEffect?: number;
+    riskBonus?: number;
+    marketBonus?: number;
+    revenueEffect?: number;
+    efficacyEffect?: number;
+    safetyEffect?: number;
+    designEffect?: number;
+    result?: string;
+    lesson?: string;
+}
+
+export interface DecisionQuestion {
+    id?: string;                    // Late-stage questions are keyed by title
+    title: string;
+    scenario: string;
+    phase?: string;
+    options: DecisionOption[];
+}
+
+export interface DevelopmentEvent {
+    title: string;
+    description: string;
+    cashEffect?: number;
+    timeEffect?: number;
+    riskBonus?: number;
+    marketBonus?: number;
+    obligation?: ObligationTerms;   // Revenue the deal gives away
+    positive: boolean;
+    isPartnership?: boolean;
+    failureMode?: string;
+}
+
+export interface PolicyAftermath {
+    title: string;
+    effects: string[];
+    lesson: string;
+    marketEffect: number;
+}
+
+export interface PolicyEvent {
+    id: string;
+    title: string;
+    description: string;
+    options: { text: string; value: string }[];
+    aftermath: Record<string, PolicyAftermath>;
+}
+
+export interface FinancingRound {
+    id: string;
+    name: string;
+    amount: number;           // $M raised
+    dilution: number;         // % of company sold
+    shareClass: EquityClass;
+    liquidationPreference: number;  // Multiple of the amount invested; 0 for common
+    convertsPreferred?: boolean;    // IPO: preferred converts to common before the round
+    description: string;
+    typicalPhase: string;
+    investorExpectation: string;
+    nextMilestone: string;
+}
+
+export type AlternativeInstrument = 'partnership' | 'royalty' | 'license' | 'debt' | 'equity';
+
+export interface AlternativeFinancing {
+    id: string;
+    name: string;
+    description: string;
+    amount: number;           // $M raised
+    tradeoff: string;
+    instrument: AlternativeInstrument;
+    obligation?: ObligationTerms;   // Revenue given away, for partnerships, royalties and licenses
+    dilution?: number;        // % of company sold, for equity instruments
+    debtTerms?: DebtTerms;    // Loan terms, for debt instruments
+    minPhase: string;
+    requiresIPO?: boolean;
+    lesson: string;
+}
+
+export interface ExitStrategy {
+    type: string;
+    name: string;
+    description: string;
+    timing: string;
+    typical: string;
+    offerAfter?: string[];    // Phase gates after which an offer can come; none for deals that are not exits
+}
+
+export type ExitType = 'acquisition' | 'ipo' | 'merger';
+export type MarketMood = 'hot' | 'neutral' | 'cold';
+
+export type RateRegime = 'low' | 'normal' | 'high';
+
+// The capital markets a company raises in, see engine/marketClimate
+export interface MarketClimate {
+    mood: MarketMood;
+    rates: RateRegime;
+    since: number;            // Company month the current mood set in
+}
+
+export interface ExitOffer {
+    type: ExitType;
+    name: string;
+    counterparty: string;
+    phase: string;            // Gate that opened it
+    month: number;
+    rnpv: number;             // $M, program rNPV when offered
+    equityValue: number;      // $M the company is valued at: price paid, pre-money, or our stake of the combination
+    upfront: number;          // $M paid at close (acquisition)
+    contingent: number;       // $M CVR paid on approval (acquisition)
+    approvalOdds: number;     // Odds the CVR pays out
+    raise: number;            // $M of new money (IPO)
+    mood: MarketMood | null;  // Public market mood (IPO)
+    ownership: number | null; // Share of the combined company our holders get (merger)
+}
+
+export interface StrategyHighlight {
+    text: string;
+    type: 'positive' | 'negative' | 'neutral' | 'warning';
+    detail: string;
+}
+
+export interface MarketSizeProfile {
+    displayName: string;
+    subtitle: string;
+    description: string;
+    riskBonus: number;
+    marketMultiplier: number;
+    trialSize: string;
+    vcInvestment: number;
+    enrollmentPace: number;         // Trial enrollment against a specialty indication (see engine/trialDesign)
+    salesReps: number;              // Reps in a full launch field force (see engine/launch)
+    launchMarketing: number;        // $M a quarter of launch marketing behind a full field force
+    highlights: StrategyHighlight[];
+    note: string;
+}
+
+export interface InnovationProfile {
+    displayName: string;
+    subtitle: string;
+    description: string;
+    riskBonus: number;
+    marketMultiplier: number;
+    highlights: StrategyHighlight[];
+    note: string;
+}
+
+export interface Indication {
+    name: string;
+    area: string;
+    usPrevalence: string;
+    challenges: string[];
+    note: string;
+    medicareShare: number;          // Share of patients on Medicare (see engine/ira)
+    pediatric?: boolean;            // Affects children: FDA asks for pediatric studies (see engine/exclusivity)
+}
+
+// ============================================
+// THE LONG JOURNEY - GAME STATE
+// ============================================
+
+export type LongGameScreen =
+    | 'title'
+    | 'setup_modality'
+    | 'setup_market_size'
+    | 'setup_innovation'
+    | 'setup_indication'
+    | 'phase'
+    | 'victory'
+    | 'failure'
+    | 'exit'
+    | 'portfolio'
+    | 'launch';
+
+// 0 intro, 0.5 trial design, 1 question, 2 event, 2.5 policy, 2.7 IRA, 2.9 DSMB look, 3 gate
+export type PhaseStep = 0 | 0.5 | 1 | 2 | 2.5 | 2.7 | 2.9 | 3;
+
+export interface RiskMeters {
+    efficacyRisk: number;   // Target validation risk - affects Phase II
+    safetyRisk: number;     // Toxicity risk - affects Phase I
+    designRisk: number;     // Trial design risk - affects Phase III
+}
+
+export interface ProgramEventRecord {
+    title?: string;
+    description?: string;
+    phase?: string;
+    type?: 'warning' | 'positive';
+    message?: string;
+    detail?: string;
+    failureMode?: string | null;
+    financing?: boolean;
+    competitor?: boolean;
+    isFailure?: boolean;
+}
+
+export interface DecisionLogEntry {
+    type?: 'strategic';
+    phase?: string;
+    question: string;
+    decision?: string;
+    choice?: string;
+    impact: string;
+    riskChange: number | string;
+}
+
+export interface CompletedPhase {
+    id: string;
+    name: string;
+    realSuccessRate: number | null;
+    color: string;
+    month: number;                  // Program month the gate was cleared
+}
+
+export interface GateResult {
+    success: boolean;
+    probability: number;
+    realWorldRate: number | null;
+    roll?: number;                  // Realistic rules only: the draw compared against probability
+}
+
+// 'teaching' fails only on risk thresholds; 'realistic' also rolls against the odds
+export type GateRules = 'teaching' | 'realistic';
+
+// Everything that goes into a gate's probability of success, for display
+export interface GateOdds {
+    base: number;                   // GATE_SUCCESS for the phase
+    strategy: number;               // Accumulated riskBonus
+    modality: number;
+    program: number;
+    riskType: RiskType;             // Risk meter this gate is most sensitive to
+    riskLevel: number;
+    riskAdjustment: number;
+    trialDesign: number;            // The trial's readout odds against the standard design's
+    probability: number;            // Clamped total
+    riskLimit: number | null;       // Meter level that fails the gate outright
+}
+
+export interface FinancingResult {
+    round: FinancingRound;
+    newCash: number;
+    totalDilution: number;
+}
+
+export interface PolicyResult {
+    policy: PolicyEvent;
+    choice: string;
+    aftermath: PolicyAftermath;
+}
+
+// Months run and budget spent in the current phase; a phase short of cash stops partway
+export interface PhaseProgress {
+    months: number;
+    spent: number;
+}
+
+// Cash flow ahead at the current burn (see engine/burn)
+export interface Runway {
+    phaseBurn: number;              // $M a month of the phase budget
+    overhead: number;               // $M a month of G&A
+    debtService: number;            // $M of loan payments over the next month
+    monthlyBurn: number;
+    months: number | null;          // Until cash runs out; null when it outlasts the projection
+    phaseMonthsLeft: number;
+    phaseCashNeed: number;          // To finish the current phase, overhead and loans included
+    projection: { month: number; cash: number }[];
+}
+
+export interface LongGameState extends RiskMeters {
+    seed: number;                    // Shown on screen so a run can be replayed
+    rngState: number;                // Seeded generator position (see engine/random)
+
+    gateRules: GateRules;
+
+    screen: LongGameScreen;
+    currentPhaseIndex: number;
+    phaseStep: PhaseStep;
+    phaseProgress: PhaseProgress;    // How far the current phase has run (see engine/burn)
+
+    // Core resources ($M, months)
+    cash: number;
+    capitalInvested: number;
+    months: number;
+    riskBonus: number;
+    marketMultiplier: number;
+
+    // Program identity
+    drugName: string;
+    indication: string;
+    indicationData: Indication | null;
+    vcInvestment: number;
+    platform: Platform | null;
+    exitStrategy: ExitStrategy | null;   // The exit taken, once the company is sold, listed or merged
+
+    // Program configuration - two-dimensional strategy
+    marketSize: string | null;       // 'orphan', 'specialty', 'blockbuster'
+    innovation: string | null;       // 'first-in-class', 'best-in-class', 'fast-follower'
+    programType: string | null;      // Legacy - mirrors marketSize
+    modality: string | null;
+
+    // Financing
+    currentRoundIndex: number;       // Index into FINANCING_ROUNDS
+    totalDilution: number;           // % of the company founders no longer own
+    capTable: CapTable;
+    showFinancingScreen: boolean;
+    financingResult: FinancingResult | null;
+    alternativeFinancingUsed: string[];
+    showAlternativeFinancing: boolean;
+    revenueMultiplier: number;       // Pricing and access decisions: share of base net sales realized
+    obligations: RevenueObligation[];   // Royalties, carve-outs and profit splits owed on sales
+    debt: DebtFacility[];
+    debtDefault: DebtDefault | null;
+
+    // Platform pipeline
+    followOns: FollowOnProgram[];
+
+    // Rival programs in the same indication (see engine/competitors)
+    rivals: RivalProgram[];
+
+    // Exits
+    exitOffer: ExitOffer | null;     // Offer waiting on the player
+    exitOffersSeen: string[];        // "type:phase" keys already offered or tested
+    exit: ExitOffer | null;          // The offer accepted
+
+    // Current step content
+    currentQuestion: DecisionQuestion | null;
+    currentEvent: DevelopmentEvent | null;
+    currentPolicy: PolicyEvent | null;
+    questionResult: DecisionOption | null;
+    gateResult: GateResult | null;
+    policyResult: PolicyResult | null;
+
+    // History
+    usedQuestions: string[];
+    usedEvents: string[];
+    seenPolicy: boolean;
+    seenIRA: boolean;
+    trialDesigns: Record<string, TrialDesign>;   // Phase II and III trials by phase id (see engine/trialDesign)
+    trialReadouts: Record<string, TrialReadout>; // What they showed, by phase id (see engine/trialReadout)
+    trialMonitoring: Record<string, TrialMonitoring>; // DSMB looks at trials designed with them (see engine/dsmb)
+    programEvents: ProgramEventRecord[];
+    phasesCompleted: CompletedPhase[];
+    decisionsLog: DecisionLogEntry[];
+    valuationHistory: ValuationPoint[];   // rNPV at program start and after each gate
+
+    // Other programs when the company runs several at once (see engine/portfolio)
+    portfolio: Portfolio | null;
+
+    // The drug's first quarters on the market once approved (see engine/launch)
+    launch: Launch | null;
+
+    // Every action since START_GAME (see engine/replayLog); null when the
+    // run was resumed from a save made before logging existed
+    replayLog: ReplayStep[] | null;
+}
+
+// ============================================
+// THE LONG JOURNEY - PORTFOLIO
+// ============================================
+
+// The fields that belong to one program rather than to the company
+export type ProgramSnapshot = Pick<LongGameState,
+    | 'modality' | 'drugName' | 'platform' | 'marketSize' | 'programType' | 'innovation'
+    | 'indication' | 'indicationData' | 'vcInvestment' | 'riskBonus' | 'marketMultiplier'
+    | 'revenueMultiplier' | 'obligations' | 'followOns' | 'rivals' | 'months'
+    | 'currentPhaseIndex' | 'phaseStep' | 'phaseProgress' | 'efficacyRisk' | 'safetyRisk' | 'designRisk'
+    | 'currentQuestion' | 'currentEvent' | 'currentPolicy' | 'questionResult' | 'gateResult' | 'policyResult'
+    | 'usedQuestions' | 'usedEvents' | 'seenPolicy' | 'seenIRA' | 'trialDesigns' | 'trialReadouts' | 'trialMonitoring'
+    | 'programEvents' | 'phasesCompleted' | 'decisionsLog' | 'valuationHistory'
+>;
+
+export type ProgramAllocation = 'fund' | 'pause' | 'kill';
+
+export type PortfolioProgramStatus = 'running' | 'approved' | 'failed' | 'killed';
+
+export interface PortfolioProgram {
+    id: string;
+    allocation: ProgramAllocation;
+    status: PortfolioProgramStatus;
+    readyAt: number;                // Company month its current phase finishes
+    endedAt: number | null;         // Company month it was approved, failed or killed
+    program: ProgramSnapshot | null;    // Parked fields; null while the program is on screen
+}
+
+export interface Portfolio {
+    size: number;                   // Programs the company runs (2-5)
+    programs: PortfolioProgram[];
+    activeId: string | null;        // Program taking its turn
+    turnStartMonths: number;        // Its program clock when the turn began
+    months: number;                 // Company clock, moved a quarter at a time
+    quarter: number;
+}
+
+// Where the portfolio's programs ended up
+export interface PortfolioAttrition {
+    started: number;
+    approved: number;
+    failed: number;
+    killed: number;
+    running: number;
+    attemptsPerSuccess: number | null;
+    phaseBudgets: number;           // $M of phase budgets spent across all programs
+    costPerApproval: number | null;
+    byPhase: { id: string; name: string; entered: number; failed: number; killed: number }[];
+}
+
+// ============================================
+// THE LONG JOURNEY - VALUATION
+// ============================================
+
+// A phase still ahead of the program, as the valuation sees it
+export interface ValuationPhase {
+    id: string;
+    name: string;
+    probability: number;            // Industry rate adjusted for this program
+    cost: number;                   // $M, paid when the phase starts
+    startMonth: number;             // Months from now
+}
+
+// Risk-adjusted NPV of the program as it stands ($M)
+export interface Valuation {
+    rnpv: number;
+    probability: number;            // Odds of clearing every remaining gate
+    monthsToLaunch: number;
+    peakSales: number;              // $M per year
+    riskedRevenue: number;          // Present value of operating profit, weighted by odds of launch
+    riskedCost: number;             // Present value of phase costs, weighted by odds of reaching them
+    pipeline: number;               // rNPV of the platform's follow-on programs, included in rnpv
+    medicareNegotiation: number;    // Risked revenue Medicare negotiation takes, already out of rnpv
+    phases: ValuationPhase[];
+}
+
+// One step of the value-inflection chart
+export interface ValuationPoint {
+    label: string;
+    phaseId: string | null;         // Gate just cleared; null at program start
+    color: string;
+    rnpv: number;
+    probability: number;
+    months: number;                 // Elapsed program time when recorded
+}
+
+// ============================================
+// THE LONG JOURNEY - REPLAYS
+// ============================================
+
+// One logged action: its type, plus its argument when it has one
+export type ReplayStep = [type: string, arg?: string | number];
+
+export interface ReplayFile {
+    format: 'the-long-game/replay';
+    version: number;
+    seed: number;
+    gateRules: GateRules;
+    recordedAt: number;             // ms since epoch
+    steps: ReplayStep[];
+    // How the recorded run ended; a replay that ends elsewhere was
+    // recorded against different game content
+    final: { screen: LongGameScreen; months: number; cash: number; drugName: string };
+}
+
+export interface ReplayFrame {
+    index: number;                  // 0 is the game as started
+    label: string;
+    state: LongGameState;
+}
+
+// ============================================
+// THE LONG JOURNEY - REWIND & BRANCHES
+// ============================================
+
+export type CheckpointKind = 'question' | 'event' | 'policy' | 'design';
+
+// The game as it stood when a decision was put to the player
+export interface TimelineCheckpoint {
+    kind: CheckpointKind;
+    label: string;                  // Question, event or policy title, or the trial being designed
+    phase: string;
+    state: LongGameState;
+}
+
+export interface TimelineBranch {
+    id: number;
+    name: string;
+    parentId: number | null;
+    forkLabel: string | null;       // Checkpoint the branch was rewound to
+    forkDecisions: number;          // decisionsLog entries shared with the parent
+    checkpoints: TimelineCheckpoint[];
+    state: LongGameState;
+}
+
+export interface LongGameTimeline {
+    branches: TimelineBranch[];
+    activeBranchId: number;
+    nextBranchId: number;
+}
+
+// One column of the side-by-side branch comparison
+export interface BranchSummary {
+    id: number;
+    name: string;
+    forkLabel: string | null;
+    outcome: 'in progress' | 'launched' | 'approved' | 'failed' | 'exited';
+    phase: string;
+    months: number;
+    capitalInvested: number;
+    cash: number;
+    totalDilution: number;
+    riskBonus: number;
+    efficacyRisk: number;
+    safetyRisk: number;
+    designRisk: number;
+    decisions: string[];            // Choices made after the branch forked
+}
+
+// ============================================
+// CAP TABLE
+// ============================================
+
+export type EquityClass = 'preferred' | 'common';
+export type ShareClass = EquityClass | 'options' | 'warrants' | 'debt';
+export type HolderKind = 'founders' | 'employees' | 'investor' | 'partner' | 'lender';
+
+export interface CapTableHolder {
+    id: string;
+    name: string;
+    kind: HolderKind;
+    shareClass: ShareClass;
+    shares: number;                 // Millions, fully diluted
+    invested: number;               // $M paid in (principal for lenders)
+    outstanding?: number;           // Lenders only: $M still owed, repaid first at exit
+    preference: number;             // Liquidation preference multiple; 0 for common
+    participating: boolean;         // Takes its preference and then shares in common
+    seniority: number;              // Higher is paid first at exit
+}
+
+export type CapTableEntryKind = 'formation' | 'priced' | 'conversion' | 'non_dilutive' | 'debt' | 'warrants';
+
+// One line of the financing ledger
+export interface CapTableEntry {
+    id: string;
+    name: string;
+    kind: CapTableEntryKind;
+    amount: number;                 // $M raised
+    preMoney: number | null;        // $M, priced rounds only
+    postMoney: number | null;
+    pricePerShare: number | null;   // $
+    sharesIssued: number;           // Millions, to the new investors
+    poolTopUp: number;              // Millions of options added before the round
+    dilution: number;               // Fraction of the company sold (0-1)
+    note: string;
+}
+
+export interface CapTable {
+    holders: CapTableHolder[];
+    ledger: CapTableEntry[];
+}
+
+// What a priced round sells and on what terms
+export interface RoundTerms {
+    id: string;
+    name: string;
+    amount: number;                 // $M
+    dilution: number;               // Fraction of the post-money company sold (0-1)
+    shareClass?: EquityClass;       // Defaults to preferred
+    kind?: HolderKind;              // Defaults to investor
+    liquidationPreference?: number; // Defaults to 1x for preferred
+    participating?: boolean;
+    convertsPreferred?: boolean;
+    topUpPool?: boolean;            // Refresh the option pool before the round; defaults to true
+}
+
+export interface WaterfallPayout {
+    holderId: string;
+    name: string;
+    kind: HolderKind;
+    shareClass: ShareClass;
+    ownership: number;              // Fully diluted fraction (0-1)
+    invested: number;
+    preference: number;             // $M paid ahead of common (debt repayment for lenders)
+    common: number;                 // $M paid as common
+    total: number;
+    multiple: number | null;        // total / invested
+}
+
+// How an exit price is split between debt, preferences and common
+export interface ExitWaterfall {
+    exitValue: number;
+    payouts: WaterfallPayout[];
+    converted: string[];            // Preferred holders better off converting to common
+}
+
+// ============================================
+// REVENUE OBLIGATIONS
+// ============================================
+
+export type ObligationKind = 'royalty' | 'territory' | 'profit_split';
+
+// Marginal rate on the slice of annual net sales below upTo
+export interface RoyaltyTier {
+    upTo: number | null;            // $M of annual net sales; null for everything above
+    rate: number;
+}
+
+export interface ObligationTerms {
+    kind: ObligationKind;
+    counterparty: string;
+    tiers?: RoyaltyTier[];          // Royalty: tiered rates on worldwide net sales
+    capMultiple?: number;           // Royalty: payments stop at this multiple of the upfront
+    territory?: string;             // Territory: the region given up
+    territoryShare?: number;        // Territory: share of worldwide net sales booked there
+    profitShare?: number;           // Profit split: partner's share of what is left
+}
+
+// A deal's claim on future sales, as signed
+export interface RevenueObligation extends ObligationTerms {
+    id: string;
+    source: string;                 // Deal that created it
+    upfront: number;                // $M received for it
+    phase: string;                  // Where it was signed
+}
+
+export type RevenueLineKind = 'gross' | 'rebates' | 'medicare' | 'royalty' | 'territory' | 'profit_split' | 'kept';
+
+export interface RevenueLine {
+    id: string;
+    kind: RevenueLineKind;
+    label: string;
+    detail: string;
+    lifetime: number;               // $M over the commercial life, undiscounted
+    peakYear: number;               // $M in the best sales year
+}
+
+export interface LifecycleYear {
+    year: number;                   // Years since launch, from 1
+    net: number;                    // $M
+    kept: number;                   // $M
+    price: number;                  // Share of the branded price still commanded
+    protectedShare: number;         // Share of the year under exclusivity
+}
+
+// A launched drug's sales from launch, through exclusivity and long after
+export interface RevenueLifecycle {
+    years: LifecycleYear[];
+    brandedYears: number;
+    brandedShare: number;           // Share of lifetime net sales earned under exclusivity
+    erosion: { drop: number; halfLifeYears: number };
+}
+
+export interface RevenueWaterfall {
+    years: number;                  // Commercial years modeled
+    lines: RevenueLine[];
+    keptShare: number;              // Company's share of net sales over the life
+}
+
+// ============================================
+// MEDICARE NEGOTIATION
+// ============================================
+
+// How Medicare negotiation reaches a program (see engine/ira)
+export interface MedicareNegotiation {
+    exempt: boolean;                // Orphan drugs are excluded
+    startYear: number;              // Years after approval the negotiated price takes effect
+    medicareShare: number;          // Share of the indication's patients on Medicare
+}
+
+export interface NegotiationImpact extends MedicareNegotiation {
+    lost: number;                   // $M of lifetime net sales
+    lostShare: number;              // Of what lifetime net sales would have been
+    pillPenalty: number;            // $M more lost than on the biologic timeline
+}
+
+// ============================================
+// EXCLUSIVITY
+// ============================================
+
+// One patent or exclusivity keeping generics off the market
+export interface ExclusivityProtection {
+    id: 'patent' | 'nce' | 'biologic' | 'orphan';
+    label: string;
+    detail: string;
+    endsAt: number;                 // Program month, pediatric exclusivity included
+}
+
+export interface Exclusivity {
+    patentFiledAt: number;          // Program months, from here to approvalAt
+    indAt: number;
+    ndaAt: number;
+    approvalAt: number;
+    projected: boolean;             // Not approved yet: milestones still ahead are at textbook pace
+    patentExpiry: number;           // Program month, before extension
+    extension: number;              // Months of patent term extension
+    pediatric: boolean;
+    protections: ExclusivityProtection[];
+    genericEntry: number;           // Program month the last protection lapses
+    patentYears: number;            // Patent life left at approval, extension included
+    brandedYears: number;           // Approval to generic or biosimilar entry
+}
+
+// ============================================
+// TRIAL DESIGN
+// ============================================
+
+export type TrialEndpointId = 'biomarker' | 'clinical_score' | 'responder' | 'time_to_event';
+export type TrialComparatorId = 'placebo' | 'standard_of_care' | 'active';
+
+// 'mean' compares average change, 'responder' response rates, 'survival' time to the event
+export type TrialAnalysis = 'mean' | 'responder' | 'survival';
+
+export interface TrialEndpoint {
+    id: TrialEndpointId;
+    name: string;
+    unit: string;                   // What effects and spreads are measured in
+    sd: number;                     // Typical patient-to-patient spread, in unit
+    followUpMonths: number;         // Each patient's time on study before the readout
+    costMultiplier: number;         // Cost per patient against a standard visit schedule
+    efficiency: number;             // Information per patient against a continuous measure
+    signal: number;                 // How large the drug's effect reads on this endpoint
+    pivotalAcceptance: number;      // Chance regulators accept it as the basis for approval
+    designEffect: number;           // Design risk it adds or takes away
+    analysis: TrialAnalysis;        // How the readout compares the arms
+    description: string;
+}
+
+export interface TrialComparator {
+    id: TrialComparatorId;
+    name: string;
+    effectRetained: number;         // Share of the drug's effect left over the control arm
+    enrollmentPace: number;         // Against a standard trial
+    labelRevenue: number;           // Pivotal only: what a label claim over it adds to revenueMultiplier
+    armName: string;                // The control arm on a readout
+    description: string;
+}
+
+export interface TrialArms {
+    id: string;
+    name: string;
+    arms: number;                   // Dose arms plus the control arm
+    doseCapture: number;            // Share of the best dose's effect the trial's doses reach
+    designEffect: number;
+    description: string;
+}
+
+// An assumption or threshold the trial is sized on
+export interface TrialSetting {
+    id: string;
+    name: string;
+    value: number;
+    pivotalAcceptance?: number;
+    designEffect?: number;
+    description: string;
+}
+
+// The choices behind one trial, by id
+export interface TrialDesign {
+    endpoint: TrialEndpointId;
+    comparator: TrialComparatorId;
+    arms: string;
+    effectSize: string;
+    variance: string;
+    alpha: string;
+    power: string;
+    looks: string;
+    efficacyBoundary: string;
+    futility: string;
+    sampleSize: string;
+    randomization: string;
+}
+
+export type TrialDesignField = keyof TrialDesign;
+
+// When an interim look may stop a trial for efficacy
+export interface TrialBoundary {
+    id: string;
+    name: string;
+    critical: Record<number, number[]> | null;  // Per look then final, as multiples of a single analysis's z; null never stops
+    designEffect: number;
+    description: string;
+}
+
+// One interim look as designed
+export interface TrialLook {
+    fraction: number;               // Share of the designed patients read out
+    month: number;                  // Month of the phase the DSMB meets
+    efficacy: number | null;        // z that stops the trial for efficacy
+    futility: number | null;        // z at or below which it stops for futility
+    stopEfficacy: number;           // Chance it stops here for efficacy, against the expected effect
+    stopFutility: number;
+}
+
+// How a phase runs its trial
+export interface TrialPhaseSpec {
+    pivotal: boolean;               // Registration trial: regulators judge its endpoint and alpha
+    fixedCost: number;              // $M of sites, start-up and analysis
+    costPerPatient: number;         // $M on a standard visit schedule
+    startupMonths: number;
+    readoutMonths: number;
+    enrollmentRate: number;         // Patients a month in a specialty indication
+    standard: TrialDesign;          // What most sponsors would run
+}
+
+// What a design comes to (see engine/trialDesign)
+export interface TrialPlan {
+    perArm: number;
+    patients: number;
+    enrollmentMonths: number;
+    months: number;                 // Start-up, enrollment, follow-up and readout
+    cost: number;                   // $M
+    effect: number;                 // Assumed difference, in the endpoint's unit
+    spread: number;                 // Assumed standard deviation, in the endpoint's unit
+    assumedEffect: number;          // Standardized effect the trial is sized for
+    expectedEffect: number;         // Standardized effect the program's efficacy risk points to
+    power: number;                  // Against the expected effect
+    acceptance: number;             // Chance regulators accept the design; 1 outside pivotal trials
+    probability: number;            // Of a positive readout that counts
+    critical: number;               // z each dose has to clear at the final analysis
+    looks: TrialLook[];
+    expectedMonths: number;         // Allowing for the chance of stopping at a look
+    expectedCost: number;
+}
+
+export type DsmbDecision = 'continue' | 'efficacy' | 'futility';
+
+// What the DSMB saw at one look and what it decided
+export interface DsmbLook {
+    look: number;                   // 1 for the first
+    fraction: number;               // Share of the designed patients read out
+    month: number;
+    z: number;
+    efficacy: number | null;
+    futility: number | null;
+    conditionalPower: number;       // Chance of winning at the end if the trend so far holds
+    decision: DsmbDecision;
+    sampleSize: number;             // The trial's size after the look, as a multiple of its design
+}
+
+// A trial's interim looks so far. Evidence accumulates as a score: z times
+// the square root of the information read, in designed trials.
+export interface TrialMonitoring {
+    looks: DsmbLook[];
+    score: number;
+    information: number;
+    sampleSize: number;
+    drift: number | null;           // Score gained per unit of information, set at the first look
+    stopped: 'efficacy' | 'futility' | null;
+}
+
+// A baseline characteristic the readout is broken down by
+export interface TrialSubgroup {
+    id: string;
+    name: string;
+    levels: { id: string; name: string; share: number }[];
+}
+
+// What a finished trial showed, drawn to match its gate (see engine/trialReadout).
+// Only the numbers are kept; its patients are generated again from the seed.
+export interface TrialReadout {
+    success: boolean;
+    endpoint: TrialEndpointId;
+    comparator: TrialComparatorId;
+    arms: number;
+    perArm: number;
+    trueEffect: number;             // Standardized effect the drug really has on this endpoint, hidden until now
+    targetEffect: number;           // Standardized effect the patients were drawn around
+    draw: number;                   // Which generated trial matched the gate
+    estimate: number;               // Top dose against control: difference, or hazard ratio
+    low: number;                    // 95% confidence interval
+    high: number;
+    pValue: number;
+    alpha: number;                  // Two-sided level each dose was held to
+    look: number | null;            // Interim look the DSMB stopped the trial at, or null for the final analysis
+}
+
+export interface TrialPatient {
+    arm: number;                    // 0 is control, then doses from lowest to highest
+    value: number;                  // Change on the endpoint, or months to the event or end of follow-up
+    event: boolean;                 // Survival only: the event happened before follow-up ended
+    levels: number[];               // Level of each TRIAL_SUBGROUPS entry
+}
+
+// Charts of a readout for the gate screen
+export interface TrialReadoutCharts {
+    armNames: string[];
+    survival: { arm: number; points: { month: number; survival: number }[] }[] | null;
+    waterfall: { arm: number; value: number }[] | null;
+    threshold: number | null;       // Responder cut-off on the waterfall
+    forest: { label: string; patients: number; estimate: number; low: number; high: number }[];
+    nullValue: number;              // No difference: 0, or a hazard ratio of 1
+}
+
+// ============================================
+// COMMERCIAL LAUNCH
+// ============================================
+
+export type SalesForceId = 'lean' | 'targeted' | 'full';
+export type PayerStrategyId = 'premium' | 'balanced' | 'access';
+
+export interface LaunchSalesForce {
+    id: SalesForceId;
+    name: string;
+    share: number;                  // Of the market's full field force
+    reach: number;                  // Share of prescribers the reps call on
+    speed: number;                  // Uptake pace against a standard launch
+    description: string;
+}
+
+export interface LaunchPayerStrategy {
+    id: PayerStrategyId;
+    name: string;
+    coverage: number;               // Patients reached against a standard formulary position
+    commercialDiscount: number;     // Rebates off list to commercial payers
+    uptake: number;                 // Uptake pace: prior authorization slows it
+    description: string;
+}
+
+// One quarter on the market ($M), played or projected (see engine/launch)
+export interface LaunchQuarter {
+    quarter: number;                // 1 is the launch quarter
+    adoption: number;               // Share of peak uptake reached
+    gross: number;                  // At list price
+    rebates: number;
+    net: number;
+    partners: number;               // Royalties and partners' share of net sales
+    cogs: number;
+    salesForce: number;
+    marketing: number;
+    overhead: number;               // G&A and loan payments
+    profit: number;                 // What the quarter adds to or takes from cash
+}
+
+// Revenue interest financing on an approved drug (see data/launch)
+export interface LaunchRoyalty {
+    id: string;
+    name: string;
+    peakSalesShare: number;         // Upfront, as a share of peak list-price sales
+    obligation: ObligationTerms;
+}
+
+export interface Launch {
+    salesForce: SalesForceId;
+    payerStrategy: PayerStrategyId;
+    reception: number;              // How prescribers took to the drug, drawn at launch
+    adoption: number;               // Share of peak uptake reached so far
+    quarters: LaunchQuarter[];
+}
+
+// ============================================
+// VENTURE DEBT
+// ============================================
+
+export interface DebtTerms {
+    interestRate: number;           // Annual, on the outstanding balance
+    interestOnlyMonths: number;     // Before principal repayments start
+    amortizationMonths: number;     // Equal principal repayments after that
+    warrantCoverage: number;        // Warrants worth this share of principal at the last round price
+    minimumCash: number;            // $M covenant; falling below it is a breach
+    waiverFee: number;              // Share of the outstanding balance charged to waive one breach
+}
+
+// Debt service paid over one stretch of program time
+export interface DebtPayment {
+    month: number;                  // Program month the stretch ended
+    interest: number;               // $M
+    principal: number;              // $M
+    balance: number;                // $M outstanding afterwards
+}
+
+export interface DebtFacility {
+    id: string;
+    name: string;
+    terms: DebtTerms;
+    principal: number;              // $M drawn
+    balance: number;                // $M outstanding
+    drawnAtMonth: number;
+    interestPaid: number;
+    principalPaid: number;
+    waiverUsed: boolean;            // A covenant waiver has already been granted
+    defaultedAtMonth: number | null;
+    payments: DebtPayment[];
+}
+
+// A breach waiting on the player: negotiate a waiver or let the lender foreclose
+export interface DebtDefault {
+    facilityId: string;
+    reason: 'covenant' | 'payment';
+    month: number;
+    cash: number;                   // $M when the breach was found
+    minimumCash: number;
+    waiverFee: number | null;       // $M, or null when no waiver is on offer
+}
+
+// ============================================
+// SIMULATION
+// ============================================
+
+export type SimulatedGame = 'long' | 'path';
+
+// How a bot picks among options: fewest dollars, least added risk, or at random
+export type BotStrategy = 'cheapest' | 'lowest-risk' | 'random';
+
+export interface SimulationConfig {
+    game: SimulatedGame;
+    runs: number;
+    strategy: BotStrategy;
+    seed: number;                   // Run i plays seed + i
+    gateRules?: GateRules;          // The Long Journey only
+    portfolioSize?: number;         // The Long Journey only: programs run at once
+}
+
+export interface SimulatedPhase {
+    id: string;
+    passed: boolean;
+    months: number;
+    cost: number;                   // $M spent while in the phase, net of grants
+}
+
+export interface RunOutcome {
+    seed: number;
+    approved: boolean;
+    victory: boolean;               // Played through to the win: a launch that never ran dry
+    capped: boolean;                // Still running when the action limit stopped it
+    months: number;
+    capitalInvested: number;        // $M
+    dilution: number;               // Cumulative % given up to investors
+    failedPhase: string | null;
+    modality: string;
+    marketSize: string;
+    innovation: string;
+    area: string;
+    phases: SimulatedPhase[];
+}
+
+export interface Distribution {
+    mean: number;
+    p10: number;
+    p50: number;
+    p90: number;
+}
+
+export interface OutcomeSummary {
+    runs: number;
+    approvalRate: number;
+    victoryRate: number;
+    months: Distribution;
+    capitalInvested: Distribution;
+    dilution: Distribution;
+}
+
+export interface PhaseSummary {
+    id: string;
+    entered: number;
+    passed: number;
+    successRate: number;
+    meanMonths: number;
+    meanCost: number;
+}
+
+export interface SimulationReport {
+    config: SimulationConfig;
+    cappedSeeds: number[];          // Runs stopped by the action limit, left out of every summary
+    overall: OutcomeSummary;
+    byModality: Record<string, OutcomeSummary>;
+    byMarketSize: Record<string, OutcomeSummary>;
+    byInnovation: Record<string, OutcomeSummary>;
+    byArea: Record<string, OutcomeSummary>;
+    phases: PhaseSummary[];
+    phasesByArea: Record<string, PhaseSummary[]>;
+}
+
+// One compared cell: a simulated figure against a cited reference
+export type AuditMetric = 'rate' | 'duration' | 'cost';
+
+export interface AuditCell {
+    metric: AuditMetric;
+    label: string;
+    simulated: number;              // Rates 0-1, durations in months, costs in $M
+    reference: number;              // Point reference, or the midpoint of a range
+    referenceRange?: { min: number; max: number };
+    source: string;
+    deviation: number;              // Rates: percentage points; durations/costs: relative
+    flagged: boolean;
+}
+
+export interface AuditTolerances {
+    rate: number;                   // Allowed gap in probability (0.10 = 10 points)
+    duration: number;               // Allowed relative gap (0.25 = 25%)
+    cost: number;
+}
+
+export interface BalanceAudit {
+    runs: number;
+    tolerances: AuditTolerances;
+    cells: AuditCell[];
+    flaggedCount: number;
+}
+
+// ============================================
+// SAVES
+// ============================================
+
+export type SaveMode = 'long' | 'path';
+
+// A saved state in an older shape, on its way through the migrations
+export type SavedState = Record<string, unknown>;
+
+/**
+ * How one game mode is saved. Bump `version` whenever the state shape
+ * changes and add a migration from the previous version.
+ */
+export interface SaveSchema<S> {
+    mode: SaveMode;
+    version: number;
+    migrations: Record<number, (state: SavedState) => SavedState>;  // Keyed by the version they upgrade from
+    createDefault: () => S;                                          // Fills fields newer than the save
+    refresh?: (state: S) => S;                                      // Re-attach current content by id
+    validate: (state: S) => string | null;                          // Why the state cannot be resumed
+    describe: (state: S) => string;                                 // One line for the slot list
+}
+
+export interface SaveFile {
+    mode: SaveMode;
+    version: number;
+    slot: string;
+    name: string;
+    savedAt: number;                // ms since epoch
+    autosave: boolean;
+    summary: string;
+    state: SavedState;
+}
+
+export interface SaveSlotSummary {
+    mode: SaveMode;
+    slot: string;
+    name: string;
+    savedAt: number;
+    autosave: boolean;
+    summary: string;
+    version: number;
+    problem: string | null;         // Set when the save cannot be loaded by this build
+}
+
+export type SaveErrorCode = 'unavailable' | 'not-found' | 'corrupt' | 'too-new' | 'incompatible' | 'quota';
@@ -0,0 +1,98 @@
+// The shared cap table: what rounds issue and how an exit is split.
+
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { load } from './support/modules.js'
+
+const {
+  createCapTable, raiseRound, addNonDilutive, addDebt, addWarrants, setDebtOutstanding,
+  exitWaterfall, fullyDilutedShares, founderOwnership, ownershipOf,
+} = await load('/src/game/engine/capTable.ts')
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message ?? ''} ${actual} != ${expected}`)
+
+// Seed and Series A preferred, then a $15M loan with warrants
+const seed = raiseRound(createCapTable(), { id: 'seed', name: 'Seed', amount: 10, dilution: 0.2 })
+const seriesA = raiseRound(seed, { id: 'series_a', name: 'Series A', amount: 40, dilution: 0.25 })
+const levered = addWarrants(
+  addDebt(seriesA, { id: 'loan', name: 'Venture Loan', amount: 15, note: 'Term loan' }),
+  { id: 'loan_warrants', name: 'Venture Loan Warrants', value: 1.5, note: '10% coverage' },
+)
+
+const payoutOf = (waterfall, id) => waterfall.payouts.find(payout => payout.holderId === id)
+const paidOut = (waterfall) => waterfall.payouts.reduce((total, payout) => total + payout.total, 0)
+
+describe('rounds', () => {
+  test('the option pool is topped up out of the pre-money', () => {
+    // 20% sold, pool restored to 10% of the post-money: the founders keep 70%, not 72%
+    close(founderOwnership(seed), 0.7)
+    close(ownershipOf(seed, 'employees'), 0.1)
+    close(ownershipOf(seed, 'investor'), 0.2)
+    assert.ok(seed.ledger.at(-1).poolTopUp > 0)
+  })
+
+  test('each series is senior to the one before it', () => {
+    const holder = (id) => seriesA.holders.find(h => h.id === id)
+    assert.equal(holder('series_a').seniority, holder('seed').seniority + 1)
+    assert.equal(holder('series_a').preference, 1)
+  })
+
+  test('non-dilutive money and debt issue no shares', () => {
+    const granted = addNonDilutive(seed, { id: 'grant', name: 'SBIR Grant', amount: 2, note: 'No equity' })
+    assert.equal(fullyDilutedShares(granted), fullyDilutedShares(seed))
+    assert.equal(fullyDilutedShares(addDebt(seed, { id: 'loan', name: 'Loan', amount: 5, note: '' })), fullyDilutedShares(seed))
+  })
+
+  test('warrants are priced at the last round', () => {
+    const warrants = levered.holders.find(h => h.id === 'loan_warrants')
+    close(warrants.shares * seriesA.ledger.at(-1).pricePerShare, 1.5, 'warrant value')
+  })
+
+  test('a public offering turns preferred into common', () => {
+    const ipo = raiseRound(seriesA, { id: 'ipo', name: 'IPO', amount: 100, dilution: 0.2, shareClass: 'common', convertsPreferred: true, topUpPool: false })
+    assert.ok(ipo.holders.every(h => h.shareClass !== 'preferred'))
+    assert.equal(ipo.ledger.at(-2).kind, 'conversion')
+  })
+})
+
+describe('exit waterfall', () => {
+  test('lenders are repaid before any equity', () => {
+    const waterfall = exitWaterfall(levered, 12)
+    close(payoutOf(waterfall, 'loan').total, 12)
+    waterfall.payouts.filter(p => p.holderId !== 'loan').forEach(p => close(p.total, 0, p.holderId))
+  })
+
+  test('only what a lender is still owed comes first', () => {
+    const repaid = setDebtOutstanding(levered, 'loan', 5)
+    close(payoutOf(exitWaterfall(repaid, 50), 'loan').total, 5)
+  })
+
+  test('preferences are paid from the most senior series down', () => {
+    // $15M to the lender leaves $40M: exactly the Series A preference
+    const waterfall = exitWaterfall(levered, 55)
+    close(payoutOf(waterfall, 'series_a').total, 40)
+    close(payoutOf(waterfall, 'seed').total, 0)
+    close(payoutOf(waterfall, 'founders').total, 0)
+  })
+
+  test('preferred converts when common pays it more', () => {
+    const waterfall = exitWaterfall(seriesA, 1000)
+    assert.deepEqual(waterfall.converted.sort(), ['seed', 'series_a'])
+    // Everyone is paid by ownership once every series has converted
+    waterfall.payouts.forEach(p => close(p.total, 1000 * p.ownership, p.holderId))
+  })
+
+  test('participating preferred takes its preference and shares in common', () => {
+    const participating = raiseRound(seed, { id: 'series_a', name: 'Series A', amount: 40, dilution: 0.25, participating: true })
+    const a = payoutOf(exitWaterfall(participating, 400), 'series_a')
+    close(a.preference, 40)
+    assert.ok(a.common > 0)
+    assert.ok(a.total > 400 * a.ownership)
+  })
+
+  test('every dollar of the exit is paid to someone, and no more', () => {
+    for (const exitValue of [0, 10, 15, 30, 55, 80, 150, 400, 2500]) {
+      close(paidOut(exitWaterfall(levered, exitValue)), exitValue, `exit ${exitValue}`)
+    }
+  })
+})
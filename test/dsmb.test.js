@@ -0,0 +1,133 @@
+// Interim looks: the group-sequential boundaries, the board's decisions and
+// sample-size re-estimation.
+
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { load } from './support/modules.js'
+
+import { play, startProgram, playUntil } from './support/play.js'
+
+const { conveneDsmb, selectNextLook } = await load('/src/game/engine/dsmb.ts')
+const { normalCdf, selectTrialPlan, sequentialOdds } = await load('/src/game/engine/trialDesign.ts')
+const { createRng } = await load('/src/game/engine/random.ts')
+const { PROMISING_ZONE } = await load('/src/game/data/trialDesign.ts')
+
+// The boundaries of a design's looks, as sequentialOdds reads them
+const lookInputs = (plan) => plan.looks.map(look => ({ information: look.fraction, efficacy: look.efficacy, futility: look.futility }))
+
+// Phase II on the workbench, changed from the standard design, then started
+const startTrial = (seed, changes) => play(
+  playUntil(startProgram(seed), s => s.currentPhaseIndex === 5 && s.phaseStep === 0.5),
+  ...Object.entries(changes).map(([field, value]) => ({ type: 'SET_TRIAL_DESIGN', field, value })),
+  { type: 'CONFIRM_TRIAL_DESIGN' },
+)
+
+describe('boundaries', () => {
+  const planFor = (changes) => {
+    const state = startTrial(1, changes)
+    return selectTrialPlan(state, state.trialDesigns.phase2, 'phase2')
+  }
+
+  test('looks spend the trial\'s alpha, not more', () => {
+    for (const efficacyBoundary of ['obrien_fleming', 'pocock']) {
+      for (const looks of ['one', 'two']) {
+        const plan = planFor({ looks, efficacyBoundary })
+        // A drug that does nothing wins on the upper side of a two-sided 0.05
+        const { power } = sequentialOdds(0, lookInputs(plan), 1, plan.critical)
+        assert.ok(Math.abs(power - 0.025) < 0.002, `${efficacyBoundary}, ${looks}: ${power}`)
+      }
+    }
+  })
+
+  test('O\'Brien-Fleming saves the final analysis\'s bar; Pocock spends it early', () => {
+    const single = planFor({})
+    const fleming = planFor({ looks: 'one', efficacyBoundary: 'obrien_fleming' })
+    const pocock = planFor({ looks: 'one', efficacyBoundary: 'pocock' })
+    assert.equal(single.looks.length, 0)
+    assert.ok(fleming.looks[0].efficacy > pocock.looks[0].efficacy)
+    assert.ok(fleming.critical < pocock.critical)
+    assert.ok(fleming.critical > single.critical)
+  })
+
+  test('with no looks the odds are a single analysis\'s power', () => {
+    const { power } = sequentialOdds(2.5, [], 1, 1.96)
+    assert.ok(Math.abs(power - normalCdf(2.5 - 1.96)) < 1e-9)
+  })
+})
+
+describe('the board', () => {
+  const design = { looks: 'one', efficacyBoundary: 'pocock', futility: 'strict', sampleSize: 'reestimate' }
+  const trials = [1, 2, 3, 4].map(seed => startTrial(seed, design))
+
+  test('it decides on where z stands against the look\'s boundaries', () => {
+    const decisions = new Set()
+    trials.forEach(state => {
+      for (let roll = 0; roll < 40; roll++) {
+        const [look] = conveneDsmb(state, 0.5, createRng(roll)).trialMonitoring.phase2.looks
+        const expected = look.z >= look.efficacy ? 'efficacy' : look.z <= look.futility ? 'futility' : 'continue'
+        assert.equal(look.decision, expected)
+        decisions.add(look.decision)
+      }
+    })
+    assert.deepEqual([...decisions].sort(), ['continue', 'efficacy', 'futility'])
+  })
+
+  test('the drift it sets gives the trial its gate\'s odds', () => {
+    const [state] = trials
+    const monitoring = conveneDsmb(state, 0.6, createRng(7)).trialMonitoring.phase2
+    const plan = selectTrialPlan(state, state.trialDesigns.phase2, 'phase2')
+    const { power } = sequentialOdds(monitoring.drift, lookInputs(plan), 1, plan.critical)
+    assert.ok(Math.abs(power - 0.6) < 1e-3)
+  })
+
+  test('a trial that cannot fail by chance is never stopped for futility', () => {
+    trials.forEach(state => {
+      for (let roll = 0; roll < 40; roll++) {
+        assert.notEqual(conveneDsmb(state, 0.05, createRng(roll), false).trialMonitoring.phase2.stopped, 'futility')
+      }
+    })
+  })
+
+  test('a trial with its looks behind it is left alone', () => {
+    const [state] = trials
+    const looked = conveneDsmb(state, 0.5, createRng(1))
+    assert.equal(selectNextLook(looked), null)
+    assert.equal(conveneDsmb(looked, 0.5, createRng(2)), looked)
+  })
+})
+
+describe('re-estimation', () => {
+  const trial = startTrial(2, { looks: 'one', efficacyBoundary: 'obrien_fleming', sampleSize: 'reestimate' })
+  const plan = selectTrialPlan(trial, trial.trialDesigns.phase2, 'phase2')
+  const looks = Array.from({ length: 200 }, (_, roll) => conveneDsmb(trial, 0.5, createRng(roll)).trialMonitoring.phase2.looks[0])
+
+  // Conditional power at a size if the trend at the look holds
+  const trendPower = (look, size) => {
+    const score = look.z * Math.sqrt(look.fraction)
+    const remaining = size - look.fraction
+    return 1 - normalCdf((plan.critical * Math.sqrt(size) - score - score / look.fraction * remaining) / Math.sqrt(remaining))
+  }
+
+  test('a promising trial grows until its trend wins often enough, up to the cap', () => {
+    const promising = looks.filter(look => look.decision === 'continue'
+      && look.conditionalPower >= PROMISING_ZONE.low && look.conditionalPower < PROMISING_ZONE.target)
+    assert.ok(promising.length > 0)
+    promising.forEach(look => {
+      assert.ok(look.sampleSize > 1 && look.sampleSize <= 1.5)
+      assert.ok(look.sampleSize === 1.5 || trendPower(look, look.sampleSize) >= PROMISING_ZONE.target - 1e-3, `grew to ${look.sampleSize}`)
+    })
+  })
+
+  test('a trial already likely to win, or unlikely to, keeps its size', () => {
+    const outside = looks.filter(look => look.conditionalPower < PROMISING_ZONE.low || look.conditionalPower >= PROMISING_ZONE.target)
+    assert.ok(outside.length > 0)
+    outside.forEach(look => assert.equal(look.sampleSize, 1))
+  })
+
+  test('a fixed design is never grown', () => {
+    const fixed = startTrial(2, { looks: 'one', efficacyBoundary: 'obrien_fleming' })
+    for (let roll = 0; roll < 40; roll++) {
+      assert.equal(conveneDsmb(fixed, 0.5, createRng(roll)).trialMonitoring.phase2.sampleSize, 1)
+    }
+  })
+})
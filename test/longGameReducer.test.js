@@ -0,0 +1,185 @@
+// The Long Journey's rules, played headlessly through longGameReducer.
+
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { load } from './support/modules.js'
+
+import { startProgram, playUntil, finished } from './support/play.js'
+
+const { longGameReducer, createInitialLongGameState } = await load('/src/game/engine/LongGameReducer.ts')
+const { selectAvailableAlternatives, selectSeedRound } = await load('/src/game/engine/selectors.ts')
+const { decodeAction } = await load('/src/game/engine/replayLog.ts')
+const { selectLaunchRoyaltyOffer, selectNextLaunchQuarter } = await load('/src/game/engine/launch.ts')
+const { MEDICAID_SHARE } = await load('/src/game/data/launch.ts')
+const { INDICATIONS_BY_TYPE } = await load('/src/game/data/strategy.ts')
+
+describe('seeded determinism', () => {
+  test('the same seed and choices play the same game', () => {
+    const first = playUntil(startProgram(12345), finished)
+    const second = playUntil(startProgram(12345), finished)
+    assert.deepEqual(second, first)
+  })
+
+  test('another seed plays another game', () => {
+    assert.notEqual(startProgram(1).drugName, startProgram(2).drugName)
+  })
+
+  test('the replay log holds every choice after the start', () => {
+    const state = playUntil(startProgram(99), s => s.phasesCompleted.length === 2)
+    const replayed = state.replayLog.reduce(
+      (s, step) => longGameReducer(s, decodeAction(step)),
+      longGameReducer(createInitialLongGameState(99), { type: 'START_GAME', seed: 99, gateRules: 'teaching' }),
+    )
+    assert.deepEqual(replayed, state)
+  })
+})
+
+describe('founding', () => {
+  test('the company starts with the seed round its market prices', () => {
+    const amounts = new Set()
+    for (const seed of [1, 2, 3, 4, 5, 6, 7, 8]) {
+      const promised = selectSeedRound(createInitialLongGameState(seed)).amount
+      assert.equal(startProgram(seed).cash, promised)
+      amounts.add(promised)
+    }
+    // The market a company is founded into sizes its seed round
+    assert.ok(amounts.size > 1)
+  })
+})
+
+describe('gate flow', () => {
+  test('a phase runs intro, work, then its gate, and the gate opens the next phase', () => {
+    let state = startProgram(7)
+    assert.equal(state.screen, 'phase')
+    assert.equal(state.currentPhaseIndex, 0)
+    assert.equal(state.phaseStep, 0)
+
+    state = playUntil(state, s => s.phaseStep === 3)
+    assert.equal(state.gateResult, null)
+    const months = state.months
+
+    state = longGameReducer(state, { type: 'ROLL_GATE' })
+    // Teaching rules pass a gate the program's risk has not ruled out
+    assert.equal(state.gateResult.success, true)
+    assert.ok(state.months > months, 'the phase takes time to run')
+    assert.deepEqual(state.phasesCompleted.map(phase => phase.id), ['basic_research'])
+
+    // A gate is rolled once
+    assert.equal(longGameReducer(state, { type: 'ROLL_GATE' }), state)
+
+    state = playUntil(state, s => s.currentPhaseIndex === 1)
+    assert.equal(state.phaseStep, 0)
+    assert.equal(state.gateResult, null)
+  })
+
+  test('teaching rules carry a careful program to approval and launch', () => {
+    const state = playUntil(startProgram(3), s => s.screen !== 'phase')
+    assert.equal(state.screen, 'launch')
+    assert.equal(state.phasesCompleted.at(-1).id, 'post_market')
+  })
+})
+
+describe('commercial launch', () => {
+  const launched = playUntil(startProgram(3), s => s.screen !== 'phase')
+
+  test('a royalty on the approved drug is sold once, and paid out of sales', () => {
+    const offer = selectLaunchRoyaltyOffer(launched)
+    assert.ok(offer > 0)
+    const sold = longGameReducer(launched, { type: 'SELL_LAUNCH_ROYALTY' })
+    assert.equal(sold.cash, Math.round((launched.cash + offer) * 10) / 10)
+    assert.equal(selectLaunchRoyaltyOffer(sold), null)
+    assert.equal(longGameReducer(sold, { type: 'SELL_LAUNCH_ROYALTY' }), sold)
+    assert.ok(selectNextLaunchQuarter(sold).partners > selectNextLaunchQuarter(launched).partners)
+  })
+
+  test('pricing decisions move commercial sales, not what Medicare and Medicaid pay', () => {
+    const net = (revenueMultiplier, medicareShare) => selectNextLaunchQuarter({
+      ...launched,
+      revenueMultiplier,
+      indicationData: { ...launched.indicationData, medicareShare },
+    }).net
+    // With no commercial patients the statutory discounts are all there is
+    assert.equal(net(0.5, 1 - MEDICAID_SHARE), net(1, 1 - MEDICAID_SHARE))
+    assert.ok(net(0.5, 0.3) < net(1, 0.3))
+  })
+})
+
+describe('failure paths', () => {
+  test('risk past a clinical threshold fails the gate', () => {
+    const atPhase1 = playUntil(startProgram(7), s => s.currentPhaseIndex === 4 && s.phaseStep === 3)
+    const state = longGameReducer({ ...atPhase1, safetyRisk: 90, cash: 500 }, { type: 'ROLL_GATE' })
+    assert.equal(state.screen, 'failure')
+    assert.equal(state.programEvents.findLast(event => event.isFailure).title, 'Safety Signal Detected')
+  })
+
+  test('declining the last financing on offer ends the company', () => {
+    const broke = { ...playUntil(startProgram(7), s => s.phaseStep === 3), cash: 0, showAlternativeFinancing: true }
+    assert.equal(longGameReducer(broke, { type: 'DECLINE_ALTERNATIVE_FINANCING' }).screen, 'failure')
+  })
+
+  test('a company out of cash is asked to raise before it can go on', () => {
+    const broke = { ...startProgram(7), cash: 0 }
+    const state = longGameReducer(broke, { type: 'ADVANCE_STEP' })
+    assert.equal(state.showFinancingScreen, true)
+    assert.equal(state.phaseStep, 0)
+  })
+})
+
+describe('guards', () => {
+  const fresh = startProgram(7)
+  const ignored = (state, action) => assert.equal(longGameReducer(state, action), state, `${action.type} should be ignored`)
+
+  test('financing actions need their prompt open', () => {
+    ignored(fresh, { type: 'DECLINE_ALTERNATIVE_FINANCING' })
+    ignored(fresh, { type: 'SELECT_ALTERNATIVE_FINANCING', financingId: 'royalty' })
+    ignored(fresh, { type: 'RAISE_NEXT_ROUND' })
+    ignored(fresh, { type: 'SKIP_FINANCING' })
+    ignored(fresh, { type: 'ACKNOWLEDGE_FINANCING' })
+  })
+
+  test('a round already raised is not raised again', () => {
+    const raised = longGameReducer({ ...fresh, showFinancingScreen: true }, { type: 'RAISE_NEXT_ROUND' })
+    assert.ok(raised.financingResult)
+    ignored(raised, { type: 'RAISE_NEXT_ROUND' })
+  })
+
+  test('only alternatives the program qualifies for can be taken', () => {
+    const prompted = { ...fresh, showAlternativeFinancing: true }
+    const available = selectAvailableAlternatives(prompted).map(alt => alt.id)
+    ignored(prompted, { type: 'SELECT_ALTERNATIVE_FINANCING', financingId: 'not-a-deal' })
+    // A PIPE needs a listed company and Phase III
+    assert.ok(!available.includes('pipe'))
+    ignored(prompted, { type: 'SELECT_ALTERNATIVE_FINANCING', financingId: 'pipe' })
+  })
+
+  test('the gate rolls only at the gate step', () => {
+    ignored(fresh, { type: 'ROLL_GATE' })
+    const working = playUntil(fresh, s => s.phaseStep === 1 || s.phaseStep === 2)
+    ignored(working, { type: 'ROLL_GATE' })
+  })
+
+  test('steps with a choice of their own are not skipped', () => {
+    const asked = playUntil(fresh, s => s.phaseStep === 1)
+    ignored(asked, { type: 'ADVANCE_STEP' })
+    ignored(asked, { type: 'CONTINUE_AFTER_QUESTION' })
+  })
+
+  test('setup choices only apply on their own screen', () => {
+    ignored(fresh, { type: 'SELECT_MODALITY', modality: 'biologic' })
+    ignored(fresh, { type: 'SELECT_INDICATION', indication: INDICATIONS_BY_TYPE.orphan[1] })
+  })
+
+  test('no stray action fails a fresh company', () => {
+    const actions = [
+      'ADVANCE_STEP', 'CONFIRM_TRIAL_DESIGN', 'CONTINUE_AFTER_QUESTION', 'ACKNOWLEDGE_EVENT', 'CONTINUE_AFTER_POLICY',
+      'ACKNOWLEDGE_IRA', 'ACKNOWLEDGE_DSMB', 'ROLL_GATE', 'RAISE_NEXT_ROUND', 'SKIP_FINANCING', 'ACKNOWLEDGE_FINANCING',
+      'DECLINE_ALTERNATIVE_FINANCING', 'TAKE_VENTURE_DEBT', 'NEGOTIATE_WAIVER', 'ACCEPT_DEFAULT', 'ACCEPT_EXIT',
+      'DECLINE_EXIT', 'PLAY_QUARTER', 'SKIP_TO_READOUT', 'PLAY_LAUNCH_QUARTER', 'SELL_LAUNCH_ROYALTY',
+    ]
+    for (const type of actions) {
+      const state = longGameReducer(fresh, { type })
+      assert.equal(state.screen, 'phase', `${type} ended the run`)
+      assert.equal(state.months, 0, `${type} moved the clock`)
+    }
+  })
+})
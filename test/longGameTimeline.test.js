@@ -0,0 +1,38 @@
+// Rewinding The Long Journey and comparing its branches.
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { load } from './support/modules.js'
+import { startProgram, nextAction } from './support/play.js'
+
+const { createTimeline, timelineReducer, selectActiveState, selectBranchSummaries } = await load('/src/game/engine/LongGameTimeline.ts')
+
+// Click through on the active branch until done says stop
+const playTimeline = (timeline, done) => {
+  for (let i = 0; i < 1000 && !done(selectActiveState(timeline)); i++) {
+    timeline = timelineReducer(timeline, { type: 'PLAY', action: nextAction(selectActiveState(timeline)) })
+  }
+  return timeline
+}
+
+const outcomes = (timeline) => selectBranchSummaries(timeline).map(summary => summary.outcome)
+
+test('a branch on the market reads as launched, not in progress', () => {
+  const start = createTimeline(startProgram(3))
+  assert.deepEqual(outcomes(start), ['in progress'])
+
+  const launched = playTimeline(start, state => state.screen === 'launch')
+  assert.deepEqual(outcomes(launched), ['launched'])
+})
+
+test('a branch from an event plays the same event again', () => {
+  const timeline = playTimeline(createTimeline(startProgram(3)), state => state.screen === 'launch')
+  const index = timeline.branches[0].checkpoints.findIndex(checkpoint => checkpoint.kind === 'event')
+  assert.ok(index >= 0, 'the run drew an event')
+
+  const branched = timelineReducer(timeline, { type: 'REWIND', checkpointIndex: index })
+  const state = selectActiveState(branched)
+  assert.equal(state.currentEvent.title, timeline.branches[0].checkpoints[index].label)
+  assert.equal(state.phaseStep, 2)
+  assert.deepEqual(outcomes(branched), ['launched', 'in progress'])
+})
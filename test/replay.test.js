@@ -0,0 +1,86 @@
+// Replay files: a run recorded as its seed and choices, written out, read
+// back and played through the reducer again.
+
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { load } from './support/modules.js'
+
+import { play, startProgram, playUntil, finished } from './support/play.js'
+
+const {
+  createReplay, serializeReplay, parseReplay, replayFrames, matchesRecording, replayFileName, ReplayError,
+} = await load('/src/game/engine/replay.ts')
+const { encodeAction, decodeAction } = await load('/src/game/engine/replayLog.ts')
+const { createInitialLongGameState } = await load('/src/game/engine/LongGameReducer.ts')
+const { INDICATIONS_BY_TYPE } = await load('/src/game/data/strategy.ts')
+
+// Written to disk and opened again
+const roundTrip = (state) => parseReplay(serializeReplay(createReplay(state)))
+
+const finishedRun = playUntil(startProgram(12), finished)
+
+describe('round trip', () => {
+  test('a finished run plays back to where it ended', () => {
+    const replay = roundTrip(finishedRun)
+    const frames = replayFrames(replay)
+    assert.equal(frames.length, finishedRun.replayLog.length + 1)
+    assert.ok(matchesRecording(replay, frames))
+    assert.deepEqual(frames.at(-1).state, finishedRun)
+  })
+
+  test('so does a run stopped mid-launch, royalty sale and all', () => {
+    const launched = play(
+      playUntil(startProgram(3), s => s.screen === 'launch'),
+      { type: 'SET_SALES_FORCE', salesForce: 'lean' },
+      { type: 'SELL_LAUNCH_ROYALTY' },
+      { type: 'PLAY_LAUNCH_QUARTER' },
+    )
+    const frames = replayFrames(roundTrip(launched))
+    assert.deepEqual(frames.at(-1).state, launched)
+    assert.deepEqual(frames.slice(-3).map(frame => frame.label), ['Set sales force: lean', 'Sell launch royalty', 'Play launch quarter'])
+  })
+
+  test('choices that carry content are logged by name and found again', () => {
+    const actions = [
+      { type: 'SELECT_INDICATION', indication: INDICATIONS_BY_TYPE.orphan[0] },
+      { type: 'SET_TRIAL_DESIGN', field: 'power', value: 'p90' },
+      { type: 'ANSWER_QUESTION', optionIndex: 2 },
+      { type: 'SET_ALLOCATION', programId: 'p2', allocation: 'pause' },
+      { type: 'SET_PAYER_STRATEGY', payerStrategy: 'access' },
+      { type: 'ROLL_GATE' },
+    ]
+    actions.forEach(action => assert.deepEqual(decodeAction(JSON.parse(JSON.stringify(encodeAction(action)))), action))
+  })
+})
+
+describe('what cannot be replayed', () => {
+  test('a run on the title screen, or one saved before runs were logged', () => {
+    assert.equal(createReplay(createInitialLongGameState(5)), null)
+    assert.equal(createReplay({ ...finishedRun, replayLog: null }), null)
+  })
+
+  test('files that are not replays, or are too new', () => {
+    const file = serializeReplay(createReplay(finishedRun))
+    assert.throws(() => parseReplay('{ not json'), ReplayError)
+    assert.throws(() => parseReplay(JSON.stringify({ format: 'something-else' })), /not a replay/)
+    assert.throws(() => parseReplay(file.replace('"version":1', '"version":99')), /newer version/)
+    assert.throws(() => parseReplay(file.replace(/"steps":\[.*?\]\]/, '"steps":null')), /damaged/)
+  })
+
+  test('a step this build has no such action for stops playback there', () => {
+    const replay = createReplay(finishedRun)
+    const steps = [...replay.steps.slice(0, 3), ['TIME_TRAVEL'], ...replay.steps.slice(3)]
+    assert.throws(() => replayFrames({ ...replay, steps }), /Step 4 \(Time travel\) does not exist/)
+  })
+
+  test('a step that no longer does anything stops playback there', () => {
+    const replay = createReplay(finishedRun)
+    assert.throws(() => replayFrames({ ...replay, steps: [...replay.steps, ['ROLL_GATE']] }), /had no effect/)
+  })
+})
+
+test('replay files are named for the drug and seed', () => {
+  const name = replayFileName(createReplay(finishedRun))
+  assert.match(name, /\.replay\.json$/)
+  assert.ok(name.startsWith(finishedRun.drugName.toLowerCase().replace(/[^a-z0-9]+/g, '-')))
+})
@@ -0,0 +1,169 @@
+// Save slots, and the migrations that keep saves written by earlier builds
+// loading.
+//
+// Fixtures are save files as those builds wrote them to localStorage.
+
+import { afterEach, beforeEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFile } from 'node:fs/promises'
+import { load } from './support/modules.js'
+
+const saves = await load('/src/game/save/saveSlots.ts')
+const longGame = await load('/src/game/engine/LongGameReducer.ts')
+
+const fixture = async (name) => JSON.parse(await readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'))
+
+test('a v1 long-game save with a cleared gate loads', async () => {
+  const file = await fixture('long-v1-save.json')
+  assert.equal(file.version, 1)
+  assert.equal(file.state.valuationHistory, undefined)
+
+  const state = saves.hydrateSave(longGame.LONG_GAME_SAVE, file)
+
+  assert.equal(longGame.LONG_GAME_SAVE.validate(state), null)
+  assert.equal(state.screen, 'phase')
+  assert.deepEqual(state.valuationHistory, [])
+  // With no value chart to date it from, the cleared gate takes the month of the save
+  assert.deepEqual(state.phasesCompleted.map(phase => [phase.id, phase.month]), [['basic_research', file.state.months]])
+  assert.equal(state.replayLog, null)
+
+  // The run plays on from where it was saved
+  const next = longGame.longGameReducer(state, { type: 'ADVANCE_STEP' })
+  assert.notEqual(next, state)
+})
+
+test('a v1 save from Phase III carries its deals and IRA step into today\'s rules', async () => {
+  const file = await fixture('long-v1-phase3-save.json')
+  assert.equal(file.version, 1)
+  // A partnership taken for half of sales, and the IRA step already seen
+  assert.equal(file.state.revenueShare, 0.5)
+  assert.equal(file.state.seenIRA, true)
+
+  const state = saves.hydrateSave(longGame.LONG_GAME_SAVE, file)
+
+  assert.equal(longGame.LONG_GAME_SAVE.validate(state), null)
+  assert.equal('revenueShare' in state, false)
+  assert.deepEqual(state.obligations.map(obligation => obligation.id), ['partnership_offer'])
+  // The flat IRA haircut comes back out; negotiation is priced in revenue instead
+  assert.equal(state.marketMultiplier, file.state.marketMultiplier / 0.85)
+  assert.equal(typeof state.indicationData.medicareShare, 'number')
+  // Seed through IPO, rebuilt on the cap table
+  assert.deepEqual(state.capTable.holders.map(holder => holder.id), ['founders', 'option_pool', 'seed', 'series_a', 'series_b', 'series_c', 'ipo'])
+  assert.deepEqual(state.debt, [])
+  assert.equal(state.exitStrategy, null)
+  assert.deepEqual(state.trialDesigns, {})
+
+  // The Phase III gate it was saved at still rolls
+  const rolled = longGame.longGameReducer(state, { type: 'ROLL_GATE' })
+  assert.ok(rolled.months > state.months)
+})
+
+test('every earlier save format is one migration from today\'s', () => {
+  assert.deepEqual(Object.keys(longGame.LONG_GAME_SAVE.migrations), ['1'])
+  assert.equal(longGame.LONG_GAME_SAVE.version, 2)
+})
+
+// localStorage as the browser keeps it, for the slot functions to write to
+const memoryStorage = () => {
+  const items = new Map()
+  return {
+    get length () { return items.size },
+    key: (i) => [...items.keys()][i] ?? null,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+  }
+}
+
+describe('save slots', () => {
+  const schema = longGame.LONG_GAME_SAVE
+  const slotKey = (slot) => `the-long-game:save:long:${slot}`
+  let running
+
+  beforeEach(() => {
+    globalThis.localStorage = memoryStorage()
+    running = longGame.longGameReducer(
+      longGame.longGameReducer(longGame.createInitialLongGameState(21), { type: 'START_GAME', seed: 21, gateRules: 'realistic' }),
+      { type: 'SELECT_MODALITY', modality: 'biologic' },
+    )
+  })
+  afterEach(() => {
+    delete globalThis.localStorage
+  })
+
+  test('a saved game resumes where it was saved', () => {
+    const summary = saves.writeSave(schema, running, { name: '  Biologic Run ' })
+    assert.equal(summary.slot, 'biologic-run')
+    assert.equal(summary.name, 'Biologic Run')
+
+    const resumed = saves.readSave(schema, 'biologic-run')
+    assert.equal(resumed.screen, 'setup_market_size')
+    assert.equal(resumed.modality, 'biologic')
+    assert.equal(resumed.drugName, running.drugName)
+    assert.equal(resumed.seed, 21)
+    assert.equal(resumed.gateRules, 'realistic')
+  })
+
+  test('the autosave and named saves are listed newest first', (t) => {
+    t.mock.method(Date, 'now', () => 1000)
+    saves.writeSave(schema, running, { name: 'First' })
+    Date.now.mock.mockImplementation(() => 2000)
+    saves.autosave(schema, running)
+
+    assert.deepEqual(saves.listSaves(schema).map(save => [save.slot, save.autosave, save.problem]), [
+      [saves.AUTOSAVE_SLOT, true, null],
+      ['first', false, null],
+    ])
+  })
+
+  test('a deleted save is gone', () => {
+    saves.writeSave(schema, running, { name: 'Gone' })
+    saves.deleteSave('long', 'gone')
+    assert.deepEqual(saves.listSaves(schema), [])
+    assert.throws(() => saves.readSave(schema, 'gone'), { name: 'SaveError', code: 'not-found' })
+  })
+
+  test('a damaged slot is refused and listed with its problem', () => {
+    localStorage.setItem(slotKey('broken'), '{"mode":"long","vers')
+    assert.throws(() => saves.readSave(schema, 'broken'), { code: 'corrupt' })
+
+    const [listed] = saves.listSaves(schema)
+    assert.equal(listed.slot, 'broken')
+    assert.match(listed.problem, /damaged/)
+  })
+
+  test('a save from a newer build is refused', () => {
+    saves.writeSave(schema, running, { name: 'Later' })
+    const file = JSON.parse(localStorage.getItem(slotKey('later')))
+    localStorage.setItem(slotKey('later'), JSON.stringify({ ...file, version: schema.version + 1 }))
+    assert.throws(() => saves.readSave(schema, 'later'), { code: 'too-new' })
+  })
+
+  test('without storage, saving reports it rather than failing silently', () => {
+    delete globalThis.localStorage
+    assert.throws(() => saves.writeSave(schema, running, { name: 'Nowhere' }), { code: 'unavailable' })
+    assert.deepEqual(saves.listSaves(schema), [])
+  })
+})
+
+describe('migrations', () => {
+  // A schema two versions on from its first saves
+  const counter = {
+    mode: 'long',
+    version: 3,
+    migrations: {
+      1: (state) => ({ ...state, count: state.clicks }),
+      2: (state) => ({ ...state, count: state.count * 10 }),
+    },
+  }
+
+  test('run in order from the save version to the current one', () => {
+    assert.deepEqual(saves.migrateState(counter, 1, { clicks: 4 }), { clicks: 4, count: 40 })
+    assert.deepEqual(saves.migrateState(counter, 2, { count: 4 }), { count: 40 })
+    assert.deepEqual(saves.migrateState(counter, 3, { count: 4 }), { count: 4 })
+  })
+
+  test('a version with no migration left cannot be loaded', () => {
+    assert.throws(() => saves.migrateState(counter, 0, {}), { code: 'incompatible', message: /version 0/ })
+  })
+})
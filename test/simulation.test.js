@@ -0,0 +1,45 @@
+// The balance audit's bots and batch report.
+
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { load } from './support/modules.js'
+
+const { runLongGame } = await load('/src/game/simulation/longGameRunner.ts')
+const { runBatch } = await load('/src/game/simulation/batch.ts')
+
+describe('long game runner', () => {
+  test('a single asset plays to an outcome', () => {
+    const run = runLongGame({ seed: 11, strategy: 'lowest-risk' })
+    assert.equal(run.capped, false)
+    assert.deepEqual(runLongGame({ seed: 11, strategy: 'lowest-risk' }), run)
+    assert.equal(run.phases[0].id, 'basic_research')
+  })
+
+  test('a portfolio plays every program from the board', () => {
+    const run = runLongGame({ seed: 11, strategy: 'lowest-risk', portfolioSize: 3 })
+    assert.equal(run.capped, false)
+    // Each program opens with its own first phase
+    assert.equal(run.phases.filter(phase => phase.id === 'basic_research').length, 3)
+    assert.ok(run.months > 0)
+  })
+})
+
+describe('batch report', () => {
+  test('runs stopped by the action limit are listed, not summarized', () => {
+    const report = runBatch({ game: 'long', runs: 20, strategy: 'random', seed: 5, portfolioSize: 2 })
+    assert.equal(report.overall.runs + report.cappedSeeds.length, 20)
+    report.cappedSeeds.forEach(seed => assert.ok(seed >= 5 && seed < 25))
+  })
+
+  test('the path game reports capped runs the same way', () => {
+    const report = runBatch({ game: 'path', runs: 10, strategy: 'cheapest', seed: 1 })
+    assert.deepEqual(report.cappedSeeds, [])
+    assert.equal(report.overall.runs, 10)
+  })
+
+  test('a launch the bot sees through is a victory, not just an approval', () => {
+    const report = runBatch({ game: 'long', runs: 30, strategy: 'lowest-risk', seed: 1, gateRules: 'teaching' })
+    assert.ok(report.overall.victoryRate > 0)
+    assert.ok(report.overall.victoryRate <= report.overall.approvalRate)
+  })
+})
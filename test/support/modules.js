@@ -0,0 +1,20 @@
+// Game modules for the tests. They are TypeScript with the @/ alias, so
+// they are loaded through Vite's SSR module loader, as in
+// scripts/simulate.js. Each test file gets one server, closed when it ends.
+
+import { after } from 'node:test'
+import { createServer } from 'vite'
+
+let server
+
+export const load = async (path) => {
+  server ??= await createServer({
+    server: { middlewareMode: true, hmr: false },
+    appType: 'custom',
+    optimizeDeps: { noDiscovery: true },
+    logLevel: 'error',
+  })
+  return server.ssrLoadModule(path)
+}
+
+after(() => server?.close())
@@ -0,0 +1,53 @@
+// A Long Journey run played by clicking straight through, for tests that
+// need a program at some point in its life.
+import assert from 'node:assert/strict'
+import { load } from './modules.js'
+
+const { longGameReducer, createInitialLongGameState } = await load('/src/game/engine/LongGameReducer.ts')
+const { selectAvailableAlternatives } = await load('/src/game/engine/selectors.ts')
+const { INDICATIONS_BY_TYPE } = await load('/src/game/data/strategy.ts')
+
+export const play = (state, ...actions) => actions.reduce(longGameReducer, state)
+
+// A small-molecule orphan program on its first phase
+export const startProgram = (seed, gateRules = 'teaching') => play(
+  createInitialLongGameState(seed, gateRules),
+  { type: 'START_GAME', seed, gateRules },
+  { type: 'SELECT_MODALITY', modality: 'small-molecule' },
+  { type: 'SELECT_MARKET_SIZE', marketSize: 'orphan' },
+  { type: 'SELECT_INNOVATION', innovation: 'best-in-class' },
+  { type: 'SELECT_INDICATION', indication: INDICATIONS_BY_TYPE.orphan[0] },
+)
+
+// The first choice on every screen, as a player clicking straight through would make it
+export const nextAction = (state) => {
+  if (state.exitOffer) return { type: 'DECLINE_EXIT' }
+  if (state.debtDefault) return { type: 'ACCEPT_DEFAULT' }
+  if (state.showAlternativeFinancing) {
+    const [alt] = selectAvailableAlternatives(state)
+    return alt ? { type: 'SELECT_ALTERNATIVE_FINANCING', financingId: alt.id } : { type: 'DECLINE_ALTERNATIVE_FINANCING' }
+  }
+  if (state.showFinancingScreen) return state.financingResult ? { type: 'ACKNOWLEDGE_FINANCING' } : { type: 'RAISE_NEXT_ROUND' }
+  if (state.screen === 'launch') return { type: 'PLAY_LAUNCH_QUARTER' }
+  switch (state.phaseStep) {
+    case 0.5: return { type: 'CONFIRM_TRIAL_DESIGN' }
+    case 1: return state.questionResult ? { type: 'CONTINUE_AFTER_QUESTION' } : { type: 'ANSWER_QUESTION', optionIndex: 0 }
+    case 2: return state.currentEvent ? { type: 'ACKNOWLEDGE_EVENT' } : { type: 'ADVANCE_STEP' }
+    case 2.5: return state.policyResult ? { type: 'CONTINUE_AFTER_POLICY' } : { type: 'ANSWER_POLICY', value: state.currentPolicy.options[0].value }
+    case 2.7: return { type: 'ACKNOWLEDGE_IRA' }
+    case 2.9: return { type: 'ACKNOWLEDGE_DSMB' }
+    case 3: return state.gateResult ? { type: 'ADVANCE_STEP' } : { type: 'ROLL_GATE' }
+    default: return { type: 'ADVANCE_STEP' }
+  }
+}
+
+export const playUntil = (state, done, limit = 1000) => {
+  for (let i = 0; i < limit && !done(state); i++) {
+    const next = longGameReducer(state, nextAction(state))
+    assert.notEqual(next, state, `stuck at step ${state.phaseStep} of phase ${state.currentPhaseIndex}`)
+    state = next
+  }
+  return state
+}
+
+export const finished = (state) => state.screen === 'victory' || state.screen === 'failure' || state.screen === 'exit'
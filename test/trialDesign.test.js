@@ -0,0 +1,79 @@
+// Sizing Phase II and III trials on the design workbench.
+
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { load } from './support/modules.js'
+
+import { startProgram, playUntil } from './support/play.js'
+
+const { longGameReducer } = await load('/src/game/engine/LongGameReducer.ts')
+const { selectTrialPlan, selectTrialDesignOdds, plannedPhase } = await load('/src/game/engine/trialDesign.ts')
+const { TRIAL_PHASES } = await load('/src/game/data/trialDesign.ts')
+
+const workbench = playUntil(startProgram(4), s => s.currentPhaseIndex === 5 && s.phaseStep === 0.5)
+const standard = TRIAL_PHASES.phase2.standard
+const planFor = (changes, sampleSize) => selectTrialPlan(workbench, { ...standard, ...changes }, 'phase2', sampleSize)
+
+describe('sample size', () => {
+  // n = 2 (z[1 - alpha/2] + z[power])^2 / (effect / spread)^2, over the endpoint's efficiency
+  const cases = [
+    ['the standard design: 0.45 SD at 0.05 and 80% power', {}, 78],
+    ['90% power', { power: 'p90' }, 104],
+    ['an endpoint cut at a responder threshold', { endpoint: 'responder' }, 122],
+    ['alpha split between two doses', { arms: 'two_doses' }, 94],
+    ['an optimistic effect', { effectSize: 'optimistic' }, 44],
+    ['a wide spread', { variance: 'wide' }, 122],
+  ]
+  for (const [name, changes, perArm] of cases) {
+    test(name, () => assert.equal(planFor(changes).perArm, perArm))
+  }
+
+  test('every arm enrolls the same', () => {
+    assert.equal(planFor({ arms: 'three_doses' }).patients, planFor({ arms: 'three_doses' }).perArm * 4)
+  })
+
+  test('re-estimation grows each arm past its design', () => {
+    assert.equal(planFor({}, 1.5).perArm, Math.ceil(78 * 1.5))
+  })
+})
+
+describe('what a size costs and buys', () => {
+  test('more patients take longer and cost more', () => {
+    const small = planFor({})
+    const large = planFor({ power: 'p90' })
+    assert.ok(large.enrollmentMonths > small.enrollmentMonths)
+    assert.ok(large.months > small.months)
+    assert.ok(large.cost > small.cost)
+  })
+
+  test('a trial sized on an optimistic effect is underpowered against the real one', () => {
+    assert.ok(planFor({ effectSize: 'optimistic' }).power < planFor({}).power)
+    assert.ok(planFor({ effectSize: 'cautious' }).power > planFor({}).power)
+  })
+
+  test('the design\'s edge over the standard one moves the gate', () => {
+    const design = (changes) => ({ ...workbench, trialDesigns: { ...workbench.trialDesigns, phase2: { ...standard, ...changes } } })
+    assert.equal(selectTrialDesignOdds(design({})), 0)
+    assert.ok(selectTrialDesignOdds(design({ effectSize: 'optimistic' })) < 0)
+    assert.ok(selectTrialDesignOdds(design({ power: 'p90' })) > 0)
+  })
+
+  test('the phase runs on its design\'s months and budget', () => {
+    const changed = longGameReducer(workbench, { type: 'SET_TRIAL_DESIGN', field: 'power', value: 'p90' })
+    const plan = planFor({ power: 'p90' })
+    assert.equal(plannedPhase(changed).baseMonths, plan.months)
+    assert.equal(plannedPhase(changed).baseCost, plan.cost)
+  })
+})
+
+describe('the workbench', () => {
+  test('only offers its own choices', () => {
+    assert.equal(longGameReducer(workbench, { type: 'SET_TRIAL_DESIGN', field: 'power', value: 'p99' }), workbench)
+    assert.equal(longGameReducer(workbench, { type: 'SET_TRIAL_DESIGN', field: 'drug', value: 'p90' }), workbench)
+  })
+
+  test('closes once the trial starts', () => {
+    const started = longGameReducer(workbench, { type: 'CONFIRM_TRIAL_DESIGN' })
+    assert.equal(longGameReducer(started, { type: 'SET_TRIAL_DESIGN', field: 'power', value: 'p90' }), started)
+  })
+})
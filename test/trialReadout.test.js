@@ -0,0 +1,52 @@
+// Phase II and III readouts drawn on synthetic patients.
+
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { load } from './support/modules.js'
+
+import { startProgram, playUntil } from './support/play.js'
+
+const { readTrial } = await load('/src/game/engine/trialReadout.ts')
+const { TRIAL_ENDPOINTS } = await load('/src/game/data/trialDesign.ts')
+
+// Did the top dose beat control at the trial's alpha?
+const significant = (readout) => {
+  const { analysis } = TRIAL_ENDPOINTS.find(endpoint => endpoint.id === readout.endpoint)
+  const favorsDrug = analysis === 'survival' ? readout.estimate < 1 : readout.estimate > 0
+  return favorsDrug && readout.pValue < readout.alpha
+}
+
+describe('readouts', () => {
+  const atGate = [1, 2, 3, 4, 5, 6, 7, 8].map(seed => playUntil(startProgram(seed), s => s.currentPhaseIndex === 5 && s.phaseStep === 3))
+
+  test('the analysis agrees with the gate, whichever way it fell', () => {
+    for (const state of atGate) {
+      // Even a drug the trial cannot tell from control, or one far past it
+      for (const efficacyRisk of [0, 50, 100]) {
+        for (const success of [true, false]) {
+          const readout = readTrial({ ...state, efficacyRisk }, success)
+          assert.equal(readout.success, success)
+          assert.equal(significant(readout), success, `seed ${state.seed}, efficacy risk ${efficacyRisk}: ${readout.pValue} against ${readout.alpha}`)
+        }
+      }
+    }
+  })
+
+  test('a statistic far from the gate\'s side still reads out on it', () => {
+    // A look trending against the drug: hardly any trial drawn around it clears the bar
+    const [state] = atGate
+    const look = { look: 1, fraction: 0.5, month: 6, z: -3, efficacy: 2.8, futility: null, conditionalPower: 0.5, decision: 'efficacy', sampleSize: 1 }
+    const stopped = {
+      ...state,
+      trialMonitoring: { ...state.trialMonitoring, phase2: { looks: [look], score: 0, information: 0.5, sampleSize: 1, drift: 0, stopped: 'efficacy' } },
+    }
+    const readout = readTrial(stopped, true)
+    assert.equal(readout.look, 1)
+    assert.ok(significant(readout), `${readout.pValue} against ${readout.alpha}`)
+  })
+
+  test('a readout is drawn again the same way', () => {
+    const [state] = atGate
+    assert.deepEqual(readTrial(state, true), readTrial(state, true))
+  })
+})
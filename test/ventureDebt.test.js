@@ -0,0 +1,106 @@
+// Venture debt: what a loan costs as the months pass, and what happens
+// when the company breaks its covenant or misses a payment.
+
+import { describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { load } from './support/modules.js'
+
+import { play, startProgram, playUntil } from './support/play.js'
+
+const { drawFacility, serviceDebt, checkCovenants } = await load('/src/game/engine/ventureDebt.ts')
+const { longGameReducer } = await load('/src/game/engine/LongGameReducer.ts')
+const { ALTERNATIVE_FINANCING } = await load('/src/game/data/financing.ts')
+
+const { debtTerms: terms } = ALTERNATIVE_FINANCING.find(alt => alt.id === 'venture_debt')
+
+// $30M at 12%: interest only for a year, then repaid over 30 months
+const loan = drawFacility('venture_debt', 'Venture Debt', 30, terms, 0)
+
+describe('servicing a loan', () => {
+  test('the first year pays interest only', () => {
+    const { facilities, paid } = serviceDebt([loan], 0, 12)
+    assert.equal(paid, 3.6)
+    assert.equal(facilities[0].balance, 30)
+  })
+
+  test('then principal is repaid in equal monthly parts', () => {
+    const { facilities } = serviceDebt([loan], 0, 18)
+    assert.equal(facilities[0].balance, 24)
+    assert.equal(facilities[0].principalPaid, 6)
+  })
+
+  test('a repaid loan costs nothing more', () => {
+    const repaid = serviceDebt([loan], 0, 42).facilities
+    assert.equal(repaid[0].balance, 0)
+    assert.equal(serviceDebt(repaid, 42, 60).paid, 0)
+  })
+
+  test('a called loan is no longer serviced', () => {
+    assert.equal(serviceDebt([{ ...loan, defaultedAtMonth: 3 }], 3, 12).paid, 0)
+  })
+})
+
+describe('covenants', () => {
+  test('cash under the minimum breaches it, and a fee can buy a waiver', () => {
+    const breach = checkCovenants([loan], 10, 6)
+    assert.equal(breach.reason, 'covenant')
+    assert.equal(breach.waiverFee, 1.5)
+  })
+
+  test('a waiver is offered once per loan', () => {
+    assert.equal(checkCovenants([{ ...loan, waiverUsed: true }], 10, 6).waiverFee, null)
+  })
+
+  test('a company that cannot pay the fee, or its payments, gets no waiver', () => {
+    assert.equal(checkCovenants([loan], 1, 6).waiverFee, null)
+    const missed = checkCovenants([loan], -2, 6)
+    assert.equal(missed.reason, 'payment')
+    assert.equal(missed.waiverFee, null)
+  })
+
+  test('cash at the minimum, or a repaid loan, is no breach', () => {
+    assert.equal(checkCovenants([loan], terms.minimumCash, 6), null)
+    assert.equal(checkCovenants([{ ...loan, balance: 0 }], 0, 6), null)
+  })
+})
+
+describe('default', () => {
+  // A borrower about to run its first gate, which costs what it costs a well-funded one
+  const atGate = { ...playUntil(startProgram(7), s => s.phaseStep === 3), debt: [loan] }
+  const cost = 500 - longGameReducer({ ...atGate, cash: 500 }, { type: 'ROLL_GATE' }).cash
+  // Left with $8M after the phase: under the minimum, with enough for the fee
+  const breached = longGameReducer({ ...atGate, cash: cost + 8 }, { type: 'ROLL_GATE' })
+
+  test('running the phase down under the minimum puts the loan in default', () => {
+    assert.equal(breached.debtDefault.facilityId, 'venture_debt')
+    assert.equal(breached.debtDefault.reason, 'covenant')
+    assert.ok(breached.debtDefault.waiverFee > 0)
+  })
+
+  test('nothing else happens until the company answers the lender', () => {
+    assert.equal(longGameReducer(breached, { type: 'ADVANCE_STEP' }), breached)
+    assert.equal(longGameReducer(breached, { type: 'RAISE_NEXT_ROUND' }), breached)
+  })
+
+  test('a waiver costs its fee and more warrants', () => {
+    const waived = longGameReducer(breached, { type: 'NEGOTIATE_WAIVER' })
+    assert.equal(waived.debtDefault, null)
+    assert.equal(waived.cash, Math.round((breached.cash - breached.debtDefault.waiverFee) * 10) / 10)
+    assert.ok(waived.totalDilution > breached.totalDilution)
+    assert.equal(waived.debt[0].waiverUsed, true)
+  })
+
+  test('the next breach can only be accepted', () => {
+    const waived = longGameReducer(breached, { type: 'NEGOTIATE_WAIVER' })
+    const again = { ...waived, debtDefault: checkCovenants(waived.debt, waived.cash, waived.months) }
+    assert.equal(again.debtDefault.waiverFee, null)
+    assert.equal(longGameReducer(again, { type: 'NEGOTIATE_WAIVER' }), again)
+  })
+
+  test('accepting the default ends the company and calls the loan', () => {
+    const ended = play(breached, { type: 'ACCEPT_DEFAULT' })
+    assert.equal(ended.screen, 'failure')
+    assert.equal(ended.debt[0].defaultedAtMonth, breached.debtDefault.month)
+    assert.equal(ended.programEvents.at(-1).title, 'Loan Default')
+  })
+})